@@ -61,6 +61,90 @@ const initConfig = async () => {
         value: 'USD',
         type: 'string',
         description: 'Código de moneda'
+      },
+      {
+        key: 'sequence_invoice',
+        value: { prefix: 'INV-', padding: 6, yearlyReset: false, series: {} },
+        type: 'object',
+        description: 'Numeración de facturas de venta (prefijo, relleno, reinicio anual y series)'
+      },
+      {
+        key: 'sequence_credit_note',
+        value: { prefix: 'NC-', padding: 6, yearlyReset: false, series: {} },
+        type: 'object',
+        description: 'Numeración de notas de crédito'
+      },
+      {
+        key: 'sequence_purchase',
+        value: { prefix: 'C-', padding: 6, yearlyReset: false, series: { PC: { prefix: 'PC-', padding: 4 } } },
+        type: 'object',
+        description: 'Numeración de compras; la serie PC se usa para pagos contables'
+      },
+      {
+        key: 'sequence_batch',
+        value: { prefix: 'LOTE-', padding: 6, yearlyReset: true, series: {} },
+        type: 'object',
+        description: 'Numeración de lotes generados automáticamente'
+      },
+      {
+        key: 'sequence_journal',
+        value: { prefix: 'AS-', padding: 6, yearlyReset: true, series: {} },
+        type: 'object',
+        description: 'Numeración de asientos contables'
+      },
+      {
+        key: 'sequence_transfer',
+        value: { prefix: 'TR-', padding: 6, yearlyReset: false, series: {} },
+        type: 'object',
+        description: 'Numeración de transferencias entre cuentas bancarias'
+      },
+      {
+        key: 'sequence_payment_run',
+        value: { prefix: 'LP-', padding: 6, yearlyReset: false, series: {} },
+        type: 'object',
+        description: 'Numeración de lotes de pago a proveedores'
+      },
+      {
+        key: 'sequence_purchase_receipt',
+        value: { prefix: 'REC-', padding: 6, yearlyReset: true, series: {} },
+        type: 'object',
+        description: 'Numeración de recepciones de compras'
+      },
+      {
+        key: 'sequence_stock_transfer',
+        value: { prefix: 'TI-', padding: 6, yearlyReset: true, series: {} },
+        type: 'object',
+        description: 'Numeración de transferencias de inventario entre ubicaciones'
+      },
+      {
+        key: 'sequence_stock_count',
+        value: { prefix: 'CI-', padding: 6, yearlyReset: true, series: {} },
+        type: 'object',
+        description: 'Numeración de conteos físicos de inventario'
+      },
+      {
+        key: 'sequence_production_order',
+        value: { prefix: 'OP-', padding: 6, yearlyReset: true, series: {} },
+        type: 'object',
+        description: 'Numeración de órdenes de producción'
+      },
+      {
+        key: 'inventory_costing_method',
+        value: 'promedio',
+        type: 'string',
+        description: 'Método de costeo del inventario (promedio, fifo, lote)'
+      },
+      {
+        key: 'inventory_reorder_window_days',
+        value: 30,
+        type: 'number',
+        description: 'Días de historia para el consumo promedio de las sugerencias de reposición'
+      },
+      {
+        key: 'batch_expiry_settings',
+        value: { alertThresholds: [30, 7, 1], autoWriteOff: true, emailAlerts: true },
+        type: 'object',
+        description: 'Avisos y baja automática de lotes vencidos'
       }
     ];
     
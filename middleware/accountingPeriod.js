@@ -0,0 +1,41 @@
+import AccountingPeriod from '../models/AccountingPeriod.js';
+
+/**
+ * Middleware para impedir operaciones en periodos contables cerrados o bloqueados.
+ * Siempre se verifica la fecha actual; getDates (opcional) recibe req y devuelve
+ * la fecha o fechas del documento afectado (p. ej. la fecha de una venta que se modifica).
+ */
+export const checkPeriodOpen = (getDates) => {
+  return async (req, res, next) => {
+    try {
+      const AccountingPeriodModel = req.tenantModels?.AccountingPeriod || AccountingPeriod;
+      const documentDates = getDates ? await getDates(req) : [];
+      const dates = [new Date(), ...[].concat(documentDates)]
+        .filter(Boolean)
+        .map(date => new Date(date))
+        .filter(date => !isNaN(date.getTime()));
+
+      const period = await AccountingPeriodModel.findClosedPeriod(dates);
+      if (period) {
+        return res.status(403).json({
+          success: false,
+          message: `El periodo contable ${period.name} está ${period.status}. No se pueden registrar, modificar ni eliminar operaciones con fecha en ese periodo`,
+          code: 'PERIOD_CLOSED',
+          period: {
+            year: period.year,
+            month: period.month,
+            status: period.status
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error verificando el periodo contable',
+        code: 'PERIOD_CHECK_ERROR'
+      });
+    }
+  };
+};
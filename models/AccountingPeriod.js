@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+const accountingPeriodSchema = new mongoose.Schema({
+  year: {
+    type: Number,
+    required: [true, 'El año es requerido'],
+    min: [2000, 'El año no es válido']
+  },
+  month: {
+    type: Number,
+    required: [true, 'El mes es requerido'],
+    min: [1, 'El mes debe estar entre 1 y 12'],
+    max: [12, 'El mes debe estar entre 1 y 12']
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  // abierto: se puede operar; cerrado: solo un administrador puede reabrirlo; bloqueado: cierre definitivo
+  status: {
+    type: String,
+    enum: ['abierto', 'cerrado', 'bloqueado'],
+    default: 'abierto'
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reopenedAt: Date,
+  notes: {
+    type: String,
+    maxlength: [500, 'Las notas no pueden tener más de 500 caracteres']
+  },
+  // Historial de cierres y reaperturas
+  history: [{
+    action: {
+      type: String,
+      enum: ['cerrar', 'bloquear', 'reabrir']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Un único periodo por mes
+accountingPeriodSchema.index({ year: 1, month: 1 }, { unique: true });
+accountingPeriodSchema.index({ startDate: 1, endDate: 1, status: 1 });
+
+// Virtual con el nombre del periodo (MM/AAAA)
+accountingPeriodSchema.virtual('name').get(function() {
+  return `${String(this.month).padStart(2, '0')}/${this.year}`;
+});
+
+// Middleware pre-validate para calcular los límites del mes (UTC)
+accountingPeriodSchema.pre('validate', function(next) {
+  if (this.year && this.month) {
+    this.startDate = new Date(Date.UTC(this.year, this.month - 1, 1));
+    this.endDate = new Date(Date.UTC(this.year, this.month, 0, 23, 59, 59, 999));
+  }
+  next();
+});
+
+// Método estático para obtener el periodo cerrado o bloqueado que contiene alguna de las fechas
+accountingPeriodSchema.statics.findClosedPeriod = function(dates) {
+  if (!dates.length) return null;
+
+  return this.findOne({
+    status: { $in: ['cerrado', 'bloqueado'] },
+    $or: dates.map(date => ({ startDate: { $lte: date }, endDate: { $gte: date } }))
+  });
+};
+
+const AccountingPeriod = mongoose.model('AccountingPeriod', accountingPeriodSchema);
+
+export default AccountingPeriod;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Extracto bancario importado (CSV u OFX); sus movimientos se guardan en BankStatementLine
+const bankStatementSchema = new mongoose.Schema({
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank',
+    required: [true, 'La cuenta bancaria es requerida']
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ofx'],
+    required: true
+  },
+  startDate: Date,
+  endDate: Date,
+  // Saldos informados por el banco (el OFX los trae; en CSV se pueden indicar al importar)
+  openingBalance: Number,
+  closingBalance: Number,
+  lineCount: {
+    type: Number,
+    default: 0
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+bankStatementSchema.index({ bank: 1, endDate: -1 });
+
+const BankStatement = mongoose.model('BankStatement', bankStatementSchema);
+
+export default BankStatement;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const bankStatementLineSchema = new mongoose.Schema({
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank',
+    required: true
+  },
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'La fecha del movimiento es requerida']
+  },
+  // Importe con signo: positivo para créditos (entradas) y negativo para débitos (salidas)
+  amount: {
+    type: Number,
+    required: [true, 'El monto del movimiento es requerido']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  // Identificador del movimiento en el banco (FITID en OFX o huella calculada en CSV) para no importarlo dos veces
+  externalId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pendiente', 'conciliado'],
+    default: 'pendiente'
+  },
+  // Movimientos del sistema con los que se concilió (uno o varios que suman el mismo importe)
+  transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankTransaction'
+  }],
+  matchType: {
+    type: String,
+    enum: ['automatico', 'manual']
+  },
+  reconciledAt: Date,
+  reconciledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+bankStatementLineSchema.index({ bank: 1, externalId: 1 }, { unique: true });
+bankStatementLineSchema.index({ bank: 1, status: 1, date: 1 });
+bankStatementLineSchema.index({ statement: 1 });
+
+const BankStatementLine = mongoose.model('BankStatementLine', bankStatementLineSchema);
+
+export default BankStatementLine;
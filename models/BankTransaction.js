@@ -34,9 +34,15 @@ const bankTransactionSchema = new mongoose.Schema({
   },
   referenceType: {
     type: String,
-    enum: ['sale', 'purchase', 'manual', 'adjustment', 'account_payment'],
+    enum: ['sale', 'purchase', 'manual', 'adjustment', 'account_payment', 'transfer'],
     default: 'manual'
   },
+  // Transferencia entre cuentas a la que pertenece el movimiento
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankTransfer',
+    required: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -73,6 +79,26 @@ const bankTransactionSchema = new mongoose.Schema({
   category: {
     type: String,
     required: false
+  },
+  // Estado del asiento contable ('error' si no se pudo contabilizar, p. ej. por falta de cuentas)
+  journalStatus: {
+    type: String,
+    enum: ['contabilizado', 'error']
+  },
+  journalError: String,
+  // Conciliación contra el extracto bancario
+  reconciled: {
+    type: Boolean,
+    default: false
+  },
+  statementLine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatementLine',
+    required: false
+  },
+  reconciledAt: {
+    type: Date,
+    required: false
   }
 }, {
   timestamps: true
@@ -82,5 +108,6 @@ const bankTransactionSchema = new mongoose.Schema({
 bankTransactionSchema.index({ bank: 1, createdAt: -1 });
 bankTransactionSchema.index({ type: 1 });
 bankTransactionSchema.index({ reference: 1, referenceType: 1 });
+bankTransactionSchema.index({ bank: 1, reconciled: 1 });
 
 export default mongoose.model('BankTransaction', bankTransactionSchema);
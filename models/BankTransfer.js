@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+const bankTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  fromBank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank',
+    required: [true, 'La cuenta de origen es requerida']
+  },
+  toBank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank',
+    required: [true, 'La cuenta de destino es requerida']
+  },
+  // Monto debitado en la moneda de la cuenta de origen
+  amount: {
+    type: Number,
+    required: [true, 'El monto es requerido'],
+    min: [0.01, 'El monto debe ser mayor a 0']
+  },
+  fromCurrency: {
+    type: String,
+    enum: ['DOP', 'USD', 'EUR'],
+    required: true
+  },
+  toCurrency: {
+    type: String,
+    enum: ['DOP', 'USD', 'EUR'],
+    required: true
+  },
+  // Unidades de la moneda de destino por cada unidad de la moneda de origen (1 si es la misma moneda)
+  exchangeRate: {
+    type: Number,
+    required: true,
+    min: [0, 'La tasa de cambio no puede ser negativa'],
+    default: 1
+  },
+  // Monto acreditado en la moneda de la cuenta de destino
+  convertedAmount: {
+    type: Number,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La descripción no puede tener más de 500 caracteres']
+  },
+  status: {
+    type: String,
+    enum: ['completada', 'revertida'],
+    default: 'completada'
+  },
+  outTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankTransaction'
+  },
+  inTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankTransaction'
+  },
+  // Estado del asiento contable ('error' si no se pudo contabilizar, p. ej. por falta de cuentas)
+  journalStatus: {
+    type: String,
+    enum: ['contabilizado', 'error']
+  },
+  journalError: String,
+  // Movimientos que deshacen ambos lados al revertir la transferencia
+  reversalTransactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankTransaction'
+  }],
+  reversedAt: Date,
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reversalReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+bankTransferSchema.index({ fromBank: 1, date: -1 });
+bankTransferSchema.index({ toBank: 1, date: -1 });
+bankTransferSchema.index({ status: 1 });
+
+const BankTransfer = mongoose.model('BankTransfer', bankTransferSchema);
+
+export default BankTransfer;
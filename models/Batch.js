@@ -1,4 +1,27 @@
 import mongoose from 'mongoose';
+import './Sequence.js';
+import { getNextNumber } from '../services/sequenceService.js';
+
+// Lote de ingrediente consumido al producir un lote (trazabilidad hacia atrás)
+const ingredientBatchSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  productName: String,
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  batchNumber: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'La cantidad no puede ser negativa']
+  },
+  unit: String
+}, { _id: false });
 
 const batchSchema = new mongoose.Schema({
   batchNumber: {
@@ -57,11 +80,48 @@ const batchSchema = new mongoose.Schema({
     type: String,
     required: false // Cambiado a false para permitir lotes desde compras
   },
+  // Versión de la receta con que se produjo el lote
+  recipeVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecipeVersion'
+  },
+  recipeVersionNumber: Number,
+  // Orden de producción que produjo el lote
+  productionOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductionOrder',
+    required: false
+  },
+  // Lotes de ingredientes de los que se produjo (solo lotes creados por recetas u órdenes de producción)
+  ingredientBatches: [ingredientBatchSchema],
+  // Ubicación donde se produjo o recibió el lote
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  // Lote original del que se separó esta parte al transferirla a otra ubicación
+  sourceBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: false
+  },
   status: {
     type: String,
     enum: ['activo', 'vencido', 'agotado'],
     default: 'activo'
   },
+  // Menor umbral de días de aviso de vencimiento ya notificado por correo
+  expiryAlertThreshold: {
+    type: Number,
+    required: false
+  },
+  // Baja automática del stock del lote al vencer
+  writtenOffQuantity: {
+    type: Number,
+    min: [0, 'La cantidad dada de baja no puede ser negativa']
+  },
+  writtenOffAt: Date,
   notes: {
     type: String,
     maxlength: [500, 'Las notas no pueden tener más de 500 caracteres']
@@ -80,17 +140,14 @@ const batchSchema = new mongoose.Schema({
 });
 
 // Middleware pre-validate para generar número de lote
-batchSchema.pre('validate', function(next) {
+batchSchema.pre('validate', async function() {
   // Generar número de lote solo si no existe y no viene del frontend
   if (!this.batchNumber || this.batchNumber.trim() === '') {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    const seconds = String(date.getSeconds()).padStart(2, '0');
-    this.batchNumber = `LOTE-${year}${month}${day}-${hours}${minutes}${seconds}`;
+    // Respaldo: quien crea el lote asigna el número con la configuración del tenant; aquí solo se usa
+    // la global. La secuencia se resuelve en la misma conexión que el lote (BD del tenant o principal)
+    this.batchNumber = await getNextNumber(this.constructor.db.model('Sequence'), 'batch', {
+      session: this.$session()
+    });
   }
   
   // Establecer stock inicial igual a la cantidad si no se especifica
@@ -98,8 +155,6 @@ batchSchema.pre('validate', function(next) {
     this.initialStock = this.quantity;
     this.currentStock = this.quantity;
   }
-  
-  next();
 });
 
 // Middleware pre-save para actualizar estado basado en fecha de vencimiento y stock
@@ -152,15 +207,100 @@ batchSchema.methods.restoreStock = async function(quantityToRestore) {
   return this.currentStock;
 };
 
-// Método estático para obtener lotes activos de un producto
-batchSchema.statics.getActiveBatches = function(productId) {
+// Filtro de ubicación de los lotes. Sin ubicación (undefined) no se filtra; null es la ubicación por defecto,
+// como en warehouseService. Los lotes sin ubicación (anteriores a las ubicaciones) están en la por defecto.
+batchSchema.statics.warehouseFilter = async function(warehouse, options = {}) {
+  if (warehouse === undefined) return {};
+  
+  const Warehouse = this.db.model('Warehouse');
+  const session = options.session || null;
+  const defaultWarehouse = await Warehouse.findOne({ isDefault: true, isActive: true }).select('_id').session(session);
+  const warehouseId = warehouse?._id || warehouse;
+  
+  if (warehouseId && (!defaultWarehouse || defaultWarehouse._id.toString() !== warehouseId.toString())) {
+    return { warehouse: warehouseId };
+  }
+  return { warehouse: { $in: defaultWarehouse ? [defaultWarehouse._id, null] : [null] } };
+};
+
+// Método estático para obtener lotes activos de un producto, opcionalmente de una ubicación
+// options: { warehouse, session } (ver warehouseFilter)
+batchSchema.statics.getActiveBatches = async function(productId, options = {}) {
+  const location = await this.warehouseFilter(options.warehouse, options);
   return this.find({
     product: productId,
     status: 'activo',
     currentStock: { $gt: 0 },
     expirationDate: { $gt: new Date() },
-    isActive: true
-  }).sort({ expirationDate: 1 }); // Ordenar por fecha de vencimiento (más cercana primero)
+    isActive: true,
+    ...location
+  })
+    .sort({ expirationDate: 1 }) // Ordenar por fecha de vencimiento (más cercana primero)
+    .session(options.session || null);
+};
+
+// Método estático para proponer la asignación FEFO (primero en vencer, primero en salir) de una cantidad
+// sobre los lotes activos de un producto en una ubicación (options.warehouse; ver warehouseFilter).
+// No modifica stock; shortfall indica lo que no se pudo asignar.
+batchSchema.statics.allocateFEFO = async function(productId, quantity, options = {}) {
+  const batches = await this.getActiveBatches(productId, options);
+  const allocations = [];
+  let pending = quantity;
+  
+  for (const batch of batches) {
+    if (pending <= 0) break;
+    
+    const allocated = Math.min(batch.currentStock, pending);
+    allocations.push({
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      expirationDate: batch.expirationDate,
+      available: batch.currentStock,
+      unit: batch.unit,
+      quantity: allocated
+    });
+    pending -= allocated;
+  }
+  
+  return {
+    allocations,
+    allocated: quantity - Math.max(0, pending),
+    shortfall: Math.max(0, pending)
+  };
+};
+
+// Método estático para descontar stock de un lote de forma atómica.
+// Solo se aplica si el lote está activo y tiene stock suficiente; devuelve null en caso contrario.
+batchSchema.statics.decrementStock = async function(batchId, quantity, options = {}) {
+  const updatedBatch = await this.findOneAndUpdate(
+    { _id: batchId, status: 'activo', currentStock: { $gte: quantity } },
+    { $inc: { currentStock: -quantity } },
+    { new: true, session: options.session }
+  );
+  
+  // Si el stock llega a 0, marcar como agotado
+  if (updatedBatch && updatedBatch.currentStock <= 0) {
+    await this.updateOne({ _id: batchId }, { status: 'agotado' }, { session: options.session });
+    updatedBatch.status = 'agotado';
+  }
+  
+  return updatedBatch;
+};
+
+// Método estático para devolver stock a un lote de forma atómica; si estaba agotado vuelve a quedar activo
+batchSchema.statics.incrementStock = async function(batchId, quantity, options = {}) {
+  const updatedBatch = await this.findByIdAndUpdate(
+    batchId,
+    { $inc: { currentStock: quantity } },
+    { new: true, session: options.session }
+  );
+  
+  if (updatedBatch && updatedBatch.status === 'agotado' && updatedBatch.currentStock > 0) {
+    await this.updateOne({ _id: batchId }, { status: 'activo' }, { session: options.session });
+    updatedBatch.status = 'activo';
+  }
+  
+  return updatedBatch;
 };
 
 // Método estático para obtener estadísticas
@@ -194,6 +334,8 @@ batchSchema.statics.getStats = async function() {
 // batchNumber ya tiene índice por unique: true
 batchSchema.index({ product: 1 });
 batchSchema.index({ recipe: 1 });
+batchSchema.index({ 'ingredientBatches.batch': 1 });
+batchSchema.index({ sourceBatch: 1 });
 batchSchema.index({ status: 1 });
 batchSchema.index({ expirationDate: 1 });
 batchSchema.index({ isActive: 1 });
@@ -79,4 +79,8 @@ configSchema.statics.getAllActive = async function() {
   return configObject;
 };
 
+// La configuración es compartida entre tenants: cada uno guarda sus valores en `<clave>:<tenant>`
+// y la clave sin sufijo es el valor por defecto
+export const tenantConfigKey = (key, tenantId) => tenantId ? `${key}:${tenantId}` : key;
+
 export default mongoose.model('Config', configSchema);
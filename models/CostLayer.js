@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+// Consumo de una capa de costo: qué documento tomó cuántas unidades y a qué costo
+const costConsumptionSchema = new mongoose.Schema({
+  referenceType: {
+    type: String,
+    enum: ['sale', 'credit_note', 'purchase', 'recipe', 'package', 'batch', 'adjustment', 'stock_count', 'production_order', 'manual'],
+    default: 'manual'
+  },
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  referenceNumber: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'La cantidad no puede ser negativa']
+  },
+  // Costo unitario cargado al documento según el método de costeo vigente
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  costingMethod: {
+    type: String,
+    enum: ['promedio', 'fifo', 'lote']
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Capa de costo: cada entrada de inventario con su costo unitario y lo que queda de ella.
+// Se conservan aunque se agoten para poder auditar el costo de cada salida.
+const costLayerSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'El producto es requerido']
+  },
+  productName: {
+    type: String
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: false
+  },
+  // Documento que originó la entrada
+  sourceType: {
+    type: String,
+    enum: ['purchase', 'recipe', 'batch', 'credit_note', 'adjustment', 'stock_count', 'production_order', 'manual'],
+    default: 'manual'
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  // Línea del documento (p. ej. la línea de la compra) para ajustar su costo después
+  sourceLine: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  sourceNumber: {
+    type: String
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'La cantidad es requerida'],
+    min: [0, 'La cantidad no puede ser negativa']
+  },
+  remainingQuantity: {
+    type: Number,
+    required: true,
+    min: [0, 'La cantidad restante no puede ser negativa']
+  },
+  unitCost: {
+    type: Number,
+    required: [true, 'El costo unitario es requerido'],
+    min: [0, 'El costo no puede ser negativo']
+  },
+  consumptions: [costConsumptionSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Capas disponibles de un producto en orden de entrada (FIFO)
+costLayerSchema.index({ product: 1, remainingQuantity: 1, date: 1 });
+costLayerSchema.index({ batch: 1 });
+costLayerSchema.index({ sourceId: 1, sourceLine: 1 });
+costLayerSchema.index({ 'consumptions.reference': 1 });
+
+const CostLayer = mongoose.model('CostLayer', costLayerSchema);
+
+export default CostLayer;
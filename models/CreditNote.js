@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+const creditNoteItemSchema = new mongoose.Schema({
+  // Línea de la venta que se devuelve
+  saleItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package'
+  },
+  isPackage: {
+    type: Boolean,
+    default: false
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'La cantidad no puede ser negativa']
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  cost: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  // Stock repuesto por la línea (componentes en el caso de paquetes)
+  restoredStock: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String,
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch'
+    },
+    quantity: Number
+  }]
+}, { _id: false });
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: [true, 'El número de nota de crédito es requerido'],
+    unique: true,
+    trim: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: [true, 'La venta es requerida']
+  },
+  saleInvoiceNumber: {
+    type: String
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  type: {
+    type: String,
+    enum: ['total', 'parcial'],
+    required: true
+  },
+  items: [creditNoteItemSchema],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: [0, 'El subtotal no puede ser negativo']
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: [0, 'El impuesto no puede ser negativo']
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: [0, 'El total no puede ser negativo']
+  },
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  // Reembolsos generados al reversar pagos de la venta
+  refunds: [{
+    payment: mongoose.Schema.Types.ObjectId,
+    amount: Number,
+    paymentMethod: String,
+    bankAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bank'
+    },
+    bankTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BankTransaction'
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Estado del asiento contable ('error' si no se pudo contabilizar, p. ej. por falta de cuentas)
+  journalStatus: {
+    type: String,
+    enum: ['contabilizado', 'error']
+  },
+  journalError: String,
+  reason: {
+    type: String,
+    required: [true, 'El motivo es requerido'],
+    trim: true,
+    maxlength: [500, 'El motivo no puede tener más de 500 caracteres']
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar el rendimiento
+// creditNoteNumber ya tiene índice por unique: true
+creditNoteSchema.index({ sale: 1 });
+creditNoteSchema.index({ client: 1 });
+creditNoteSchema.index({ issueDate: -1 });
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
+export default CreditNote;
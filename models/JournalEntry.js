@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'La cuenta contable es requerida']
+  },
+  accountCode: {
+    type: String,
+    required: true
+  },
+  accountName: {
+    type: String,
+    required: true
+  },
+  accountType: {
+    type: String,
+    enum: ['activo', 'pasivo', 'patrimonio', 'ingreso', 'gasto']
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'El débito no puede ser negativo']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'El crédito no puede ser negativo']
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  entryNumber: {
+    type: String,
+    required: [true, 'El número de asiento es requerido'],
+    unique: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'La fecha del asiento es requerida'],
+    default: Date.now
+  },
+  description: {
+    type: String,
+    required: [true, 'La descripción es requerida'],
+    trim: true,
+    maxlength: [500, 'La descripción no puede tener más de 500 caracteres']
+  },
+  // Documento que originó el asiento
+  sourceType: {
+    type: String,
+    required: true,
+    enum: ['sale', 'sale_payment', 'credit_note', 'purchase', 'purchase_payment', 'account_payment', 'bank_adjustment', 'bank_transfer', 'manual']
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  sourceNumber: {
+    type: String
+  },
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'El asiento debe tener al menos dos líneas'
+    }
+  },
+  totalDebit: {
+    type: Number,
+    default: 0
+  },
+  totalCredit: {
+    type: Number,
+    default: 0
+  },
+  // Un asiento nunca se modifica: se anula registrando otro con los importes invertidos
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para mejorar el rendimiento
+// entryNumber ya tiene índice por unique: true
+journalEntrySchema.index({ date: -1 });
+journalEntrySchema.index({ sourceType: 1, sourceId: 1 });
+journalEntrySchema.index({ 'lines.account': 1, date: -1 });
+journalEntrySchema.index({ reversalOf: 1 });
+
+// Middleware pre-validate para calcular totales y verificar que el asiento cuadre
+journalEntrySchema.pre('validate', function(next) {
+  this.totalDebit = Math.round(this.lines.reduce((sum, line) => sum + (line.debit || 0), 0) * 100) / 100;
+  this.totalCredit = Math.round(this.lines.reduce((sum, line) => sum + (line.credit || 0), 0) * 100) / 100;
+
+  if (this.lines.some(line => (line.debit || 0) > 0 && (line.credit || 0) > 0)) {
+    this.invalidate('lines', 'Una línea no puede tener débito y crédito a la vez');
+  }
+
+  if (Math.abs(this.totalDebit - this.totalCredit) > 0.01) {
+    this.invalidate('lines', `El asiento no cuadra: débitos ${this.totalDebit} y créditos ${this.totalCredit}`);
+  }
+
+  next();
+});
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+export default JournalEntry;
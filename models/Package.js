@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import './StockMovement.js';
+import './Batch.js';
+import { incrementProductStock } from '../services/stockMovementService.js';
 
 const packageSchema = new mongoose.Schema({
   name: {
@@ -130,22 +133,49 @@ packageSchema.pre('save', function(next) {
 });
 
 // Método para verificar disponibilidad de stock
-packageSchema.methods.checkStockAvailability = async function() {
-  const Product = mongoose.model('Product');
+// options.multiplier: cantidad de paquetes (cada componente se necesita multiplicado por ella)
+// options.warehouse: ubicación de cuyos lotes se asigna (ver Batch.allocateFEFO)
+packageSchema.methods.checkStockAvailability = async function(options = {}) {
+  const { multiplier = 1, ...queryOptions } = options;
+  // Usar la conexión del propio modelo para consultar la BD del tenant
+  const Product = this.constructor.db.model('Product');
+  const Batch = this.constructor.db.model('Batch');
   const availability = {
     available: true,
-    unavailableItems: []
+    unavailableItems: [],
+    allocations: []
   };
   
   for (const item of this.items) {
-    const product = await Product.findById(item.product);
-    if (!product || product.stock < item.quantity) {
+    const required = item.quantity * multiplier;
+    const product = await Product.findById(item.product).session(queryOptions.session || null);
+    if (!product || product.stock < required) {
       availability.available = false;
       availability.unavailableItems.push({
         product: product?.name || 'Producto no encontrado',
-        required: item.quantity,
+        required,
         available: product?.stock || 0
       });
+      continue;
+    }
+    
+    // Mostrar los lotes que se usarían al vender el paquete
+    if (product.managesBatches) {
+      const fefo = await Batch.allocateFEFO(product._id, required, queryOptions);
+      availability.allocations.push({
+        product: product.name,
+        required,
+        batches: fefo.allocations
+      });
+      
+      if (fefo.shortfall > 0) {
+        availability.available = false;
+        availability.unavailableItems.push({
+          product: product.name,
+          required,
+          available: fefo.allocated
+        });
+      }
     }
   }
   
@@ -153,39 +183,96 @@ packageSchema.methods.checkStockAvailability = async function() {
 };
 
 // Método para consumir stock de los productos del paquete
-packageSchema.methods.consumeStock = async function() {
-  const Product = mongoose.model('Product');
+// movementInfo: datos del documento origen (referencia, usuario, ubicación...) para el historial de movimientos;
+// los lotes se asignan en la ubicación del movimiento
+// options.session: sesión de la transacción en curso; si falta stock se lanza un error para revertirla
+// options.multiplier: cantidad de paquetes vendidos (cada componente se consume multiplicado por ella)
+packageSchema.methods.consumeStock = async function(movementInfo = {}, options = {}) {
+  const { multiplier = 1, ...queryOptions } = options;
+  const models = {
+    Product: this.constructor.db.model('Product'),
+    StockMovement: this.constructor.db.model('StockMovement')
+  };
+  const Batch = this.constructor.db.model('Batch');
   const consumedItems = [];
   
   for (const item of this.items) {
-    const product = await Product.findById(item.product);
-    if (product) {
-      product.stock -= item.quantity;
-      await product.save();
-      consumedItems.push({
-        product: product.name,
-        quantity: item.quantity,
-        remainingStock: product.stock
-      });
+    const quantity = item.quantity * multiplier;
+    const component = await models.Product.findById(item.product).session(queryOptions.session || null);
+    if (!component) {
+      throw new Error(`Producto ${item.product} del paquete ${this.name} no encontrado`);
+    }
+    
+    // Los productos con lotes se descuentan de los lotes que vencen primero
+    let allocations = [];
+    if (component.managesBatches) {
+      const fefo = await Batch.allocateFEFO(component._id, quantity, { ...queryOptions, warehouse: movementInfo.warehouse });
+      if (fefo.shortfall > 0) {
+        throw new Error(`Stock insuficiente en lotes activos de ${component.name} para el paquete ${this.name}. Disponible: ${fefo.allocated}`);
+      }
+      
+      for (const allocation of fefo.allocations) {
+        const updatedBatch = await Batch.decrementStock(allocation.batch, allocation.quantity, queryOptions);
+        if (!updatedBatch) {
+          throw new Error(`Stock insuficiente en el lote #${allocation.batchNumber} para el paquete ${this.name}`);
+        }
+      }
+      allocations = fefo.allocations;
     }
+    
+    // Un movimiento por lote asignado, o uno solo si el producto no maneja lotes
+    const parts = allocations.length ? allocations : [{ quantity }];
+    let product;
+    for (const part of parts) {
+      product = await incrementProductStock(models, item.product, -part.quantity, {
+        referenceType: 'package',
+        reason: `Consumo de paquete ${this.name}`,
+        ...movementInfo,
+        batch: part.batch,
+        batchNumber: part.batchNumber
+      }, queryOptions);
+      
+      if (!product) {
+        throw new Error(`Stock insuficiente para un producto del paquete ${this.name}`);
+      }
+    }
+    
+    consumedItems.push({
+      productId: product._id,
+      product: product.name,
+      quantity,
+      remainingStock: product.stock,
+      batchAllocations: allocations.map(({ batch, batchNumber, expirationDate, quantity }) => ({
+        batch, batchNumber, expirationDate, quantity
+      }))
+    });
   }
   
   return consumedItems;
 };
 
 // Método para restaurar stock de los productos del paquete
-packageSchema.methods.restoreStock = async function() {
-  const Product = mongoose.model('Product');
+// options.multiplier: cantidad de paquetes a restaurar, como en consumeStock
+packageSchema.methods.restoreStock = async function(movementInfo = {}, options = {}) {
+  const { multiplier = 1, ...queryOptions } = options;
+  const models = {
+    Product: this.constructor.db.model('Product'),
+    StockMovement: this.constructor.db.model('StockMovement')
+  };
   const restoredItems = [];
   
   for (const item of this.items) {
-    const product = await Product.findById(item.product);
+    const quantity = item.quantity * multiplier;
+    const product = await incrementProductStock(models, item.product, quantity, {
+      referenceType: 'package',
+      reason: `Restauración de paquete ${this.name}`,
+      ...movementInfo
+    }, queryOptions);
+    
     if (product) {
-      product.stock += item.quantity;
-      await product.save();
       restoredItems.push({
         product: product.name,
-        quantity: item.quantity,
+        quantity,
         newStock: product.stock
       });
     }
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { UNITS } from '../services/unitService.js';
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -23,10 +24,36 @@ const productSchema = new mongoose.Schema({
     required: [true, 'La categoría es requerida'],
     enum: ['materia_prima', 'producto_terminado', 'empaque', 'servicio']
   },
+  // Unidad de stock: en ella se llevan el stock, los lotes, los movimientos y el costo
   unit: {
     type: String,
     required: [true, 'La unidad de medida es requerida'],
-    enum: ['kg', 'g', 'l', 'ml', 'unidad', 'docena', 'caja', 'metro', 'cm']
+    enum: UNITS
+  },
+  // Unidad en la que se compra por defecto (p. ej. caja); sin valor se compra en la unidad de stock
+  purchaseUnit: {
+    type: String,
+    enum: UNITS
+  },
+  // Conversiones propias del producto: 1 unit = factor unidades de stock (p. ej. 1 caja = 24 unidad)
+  unitConversions: {
+    type: [{
+      _id: false,
+      unit: {
+        type: String,
+        required: [true, 'La unidad de la conversión es requerida'],
+        enum: UNITS
+      },
+      factor: {
+        type: Number,
+        required: [true, 'El factor de la conversión es requerido'],
+        min: [0.000001, 'El factor de la conversión debe ser mayor a 0']
+      }
+    }],
+    validate: {
+      validator: (conversions) => new Set(conversions.map(conversion => conversion.unit)).size === conversions.length,
+      message: 'Cada unidad puede tener una sola conversión'
+    }
   },
   price: {
     type: Number,
@@ -47,6 +74,22 @@ const productSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'El stock mínimo no puede ser negativo']
   },
+  // Punto de pedido: con stock (más lo pedido) en o bajo este nivel se sugiere reponer.
+  // Sin valor se calcula con el consumo diario y el plazo de entrega del proveedor
+  reorderPoint: {
+    type: Number,
+    min: [0, 'El punto de pedido no puede ser negativo']
+  },
+  // Cantidad a pedir en cada reposición (lote de compra); sin valor se sugiere según el consumo
+  reorderQuantity: {
+    type: Number,
+    min: [0, 'La cantidad de reposición no puede ser negativa']
+  },
+  // Peso por unidad en kg; se usa para prorratear costos de importación por peso
+  weight: {
+    type: Number,
+    min: [0, 'El peso no puede ser negativo']
+  },
   supplier: {
     type: mongoose.Schema.Types.Mixed, // Puede ser string o ObjectId
     ref: 'Supplier'
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+
+// Ingrediente de la orden: cantidad planificada (receta × factor de escala) y consumo real con merma
+const productionOrderIngredientSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  unit: String,
+  plannedQuantity: {
+    type: Number,
+    required: true,
+    min: [0, 'La cantidad planificada no puede ser negativa']
+  },
+  // Cantidad que se incorporó al producto
+  actualQuantity: {
+    type: Number,
+    min: [0, 'La cantidad real no puede ser negativa']
+  },
+  // Cantidad desperdiciada; también sale del inventario y su costo lo absorbe lo producido
+  scrapQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'La merma no puede ser negativa']
+  },
+  // Lotes de los que salió el consumo (real + merma), por FEFO
+  batchesUsed: [{
+    _id: false,
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch'
+    },
+    batchNumber: String,
+    quantity: Number
+  }],
+  // Costo del consumo por capa: con él se reponen las capas si la orden se revierte
+  costLayers: [{
+    _id: false,
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch'
+    },
+    quantity: Number,
+    unitCost: Number
+  }],
+  cost: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Orden de producción: una corrida de una receta con su consumo real y el lote producido
+const productionOrderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: [true, 'La receta es requerida']
+  },
+  recipeName: String,
+  // Versión de la receta vigente a la fecha planificada, con la que se calcularon los ingredientes
+  recipeVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecipeVersion'
+  },
+  recipeVersionNumber: Number,
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'El producto a producir es requerido']
+  },
+  productName: String,
+  // Ubicación de producción: de ella salen los ingredientes y a ella entra lo producido
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  status: {
+    type: String,
+    enum: ['borrador', 'liberada', 'en_proceso', 'terminada', 'cancelada'],
+    default: 'borrador'
+  },
+  // Múltiplo de la receta: plannedQuantity = cantidad del lote de la receta × scaleFactor
+  scaleFactor: {
+    type: Number,
+    default: 1,
+    min: [0.0001, 'El factor de escala debe ser mayor a 0']
+  },
+  plannedQuantity: {
+    type: Number,
+    required: true,
+    min: [0.0001, 'La cantidad planificada debe ser mayor a 0']
+  },
+  actualQuantity: {
+    type: Number,
+    min: [0, 'La cantidad producida no puede ser negativa']
+  },
+  unit: String,
+  ingredients: [productionOrderIngredientSchema],
+  batchInfo: {
+    batchNumber: {
+      type: String,
+      trim: true
+    },
+    productionDate: Date,
+    expirationDate: Date
+  },
+  producedBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  // Costo real: consumo de ingredientes (incluida la merma) repartido en lo producido
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  costingMethod: {
+    type: String,
+    enum: ['promedio', 'fifo', 'lote']
+  },
+  // Costo promedio del producto antes de sumar lo producido (se repone si la orden se revierte sin stock restante)
+  previousProductCost: Number,
+  plannedDate: Date,
+  releasedAt: Date,
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: Date,
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  finishedAt: Date,
+  finishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String,
+  notes: {
+    type: String,
+    maxlength: [500, 'Las notas no pueden tener más de 500 caracteres']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+productionOrderSchema.index({ status: 1, plannedDate: 1 });
+productionOrderSchema.index({ recipe: 1 });
+productionOrderSchema.index({ product: 1 });
+productionOrderSchema.index({ 'ingredients.product': 1 });
+
+const ProductionOrder = mongoose.model('ProductionOrder', productionOrderSchema);
+
+export default ProductionOrder;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import './Sequence.js';
+import { getNextNumber } from '../services/sequenceService.js';
+import { UNITS } from '../services/unitService.js';
 
 const purchaseItemSchema = new mongoose.Schema({
   product: {
@@ -40,7 +43,13 @@ const purchaseItemSchema = new mongoose.Schema({
   unit: {
     type: String,
     required: false, // Hacer opcional para pagos contables
-    enum: ['kg', 'g', 'l', 'ml', 'unidad', 'docena', 'caja', 'metro', 'cm']
+    enum: UNITS
+  },
+  // Unidades de stock del producto por cada unidad de compra (la cantidad y el precio son en la unidad de compra)
+  conversionFactor: {
+    type: Number,
+    default: 1,
+    min: [0.000001, 'El factor de conversión debe ser mayor a 0']
   },
   unitPrice: {
     type: Number,
@@ -75,6 +84,147 @@ const purchaseItemSchema = new mongoose.Schema({
     batchNumber: String,
     expirationDate: Date,
     notes: String
+  },
+  // Cantidad ya ingresada al inventario en recepciones de la compra
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'La cantidad recibida no puede ser negativa']
+  },
+  // Peso total de la línea en kg (si no se indica se usa el peso unitario del producto)
+  weight: {
+    type: Number,
+    min: [0, 'El peso no puede ser negativo']
+  },
+  // Costos adicionales (flete, aduana...) asignados a la línea
+  landedCost: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Costo adicional de la compra (flete, aduana, manejo...) prorrateado entre sus líneas
+const landedCostSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['flete', 'aduana', 'manejo', 'seguro', 'otro'],
+    default: 'otro'
+  },
+  description: {
+    type: String,
+    required: [true, 'La descripción es requerida'],
+    maxlength: [200, 'La descripción no puede tener más de 200 caracteres']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'El monto es requerido'],
+    min: [0.01, 'El monto debe ser mayor a 0']
+  },
+  allocationMethod: {
+    type: String,
+    enum: ['valor', 'cantidad', 'peso'],
+    default: 'valor'
+  },
+  // Pago contable (compra con isAccountPayment) que respalda el costo
+  accountPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase'
+  },
+  reference: String,
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  allocations: [{
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String,
+    base: Number,
+    amount: Number,
+    unitAmount: Number
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+});
+
+// Documento de recepción: cada entrega del proveedor con las cantidades recibidas por línea
+const purchaseReceiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  // Ubicación que recibió la mercadería
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  items: [{
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, 'La cantidad no puede ser negativa']
+    },
+    unit: String,
+    // Cantidad ingresada al inventario en la unidad de stock del producto
+    stockQuantity: Number,
+    unitCost: Number,
+    total: Number,
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch'
+    }
+  }],
+  total: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    maxlength: [200, 'Las notas no pueden tener más de 200 caracteres']
+  },
+  // Estado del asiento contable ('error' si no se pudo contabilizar, p. ej. por falta de cuentas)
+  journalStatus: {
+    type: String,
+    enum: ['contabilizado', 'error']
+  },
+  journalError: String,
+  status: {
+    type: String,
+    enum: ['vigente', 'revertida'],
+    default: 'vigente'
+  },
+  reversedAt: Date,
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
   }
 });
 
@@ -93,14 +243,23 @@ const purchaseSchema = new mongoose.Schema({
     type: String,
     required: false // Hacer opcional para pagos contables
   },
+  // Ubicación de destino por defecto de las recepciones
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
   items: [purchaseItemSchema],
+  receipts: [purchaseReceiptSchema],
+  landedCosts: [landedCostSchema],
   total: {
     type: Number,
     min: [0, 'El total no puede ser negativo']
   },
   status: {
     type: String,
-    enum: ['pendiente', 'en_transito', 'recibida', 'cancelada'],
+    // borrador: orden sugerida aún no confirmada con el proveedor (no genera deuda ni se recibe)
+    enum: ['borrador', 'pendiente', 'en_transito', 'parcialmente_recibida', 'recibida', 'cancelada'],
     default: 'pendiente'
   },
   paymentMethod: {
@@ -137,6 +296,17 @@ const purchaseSchema = new mongoose.Schema({
       type: String,
       maxlength: [200, 'Las notas no pueden tener más de 200 caracteres']
     },
+    // Número de la corrida de pagos que generó este pago, si aplica
+    paymentRun: {
+      type: String,
+      required: false
+    },
+    // Estado del asiento contable ('error' si no se pudo contabilizar, p. ej. por falta de cuentas)
+    journalStatus: {
+      type: String,
+      enum: ['contabilizado', 'error']
+    },
+    journalError: String,
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -188,6 +358,12 @@ const purchaseSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Estado del asiento contable ('error' si no se pudo contabilizar, p. ej. por falta de cuentas)
+  journalStatus: {
+    type: String,
+    enum: ['contabilizado', 'error']
+  },
+  journalError: String,
   // Campos para pagos contables
   isAccountPayment: {
     type: Boolean,
@@ -232,7 +408,10 @@ purchaseSchema.index({ status: 1 });
 purchaseSchema.index({ orderDate: -1 });
 purchaseSchema.index({ category: 1 });
 purchaseSchema.index({ 'items.batch': 1 });
+purchaseSchema.index({ 'receipts.receiptNumber': 1 });
+purchaseSchema.index({ 'landedCosts.accountPayment': 1 });
 purchaseSchema.index({ isActive: 1 });
+purchaseSchema.index({ warehouse: 1 });
 
 // Virtual para calcular el total automáticamente
 purchaseSchema.virtual('calculatedTotal').get(function() {
@@ -240,18 +419,15 @@ purchaseSchema.virtual('calculatedTotal').get(function() {
 });
 
 // Middleware pre-validate para generar número de compra
-purchaseSchema.pre('validate', function(next) {
+purchaseSchema.pre('validate', async function() {
   // Generar número de compra si no existe
   if (!this.purchaseNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    this.purchaseNumber = `C-${year}${month}${day}-${random}`;
+    // Respaldo: quien crea la compra asigna el número con la configuración del tenant; aquí solo se usa
+    // la global. La secuencia se resuelve en la misma conexión que la compra (BD del tenant o principal)
+    this.purchaseNumber = await getNextNumber(this.constructor.db.model('Sequence'), 'purchase', {
+      session: this.$session()
+    });
   }
-  
-  next();
 });
 
 // Middleware pre-validate para inicializar campos de pago
@@ -307,8 +483,10 @@ purchaseSchema.statics.getStats = async function() {
         _id: null,
         total: { $sum: 1 },
         totalAmount: { $sum: '$total' },
+        draft: { $sum: { $cond: [{ $eq: ['$status', 'borrador'] }, 1, 0] } },
         pending: { $sum: { $cond: [{ $eq: ['$status', 'pendiente'] }, 1, 0] } },
         inTransit: { $sum: { $cond: [{ $eq: ['$status', 'en_transito'] }, 1, 0] } },
+        partiallyReceived: { $sum: { $cond: [{ $eq: ['$status', 'parcialmente_recibida'] }, 1, 0] } },
         received: { $sum: { $cond: [{ $eq: ['$status', 'recibida'] }, 1, 0] } },
         cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelada'] }, 1, 0] } }
       }
@@ -318,8 +496,10 @@ purchaseSchema.statics.getStats = async function() {
   return stats[0] || { 
     total: 0, 
     totalAmount: 0, 
+    draft: 0,
     pending: 0, 
     inTransit: 0, 
+    partiallyReceived: 0,
     received: 0, 
     cancelled: 0 
   };
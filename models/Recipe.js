@@ -46,6 +46,12 @@ const recipeSchema = new mongoose.Schema({
     ref: 'Product',
     required: [true, 'El producto a producir es requerido']
   },
+  // Ubicación donde se produce: de ella salen los ingredientes y a ella entra lo producido
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
   batchInfo: {
     batchNumber: {
       type: String,
@@ -76,6 +82,11 @@ const recipeSchema = new mongoose.Schema({
       type: String,
       // Nombre para ingredientes genéricos
     },
+    // Receta que elabora el ingrediente (productos intermedios: masas, rellenos); su costo se calcula con ella
+    subRecipe: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recipe'
+    },
     quantity: {
       type: Number,
       required: true,
@@ -87,6 +98,22 @@ const recipeSchema = new mongoose.Schema({
     },
     notes: String
   }],
+  // Lotes de ingredientes consumidos en la producción vigente (se devuelven a sus lotes al revertirla)
+  ingredientBatches: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String,
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch'
+    },
+    batchNumber: String,
+    quantity: Number,
+    unit: String
+  }],
   instructions: [{
     step: {
       type: Number,
@@ -102,10 +129,26 @@ const recipeSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'El costo no puede ser negativo']
   },
+  // Costo de mano de obra y gastos indirectos por hora de elaboración (preparación + cocción)
+  laborRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'La tarifa de mano de obra no puede ser negativa']
+  },
+  overheadRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'La tarifa de gastos indirectos no puede ser negativa']
+  },
   sellingPrice: {
     type: Number,
     min: [0, 'El precio de venta no puede ser negativo']
   },
+  // Última versión de la fórmula (el historial inmutable está en RecipeVersion)
+  currentVersion: {
+    type: Number,
+    default: 0
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -172,6 +215,8 @@ recipeSchema.index({ name: 'text', description: 'text' });
 recipeSchema.index({ category: 1 });
 recipeSchema.index({ difficulty: 1 });
 recipeSchema.index({ isActive: 1 });
+recipeSchema.index({ 'ingredients.product': 1 });
+recipeSchema.index({ 'ingredients.subRecipe': 1 });
 
 const Recipe = mongoose.model('Recipe', recipeSchema);
 
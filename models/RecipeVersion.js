@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+
+// Ingrediente de la versión, igual que en la receta
+const recipeVersionIngredientSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  name: String,
+  subRecipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe'
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  notes: String
+});
+
+// Versión inmutable de una receta: su fórmula vigente desde effectiveDate y el costo al crearla
+const recipeVersionSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Desde cuándo se produce con esta versión (las órdenes toman la vigente a su fecha planificada)
+  effectiveDate: {
+    type: Date,
+    required: [true, 'La fecha de vigencia es requerida']
+  },
+  changeNote: {
+    type: String,
+    required: [true, 'La nota del cambio es requerida'],
+    trim: true,
+    maxlength: [500, 'La nota del cambio no puede tener más de 500 caracteres']
+  },
+  name: String,
+  productToProduce: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  servings: Number,
+  preparationTime: Number,
+  cookingTime: Number,
+  batchInfo: {
+    quantity: Number,
+    unit: String
+  },
+  ingredients: [recipeVersionIngredientSchema],
+  instructions: [{
+    _id: false,
+    step: Number,
+    description: String,
+    time: Number
+  }],
+  laborRate: {
+    type: Number,
+    default: 0
+  },
+  overheadRate: {
+    type: Number,
+    default: 0
+  },
+  // Costo calculado al crear la versión (con los costos de ese momento)
+  cost: {
+    materialCost: Number,
+    laborCost: Number,
+    overheadCost: Number,
+    totalCost: Number,
+    unitCost: Number,
+    ingredients: [{
+      _id: false,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      name: String,
+      subRecipe: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Recipe'
+      },
+      costQuantity: Number,
+      costUnit: String,
+      unitCost: Number,
+      cost: Number
+    }]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Las versiones no se modifican: cada cambio de la receta crea una nueva
+recipeVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Las versiones de receta no se pueden modificar'));
+  }
+  next();
+});
+
+recipeVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Las versiones de receta no se pueden modificar'));
+});
+
+recipeVersionSchema.index({ recipe: 1, version: 1 }, { unique: true });
+recipeVersionSchema.index({ recipe: 1, effectiveDate: -1 });
+
+const RecipeVersion = mongoose.model('RecipeVersion', recipeVersionSchema);
+
+export default RecipeVersion;
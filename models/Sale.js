@@ -1,5 +1,44 @@
 import mongoose from 'mongoose';
 
+// Cantidad tomada de un lote para una línea de venta
+const batchAllocationSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  batchNumber: String,
+  expirationDate: Date,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'La cantidad asignada no puede ser negativa']
+  },
+  // Cantidad ya devuelta al lote mediante notas de crédito
+  returnedQuantity: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Costo de salida de una línea por capa de costo, según el método de costeo vigente al vender
+const costLayerUsageSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  layer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostLayer'
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  quantity: Number,
+  unitCost: Number
+}, { _id: false });
+
 const saleSchema = new mongoose.Schema({
   invoiceNumber: {
     type: String,
@@ -7,22 +46,39 @@ const saleSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  // Serie de facturación (tipo de comprobante fiscal); vacía para la serie principal
+  series: {
+    type: String,
+    default: '',
+    trim: true
+  },
   client: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Client',
     required: [true, 'El cliente es requerido']
   },
+  // Ubicación de la que sale el stock (punto de venta)
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
       required: true
     },
+    // Cantidad y precio en la unidad de stock del producto (pueden ser fraccionarios, p. ej. 0.5 kg)
     quantity: {
       type: Number,
       required: true,
-      min: [1, 'La cantidad debe ser mayor a 0']
+      min: [0.000001, 'La cantidad debe ser mayor a 0']
     },
+    unit: String,
+    // Unidad y cantidad en las que se vendió, si difieren de la unidad de stock (p. ej. 1 docena = 12 unidad)
+    saleUnit: String,
+    saleQuantity: Number,
     unitPrice: {
       type: Number,
       required: true,
@@ -70,6 +126,26 @@ const saleSchema = new mongoose.Schema({
     packageName: {
       type: String,
       required: false
+    },
+    // Lotes de los que salió la línea (asignación FEFO o lote indicado)
+    batchAllocations: [batchAllocationSchema],
+    // Componentes consumidos al vender un paquete
+    consumedItems: [{
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      product: String,
+      quantity: Number,
+      batchAllocations: [batchAllocationSchema]
+    }],
+    // Capas de costo de las que salió la línea (componentes incluidos en los paquetes)
+    costLayers: [costLayerUsageSchema],
+    // Cantidad ya devuelta mediante notas de crédito
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'La cantidad devuelta no puede ser negativa']
     }
   }],
   subtotal: {
@@ -97,6 +173,12 @@ const saleSchema = new mongoose.Schema({
     required: true,
     min: [0, 'El costo total no puede ser negativo']
   },
+  // Método de costeo con el que se calculó el costo de la venta
+  costingMethod: {
+    type: String,
+    enum: ['promedio', 'fifo', 'lote'],
+    default: 'promedio'
+  },
   profit: {
     type: Number,
     required: true,
@@ -143,6 +225,12 @@ const saleSchema = new mongoose.Schema({
       default: Date.now
     },
     notes: String,
+    // Estado del asiento contable ('error' si no se pudo contabilizar, p. ej. por falta de cuentas)
+    journalStatus: {
+      type: String,
+      enum: ['contabilizado', 'error']
+    },
+    journalError: String,
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -159,11 +247,77 @@ const saleSchema = new mongoose.Schema({
     required: false,
     min: [0, 'El monto restante no puede ser negativo']
   },
+  // Estado del asiento contable ('error' si no se pudo contabilizar, p. ej. por falta de cuentas)
+  journalStatus: {
+    type: String,
+    enum: ['contabilizado', 'error']
+  },
+  journalError: String,
+  // Notas de crédito y reembolsos asociados
+  creditNotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditNote'
+  }],
+  creditedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El monto acreditado no puede ser negativo']
+  },
+  refunds: [{
+    payment: mongoose.Schema.Types.ObjectId,
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'El monto del reembolso no puede ser negativo']
+    },
+    paymentMethod: String,
+    bankAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bank'
+    },
+    bankTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BankTransaction'
+    },
+    creditNote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditNote'
+    },
+    refundDate: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El monto reembolsado no puede ser negativo']
+  },
+  cancelledAt: Date,
+  cancellationReason: String,
   saleDate: {
     type: Date,
     default: Date.now
   },
+  // Las ventas a crédito vencen según los días de crédito del cliente y cuentan contra su límite
+  saleType: {
+    type: String,
+    enum: ['contado', 'credito'],
+    default: 'contado'
+  },
   dueDate: Date,
+  // Autorización de un gerente para exceder el límite de crédito del cliente
+  creditLimitOverride: {
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    creditLimit: Number,
+    previousBalance: Number,
+    exceededBy: Number,
+    reason: String,
+    approvedAt: Date
+  },
   notes: String,
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -180,16 +334,23 @@ const saleSchema = new mongoose.Schema({
 
 // Middleware para calcular montos de pago
 saleSchema.pre('save', function(next) {
-  // Calcular el monto total pagado
+  // Calcular el monto total pagado y reembolsado
   this.paidAmount = this.partialPayments.reduce((sum, payment) => sum + payment.amount, 0);
+  this.refundedAmount = (this.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+  
+  // Las notas de crédito reducen lo que el cliente debe; los reembolsos reducen lo pagado
+  const netTotal = Math.max(0, this.total - (this.creditedAmount || 0));
+  const netPaid = this.paidAmount - this.refundedAmount;
   
   // Calcular el monto restante
-  this.remainingAmount = this.total - this.paidAmount;
+  this.remainingAmount = Math.max(0, netTotal - netPaid);
   
   // Actualizar el estado de pago basado en los montos
-  if (this.paidAmount === 0) {
+  if (this.cancelledAt || (this.creditedAmount > 0 && netTotal === 0)) {
+    this.paymentStatus = 'cancelado';
+  } else if (netPaid === 0) {
     this.paymentStatus = 'pendiente';
-  } else if (this.paidAmount >= this.total) {
+  } else if (netPaid >= netTotal) {
     this.paymentStatus = 'pagado';
   } else {
     this.paymentStatus = 'parcial';
@@ -211,11 +372,12 @@ saleSchema.pre('validate', function(next) {
 
 // Índices para mejorar el rendimiento
 // invoiceNumber ya tiene índice por unique: true
-saleSchema.index({ client: 1 });
+saleSchema.index({ client: 1, paymentStatus: 1 });
 saleSchema.index({ saleDate: -1 });
 saleSchema.index({ paymentStatus: 1 });
 saleSchema.index({ createdBy: 1 });
 saleSchema.index({ bankAccount: 1 });
+saleSchema.index({ warehouse: 1, saleDate: -1 });
 
 const Sale = mongoose.model('Sale', saleSchema);
 
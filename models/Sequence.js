@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Contador atómico de una numeración (facturas, compras, notas de crédito, lotes)
+const sequenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la secuencia es requerido'],
+    trim: true
+  },
+  // Serie dentro de la secuencia (p. ej. tipo de comprobante fiscal); vacía para la serie principal
+  series: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Año del contador cuando la secuencia se reinicia anualmente; vacío si no se reinicia
+  period: {
+    type: String,
+    default: ''
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'El valor de la secuencia no puede ser negativo']
+  }
+}, {
+  timestamps: true
+});
+
+// Un único contador por secuencia, serie y periodo
+sequenceSchema.index({ name: 1, series: 1, period: 1 }, { unique: true });
+
+const Sequence = mongoose.model('Sequence', sequenceSchema);
+
+export default Sequence;
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+// Línea de conteo: cantidad esperada congelada al abrir el conteo y cantidad contada
+const stockCountLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  sku: String,
+  unit: String,
+  // Sin lote: stock del producto que no está asignado a lotes (o todo, si no maneja lotes)
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  batchNumber: String,
+  expectedQuantity: {
+    type: Number,
+    required: true,
+    min: [0, 'La cantidad esperada no puede ser negativa']
+  },
+  countedQuantity: {
+    type: Number,
+    min: [0, 'La cantidad contada no puede ser negativa']
+  },
+  // Costo unitario congelado con el que se valoriza la diferencia
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  variance: {
+    type: Number,
+    default: 0
+  },
+  varianceValue: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    maxlength: [200, 'Las notas no pueden tener más de 200 caracteres']
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedAt: Date
+});
+
+// Conteo físico de inventario de una categoría y/o ubicación
+const stockCountSchema = new mongoose.Schema({
+  countNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  category: {
+    type: String,
+    enum: ['materia_prima', 'producto_terminado', 'empaque']
+  },
+  status: {
+    type: String,
+    enum: ['abierto', 'aprobado', 'cancelado'],
+    default: 'abierto'
+  },
+  costingMethod: {
+    type: String,
+    enum: ['promedio', 'fifo', 'lote']
+  },
+  lines: [stockCountLineSchema],
+  notes: {
+    type: String,
+    maxlength: [500, 'Las notas no pueden tener más de 500 caracteres']
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  approvedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+stockCountSchema.index({ status: 1, warehouse: 1 });
+stockCountSchema.index({ openedAt: -1 });
+stockCountSchema.index({ 'lines.product': 1 });
+
+const StockCount = mongoose.model('StockCount', stockCountSchema);
+
+export default StockCount;
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'El producto es requerido']
+  },
+  productName: {
+    type: String
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: false
+  },
+  batchNumber: {
+    type: String
+  },
+  // Ubicación donde entró o salió el stock (si el tenant maneja ubicaciones)
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  type: {
+    type: String,
+    required: [true, 'El tipo de movimiento es requerido'],
+    enum: ['entrada', 'salida', 'ajuste']
+  },
+  // Cantidad con signo: positiva para entradas, negativa para salidas
+  quantity: {
+    type: Number,
+    required: [true, 'La cantidad es requerida']
+  },
+  previousStock: {
+    type: Number,
+    required: true
+  },
+  newStock: {
+    type: Number,
+    required: true
+  },
+  // Documento que originó el movimiento
+  referenceType: {
+    type: String,
+    enum: ['sale', 'credit_note', 'purchase', 'recipe', 'package', 'batch', 'adjustment', 'stock_count', 'production_order', 'stock_transfer', 'manual'],
+    default: 'manual'
+  },
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  referenceNumber: {
+    type: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'El motivo no puede tener más de 200 caracteres']
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Las notas no pueden tener más de 500 caracteres']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para reconstruir el historial de un producto
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ batch: 1 });
+stockMovementSchema.index({ warehouse: 1, createdAt: -1 });
+stockMovementSchema.index({ reference: 1, referenceType: 1 });
+stockMovementSchema.index({ type: 1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// Lote del que salió parte de una línea y lote de la ubicación de destino que la recibió
+const stockTransferBatchSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  batchNumber: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'La cantidad no puede ser negativa']
+  },
+  receivedBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  receivedBatchNumber: String
+}, { _id: false });
+
+const stockTransferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'El producto es requerido']
+  },
+  productName: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'La cantidad es requerida'],
+    min: [0.001, 'La cantidad debe ser mayor a 0']
+  },
+  unit: {
+    type: String
+  },
+  // Lotes transferidos (solo productos con lotes)
+  batches: [stockTransferBatchSchema]
+});
+
+// Transferencia de inventario entre ubicaciones: al despacharse el stock sale del origen y queda
+// en tránsito hacia el destino hasta que se recibe (o se cancela y vuelve al origen)
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  fromWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'La ubicación de origen es requerida']
+  },
+  toWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'La ubicación de destino es requerida']
+  },
+  items: [stockTransferItemSchema],
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['en_transito', 'recibida', 'cancelada'],
+    default: 'en_transito'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Las notas no pueden tener más de 500 caracteres']
+  },
+  receivedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ fromWarehouse: 1, date: -1 });
+stockTransferSchema.index({ toWarehouse: 1, date: -1 });
+stockTransferSchema.index({ status: 1 });
+stockTransferSchema.index({ 'items.product': 1 });
+
+const StockTransfer = mongoose.model('StockTransfer', stockTransferSchema);
+
+export default StockTransfer;
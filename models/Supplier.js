@@ -40,6 +40,12 @@ const supplierSchema = new mongoose.Schema({
     type: String,
     default: '30 días'
   },
+  // Días desde el pedido hasta la entrega; se usa para calcular los puntos de pedido
+  leadTimeDays: {
+    type: Number,
+    min: [0, 'El plazo de entrega no puede ser negativo'],
+    default: 0
+  },
   creditLimit: {
     type: Number,
     min: 0,
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Ubicación de inventario del tenant (planta de producción, punto de venta o bodega)
+const warehouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la ubicación es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede tener más de 100 caracteres']
+  },
+  code: {
+    type: String,
+    required: [true, 'El código de la ubicación es requerido'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'El código no puede tener más de 20 caracteres']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['planta', 'punto_venta', 'bodega'],
+      message: 'Tipo de ubicación debe ser: planta, punto_venta o bodega'
+    },
+    default: 'bodega'
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La dirección no puede tener más de 300 caracteres']
+  },
+  // Ubicación usada cuando una operación no indica otra; el tenant tiene exactamente una
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+warehouseSchema.index({ isDefault: 1, isActive: 1 });
+
+const Warehouse = mongoose.model('Warehouse', warehouseSchema);
+
+export default Warehouse;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Stock de un producto en una ubicación. Product.stock sigue siendo el total de todas las ubicaciones
+// (incluido lo que está en tránsito entre ellas).
+const warehouseStockSchema = new mongoose.Schema({
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'La ubicación es requerida']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'El producto es requerido']
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'El stock no puede ser negativo']
+  },
+  // Cantidad enviada a esta ubicación por transferencias que aún no se reciben
+  inTransit: {
+    type: Number,
+    default: 0,
+    min: [0, 'La cantidad en tránsito no puede ser negativa']
+  },
+  // Stock mínimo propio de la ubicación (si no se indica se usa el del producto)
+  minStock: {
+    type: Number,
+    min: [0, 'El stock mínimo no puede ser negativo']
+  }
+}, {
+  timestamps: true
+});
+
+warehouseStockSchema.index({ warehouse: 1, product: 1 }, { unique: true });
+warehouseStockSchema.index({ product: 1 });
+
+const WarehouseStock = mongoose.model('WarehouseStock', warehouseStockSchema);
+
+export default WarehouseStock;
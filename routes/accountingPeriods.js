@@ -0,0 +1,223 @@
+import express from 'express';
+import AccountingPeriod from '../models/AccountingPeriod.js';
+import { protect, admin } from '../middleware/auth.js';
+import { identifyTenant } from '../middleware/tenant.js';
+
+const router = express.Router();
+
+// Validar año y mes recibidos en la ruta
+const parsePeriod = (params) => {
+  const year = parseInt(params.year);
+  const month = parseInt(params.month);
+  if (!Number.isInteger(year) || year < 2000 || !Number.isInteger(month) || month < 1 || month > 12) {
+    return null;
+  }
+  return { year, month };
+};
+
+// @desc    Obtener periodos contables
+// @route   GET /api/accounting-periods
+// @access  Private
+router.get('/', protect, identifyTenant, async (req, res) => {
+  try {
+    const { year, status } = req.query;
+
+    const query = {};
+
+    if (year) {
+      query.year = parseInt(year);
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const AccountingPeriodModel = req.tenantModels?.AccountingPeriod || AccountingPeriod;
+    const periods = await AccountingPeriodModel.find(query)
+      .populate('closedBy', 'name email')
+      .populate('reopenedBy', 'name email')
+      .sort({ year: -1, month: -1 });
+
+    res.json({
+      success: true,
+      data: periods
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Consultar el estado del periodo que contiene una fecha
+// @route   GET /api/accounting-periods/status?date=AAAA-MM-DD
+// @access  Private
+router.get('/status', protect, identifyTenant, async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha inválida'
+      });
+    }
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const AccountingPeriodModel = req.tenantModels?.AccountingPeriod || AccountingPeriod;
+    const period = await AccountingPeriodModel.findOne({ year, month });
+
+    res.json({
+      success: true,
+      data: {
+        year,
+        month,
+        status: period?.status || 'abierto',
+        period
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Cerrar un periodo contable (lock: true lo bloquea de forma definitiva)
+// @route   POST /api/accounting-periods/:year/:month/close
+// @access  Private/Admin
+router.post('/:year/:month/close', protect, identifyTenant, admin, async (req, res) => {
+  try {
+    const parsed = parsePeriod(req.params);
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Año o mes inválido'
+      });
+    }
+
+    const { lock = false, notes } = req.body;
+    const AccountingPeriodModel = req.tenantModels?.AccountingPeriod || AccountingPeriod;
+    let period = await AccountingPeriodModel.findOne(parsed);
+
+    if (period?.status === 'bloqueado') {
+      return res.status(400).json({
+        success: false,
+        message: `El periodo ${period.name} ya está bloqueado`,
+        code: 'PERIOD_LOCKED'
+      });
+    }
+
+    if (period?.status === 'cerrado' && !lock) {
+      return res.status(400).json({
+        success: false,
+        message: `El periodo ${period.name} ya está cerrado`
+      });
+    }
+
+    if (!period) {
+      period = new AccountingPeriodModel({
+        ...parsed,
+        tenant: req.tenant?._id
+      });
+    }
+
+    period.status = lock ? 'bloqueado' : 'cerrado';
+    period.closedBy = req.user._id;
+    period.closedAt = new Date();
+    if (notes !== undefined) period.notes = notes;
+    period.history.push({
+      action: lock ? 'bloquear' : 'cerrar',
+      user: req.user._id,
+      reason: notes
+    });
+
+    await period.save();
+
+    res.json({
+      success: true,
+      message: `Periodo ${period.name} ${lock ? 'bloqueado' : 'cerrado'} exitosamente`,
+      data: period
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Reabrir un periodo contable cerrado (los periodos bloqueados no se pueden reabrir)
+// @route   POST /api/accounting-periods/:year/:month/reopen
+// @access  Private/Admin
+router.post('/:year/:month/reopen', protect, identifyTenant, admin, async (req, res) => {
+  try {
+    const parsed = parsePeriod(req.params);
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Año o mes inválido'
+      });
+    }
+
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'El motivo de la reapertura es requerido'
+      });
+    }
+
+    const AccountingPeriodModel = req.tenantModels?.AccountingPeriod || AccountingPeriod;
+    const period = await AccountingPeriodModel.findOne(parsed);
+
+    if (!period || period.status === 'abierto') {
+      return res.status(400).json({
+        success: false,
+        message: 'El periodo no está cerrado'
+      });
+    }
+
+    if (period.status === 'bloqueado') {
+      return res.status(403).json({
+        success: false,
+        message: `El periodo ${period.name} está bloqueado y no se puede reabrir`,
+        code: 'PERIOD_LOCKED'
+      });
+    }
+
+    period.status = 'abierto';
+    period.reopenedBy = req.user._id;
+    period.reopenedAt = new Date();
+    period.history.push({
+      action: 'reabrir',
+      user: req.user._id,
+      reason
+    });
+
+    await period.save();
+
+    res.json({
+      success: true,
+      message: `Periodo ${period.name} reabierto exitosamente`,
+      data: period
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,17 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import Account from '../models/Account.js';
+import JournalEntry from '../models/JournalEntry.js';
+import {
+  accountBalance,
+  buildAccountTree,
+  buildDateMatch,
+  flattenAccountTree,
+  getAccountTotals,
+  getAccountWithDescendants,
+  roundAmount,
+  sumRoots
+} from '../services/financialStatementService.js';
 import { protect } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
 
@@ -141,6 +152,257 @@ router.get('/flat', async (req, res) => {
   }
 });
 
+// Cargar el catálogo de cuentas del tenant para los reportes
+const loadReportAccounts = async (req) => {
+  const AccountModel = req.tenantModels?.Account || Account;
+  const query = req.tenant?._id ? { tenant: req.tenant._id } : {};
+  return AccountModel.find(query).sort({ code: 1 }).lean();
+};
+
+// Opciones comunes de los reportes: nivel máximo y cuentas sin movimiento
+const reportOptions = (query) => ({
+  level: query.level ? parseInt(query.level) : undefined,
+  includeZero: query.includeZero === 'true'
+});
+
+// GET /api/accounts/reports/trial-balance - Balance de comprobación de un periodo
+router.get('/reports/trial-balance', async (req, res) => {
+  try {
+    const { startDate, endDate, compareStartDate, compareEndDate } = req.query;
+    const JournalEntryModel = req.tenantModels?.JournalEntry || JournalEntry;
+
+    const accounts = await loadReportAccounts(req);
+    const totals = await getAccountTotals(JournalEntryModel, { startDate, endDate });
+    const previousTotals = compareStartDate || compareEndDate
+      ? await getAccountTotals(JournalEntryModel, { startDate: compareStartDate, endDate: compareEndDate })
+      : undefined;
+
+    const tree = buildAccountTree(accounts, totals, { ...reportOptions(req.query), previousTotals });
+    const totalDebit = sumRoots(tree, 'debit');
+    const totalCredit = sumRoots(tree, 'credit');
+
+    res.json({
+      success: true,
+      data: {
+        period: { startDate: startDate || null, endDate: endDate || null },
+        comparePeriod: previousTotals ? { startDate: compareStartDate || null, endDate: compareEndDate || null } : null,
+        accounts: flattenAccountTree(tree),
+        totals: {
+          debit: totalDebit,
+          credit: totalCredit,
+          ...(previousTotals && {
+            previousDebit: sumRoots(tree, 'previousDebit'),
+            previousCredit: sumRoots(tree, 'previousCredit')
+          })
+        },
+        isBalanced: Math.abs(totalDebit - totalCredit) < 0.01
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar el balance de comprobación',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/accounts/reports/balance-sheet - Balance general a una fecha
+router.get('/reports/balance-sheet', async (req, res) => {
+  try {
+    const { date, compareDate } = req.query;
+    const JournalEntryModel = req.tenantModels?.JournalEntry || JournalEntry;
+
+    const accounts = await loadReportAccounts(req);
+    const totals = await getAccountTotals(JournalEntryModel, { endDate: date });
+    const previousTotals = compareDate
+      ? await getAccountTotals(JournalEntryModel, { endDate: compareDate })
+      : undefined;
+    const options = { ...reportOptions(req.query), previousTotals };
+
+    const sections = {};
+    for (const type of ['activo', 'pasivo', 'patrimonio']) {
+      sections[type] = buildAccountTree(accounts, totals, { ...options, types: [type] });
+    }
+
+    // El resultado acumulado (ingresos - gastos) aún no cerrado forma parte del patrimonio
+    const results = buildAccountTree(accounts, totals, { previousTotals, types: ['ingreso', 'gasto'] });
+    const resultFor = (field) => roundAmount(
+      results.filter(node => node.type === 'ingreso').reduce((sum, node) => sum + (node[field] || 0), 0) -
+      results.filter(node => node.type === 'gasto').reduce((sum, node) => sum + (node[field] || 0), 0)
+    );
+
+    const buildTotals = (field) => {
+      const activo = sumRoots(sections.activo, field);
+      const pasivo = sumRoots(sections.pasivo, field);
+      const patrimonio = sumRoots(sections.patrimonio, field);
+      const resultadoEjercicio = resultFor(field);
+      return {
+        activo,
+        pasivo,
+        patrimonio,
+        resultadoEjercicio,
+        pasivoMasPatrimonio: roundAmount(pasivo + patrimonio + resultadoEjercicio)
+      };
+    };
+
+    const reportTotals = buildTotals('balance');
+
+    res.json({
+      success: true,
+      data: {
+        date: date || null,
+        compareDate: compareDate || null,
+        ...sections,
+        totals: reportTotals,
+        previousTotals: previousTotals ? buildTotals('previousBalance') : null,
+        isBalanced: Math.abs(reportTotals.activo - reportTotals.pasivoMasPatrimonio) < 0.01
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar el balance general',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/accounts/reports/income-statement - Estado de resultados de un periodo
+router.get('/reports/income-statement', async (req, res) => {
+  try {
+    const { startDate, endDate, compareStartDate, compareEndDate } = req.query;
+    const JournalEntryModel = req.tenantModels?.JournalEntry || JournalEntry;
+
+    const accounts = await loadReportAccounts(req);
+    const totals = await getAccountTotals(JournalEntryModel, { startDate, endDate });
+    const previousTotals = compareStartDate || compareEndDate
+      ? await getAccountTotals(JournalEntryModel, { startDate: compareStartDate, endDate: compareEndDate })
+      : undefined;
+    const options = { ...reportOptions(req.query), previousTotals };
+
+    const ingresos = buildAccountTree(accounts, totals, { ...options, types: ['ingreso'] });
+    const gastos = buildAccountTree(accounts, totals, { ...options, types: ['gasto'] });
+
+    const buildTotals = (field) => {
+      const totalIngresos = sumRoots(ingresos, field);
+      const totalGastos = sumRoots(gastos, field);
+      return {
+        ingresos: totalIngresos,
+        gastos: totalGastos,
+        resultado: roundAmount(totalIngresos - totalGastos)
+      };
+    };
+
+    res.json({
+      success: true,
+      data: {
+        period: { startDate: startDate || null, endDate: endDate || null },
+        comparePeriod: previousTotals ? { startDate: compareStartDate || null, endDate: compareEndDate || null } : null,
+        ingresos,
+        gastos,
+        totals: buildTotals('balance'),
+        previousTotals: previousTotals ? buildTotals('previousBalance') : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar el estado de resultados',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/accounts/reports/ledger/:id - Movimientos de una cuenta (y sus subcuentas) con saldo acumulado
+router.get('/reports/ledger/:id', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const JournalEntryModel = req.tenantModels?.JournalEntry || JournalEntry;
+
+    const accounts = await loadReportAccounts(req);
+    const account = accounts.find(acc => acc._id.toString() === req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cuenta no encontrada'
+      });
+    }
+
+    const accountIds = getAccountWithDescendants(accounts, account._id);
+
+    // Saldo inicial: movimientos anteriores al periodo
+    let openingBalance = 0;
+    if (startDate) {
+      const [opening] = await JournalEntryModel.aggregate([
+        { $match: { date: { $lt: new Date(startDate) }, 'lines.account': { $in: accountIds } } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': { $in: accountIds } } },
+        { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+      ]);
+      openingBalance = opening ? accountBalance(account.type, opening.debit, opening.credit) : 0;
+    }
+
+    const lines = await JournalEntryModel.aggregate([
+      { $match: { ...buildDateMatch({ startDate, endDate }), 'lines.account': { $in: accountIds } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': { $in: accountIds } } },
+      { $sort: { date: 1, createdAt: 1 } },
+      {
+        $project: {
+          entryId: '$_id',
+          entryNumber: 1,
+          date: 1,
+          description: 1,
+          sourceType: 1,
+          sourceId: 1,
+          sourceNumber: 1,
+          account: '$lines.account',
+          accountCode: '$lines.accountCode',
+          accountName: '$lines.accountName',
+          lineDescription: '$lines.description',
+          debit: '$lines.debit',
+          credit: '$lines.credit'
+        }
+      }
+    ]);
+
+    // Saldo acumulado según la naturaleza de la cuenta consultada
+    let runningBalance = openingBalance;
+    const movements = lines.map(line => {
+      runningBalance = roundAmount(runningBalance + accountBalance(account.type, line.debit, line.credit));
+      return { ...line, balance: runningBalance };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        account: {
+          id: account._id,
+          code: account.code,
+          name: account.name,
+          type: account.type,
+          level: account.level
+        },
+        period: { startDate: startDate || null, endDate: endDate || null },
+        openingBalance,
+        movements,
+        totals: {
+          debit: roundAmount(movements.reduce((sum, line) => sum + line.debit, 0)),
+          credit: roundAmount(movements.reduce((sum, line) => sum + line.credit, 0))
+        },
+        closingBalance: runningBalance
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los movimientos de la cuenta',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/accounts/:id - Obtener una cuenta específica
 router.get('/:id', async (req, res) => {
   try {
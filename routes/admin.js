@@ -4,6 +4,7 @@ import Tenant from '../models/Tenant.js';
 import User from '../models/User.js';
 import { protect, admin } from '../middleware/auth.js';
 import { identifyTenant, requireTenant } from '../middleware/tenant.js';
+import { getBatchExpiryJobStatus } from '../services/batchExpiryService.js';
 
 const router = express.Router();
 
@@ -505,4 +506,14 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// @desc    Estado de la última ejecución del control diario de vencimientos (tenants con error o fallo general)
+// @route   GET /api/admin/jobs/batch-expiry
+// @access  Private/Admin
+router.get('/jobs/batch-expiry', (req, res) => {
+  res.json({
+    success: true,
+    data: getBatchExpiryJobStatus()
+  });
+});
+
 export default router;
@@ -0,0 +1,491 @@
+import express from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import path from 'path';
+import Bank from '../models/Bank.js';
+import BankTransaction from '../models/BankTransaction.js';
+import BankStatement from '../models/BankStatement.js';
+import BankStatementLine from '../models/BankStatementLine.js';
+import { protect, manager } from '../middleware/auth.js';
+import { identifyTenant } from '../middleware/tenant.js';
+import {
+  parseStatementCSV,
+  parseStatementOFX,
+  parseStatementAmount,
+  transactionSignedAmount,
+  BALANCE_NEUTRAL_TYPES,
+  autoMatchStatementLines,
+  unmatchStatementLine,
+  buildReconciliationReport
+} from '../services/bankReconciliationService.js';
+
+// Montado en /api/banks/:id/reconciliations
+const router = express.Router({ mergeParams: true });
+
+// Los extractos se procesan en memoria; no se guardan en disco
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.txt', '.ofx', '.qfx'].includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Tipo de archivo no permitido. Solo se permiten extractos CSV y OFX.'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  }
+});
+
+// Aceptar el archivo como multipart sin romper las peticiones JSON
+const uploadStatement = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next();
+  });
+};
+
+const getModels = (req) => ({
+  Bank: req.tenantModels?.Bank || Bank,
+  BankTransaction: req.tenantModels?.BankTransaction || BankTransaction,
+  BankStatement: req.tenantModels?.BankStatement || BankStatement,
+  BankStatementLine: req.tenantModels?.BankStatementLine || BankStatementLine
+});
+
+// Cargar la cuenta bancaria de la ruta; responde 404 si no existe
+const loadBank = async (req, res) => {
+  const bank = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await getModels(req).Bank.findById(req.params.id)
+    : null;
+
+  if (!bank) {
+    res.status(404).json({
+      success: false,
+      message: 'Cuenta bancaria no encontrada'
+    });
+  }
+  return bank;
+};
+
+// @desc    Importar un extracto bancario (CSV u OFX)
+// @route   POST /api/banks/:id/reconciliations/import
+// @access  Private (Manager/Admin)
+router.post('/import', protect, identifyTenant, manager, uploadStatement, async (req, res) => {
+  try {
+    const bank = await loadBank(req, res);
+    if (!bank) return;
+
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    const fileName = req.file?.originalname || req.body.fileName;
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se proporcionó el extracto'
+      });
+    }
+
+    const options = typeof req.body.options === 'string' ? JSON.parse(req.body.options || '{}') : (req.body.options || {});
+    const extension = fileName ? path.extname(fileName).toLowerCase() : '';
+    const format = req.body.format || (['.ofx', '.qfx'].includes(extension) || /<OFX>/i.test(content) ? 'ofx' : 'csv');
+
+    const parsed = format === 'ofx' ? parseStatementOFX(content) : parseStatementCSV(content, options);
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores en el extracto',
+        errors: parsed.errors
+      });
+    }
+
+    if (parsed.lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se encontraron movimientos en el extracto'
+      });
+    }
+
+    // Omitir los movimientos que ya se importaron en otro extracto
+    const models = getModels(req);
+    const existing = await models.BankStatementLine.find({
+      bank: bank._id,
+      externalId: { $in: parsed.lines.map(line => line.externalId) }
+    }).select('externalId');
+    const existingIds = new Set(existing.map(line => line.externalId));
+    const newLines = parsed.lines.filter(line => !existingIds.has(line.externalId));
+
+    const dates = parsed.lines.map(line => line.date.getTime());
+    const closingBalance = parseStatementAmount(req.body.closingBalance ?? options.closingBalance) ?? parsed.closingBalance;
+    const openingBalance = parseStatementAmount(req.body.openingBalance ?? options.openingBalance);
+
+    const statement = await models.BankStatement.create({
+      bank: bank._id,
+      fileName,
+      format,
+      startDate: parsed.startDate || new Date(Math.min(...dates)),
+      endDate: parsed.endDate || new Date(Math.max(...dates)),
+      openingBalance: openingBalance ?? undefined,
+      closingBalance: closingBalance ?? undefined,
+      lineCount: newLines.length,
+      duplicateCount: parsed.lines.length - newLines.length,
+      importedBy: req.user._id,
+      tenant: req.tenant?._id
+    });
+
+    await models.BankStatementLine.insertMany(newLines.map(line => ({
+      ...line,
+      bank: bank._id,
+      statement: statement._id,
+      tenant: req.tenant?._id
+    })));
+
+    // Conciliar automáticamente salvo que se indique lo contrario
+    let matched = 0;
+    if (String(req.body.autoMatch ?? options.autoMatch ?? true) !== 'false') {
+      const matches = await autoMatchStatementLines(models, bank._id, {
+        statementId: statement._id,
+        dateWindowDays: parseInt(req.body.dateWindowDays ?? options.dateWindowDays) || undefined,
+        userId: req.user._id
+      });
+      matched = matches.length;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Extracto importado: ${newLines.length} movimientos nuevos, ${statement.duplicateCount} duplicados omitidos, ${matched} conciliados automáticamente`,
+      data: {
+        statement,
+        imported: newLines.length,
+        duplicates: statement.duplicateCount,
+        matched
+      }
+    });
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Las opciones de importación no son válidas'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Obtener extractos importados
+// @route   GET /api/banks/:id/reconciliations/statements
+// @access  Private
+router.get('/statements', protect, identifyTenant, async (req, res) => {
+  try {
+    const bank = await loadBank(req, res);
+    if (!bank) return;
+
+    const statements = await getModels(req).BankStatement.find({ bank: bank._id })
+      .populate('importedBy', 'name email')
+      .sort({ endDate: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: statements
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Eliminar un extracto importado y deshacer sus conciliaciones
+// @route   DELETE /api/banks/:id/reconciliations/statements/:statementId
+// @access  Private (Manager/Admin)
+router.delete('/statements/:statementId', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const bank = await loadBank(req, res);
+    if (!bank) return;
+
+    const models = getModels(req);
+    const statement = mongoose.Types.ObjectId.isValid(req.params.statementId)
+      ? await models.BankStatement.findOne({ _id: req.params.statementId, bank: bank._id })
+      : null;
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extracto no encontrado'
+      });
+    }
+
+    const reconciledLines = await models.BankStatementLine.find({ statement: statement._id, status: 'conciliado' });
+    for (const line of reconciledLines) {
+      await unmatchStatementLine(models, line);
+    }
+
+    await models.BankStatementLine.deleteMany({ statement: statement._id });
+    await statement.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Extracto eliminado correctamente'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Obtener líneas de extracto
+// @route   GET /api/banks/:id/reconciliations/lines
+// @access  Private
+router.get('/lines', protect, identifyTenant, async (req, res) => {
+  try {
+    const bank = await loadBank(req, res);
+    if (!bank) return;
+
+    const { page = 1, limit = 50, status, statement, startDate, endDate } = req.query;
+
+    const query = { bank: bank._id };
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (statement) {
+      query.statement = statement;
+    }
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const BankStatementLineModel = getModels(req).BankStatementLine;
+    const lines = await BankStatementLineModel.find(query)
+      .populate('transactions', 'type amount description reference paymentDate createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ date: -1 });
+
+    const total = await BankStatementLineModel.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: lines,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Conciliar automáticamente las líneas pendientes
+// @route   POST /api/banks/:id/reconciliations/auto-match
+// @access  Private (Manager/Admin)
+router.post('/auto-match', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const bank = await loadBank(req, res);
+    if (!bank) return;
+
+    const { dateWindowDays, statementId } = req.body;
+    const matches = await autoMatchStatementLines(getModels(req), bank._id, {
+      dateWindowDays: parseInt(dateWindowDays) || undefined,
+      statementId,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: `${matches.length} movimientos conciliados automáticamente`,
+      data: matches.map(({ line, transaction }) => ({
+        line: line._id,
+        transaction: transaction._id,
+        amount: line.amount,
+        date: line.date
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Conciliar manualmente una línea con uno o varios movimientos
+// @route   POST /api/banks/:id/reconciliations/match
+// @access  Private (Manager/Admin)
+router.post('/match', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const bank = await loadBank(req, res);
+    if (!bank) return;
+
+    const { lineId, transactionIds } = req.body;
+    const ids = [].concat(transactionIds || []);
+
+    if (!mongoose.Types.ObjectId.isValid(lineId) || ids.length === 0 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'La línea del extracto y al menos un movimiento son requeridos'
+      });
+    }
+
+    const models = getModels(req);
+    const line = await models.BankStatementLine.findOne({ _id: lineId, bank: bank._id });
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Línea de extracto no encontrada'
+      });
+    }
+
+    if (line.status === 'conciliado') {
+      return res.status(400).json({
+        success: false,
+        message: 'La línea ya está conciliada; deshaga la conciliación primero'
+      });
+    }
+
+    const transactions = await models.BankTransaction.find({
+      _id: { $in: ids },
+      bank: bank._id,
+      type: { $nin: BALANCE_NEUTRAL_TYPES }
+    });
+    if (transactions.length !== new Set(ids.map(String)).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'Algún movimiento no existe o no pertenece a esta cuenta bancaria'
+      });
+    }
+
+    if (transactions.some(transaction => transaction.reconciled)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Algún movimiento ya está conciliado con otra línea del extracto'
+      });
+    }
+
+    const total = Math.round(transactions.reduce((sum, transaction) => sum + transactionSignedAmount(transaction), 0) * 100) / 100;
+    if (Math.abs(total - line.amount) >= 0.01) {
+      return res.status(400).json({
+        success: false,
+        message: `Los movimientos suman ${total} y la línea del extracto ${line.amount}`
+      });
+    }
+
+    const reconciledAt = new Date();
+    line.status = 'conciliado';
+    line.transactions = transactions.map(transaction => transaction._id);
+    line.matchType = 'manual';
+    line.reconciledAt = reconciledAt;
+    line.reconciledBy = req.user._id;
+    await line.save();
+
+    await models.BankTransaction.updateMany(
+      { _id: { $in: line.transactions } },
+      { $set: { reconciled: true, statementLine: line._id, reconciledAt } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Línea conciliada correctamente',
+      data: line
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Deshacer la conciliación de una línea
+// @route   POST /api/banks/:id/reconciliations/unmatch
+// @access  Private (Manager/Admin)
+router.post('/unmatch', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const bank = await loadBank(req, res);
+    if (!bank) return;
+
+    const { lineId } = req.body;
+    const models = getModels(req);
+    const line = mongoose.Types.ObjectId.isValid(lineId)
+      ? await models.BankStatementLine.findOne({ _id: lineId, bank: bank._id })
+      : null;
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Línea de extracto no encontrada'
+      });
+    }
+
+    if (line.status !== 'conciliado') {
+      return res.status(400).json({
+        success: false,
+        message: 'La línea no está conciliada'
+      });
+    }
+
+    await unmatchStatementLine(models, line);
+
+    res.json({
+      success: true,
+      message: 'Conciliación deshecha correctamente',
+      data: line
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Informe de conciliación bancaria
+// @route   GET /api/banks/:id/reconciliations/report?date=&statementBalance=
+// @access  Private
+router.get('/report', protect, identifyTenant, async (req, res) => {
+  try {
+    const bank = await loadBank(req, res);
+    if (!bank) return;
+
+    const { date, statementBalance } = req.query;
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha inválida'
+      });
+    }
+
+    const report = await buildReconciliationReport(getModels(req), bank, { date, statementBalance });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+export default router;
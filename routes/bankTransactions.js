@@ -4,6 +4,9 @@ import BankTransaction from '../models/BankTransaction.js';
 import Bank from '../models/Bank.js';
 import { protect, manager } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
+import { checkPeriodOpen } from '../middleware/accountingPeriod.js';
+import { getJournalModels, postBankAdjustmentEntry } from '../services/journalService.js';
+import databaseManager from '../services/DatabaseManager.js';
 
 const router = express.Router();
 
@@ -114,9 +117,9 @@ router.get('/:bankId', protect, identifyTenant, async (req, res) => {
 // @desc    Crear transacción bancaria manual
 // @route   POST /api/bank-transactions/:bankId
 // @access  Private (Manager)
-router.post('/:bankId', protect, identifyTenant, manager, async (req, res) => {
+router.post('/:bankId', protect, identifyTenant, manager, checkPeriodOpen(), async (req, res) => {
   try {
-    const { type, amount, description } = req.body;
+    const { type, amount, description, accountId } = req.body;
     
     if (!type || !amount || !description) {
       return res.status(400).json({
@@ -131,6 +134,14 @@ router.post('/:bankId', protect, identifyTenant, manager, async (req, res) => {
         message: 'El monto debe ser mayor a 0'
       });
     }
+
+    // Los ajustes de saldo se hacen desde la cuenta bancaria y los pagos a cuenta desde compras
+    if (!['deposit', 'payment', 'withdrawal', 'refund'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tipo de movimiento no válido para un movimiento manual'
+      });
+    }
     
     // Verificar que la cuenta bancaria existe
     const query = { _id: req.params.bankId };
@@ -161,24 +172,38 @@ router.post('/:bankId', protect, identifyTenant, manager, async (req, res) => {
       newBalance -= amount;
     }
     
-    // Crear la transacción
+    // Movimiento, saldo y asiento se registran juntos
     const BankTransactionModel = req.tenantModels?.BankTransaction || BankTransaction;
-    const transaction = await BankTransactionModel.create({
-      bank: req.params.bankId,
-      type,
-      amount,
-      previousBalance,
-      newBalance,
-      description,
-      referenceType: 'manual',
-      createdBy: req.user.id,
-      tenant: req.tenant?._id
+    const transaction = await databaseManager.withTransaction(req.tenant, async (session) => {
+      // Crear la transacción
+      const transaction = new BankTransactionModel({
+        bank: req.params.bankId,
+        type,
+        amount,
+        previousBalance,
+        newBalance,
+        description,
+        referenceType: 'manual',
+        createdBy: req.user.id,
+        tenant: req.tenant?._id
+      });
+      
+      // Actualizar saldo de la cuenta bancaria
+      bank.currentBalance = newBalance;
+      await bank.save({ session });
+      
+      // Contabilizar el movimiento contra la cuenta indicada o la cuenta de ajustes bancarios
+      await postBankAdjustmentEntry(getJournalModels(req.tenantModels), {
+        bank,
+        transaction,
+        counterpartAccountId: accountId,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+      await transaction.save({ session });
+      return transaction;
     });
     
-    // Actualizar saldo de la cuenta bancaria
-    bank.currentBalance = newBalance;
-    await bank.save();
-    
     // Poblar la transacción creada
     const populatedTransaction = await BankTransactionModel.findById(transaction._id)
       .populate('createdBy', 'name email')
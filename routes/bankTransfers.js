@@ -0,0 +1,389 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Bank from '../models/Bank.js';
+import BankTransaction from '../models/BankTransaction.js';
+import BankTransfer from '../models/BankTransfer.js';
+import Sequence from '../models/Sequence.js';
+import { protect, manager } from '../middleware/auth.js';
+import { identifyTenant } from '../middleware/tenant.js';
+import { checkPeriodOpen } from '../middleware/accountingPeriod.js';
+import { getNextNumber } from '../services/sequenceService.js';
+import { getJournalModels, postBankTransferEntry, reverseJournalEntries } from '../services/journalService.js';
+import databaseManager from '../services/DatabaseManager.js';
+
+// Montado en /api/banks/transfers
+const router = express.Router();
+
+// Error de validación de una transferencia: aborta la transacción y se responde con su código HTTP
+class TransferError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TransferError';
+    this.status = status;
+  }
+}
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const getModels = (req) => ({
+  Bank: req.tenantModels?.Bank || Bank,
+  BankTransaction: req.tenantModels?.BankTransaction || BankTransaction,
+  BankTransfer: req.tenantModels?.BankTransfer || BankTransfer,
+  Sequence: req.tenantModels?.Sequence || Sequence
+});
+
+// Mover saldo de una cuenta y registrar su movimiento; una salida falla si el saldo no alcanza.
+// El movimiento lleva la fecha de la transferencia, salvo que se indique otra (p. ej. la de su reversión)
+const moveBankBalance = async (req, models, { bank, type, amount, description, transfer, date = transfer.date }, session) => {
+  const delta = type === 'deposit' ? amount : -amount;
+  const filter = type === 'deposit'
+    ? { _id: bank._id }
+    : { _id: bank._id, currentBalance: { $gte: amount } };
+
+  const updated = await models.Bank.findOneAndUpdate(filter, { $inc: { currentBalance: delta } }, { new: true, session });
+  if (!updated) {
+    throw new TransferError(`Saldo insuficiente en la cuenta ${bank.name}`);
+  }
+
+  const [transaction] = await models.BankTransaction.create([{
+    bank: bank._id,
+    type,
+    amount,
+    previousBalance: roundAmount(updated.currentBalance - delta),
+    newBalance: updated.currentBalance,
+    description,
+    reference: transfer.transferNumber,
+    referenceType: 'transfer',
+    transfer: transfer._id,
+    paymentDate: date,
+    createdBy: req.user._id,
+    tenant: req.tenant?._id
+  }], { session });
+
+  return transaction;
+};
+
+// Revertir una transferencia afecta su periodo (se anula su movimiento) y el de la fecha de reversión
+const transferDates = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.transferId)) return [];
+  const transfer = await getModels(req).BankTransfer.findById(req.params.transferId).select('date');
+  return transfer ? [transfer.date] : [];
+};
+
+const handleTransferError = (res, error) => {
+  if (error instanceof TransferError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', ')
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Error en el servidor'
+  });
+};
+
+// @desc    Obtener transferencias entre cuentas
+// @route   GET /api/banks/transfers
+// @access  Private
+router.get('/', protect, identifyTenant, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, bank, status, startDate, endDate } = req.query;
+
+    const query = {};
+
+    if (bank) {
+      query.$or = [{ fromBank: bank }, { toBank: bank }];
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const BankTransferModel = getModels(req).BankTransfer;
+    const transfers = await BankTransferModel.find(query)
+      .populate('fromBank', 'name accountNumber currency')
+      .populate('toBank', 'name accountNumber currency')
+      .populate('createdBy', 'name email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ date: -1, createdAt: -1 });
+
+    const total = await BankTransferModel.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: transfers,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Obtener transferencia por ID
+// @route   GET /api/banks/transfers/:transferId
+// @access  Private
+router.get('/:transferId', protect, identifyTenant, async (req, res) => {
+  try {
+    const transfer = mongoose.Types.ObjectId.isValid(req.params.transferId)
+      ? await getModels(req).BankTransfer.findById(req.params.transferId)
+        .populate('fromBank', 'name accountNumber currency')
+        .populate('toBank', 'name accountNumber currency')
+        .populate('outTransaction inTransaction reversalTransactions')
+        .populate('createdBy', 'name email')
+        .populate('reversedBy', 'name email')
+      : null;
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transferencia no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Transferir fondos entre dos cuentas propias
+// @route   POST /api/banks/transfers
+// @access  Private (Manager/Admin)
+router.post('/', protect, identifyTenant, manager, checkPeriodOpen(req => req.body.date), async (req, res) => {
+  try {
+    const { fromBankId, toBankId, amount, exchangeRate, date, description } = req.body;
+    const transferAmount = roundAmount(parseFloat(amount));
+
+    if (!fromBankId || !toBankId || !transferAmount || transferAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cuenta de origen, cuenta de destino y un monto mayor a 0 son requeridos'
+      });
+    }
+
+    if (String(fromBankId) === String(toBankId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'La cuenta de origen y la de destino deben ser distintas'
+      });
+    }
+
+    const models = getModels(req);
+    const [fromBank, toBank] = await Promise.all([
+      mongoose.Types.ObjectId.isValid(fromBankId) ? models.Bank.findById(fromBankId) : null,
+      mongoose.Types.ObjectId.isValid(toBankId) ? models.Bank.findById(toBankId) : null
+    ]);
+
+    if (!fromBank || !toBank) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cuenta bancaria no encontrada'
+      });
+    }
+
+    if (!fromBank.isActive || fromBank.status !== 'Activo' || !toBank.isActive || toBank.status !== 'Activo') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ambas cuentas deben estar activas'
+      });
+    }
+
+    // Entre monedas distintas la tasa de cambio es obligatoria
+    let rate = 1;
+    if (fromBank.currency !== toBank.currency) {
+      rate = parseFloat(exchangeRate);
+      if (!rate || rate <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Se requiere la tasa de cambio de ${fromBank.currency} a ${toBank.currency}`
+        });
+      }
+    }
+
+    const transferDate = date ? new Date(date) : new Date();
+    if (isNaN(transferDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha inválida'
+      });
+    }
+
+    const transfer = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const transferNumber = await getNextNumber(models.Sequence, 'transfer', { session, date: transferDate, tenantId: req.tenant?._id });
+      const transfer = new models.BankTransfer({
+        transferNumber,
+        fromBank: fromBank._id,
+        toBank: toBank._id,
+        amount: transferAmount,
+        fromCurrency: fromBank.currency,
+        toCurrency: toBank.currency,
+        exchangeRate: rate,
+        convertedAmount: roundAmount(transferAmount * rate),
+        date: transferDate,
+        description,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      });
+
+      const detail = description ? ` - ${description}` : '';
+      const outTransaction = await moveBankBalance(req, models, {
+        bank: fromBank,
+        type: 'withdrawal',
+        amount: transfer.amount,
+        description: `Transferencia ${transferNumber} a ${toBank.name}${detail}`,
+        transfer
+      }, session);
+      const inTransaction = await moveBankBalance(req, models, {
+        bank: toBank,
+        type: 'deposit',
+        amount: transfer.convertedAmount,
+        description: `Transferencia ${transferNumber} desde ${fromBank.name}${detail}`,
+        transfer
+      }, session);
+
+      transfer.outTransaction = outTransaction._id;
+      transfer.inTransaction = inTransaction._id;
+
+      await postBankTransferEntry(getJournalModels(req.tenantModels), {
+        transfer,
+        fromBank,
+        toBank,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+      await transfer.save({ session });
+
+      return transfer;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Transferencia registrada correctamente',
+      data: transfer
+    });
+  } catch (error) {
+    handleTransferError(res, error);
+  }
+});
+
+// @desc    Revertir una transferencia deshaciendo el movimiento en ambas cuentas
+// @route   POST /api/banks/transfers/:transferId/reverse
+// @access  Private (Manager/Admin)
+router.post('/:transferId/reverse', protect, identifyTenant, manager, checkPeriodOpen(transferDates), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'El motivo de la reversión es requerido'
+      });
+    }
+
+    const models = getModels(req);
+    if (!mongoose.Types.ObjectId.isValid(req.params.transferId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transferencia no encontrada'
+      });
+    }
+
+    const transfer = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const transfer = await models.BankTransfer.findById(req.params.transferId).session(session);
+      if (!transfer) {
+        throw new TransferError('Transferencia no encontrada', 404);
+      }
+
+      if (transfer.status === 'revertida') {
+        throw new TransferError('La transferencia ya fue revertida');
+      }
+
+      const [fromBank, toBank] = await Promise.all([
+        models.Bank.findById(transfer.fromBank).session(session),
+        models.Bank.findById(transfer.toBank).session(session)
+      ]);
+      if (!fromBank || !toBank) {
+        throw new TransferError('Alguna de las cuentas de la transferencia ya no existe');
+      }
+
+      // Retirar primero lo acreditado en destino para no dejar esa cuenta en negativo
+      const description = `Reversión de transferencia ${transfer.transferNumber}: ${reason}`;
+      const reversalDate = new Date();
+      const toReversal = await moveBankBalance(req, models, {
+        bank: toBank,
+        type: 'withdrawal',
+        amount: transfer.convertedAmount,
+        description,
+        transfer,
+        date: reversalDate
+      }, session);
+      const fromReversal = await moveBankBalance(req, models, {
+        bank: fromBank,
+        type: 'deposit',
+        amount: transfer.amount,
+        description,
+        transfer,
+        date: reversalDate
+      }, session);
+
+      transfer.status = 'revertida';
+      transfer.reversalTransactions = [toReversal._id, fromReversal._id];
+      transfer.reversedAt = reversalDate;
+      transfer.reversedBy = req.user._id;
+      transfer.reversalReason = reason;
+      await transfer.save({ session });
+
+      await reverseJournalEntries(getJournalModels(req.tenantModels), {
+        sourceType: 'bank_transfer',
+        sourceId: transfer._id
+      }, {
+        description: `Reversión de transferencia ${transfer.transferNumber}`,
+        date: reversalDate,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+
+      return transfer;
+    });
+
+    res.json({
+      success: true,
+      message: 'Transferencia revertida correctamente',
+      data: transfer
+    });
+  } catch (error) {
+    handleTransferError(res, error);
+  }
+});
+
+export default router;
@@ -2,6 +2,9 @@ import express from 'express';
 import Bank from '../models/Bank.js';
 import { protect, manager } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
+import { checkPeriodOpen } from '../middleware/accountingPeriod.js';
+import { getJournalModels, postBankAdjustmentEntry } from '../services/journalService.js';
+import databaseManager from '../services/DatabaseManager.js';
 
 const router = express.Router();
 
@@ -111,7 +114,7 @@ router.get('/:id', protect, identifyTenant, async (req, res) => {
 // @desc    Crear cuenta bancaria
 // @route   POST /api/banks
 // @access  Private (Manager/Admin)
-router.post('/', protect, identifyTenant, manager, async (req, res) => {
+router.post('/', protect, identifyTenant, manager, checkPeriodOpen(), async (req, res) => {
   try {
     const bankData = {
       ...req.body,
@@ -170,7 +173,7 @@ router.post('/', protect, identifyTenant, manager, async (req, res) => {
 // @desc    Actualizar cuenta bancaria
 // @route   PUT /api/banks/:id
 // @access  Private (Manager/Admin)
-router.put('/:id', protect, identifyTenant, manager, async (req, res) => {
+router.put('/:id', protect, identifyTenant, manager, checkPeriodOpen(), async (req, res) => {
   try {
     
     // Obtener el banco actual para comparar saldos
@@ -288,9 +291,9 @@ router.delete('/:id', protect, identifyTenant, manager, async (req, res) => {
 // @desc    Actualizar saldo de cuenta bancaria
 // @route   PATCH /api/banks/:id/balance
 // @access  Private (Manager/Admin)
-router.patch('/:id/balance', protect, identifyTenant, manager, async (req, res) => {
+router.patch('/:id/balance', protect, identifyTenant, manager, checkPeriodOpen(), async (req, res) => {
   try {
-    const {  transactionType, amount, description } = req.body;
+    const {  transactionType, amount, description, accountId } = req.body;
     
     const query = { _id: req.params.id };
 
@@ -340,15 +343,16 @@ router.patch('/:id/balance', protect, identifyTenant, manager, async (req, res)
       };
     }
     
-    bank.currentBalance = newBalance;
-    await bank.save();
+    const BankTransactionModel = req.tenantModels?.BankTransaction || (await import('../models/BankTransaction.js')).default;
     
-    // Crear transacción bancaria si es necesario
-    if (shouldCreateTransaction && transactionData) {
-      try {
-        const BankTransactionModel = req.tenantModels?.BankTransaction || (await import('../models/BankTransaction.js')).default;
-        
-        await BankTransactionModel.create({
+    // Saldo, movimiento y asiento se registran juntos
+    await databaseManager.withTransaction(req.tenant, async (session) => {
+      bank.currentBalance = newBalance;
+      await bank.save({ session });
+      
+      // Crear transacción bancaria si es necesario
+      if (shouldCreateTransaction && transactionData) {
+        const transaction = new BankTransactionModel({
           bank: bank._id,
           type: transactionData.type,
           amount: transactionData.amount,
@@ -357,13 +361,23 @@ router.patch('/:id/balance', protect, identifyTenant, manager, async (req, res)
           description: transactionData.description,
           reference: bank._id.toString(),
           referenceType: 'manual',
-          createdBy: req.user.id
+          createdBy: req.user.id,
+          tenant: req.tenant?._id
         });
         
-      } catch (transactionError) {
-        // No fallar la actualización del banco por error en transacción
+        // Contabilizar el ajuste contra la cuenta indicada o la cuenta de ajustes bancarios
+        if (transaction.amount > 0) {
+          await postBankAdjustmentEntry(getJournalModels(req.tenantModels), {
+            bank,
+            transaction,
+            counterpartAccountId: accountId,
+            createdBy: req.user._id,
+            tenant: req.tenant?._id
+          }, { session });
+        }
+        await transaction.save({ session });
       }
-    }
+    });
     
     res.json({
       success: true,
@@ -1,12 +1,64 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Batch from '../models/Batch.js';
 import Product from '../models/Product.js';
 import Recipe from '../models/Recipe.js';
+import StockMovement from '../models/StockMovement.js';
+import Config from '../models/Config.js';
+import Sequence from '../models/Sequence.js';
+import { recordStockMovement } from '../services/stockMovementService.js';
+import { getNextNumber } from '../services/sequenceService.js';
+import { getCostingModels, getCostingMethod, recordStockChangeCost } from '../services/costingService.js';
+import { getWarehouseModels, resolveWarehouse, incrementWarehouseStock, WarehouseError } from '../services/warehouseService.js';
+import {
+  getBatchExpirySettings,
+  setBatchExpirySettings,
+  runBatchExpiryCheck,
+  getBatchExpiryLastRun
+} from '../services/batchExpiryService.js';
+import { getBatchTraceModels, traceBatchBackward, traceBatchForward } from '../services/batchTraceService.js';
+import { UnitConversionError, getConversionFactor } from '../services/unitService.js';
 import { protect, manager } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
 
 const router = express.Router();
 
+// Mover el stock de la ubicación del lote (la por defecto para lotes anteriores a las ubicaciones).
+// Devuelve la ubicación, o false si una salida no tiene stock suficiente en ella.
+const moveBatchLocationStock = async (req, batch, quantity) => {
+  const { Warehouse: WarehouseModel, WarehouseStock: WarehouseStockModel } = getWarehouseModels(req.tenantModels);
+  const warehouse = await resolveWarehouse(WarehouseModel, batch.warehouse);
+  if (!warehouse) return null;
+  
+  const location = await incrementWarehouseStock(WarehouseStockModel, warehouse._id, batch.product, quantity);
+  return location ? warehouse : false;
+};
+
+// Cantidad en la unidad del lote (la de stock del producto); se acepta en otra unidad convertible
+const toBatchUnit = async (req, batch, quantity, unit) => {
+  if (!unit || unit === batch.unit) return quantity;
+  
+  const ProductModel = req.tenantModels?.Product || Product;
+  const product = await ProductModel.findById(batch.product).select('name unit unitConversions');
+  return quantity * getConversionFactor(product || { name: batch.productName, unit: batch.unit }, unit, batch.unit);
+};
+
+// Reflejar en las capas de costo una entrada (cantidad positiva) o salida (negativa) de un lote
+const recordBatchCost = async (req, product, batch, quantity) => {
+  const costingModels = getCostingModels(req.tenantModels);
+  const method = await getCostingMethod(costingModels.Config, req.tenant?._id);
+  
+  return recordStockChangeCost(costingModels, product, quantity, {
+    type: 'batch',
+    reference: batch._id,
+    referenceNumber: batch.batchNumber,
+    batch: batch._id,
+    unitCost: batch.cost,
+    createdBy: req.user._id,
+    tenant: req.tenant?._id
+  }, { method });
+};
+
 // @desc    Obtener todos los lotes
 // @route   GET /api/batches
 // @access  Private
@@ -61,6 +113,107 @@ router.get('/', protect, identifyTenant, async (req, res) => {
   }
 });
 
+// @desc    Obtener lotes próximos a vencer
+// @route   GET /api/batches/expiring-soon
+// @access  Private
+router.get('/expiring-soon', protect, identifyTenant, async (req, res) => {
+  try {
+    // Por defecto se usa el mayor umbral de aviso configurado
+    const { alertThresholds } = await getBatchExpirySettings(req.tenantModels?.Config || Config, req.tenant?._id);
+    const { days = alertThresholds[0] || 30 } = req.query;
+    const futureDate = new Date();
+    futureDate.setDate(futureDate.getDate() + parseInt(days));
+    
+    const BatchModel = req.tenantModels?.Batch || Batch;
+    const ProductModel = req.tenantModels?.Product || Product;
+    const RecipeModel = req.tenantModels?.Recipe || Recipe;
+    
+    const expiringBatches = await BatchModel.find({
+      isActive: true,
+      status: 'activo',
+      currentStock: { $gt: 0 },
+      expirationDate: { 
+        $gte: new Date(), 
+        $lte: futureDate 
+      }
+    })
+    .populate('product', 'name sku', ProductModel)
+    .populate('recipe', 'name', RecipeModel)
+    .sort({ expirationDate: 1 });
+    
+    res.json(expiringBatches);
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Obtener la configuración de avisos y baja automática de lotes vencidos
+// @route   GET /api/batches/expiry-settings
+// @access  Private
+router.get('/expiry-settings', protect, identifyTenant, async (req, res) => {
+  try {
+    const settings = await getBatchExpirySettings(req.tenantModels?.Config || Config, req.tenant?._id);
+    res.json(settings);
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Cambiar la configuración de vencimientos ({ alertThresholds: [días], autoWriteOff, emailAlerts })
+// @route   PUT /api/batches/expiry-settings
+// @access  Private (Manager/Admin)
+router.put('/expiry-settings', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { alertThresholds } = req.body;
+    if (alertThresholds !== undefined && (!Array.isArray(alertThresholds)
+      || alertThresholds.some(days => !(parseInt(days) > 0)))) {
+      return res.status(400).json({ message: 'Los umbrales de aviso deben ser una lista de días mayores a 0' });
+    }
+    
+    const ConfigModel = req.tenantModels?.Config || Config;
+    const current = await getBatchExpirySettings(ConfigModel, req.tenant?._id);
+    const settings = await setBatchExpirySettings(ConfigModel, { ...current, ...req.body }, {
+      tenantId: req.tenant?._id,
+      userId: req.user._id
+    });
+    
+    res.json({
+      message: 'Configuración de vencimientos actualizada correctamente',
+      settings
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Resultado del último control automático de vencimientos del tenant
+// @route   GET /api/batches/expiry-check
+// @access  Private (Manager/Admin)
+router.get('/expiry-check', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const lastRun = await getBatchExpiryLastRun(req.tenantModels?.Config || Config, req.tenant?._id);
+    res.json({ lastRun });
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Ejecutar ahora el control de vencimientos del tenant (el mismo que corre cada día)
+// @route   POST /api/batches/expiry-check
+// @access  Private (Manager/Admin)
+router.post('/expiry-check', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const result = await runBatchExpiryCheck(req.tenant, { user: req.user._id });
+    
+    res.json({
+      message: `${result.expired} lote(s) vencido(s), ${result.writtenOff.length} dado(s) de baja y ${result.alerts.length} aviso(s) de vencimiento`,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
 // @desc    Obtener lote por ID
 // @route   GET /api/batches/:id
 // @access  Private
@@ -85,6 +238,41 @@ router.get('/:id', protect, identifyTenant, async (req, res) => {
   }
 });
 
+// @desc    Trazabilidad del lote: hacia atrás (ingredientes, compras y proveedores) y/o hacia adelante
+//          (lotes producidos con él, ventas y clientes afectados)
+// @route   GET /api/batches/:id/trace?direction=forward|backward
+// @access  Private
+router.get('/:id/trace', protect, identifyTenant, async (req, res) => {
+  try {
+    const { direction } = req.query;
+    if (direction && !['forward', 'backward'].includes(direction)) {
+      return res.status(400).json({ message: 'Dirección inválida. Valores permitidos: forward, backward' });
+    }
+    
+    const models = getBatchTraceModels(req.tenantModels);
+    const batch = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await models.Batch.findById(req.params.id)
+      : null;
+    if (!batch) {
+      return res.status(404).json({ message: 'Lote no encontrado' });
+    }
+    
+    // Sin dirección se devuelven ambas
+    res.json({
+      batch: {
+        _id: batch._id,
+        batchNumber: batch.batchNumber,
+        product: batch.product,
+        productName: batch.productName
+      },
+      ...(direction !== 'forward' && { backward: await traceBatchBackward(models, batch) }),
+      ...(direction !== 'backward' && { forward: await traceBatchForward(models, batch) })
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
 // @desc    Crear lote
 // @route   POST /api/batches
 // @access  Private (Manager/Admin)
@@ -113,15 +301,57 @@ router.post('/', protect, identifyTenant, manager, async (req, res) => {
     batchData.productName = product.name;
     batchData.recipeName = recipe.name;
     
+    // El lote se lleva en la unidad de stock del producto: cantidades y costo en otra unidad se convierten
+    if (batchData.unit && batchData.unit !== product.unit) {
+      const factor = getConversionFactor(product, batchData.unit);
+      batchData.quantity *= factor;
+      if (batchData.initialStock) batchData.initialStock *= factor;
+      if (batchData.currentStock) batchData.currentStock *= factor;
+      if (batchData.cost != null) batchData.cost /= factor;
+    }
+    batchData.unit = product.unit;
+    
+    // El lote queda en la ubicación indicada o en la por defecto
+    const warehouse = await resolveWarehouse(getWarehouseModels(req.tenantModels).Warehouse, batchData.warehouse);
+    batchData.warehouse = warehouse?._id;
+    
+    if (!batchData.batchNumber?.trim()) {
+      batchData.batchNumber = await getNextNumber(req.tenantModels?.Sequence || Sequence, 'batch', { tenantId: req.tenant?._id });
+    }
+
     const BatchModel = req.tenantModels?.Batch || Batch;
     const batch = await BatchModel.create(batchData);
     
     // Actualizar el stock del producto principal
     product.stock += batchData.quantity;
     await product.save();
+    await moveBatchLocationStock(req, batch, batchData.quantity);
+    
+    const StockMovementModel = req.tenantModels?.StockMovement || StockMovement;
+    await recordStockMovement(StockMovementModel, {
+      product: product._id,
+      productName: product.name,
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      warehouse: batch.warehouse,
+      quantity: batchData.quantity,
+      previousStock: product.stock - batchData.quantity,
+      newStock: product.stock,
+      referenceType: 'batch',
+      reference: batch._id,
+      referenceNumber: batch.batchNumber,
+      reason: 'Creación de lote',
+      createdBy: req.user._id,
+      tenant: req.tenant?._id
+    });
+    
+    await recordBatchCost(req, product, batch, batchData.quantity);
     
     res.status(201).json(batch);
   } catch (error) {
+    if (error instanceof WarehouseError || error instanceof UnitConversionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error en el servidor' });
   }
 });
@@ -165,8 +395,34 @@ router.delete('/:id', protect, identifyTenant, manager, async (req, res) => {
     // Restar el stock del producto principal
     const product = await ProductModel.findById(batch.product);
     if (product) {
+      if (batch.currentStock > 0 && await moveBatchLocationStock(req, batch, -batch.currentStock) === false) {
+        return res.status(400).json({ message: 'El stock del lote ya no está en su ubicación' });
+      }
+      
       product.stock -= batch.currentStock;
       await product.save();
+      
+      if (batch.currentStock > 0) {
+        const StockMovementModel = req.tenantModels?.StockMovement || StockMovement;
+        await recordStockMovement(StockMovementModel, {
+          product: product._id,
+          productName: product.name,
+          batch: batch._id,
+          batchNumber: batch.batchNumber,
+          warehouse: batch.warehouse,
+          quantity: -batch.currentStock,
+          previousStock: product.stock + batch.currentStock,
+          newStock: product.stock,
+          referenceType: 'batch',
+          reference: batch._id,
+          referenceNumber: batch.batchNumber,
+          reason: 'Eliminación de lote',
+          createdBy: req.user._id,
+          tenant: req.tenant?._id
+        });
+        
+        await recordBatchCost(req, product, batch, -batch.currentStock);
+      }
     }
     
     // Marcar como inactivo
@@ -175,18 +431,21 @@ router.delete('/:id', protect, identifyTenant, manager, async (req, res) => {
     
     res.json({ message: 'Lote eliminado correctamente' });
   } catch (error) {
+    if (error instanceof WarehouseError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error en el servidor' });
   }
 });
 
-// @desc    Consumir stock del lote
+// @desc    Consumir stock del lote ({ quantity, unit }: sin unidad, en la del lote)
 // @route   PUT /api/batches/:id/consume
 // @access  Private (Manager/Admin)
 router.put('/:id/consume', protect, identifyTenant, manager, async (req, res) => {
   try {
-    const { quantity } = req.body;
+    const { unit } = req.body;
     
-    if (!quantity || quantity <= 0) {
+    if (!req.body.quantity || req.body.quantity <= 0) {
       return res.status(400).json({ message: 'La cantidad debe ser mayor a 0' });
     }
     
@@ -198,6 +457,12 @@ router.put('/:id/consume', protect, identifyTenant, manager, async (req, res) =>
       return res.status(404).json({ message: 'Lote no encontrado' });
     }
     
+    const quantity = await toBatchUnit(req, batch, req.body.quantity, unit);
+    
+    if (batch.currentStock >= quantity && await moveBatchLocationStock(req, batch, -quantity) === false) {
+      return res.status(400).json({ message: 'Stock insuficiente en la ubicación del lote' });
+    }
+    
     const newStock = await batch.consumeStock(quantity);
     
     // Actualizar el stock del producto principal
@@ -205,6 +470,26 @@ router.put('/:id/consume', protect, identifyTenant, manager, async (req, res) =>
     if (product) {
       product.stock -= quantity;
       await product.save();
+      
+      const StockMovementModel = req.tenantModels?.StockMovement || StockMovement;
+      await recordStockMovement(StockMovementModel, {
+        product: product._id,
+        productName: product.name,
+        batch: batch._id,
+        batchNumber: batch.batchNumber,
+        warehouse: batch.warehouse,
+        quantity: -quantity,
+        previousStock: product.stock + quantity,
+        newStock: product.stock,
+        referenceType: 'batch',
+        reference: batch._id,
+        referenceNumber: batch.batchNumber,
+        reason: 'Consumo manual de lote',
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      });
+      
+      await recordBatchCost(req, product, batch, -quantity);
     }
     
     res.json({
@@ -213,18 +498,21 @@ router.put('/:id/consume', protect, identifyTenant, manager, async (req, res) =>
       newStock: newStock
     });
   } catch (error) {
+    if (error instanceof WarehouseError || error instanceof UnitConversionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message || 'Error en el servidor' });
   }
 });
 
-// @desc    Restaurar stock del lote
+// @desc    Restaurar stock del lote ({ quantity, unit }: sin unidad, en la del lote)
 // @route   PUT /api/batches/:id/restore
 // @access  Private (Manager/Admin)
 router.put('/:id/restore', protect, identifyTenant, manager, async (req, res) => {
   try {
-    const { quantity } = req.body;
+    const { unit } = req.body;
     
-    if (!quantity || quantity <= 0) {
+    if (!req.body.quantity || req.body.quantity <= 0) {
       return res.status(400).json({ message: 'La cantidad debe ser mayor a 0' });
     }
     
@@ -236,13 +524,36 @@ router.put('/:id/restore', protect, identifyTenant, manager, async (req, res) =>
       return res.status(404).json({ message: 'Lote no encontrado' });
     }
     
+    const quantity = await toBatchUnit(req, batch, req.body.quantity, unit);
+    
     const newStock = await batch.restoreStock(quantity);
+    await moveBatchLocationStock(req, batch, quantity);
     
     // Actualizar el stock del producto principal
     const product = await ProductModel.findById(batch.product);
     if (product) {
       product.stock += quantity;
       await product.save();
+      
+      const StockMovementModel = req.tenantModels?.StockMovement || StockMovement;
+      await recordStockMovement(StockMovementModel, {
+        product: product._id,
+        productName: product.name,
+        batch: batch._id,
+        batchNumber: batch.batchNumber,
+        warehouse: batch.warehouse,
+        quantity: quantity,
+        previousStock: product.stock - quantity,
+        newStock: product.stock,
+        referenceType: 'batch',
+        reference: batch._id,
+        referenceNumber: batch.batchNumber,
+        reason: 'Restauración manual de lote',
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      });
+      
+      await recordBatchCost(req, product, batch, quantity);
     }
     
     res.json({
@@ -251,6 +562,9 @@ router.put('/:id/restore', protect, identifyTenant, manager, async (req, res) =>
       newStock: newStock
     });
   } catch (error) {
+    if (error instanceof WarehouseError || error instanceof UnitConversionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message || 'Error en el servidor' });
   }
 });
@@ -315,37 +629,5 @@ router.get('/stats/overview', protect, identifyTenant, async (req, res) => {
   }
 });
 
-// @desc    Obtener lotes próximos a vencer
-// @route   GET /api/batches/expiring-soon
-// @access  Private
-router.get('/expiring-soon', protect, identifyTenant, async (req, res) => {
-  try {
-    const { days = 30 } = req.query;
-    const futureDate = new Date();
-    futureDate.setDate(futureDate.getDate() + parseInt(days));
-    
-    const BatchModel = req.tenantModels?.Batch || Batch;
-    const ProductModel = req.tenantModels?.Product || Product;
-    const RecipeModel = req.tenantModels?.Recipe || Recipe;
-    
-    const expiringBatches = await BatchModel.find({
-      isActive: true,
-      status: 'activo',
-      currentStock: { $gt: 0 },
-      expirationDate: { 
-        $gte: new Date(), 
-        $lte: futureDate 
-      }
-    })
-    .populate('product', 'name sku', ProductModel)
-    .populate('recipe', 'name', RecipeModel)
-    .sort({ expirationDate: 1 });
-    
-    res.json(expiringBatches);
-  } catch (error) {
-    res.status(500).json({ message: 'Error en el servidor' });
-  }
-});
-
 export default router;
 
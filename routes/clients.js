@@ -1,7 +1,10 @@
 import express from 'express';
 import Client from '../models/Client.js';
+import Sale from '../models/Sale.js';
+import CreditNote from '../models/CreditNote.js';
 import { protect, manager } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
+import { buildAgingReport, buildClientStatement, getClientBalance } from '../services/receivablesService.js';
 
 const router = express.Router();
 
@@ -60,6 +63,102 @@ router.get('/', protect, identifyTenant, async (req, res) => {
   }
 });
 
+// @desc    Antigüedad de cuentas por cobrar (0-30, 31-60, 61-90 y más de 90 días vencidos)
+// @route   GET /api/clients/aging?date=&client=
+// @access  Private
+router.get('/aging', protect, identifyTenant, async (req, res) => {
+  try {
+    const { date, client } = req.query;
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha inválida'
+      });
+    }
+
+    const report = await buildAgingReport({
+      Sale: req.tenantModels?.Sale || Sale,
+      Client: req.tenantModels?.Client || Client,
+      CreditNote: req.tenantModels?.CreditNote || CreditNote
+    }, { date, client });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Estado de cuenta de un cliente
+// @route   GET /api/clients/:id/statement?startDate=&endDate=
+// @access  Private
+router.get('/:id/statement', protect, identifyTenant, async (req, res) => {
+  try {
+    const ClientModel = req.tenantModels?.Client || Client;
+    const client = await ClientModel.findById(req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    const statement = await buildClientStatement({
+      Sale: req.tenantModels?.Sale || Sale,
+      CreditNote: req.tenantModels?.CreditNote || CreditNote
+    }, client, req.query);
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Saldo y crédito disponible de un cliente
+// @route   GET /api/clients/:id/credit
+// @access  Private
+router.get('/:id/credit', protect, identifyTenant, async (req, res) => {
+  try {
+    const ClientModel = req.tenantModels?.Client || Client;
+    const client = await ClientModel.findById(req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    const balance = await getClientBalance(req.tenantModels?.Sale || Sale, client._id);
+
+    res.json({
+      success: true,
+      data: {
+        creditLimit: client.creditLimit,
+        paymentTerms: client.paymentTerms,
+        balance,
+        // Sin límite asignado (0) el crédito no está restringido
+        availableCredit: client.creditLimit > 0 ? Math.round((client.creditLimit - balance) * 100) / 100 : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
 // @desc    Obtener cliente por ID
 // @route   GET /api/clients/:id
 // @access  Private
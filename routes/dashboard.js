@@ -57,7 +57,8 @@ router.get('/stats', protect, identifyTenant, async (req, res) => {
     const monthlySales = await SaleModel.aggregate([
       {
         $match: {
-          createdAt: { $gte: startOfMonth, $lte: endOfMonth }
+          createdAt: { $gte: startOfMonth, $lte: endOfMonth },
+          status: { $ne: 'borrador' } // Los borradores aún no son compras confirmadas
         }
       },
       {
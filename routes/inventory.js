@@ -1,16 +1,69 @@
 import express from 'express';
 import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import { recordStockMovement } from '../services/stockMovementService.js';
+import {
+  COSTING_METHODS,
+  getCostingModels,
+  getCostingMethod,
+  setCostingMethod,
+  recordStockChangeCost,
+  buildInventoryValuation
+} from '../services/costingService.js';
+import {
+  getWarehouseModels,
+  resolveWarehouse,
+  incrementWarehouseStock,
+  getWarehouseStock,
+  locationMinStock,
+  WarehouseError
+} from '../services/warehouseService.js';
+import {
+  getReorderModels,
+  getReorderWindowDays,
+  setReorderWindowDays,
+  buildReorderSuggestions,
+  createDraftPurchases
+} from '../services/reorderService.js';
+import databaseManager from '../services/DatabaseManager.js';
 import { protect, manager } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
 
 const router = express.Router();
 
-// @desc    Obtener resumen del inventario
+// @desc    Obtener resumen del inventario (de todas las ubicaciones o de una con ?warehouse=)
 // @route   GET /api/inventory/summary
 // @access  Private
 router.get('/summary', protect, identifyTenant, async (req, res) => {
   try {
     const ProductModel = req.tenantModels?.Product || Product;
+    const costingModels = getCostingModels(req.tenantModels);
+    const costingMethod = await getCostingMethod(costingModels.Config, req.tenant?._id);
+    
+    if (req.query.warehouse) {
+      const warehouseModels = getWarehouseModels(req.tenantModels);
+      const warehouse = await resolveWarehouse(warehouseModels.Warehouse, req.query.warehouse);
+      const rows = await getWarehouseStock(warehouseModels, warehouse._id);
+      
+      // El stock de la ubicación se valoriza al costo unitario que da el método de costeo a cada producto
+      const valuation = await buildInventoryValuation(costingModels, {
+        method: costingMethod,
+        query: { _id: { $in: rows.map(row => row.product._id) } }
+      });
+      const unitCosts = new Map(valuation.products.map(item => [item.product.toString(), item.unitCost]));
+      
+      return res.json({
+        warehouse: { _id: warehouse._id, name: warehouse.name, code: warehouse.code },
+        totalProducts: rows.filter(row => row.quantity > 0).length,
+        lowStockProducts: rows.filter(row => row.quantity <= locationMinStock(row)).length,
+        outOfStockProducts: rows.filter(row => row.quantity <= 0).length,
+        inTransit: rows.reduce((sum, row) => sum + row.inTransit, 0),
+        totalValue: rows.reduce((sum, row) =>
+          sum + row.quantity * (unitCosts.get(row.product._id.toString()) ?? row.product.cost ?? 0), 0),
+        costingMethod
+      });
+    }
+    
     const totalProducts = await ProductModel.countDocuments({ isActive: true });
     const lowStockProducts = await ProductModel.countDocuments({
       $expr: { $lte: ['$stock', '$minStock'] },
@@ -21,34 +74,236 @@ router.get('/summary', protect, identifyTenant, async (req, res) => {
       isActive: true
     });
     
-    const totalValue = await ProductModel.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: null, total: { $sum: { $multiply: ['$stock', '$cost'] } } } }
-    ]);
+    // Valor del inventario según el método de costeo del tenant
+    const valuation = await buildInventoryValuation(costingModels, { method: costingMethod });
     
     res.json({
       totalProducts,
       lowStockProducts,
       outOfStockProducts,
-      totalValue: totalValue[0]?.total || 0
+      totalValue: valuation.totalValue,
+      costingMethod
     });
   } catch (error) {
+    if (error instanceof WarehouseError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error en el servidor' });
   }
 });
 
-// @desc    Obtener productos con stock bajo
+// @desc    Obtener productos con stock bajo (en todas las ubicaciones o en una con ?warehouse=)
 // @route   GET /api/inventory/low-stock
 // @access  Private
 router.get('/low-stock', protect, identifyTenant, async (req, res) => {
   try {
     const ProductModel = req.tenantModels?.Product || Product;
+    
+    if (req.query.warehouse) {
+      const warehouseModels = getWarehouseModels(req.tenantModels);
+      const warehouse = await resolveWarehouse(warehouseModels.Warehouse, req.query.warehouse);
+      const rows = await getWarehouseStock(warehouseModels, warehouse._id, { lowStock: true });
+      
+      return res.json(rows.map(row => ({
+        ...row.product.toObject(),
+        stock: row.quantity,
+        minStock: locationMinStock(row),
+        inTransit: row.inTransit,
+        warehouse: warehouse._id
+      })));
+    }
+    
+    // Con punto de pedido definido se usa en lugar del stock mínimo
     const products = await ProductModel.find({
-      $expr: { $lte: ['$stock', '$minStock'] },
+      $expr: { $lte: ['$stock', { $ifNull: ['$reorderPoint', '$minStock'] }] },
       isActive: true
     }).populate('supplier', 'name');
     
     res.json(products);
+  } catch (error) {
+    if (error instanceof WarehouseError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Valorización del inventario por producto según el método de costeo
+// @route   GET /api/inventory/valuation
+// @access  Private
+router.get('/valuation', protect, identifyTenant, async (req, res) => {
+  try {
+    const { category, search } = req.query;
+    const costingModels = getCostingModels(req.tenantModels);
+    const method = COSTING_METHODS.includes(req.query.method)
+      ? req.query.method
+      : await getCostingMethod(costingModels.Config, req.tenant?._id);
+    
+    const query = {};
+    if (category) {
+      query.category = category;
+    }
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { sku: { $regex: search, $options: 'i' } }
+      ];
+    }
+    
+    const valuation = await buildInventoryValuation(costingModels, { method, query });
+    
+    res.json(valuation);
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Obtener el método de costeo del inventario
+// @route   GET /api/inventory/costing-method
+// @access  Private
+router.get('/costing-method', protect, identifyTenant, async (req, res) => {
+  try {
+    const { Config: ConfigModel } = getCostingModels(req.tenantModels);
+    const method = await getCostingMethod(ConfigModel, req.tenant?._id);
+    
+    res.json({ method, methods: COSTING_METHODS });
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Cambiar el método de costeo del inventario (aplica a las salidas posteriores)
+// @route   PUT /api/inventory/costing-method
+// @access  Private (Manager/Admin)
+router.put('/costing-method', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { method } = req.body;
+    if (!COSTING_METHODS.includes(method)) {
+      return res.status(400).json({ message: `Método de costeo inválido. Valores permitidos: ${COSTING_METHODS.join(', ')}` });
+    }
+    
+    const { Config: ConfigModel } = getCostingModels(req.tenantModels);
+    const previousMethod = await getCostingMethod(ConfigModel, req.tenant?._id);
+    await setCostingMethod(ConfigModel, method, { tenantId: req.tenant?._id, userId: req.user._id });
+    
+    res.json({
+      message: 'Método de costeo actualizado correctamente',
+      method,
+      previousMethod
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// Filtros de las sugerencias de reposición (query o body) con la ventana de consumo del tenant
+const getReorderOptions = async (req, source) => {
+  const models = getReorderModels(req.tenantModels);
+  const windowDays = parseInt(source.windowDays) || await getReorderWindowDays(models.Config, req.tenant?._id);
+  const warehouse = source.warehouse
+    ? await resolveWarehouse(getWarehouseModels(req.tenantModels).Warehouse, source.warehouse)
+    : null;
+  
+  return {
+    models,
+    options: {
+      windowDays,
+      warehouse,
+      supplier: source.supplier,
+      category: source.category,
+      products: Array.isArray(source.products) ? source.products : undefined
+    }
+  };
+};
+
+// @desc    Sugerencias de reposición según consumo diario, plazo de entrega y puntos de pedido
+// @route   GET /api/inventory/reorder-suggestions
+// @access  Private
+router.get('/reorder-suggestions', protect, identifyTenant, async (req, res) => {
+  try {
+    const { models, options } = await getReorderOptions(req, req.query);
+    const suggestions = await buildReorderSuggestions(models, { ...options, includeAll: req.query.includeAll === 'true' });
+    
+    res.json({
+      windowDays: options.windowDays,
+      warehouse: options.warehouse?._id || null,
+      suggestions,
+      totalEstimatedCost: Math.round(suggestions.reduce((sum, line) => sum + line.estimatedCost, 0) * 100) / 100
+    });
+  } catch (error) {
+    if (error instanceof WarehouseError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Crear compras en borrador agrupadas por proveedor a partir de las sugerencias de reposición
+// @route   POST /api/inventory/reorder-suggestions/purchases
+// @access  Private (Manager/Admin)
+router.post('/reorder-suggestions/purchases', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { models, options } = await getReorderOptions(req, req.body);
+    const suggestions = await buildReorderSuggestions(models, options);
+    
+    // Las compras se reciben en la ubicación indicada o en la por defecto
+    const warehouse = options.warehouse || await resolveWarehouse(getWarehouseModels(req.tenantModels).Warehouse);
+    const { purchases, withoutSupplier } = await databaseManager.withTransaction(req.tenant, (session) =>
+      createDraftPurchases(models, suggestions, { warehouse, notes: req.body.notes, tenant: req.tenant?._id, session }));
+    
+    if (purchases.length === 0) {
+      return res.status(400).json({
+        message: withoutSupplier.length > 0
+          ? 'Los productos a reponer no tienen proveedor asignado'
+          : 'No hay productos que necesiten reposición',
+        withoutSupplier
+      });
+    }
+    
+    res.status(201).json({
+      message: `Se crearon ${purchases.length} compra(s) en borrador`,
+      purchases,
+      withoutSupplier
+    });
+  } catch (error) {
+    if (error instanceof WarehouseError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Obtener la ventana de consumo de las sugerencias de reposición
+// @route   GET /api/inventory/reorder-settings
+// @access  Private
+router.get('/reorder-settings', protect, identifyTenant, async (req, res) => {
+  try {
+    const { Config: ConfigModel } = getReorderModels(req.tenantModels);
+    const windowDays = await getReorderWindowDays(ConfigModel, req.tenant?._id);
+    
+    res.json({ windowDays });
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Cambiar la ventana de consumo de las sugerencias de reposición
+// @route   PUT /api/inventory/reorder-settings
+// @access  Private (Manager/Admin)
+router.put('/reorder-settings', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const windowDays = parseInt(req.body.windowDays);
+    if (!(windowDays > 0) || windowDays > 365) {
+      return res.status(400).json({ message: 'La ventana de consumo debe ser de 1 a 365 días' });
+    }
+    
+    const { Config: ConfigModel } = getReorderModels(req.tenantModels);
+    await setReorderWindowDays(ConfigModel, windowDays, { tenantId: req.tenant?._id, userId: req.user._id });
+    
+    res.json({
+      message: 'Ventana de consumo actualizada correctamente',
+      windowDays
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error en el servidor' });
   }
@@ -60,20 +315,64 @@ router.get('/low-stock', protect, identifyTenant, async (req, res) => {
 router.put('/:id/adjust', protect, identifyTenant, manager, async (req, res) => {
   try {
     const ProductModel = req.tenantModels?.Product || Product;
+    const StockMovementModel = req.tenantModels?.StockMovement || StockMovement;
     const { quantity, reason, notes } = req.body;
     
-    const product = await ProductModel.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ message: 'Producto no encontrado' });
-    }
-    
-    const newStock = product.stock + quantity;
-    if (newStock < 0) {
-      return res.status(400).json({ message: 'El stock no puede ser negativo' });
-    }
+    const warehouseModels = getWarehouseModels(req.tenantModels);
+    const warehouse = await resolveWarehouse(warehouseModels.Warehouse, req.body.warehouse);
+    const costingModels = getCostingModels(req.tenantModels);
+    const costingMethod = await getCostingMethod(costingModels.Config, req.tenant?._id);
     
-    product.stock = newStock;
-    await product.save();
+    // Stock de la ubicación, del producto, movimiento y capas de costo se registran juntos
+    const { product, previousStock, movement } = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const product = await ProductModel.findById(req.params.id).session(session);
+      if (!product) {
+        throw new WarehouseError('Producto no encontrado', 404);
+      }
+      
+      const previousStock = product.stock;
+      const newStock = previousStock + quantity;
+      if (newStock < 0) {
+        throw new WarehouseError('El stock no puede ser negativo');
+      }
+      
+      // El ajuste se aplica en la ubicación indicada (o la por defecto)
+      if (warehouse) {
+        const location = await incrementWarehouseStock(warehouseModels.WarehouseStock, warehouse._id, product._id, quantity, { session });
+        if (!location) {
+          throw new WarehouseError(`El stock de la ubicación ${warehouse.name} no puede ser negativo`);
+        }
+      }
+      
+      product.stock = newStock;
+      await product.save({ session });
+      
+      // Registrar el ajuste en el historial de movimientos
+      const movement = await recordStockMovement(StockMovementModel, {
+        product: product._id,
+        productName: product.name,
+        warehouse: warehouse?._id,
+        type: 'ajuste',
+        quantity,
+        previousStock,
+        newStock,
+        referenceType: 'adjustment',
+        reason,
+        notes,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+      
+      // Las entradas por ajuste se valorizan al costo actual; las salidas consumen capas según el método
+      await recordStockChangeCost(costingModels, product, quantity, {
+        type: 'adjustment',
+        reference: movement._id,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session, method: costingMethod });
+      
+      return { product, previousStock, movement };
+    });
     
     res.json({
       message: 'Stock ajustado correctamente',
@@ -82,15 +381,59 @@ router.put('/:id/adjust', protect, identifyTenant, manager, async (req, res) =>
         name: product.name,
         sku: product.sku,
         stock: product.stock,
-        previousStock: product.stock - quantity
+        previousStock
       },
       adjustment: {
+        _id: movement._id,
+        warehouse: warehouse?._id,
         quantity,
         reason,
         notes,
-        date: new Date()
+        date: movement.createdAt
       }
     });
+  } catch (error) {
+    if (error instanceof WarehouseError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Obtener las capas de costo de un producto con sus consumos
+// @route   GET /api/inventory/:id/cost-layers
+// @access  Private
+router.get('/:id/cost-layers', protect, identifyTenant, async (req, res) => {
+  try {
+    const { CostLayer: CostLayerModel, Product: ProductModel } = getCostingModels(req.tenantModels);
+    const { page = 1, limit = 20, available } = req.query;
+    
+    const product = await ProductModel.findById(req.params.id).select('name sku stock cost unit');
+    if (!product) {
+      return res.status(404).json({ message: 'Producto no encontrado' });
+    }
+    
+    const query = { product: product._id };
+    if (available === 'true') {
+      query.remainingQuantity = { $gt: 0 };
+    }
+    
+    const layers = await CostLayerModel.find(query)
+      .populate('batch', 'batchNumber expirationDate')
+      .populate('createdBy', 'name email')
+      .sort({ date: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await CostLayerModel.countDocuments(query);
+    
+    res.json({
+      product,
+      layers,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error en el servidor' });
   }
@@ -101,11 +444,53 @@ router.put('/:id/adjust', protect, identifyTenant, manager, async (req, res) =>
 // @access  Private
 router.get('/:id/movements', protect, identifyTenant, async (req, res) => {
   try {
-    // Esta funcionalidad requeriría un modelo de movimientos de inventario
-    // Por ahora retornamos un mensaje informativo
-    res.json({ 
-      message: 'Funcionalidad de historial de movimientos en desarrollo',
-      productId: req.params.id
+    const ProductModel = req.tenantModels?.Product || Product;
+    const StockMovementModel = req.tenantModels?.StockMovement || StockMovement;
+    const { page = 1, limit = 20, type, referenceType, batch, warehouse, startDate, endDate } = req.query;
+    
+    const product = await ProductModel.findById(req.params.id).select('name sku stock unit');
+    if (!product) {
+      return res.status(404).json({ message: 'Producto no encontrado' });
+    }
+    
+    const query = { product: product._id };
+    
+    if (type) {
+      query.type = type;
+    }
+    
+    if (referenceType) {
+      query.referenceType = referenceType;
+    }
+    
+    if (batch) {
+      query.batch = batch;
+    }
+    
+    if (warehouse) {
+      query.warehouse = warehouse;
+    }
+    
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    
+    const movements = await StockMovementModel.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await StockMovementModel.countDocuments(query);
+    
+    res.json({
+      product,
+      movements,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
     });
   } catch (error) {
     res.status(500).json({ message: 'Error en el servidor' });
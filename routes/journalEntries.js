@@ -0,0 +1,189 @@
+import express from 'express';
+import JournalEntry from '../models/JournalEntry.js';
+import Sale from '../models/Sale.js';
+import Purchase from '../models/Purchase.js';
+import CreditNote from '../models/CreditNote.js';
+import BankTransaction from '../models/BankTransaction.js';
+import BankTransfer from '../models/BankTransfer.js';
+import { protect } from '../middleware/auth.js';
+import { identifyTenant } from '../middleware/tenant.js';
+
+const router = express.Router();
+
+// @desc    Obtener asientos contables
+// @route   GET /api/journal-entries
+// @access  Private
+router.get('/', protect, identifyTenant, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, sourceType, sourceId, account, startDate, endDate, search } = req.query;
+
+    const query = {};
+
+    if (sourceType) {
+      query.sourceType = sourceType;
+    }
+
+    if (sourceId) {
+      query.sourceId = sourceId;
+    }
+
+    // Filtro por cuenta contable (id o código)
+    if (account) {
+      if (/^[0-9a-fA-F]{24}$/.test(account)) {
+        query['lines.account'] = account;
+      } else {
+        query['lines.accountCode'] = account;
+      }
+    }
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    if (search) {
+      query.$or = [
+        { entryNumber: { $regex: search, $options: 'i' } },
+        { sourceNumber: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const JournalEntryModel = req.tenantModels?.JournalEntry || JournalEntry;
+    const entries = await JournalEntryModel.find(query)
+      .populate('createdBy', 'name email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ date: -1, createdAt: -1 });
+
+    const total = await JournalEntryModel.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Documentos que no se pudieron contabilizar (journalStatus 'error'), con el motivo
+// @route   GET /api/journal-entries/pending
+// @access  Private
+router.get('/pending', protect, identifyTenant, async (req, res) => {
+  try {
+    const models = {
+      Sale: req.tenantModels?.Sale || Sale,
+      Purchase: req.tenantModels?.Purchase || Purchase,
+      CreditNote: req.tenantModels?.CreditNote || CreditNote,
+      BankTransaction: req.tenantModels?.BankTransaction || BankTransaction,
+      BankTransfer: req.tenantModels?.BankTransfer || BankTransfer
+    };
+    const pending = [];
+    const add = (sourceType, document, number, date, parent) => {
+      if (document.journalStatus !== 'error') return;
+      pending.push({
+        sourceType,
+        sourceId: document._id,
+        sourceNumber: number,
+        date,
+        parentId: parent?._id,
+        journalError: document.journalError
+      });
+    };
+
+    const sales = await models.Sale.find({
+      $or: [{ journalStatus: 'error' }, { 'partialPayments.journalStatus': 'error' }]
+    }).select('invoiceNumber saleDate journalStatus journalError partialPayments');
+    for (const sale of sales) {
+      add('sale', sale, sale.invoiceNumber, sale.saleDate);
+      for (const payment of sale.partialPayments || []) {
+        add('sale_payment', payment, sale.invoiceNumber, payment.paymentDate, sale);
+      }
+    }
+
+    const purchases = await models.Purchase.find({
+      $or: [
+        { journalStatus: 'error' },
+        { 'receipts.journalStatus': 'error' },
+        { 'partialPayments.journalStatus': 'error' }
+      ]
+    }).select('purchaseNumber orderDate journalStatus journalError receipts partialPayments');
+    for (const purchase of purchases) {
+      add('purchase', purchase, purchase.purchaseNumber, purchase.orderDate);
+      for (const receipt of purchase.receipts || []) {
+        add('purchase_receipt', receipt, receipt.receiptNumber, receipt.date, purchase);
+      }
+      for (const payment of purchase.partialPayments || []) {
+        add('purchase_payment', payment, purchase.purchaseNumber, payment.paymentDate, purchase);
+      }
+    }
+
+    const creditNotes = await models.CreditNote.find({ journalStatus: 'error' })
+      .select('creditNoteNumber issueDate journalStatus journalError');
+    creditNotes.forEach(creditNote => add('credit_note', creditNote, creditNote.creditNoteNumber, creditNote.issueDate));
+
+    const transactions = await models.BankTransaction.find({ journalStatus: 'error' })
+      .select('description createdAt journalStatus journalError');
+    transactions.forEach(transaction => add('bank_adjustment', transaction, transaction.description, transaction.createdAt));
+
+    const transfers = await models.BankTransfer.find({ journalStatus: 'error' })
+      .select('transferNumber date journalStatus journalError');
+    transfers.forEach(transfer => add('bank_transfer', transfer, transfer.transferNumber, transfer.date));
+
+    pending.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    res.json({
+      success: true,
+      data: pending,
+      count: pending.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+// @desc    Obtener asiento contable por ID
+// @route   GET /api/journal-entries/:id
+// @access  Private
+router.get('/:id', protect, identifyTenant, async (req, res) => {
+  try {
+    const JournalEntryModel = req.tenantModels?.JournalEntry || JournalEntry;
+    const entry = await JournalEntryModel.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('reversalOf', 'entryNumber date description')
+      .populate('reversedBy', 'entryNumber date description');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asiento contable no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,400 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { protect, manager } from '../middleware/auth.js';
+import { identifyTenant } from '../middleware/tenant.js';
+import { getNextNumber } from '../services/sequenceService.js';
+import { getCostingMethod } from '../services/costingService.js';
+import { WarehouseError, resolveWarehouse } from '../services/warehouseService.js';
+import {
+  ProductionError,
+  getProductionModels,
+  planFromRecipe,
+  checkIngredientAvailability,
+  finishProductionOrder,
+  reverseProductionOrder
+} from '../services/productionService.js';
+import { getMrpModels, buildMaterialPlan } from '../services/mrpService.js';
+import { resolveRecipeVersion } from '../services/recipeVersionService.js';
+import databaseManager from '../services/DatabaseManager.js';
+
+const router = express.Router();
+
+const handleProductionError = (res, error) => {
+  if (error instanceof ProductionError || error instanceof WarehouseError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({ message: messages.join(', ') });
+  }
+
+  res.status(500).json({ message: 'Error en el servidor' });
+};
+
+const findOrder = async (ProductionOrderModel, id, session) => {
+  const order = mongoose.Types.ObjectId.isValid(id)
+    ? await ProductionOrderModel.findById(id).session(session || null)
+    : null;
+  if (!order) {
+    throw new ProductionError('Orden de producción no encontrada', 404);
+  }
+  return order;
+};
+
+// Receta con la fórmula vigente a la fecha de producción y los productos poblados para convertir
+// sus cantidades a la unidad de stock
+const findRecipe = async (models, id, date) => {
+  const populate = [
+    { path: 'productToProduce', select: 'name unit unitConversions', model: models.Product },
+    { path: 'ingredients.product', select: 'name unit unitConversions', model: models.Product }
+  ];
+  const found = mongoose.Types.ObjectId.isValid(id)
+    ? await models.Recipe.findById(id).populate(populate)
+    : null;
+  if (!found) {
+    throw new ProductionError('Receta no encontrada', 404);
+  }
+  const recipe = await resolveRecipeVersion(models, found, date, populate);
+  if (!recipe.productToProduce) {
+    throw new ProductionError('La receta no tiene un producto asociado para producir');
+  }
+  return recipe;
+};
+
+const requireStatus = (order, statuses, action) => {
+  if (!statuses.includes(order.status)) {
+    throw new ProductionError(`No se puede ${action} una orden ${order.status}`);
+  }
+};
+
+// @desc    Obtener órdenes de producción
+// @route   GET /api/production-orders
+// @access  Private
+router.get('/', protect, identifyTenant, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, recipe, product, startDate, endDate } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (recipe) query.recipe = recipe;
+    if (product) query.product = product;
+    if (startDate || endDate) {
+      query.plannedDate = {};
+      if (startDate) query.plannedDate.$gte = new Date(startDate);
+      if (endDate) query.plannedDate.$lte = new Date(endDate);
+    }
+
+    const { ProductionOrder: ProductionOrderModel } = getProductionModels(req.tenantModels);
+    const orders = await ProductionOrderModel.find(query)
+      .select('-ingredients.costLayers')
+      .populate('warehouse', 'name code')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ProductionOrderModel.countDocuments(query);
+
+    res.json({
+      orders,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    handleProductionError(res, error);
+  }
+});
+
+// @desc    Planificar materiales (MRP) para producciones planificadas: requerimientos netos de stock,
+//          lotes por vencer y compras abiertas, producción de intermedios y faltantes a comprar
+//          ({ items: [{ recipe, plannedQuantity | scaleFactor, date }], warehouse })
+// @route   POST /api/production-orders/mrp
+// @access  Private
+router.post('/mrp', protect, identifyTenant, async (req, res) => {
+  try {
+    const models = getMrpModels(req.tenantModels);
+    const warehouse = req.body.warehouse ? await resolveWarehouse(models.Warehouse, req.body.warehouse) : null;
+
+    res.json(await buildMaterialPlan(models, req.body.items, { warehouse }));
+  } catch (error) {
+    handleProductionError(res, error);
+  }
+});
+
+// @desc    Obtener orden de producción por ID
+// @route   GET /api/production-orders/:id
+// @access  Private
+router.get('/:id', protect, identifyTenant, async (req, res) => {
+  try {
+    const { ProductionOrder: ProductionOrderModel } = getProductionModels(req.tenantModels);
+    const order = await findOrder(ProductionOrderModel, req.params.id);
+    await order.populate([
+      { path: 'warehouse', select: 'name code' },
+      { path: 'producedBatch', select: 'batchNumber currentStock expirationDate status' },
+      { path: 'createdBy', select: 'name email' },
+      { path: 'releasedBy', select: 'name email' },
+      { path: 'startedBy', select: 'name email' },
+      { path: 'finishedBy', select: 'name email' },
+      { path: 'cancelledBy', select: 'name email' }
+    ]);
+
+    res.json(order);
+  } catch (error) {
+    handleProductionError(res, error);
+  }
+});
+
+// @desc    Disponibilidad de los ingredientes planificados de una orden
+// @route   GET /api/production-orders/:id/availability
+// @access  Private
+router.get('/:id/availability', protect, identifyTenant, async (req, res) => {
+  try {
+    const models = getProductionModels(req.tenantModels);
+    const order = await findOrder(models.ProductionOrder, req.params.id);
+
+    res.json(await checkIngredientAvailability(models, order));
+  } catch (error) {
+    handleProductionError(res, error);
+  }
+});
+
+// @desc    Crear orden de producción en borrador a partir de una receta (scaleFactor o plannedQuantity)
+// @route   POST /api/production-orders
+// @access  Private (Manager/Admin)
+router.post('/', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { recipe: recipeId, scaleFactor, plannedQuantity, plannedDate, batchInfo, notes } = req.body;
+    if (!recipeId) {
+      return res.status(400).json({ message: 'La receta es requerida' });
+    }
+    if (plannedDate && isNaN(new Date(plannedDate).getTime())) {
+      return res.status(400).json({ message: 'Fecha planificada inválida' });
+    }
+
+    const models = getProductionModels(req.tenantModels);
+    const recipe = await findRecipe(models, recipeId, plannedDate);
+    const product = recipe.productToProduce;
+
+    const plan = planFromRecipe(recipe, { scaleFactor, plannedQuantity });
+
+    const order = await databaseManager.withTransaction(req.tenant, async (session) => {
+      // Ubicación de producción: la indicada, la de la receta o la por defecto
+      const warehouse = await resolveWarehouse(models.Warehouse, req.body.warehouse || recipe.warehouse, { session });
+
+      const orderNumber = await getNextNumber(models.Sequence, 'production_order', {
+        session,
+        ConfigModel: models.Config,
+        tenantId: req.tenant?._id
+      });
+      const [order] = await models.ProductionOrder.create([{
+        orderNumber,
+        recipe: recipe._id,
+        recipeName: recipe.name,
+        recipeVersion: recipe.recipeVersion,
+        recipeVersionNumber: recipe.version,
+        product: product._id,
+        productName: product.name,
+        warehouse: warehouse?._id,
+        ...plan,
+        batchInfo: {
+          batchNumber: batchInfo?.batchNumber,
+          expirationDate: batchInfo?.expirationDate
+        },
+        plannedDate,
+        notes,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }], { session });
+
+      return order;
+    });
+
+    res.status(201).json({
+      message: `Orden de producción ${order.orderNumber} creada`,
+      order
+    });
+  } catch (error) {
+    handleProductionError(res, error);
+  }
+});
+
+// @desc    Actualizar una orden en borrador (el cambio de escala o de fecha vuelve a calcular los
+//          ingredientes con la versión de la receta vigente a la fecha planificada)
+// @route   PUT /api/production-orders/:id
+// @access  Private (Manager/Admin)
+router.put('/:id', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { scaleFactor, plannedQuantity, plannedDate, batchInfo, notes, warehouse } = req.body;
+
+    const models = getProductionModels(req.tenantModels);
+    const order = await findOrder(models.ProductionOrder, req.params.id);
+    requireStatus(order, ['borrador'], 'modificar');
+
+    if (plannedDate && isNaN(new Date(plannedDate).getTime())) {
+      return res.status(400).json({ message: 'Fecha planificada inválida' });
+    }
+    if (scaleFactor !== undefined || plannedQuantity !== undefined || plannedDate !== undefined) {
+      const recipe = await findRecipe(models, order.recipe, plannedDate !== undefined ? plannedDate : order.plannedDate);
+      const rescaled = scaleFactor !== undefined || plannedQuantity !== undefined;
+      const plan = planFromRecipe(recipe, rescaled ? { scaleFactor, plannedQuantity } : { scaleFactor: order.scaleFactor });
+      order.recipeVersion = recipe.recipeVersion;
+      order.recipeVersionNumber = recipe.version;
+      order.scaleFactor = plan.scaleFactor;
+      order.plannedQuantity = plan.plannedQuantity;
+      order.unit = plan.unit;
+      order.ingredients = plan.ingredients;
+    }
+    if (warehouse !== undefined) {
+      order.warehouse = (await resolveWarehouse(models.Warehouse, warehouse))?._id;
+    }
+    if (plannedDate !== undefined) order.plannedDate = plannedDate;
+    if (batchInfo?.batchNumber !== undefined) order.batchInfo.batchNumber = batchInfo.batchNumber;
+    if (batchInfo?.expirationDate !== undefined) order.batchInfo.expirationDate = batchInfo.expirationDate;
+    if (notes !== undefined) order.notes = notes;
+    await order.save();
+
+    res.json({
+      message: `Orden de producción ${order.orderNumber} actualizada`,
+      order
+    });
+  } catch (error) {
+    handleProductionError(res, error);
+  }
+});
+
+// @desc    Liberar una orden en borrador para producción (verifica la disponibilidad de ingredientes)
+// @route   POST /api/production-orders/:id/release
+// @access  Private (Manager/Admin)
+router.post('/:id/release', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const models = getProductionModels(req.tenantModels);
+    const order = await findOrder(models.ProductionOrder, req.params.id);
+    requireStatus(order, ['borrador'], 'liberar');
+
+    const availability = await checkIngredientAvailability(models, order);
+    if (!availability.available) {
+      return res.status(400).json({
+        message: 'No hay stock suficiente de los ingredientes para liberar la orden',
+        shortages: availability.lines.filter(line => line.shortage > 0)
+      });
+    }
+
+    order.status = 'liberada';
+    order.releasedAt = new Date();
+    order.releasedBy = req.user._id;
+    await order.save();
+
+    res.json({
+      message: `Orden de producción ${order.orderNumber} liberada`,
+      order
+    });
+  } catch (error) {
+    handleProductionError(res, error);
+  }
+});
+
+// @desc    Iniciar la producción de una orden liberada
+// @route   POST /api/production-orders/:id/start
+// @access  Private (Manager/Admin)
+router.post('/:id/start', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { ProductionOrder: ProductionOrderModel } = getProductionModels(req.tenantModels);
+    const order = await findOrder(ProductionOrderModel, req.params.id);
+    requireStatus(order, ['liberada'], 'iniciar');
+
+    order.status = 'en_proceso';
+    order.startedAt = new Date();
+    order.startedBy = req.user._id;
+    await order.save();
+
+    res.json({
+      message: `Orden de producción ${order.orderNumber} en proceso`,
+      order
+    });
+  } catch (error) {
+    handleProductionError(res, error);
+  }
+});
+
+// @desc    Terminar una orden en proceso con lo producido y el consumo real
+//          ({ actualQuantity, ingredients: [{ ingredientId, actualQuantity, scrapQuantity }], batchInfo })
+// @route   POST /api/production-orders/:id/finish
+// @access  Private (Manager/Admin)
+router.post('/:id/finish', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const models = getProductionModels(req.tenantModels);
+    const costingMethod = await getCostingMethod(models.Config, req.tenant?._id);
+
+    const result = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const order = await findOrder(models.ProductionOrder, req.params.id, session);
+      return finishProductionOrder(models, order, req.body, {
+        user: req.user._id,
+        tenant: req.tenant?._id,
+        session,
+        costingMethod
+      });
+    });
+
+    res.json({
+      message: `Orden de producción ${result.order.orderNumber} terminada. Lote ${result.batch.batchNumber} creado con ${result.order.actualQuantity} ${result.order.unit || 'unidad(es)'} de ${result.order.productName}`,
+      order: result.order,
+      batch: result.batch,
+      stockChange: {
+        productId: result.product._id,
+        productName: result.product.name,
+        newStock: result.product.stock,
+        change: result.order.actualQuantity
+      }
+    });
+  } catch (error) {
+    handleProductionError(res, error);
+  }
+});
+
+// @desc    Cancelar una orden; si está terminada se revierte la producción (el lote producido no debe haberse usado)
+// @route   POST /api/production-orders/:id/cancel
+// @access  Private (Manager/Admin)
+router.post('/:id/cancel', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ message: 'El motivo de la cancelación es requerido' });
+    }
+
+    const models = getProductionModels(req.tenantModels);
+    const costingMethod = await getCostingMethod(models.Config, req.tenant?._id);
+
+    const order = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const order = await findOrder(models.ProductionOrder, req.params.id, session);
+      requireStatus(order, ['borrador', 'liberada', 'en_proceso', 'terminada'], 'cancelar');
+
+      // Se revierte con el método con que se costeó la orden (las anteriores a guardarlo usan el actual)
+      if (order.status === 'terminada') {
+        await reverseProductionOrder(models, order, {
+          user: req.user._id,
+          tenant: req.tenant?._id,
+          session,
+          costingMethod: order.costingMethod || costingMethod
+        });
+      }
+
+      order.status = 'cancelada';
+      order.cancelledAt = new Date();
+      order.cancelledBy = req.user._id;
+      order.cancellationReason = reason;
+      await order.save({ session });
+      return order;
+    });
+
+    res.json({
+      message: `Orden de producción ${order.orderNumber} cancelada`,
+      order
+    });
+  } catch (error) {
+    handleProductionError(res, error);
+  }
+});
+
+export default router;
@@ -1,5 +1,11 @@
 import express from 'express';
 import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import { recordStockMovement } from '../services/stockMovementService.js';
+import { getCostingModels, getCostingMethod, recordStockChangeCost } from '../services/costingService.js';
+import { getWarehouseModels, resolveWarehouse, incrementWarehouseStock, WarehouseError } from '../services/warehouseService.js';
+import { UnitConversionError, checkUnitConversions, getConversionFactor, listProductUnits } from '../services/unitService.js';
+import databaseManager from '../services/DatabaseManager.js';
 import { protect, manager } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
 
@@ -78,16 +84,89 @@ router.get('/:id', protect, identifyTenant, async (req, res) => {
   }
 });
 
+// @desc    Unidades en las que se puede expresar el producto y su equivalencia en la unidad de stock
+// @route   GET /api/products/:id/units
+// @access  Private
+router.get('/:id/units', protect, identifyTenant, async (req, res) => {
+  try {
+    const ProductModel = req.tenantModels?.Product || Product;
+    const product = await ProductModel.findById(req.params.id).select('name unit purchaseUnit unitConversions');
+    
+    if (!product) {
+      return res.status(404).json({ message: 'Producto no encontrado' });
+    }
+    
+    res.json({
+      product: product._id,
+      productName: product.name,
+      stockUnit: product.unit,
+      purchaseUnit: product.purchaseUnit || product.unit,
+      units: listProductUnits(product)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
 // @desc    Crear producto
 // @route   POST /api/products
 // @access  Private (Manager/Admin)
 router.post('/', protect, identifyTenant, manager, async (req, res) => {
   try {
     const ProductModel = req.tenantModels?.Product || Product;
-    const product = await ProductModel.create(req.body);
+    const StockMovementModel = req.tenantModels?.StockMovement || StockMovement;
+    checkUnitConversions(req.body.unit, req.body.unitConversions);
+    if (req.body.purchaseUnit) {
+      getConversionFactor({ name: req.body.name, unit: req.body.unit, unitConversions: req.body.unitConversions }, req.body.purchaseUnit);
+    }
+    
+    // El stock inicial entra como un movimiento más: en la ubicación indicada (o la por defecto), en el
+    // historial y en las capas de costo, junto con la creación del producto
+    const { stock, warehouse: warehouseId, ...data } = req.body;
+    const initialStock = Number(stock) || 0;
+    if (initialStock < 0) {
+      return res.status(400).json({ message: 'El stock inicial no puede ser negativo' });
+    }
+    const warehouseModels = getWarehouseModels(req.tenantModels);
+    const warehouse = initialStock > 0 ? await resolveWarehouse(warehouseModels.Warehouse, warehouseId) : null;
+    const costingModels = getCostingModels(req.tenantModels);
+    const costingMethod = initialStock > 0 ? await getCostingMethod(costingModels.Config, req.tenant?._id) : null;
+    
+    const product = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const [product] = await ProductModel.create([{ ...data, stock: initialStock }], { session });
+      if (initialStock === 0) return product;
+      
+      if (warehouse) {
+        await incrementWarehouseStock(warehouseModels.WarehouseStock, warehouse._id, product._id, initialStock, { session });
+      }
+      
+      const movement = await recordStockMovement(StockMovementModel, {
+        product: product._id,
+        productName: product.name,
+        warehouse: warehouse?._id,
+        quantity: initialStock,
+        previousStock: 0,
+        newStock: initialStock,
+        referenceType: 'manual',
+        reason: 'Stock inicial',
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+      
+      await recordStockChangeCost(costingModels, product, initialStock, {
+        type: 'manual',
+        reference: movement._id,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session, method: costingMethod });
+      
+      return product;
+    });
     res.status(201).json(product);
   } catch (error) {
-    if (error.code === 11000) {
+    if (error instanceof WarehouseError || error instanceof UnitConversionError) {
+      res.status(error.status).json({ message: error.message });
+    } else if (error.code === 11000) {
       res.status(400).json({ message: 'El SKU ya existe' });
     } else {
       res.status(500).json({ message: 'Error en el servidor' });
@@ -101,9 +180,31 @@ router.post('/', protect, identifyTenant, manager, async (req, res) => {
 router.put('/:id', protect, identifyTenant, manager, async (req, res) => {
   try {
     const ProductModel = req.tenantModels?.Product || Product;
+    
+    // Las unidades se validan con lo que queda guardado; la unidad de stock no cambia si hay stock
+    if (req.body.unit || req.body.unitConversions || req.body.purchaseUnit) {
+      const current = await ProductModel.findById(req.params.id).select('name unit stock unitConversions purchaseUnit');
+      if (!current) {
+        return res.status(404).json({ message: 'Producto no encontrado' });
+      }
+      if (req.body.unit && req.body.unit !== current.unit && current.stock > 0) {
+        return res.status(400).json({ message: 'No se puede cambiar la unidad de stock de un producto con stock' });
+      }
+      const merged = {
+        name: current.name,
+        unit: req.body.unit || current.unit,
+        unitConversions: req.body.unitConversions || current.unitConversions
+      };
+      checkUnitConversions(merged.unit, merged.unitConversions);
+      const purchaseUnit = req.body.purchaseUnit || current.purchaseUnit;
+      if (purchaseUnit) getConversionFactor(merged, purchaseUnit);
+    }
+    
+    // El stock solo cambia con movimientos (PUT /:id/stock, ajustes, compras, ventas...)
+    const { stock, ...changes } = req.body;
     const product = await ProductModel.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      changes,
       { new: true, runValidators: true }
     );
     
@@ -113,6 +214,9 @@ router.put('/:id', protect, identifyTenant, manager, async (req, res) => {
       res.status(404).json({ message: 'Producto no encontrado' });
     }
   } catch (error) {
+    if (error instanceof UnitConversionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error en el servidor' });
   }
 });
@@ -144,27 +248,79 @@ router.delete('/:id', protect, identifyTenant, manager, async (req, res) => {
 // @access  Private
 router.put('/:id/stock', protect, identifyTenant, async (req, res) => {
   try {
-    const { quantity, operation } = req.body; // operation: 'add' o 'subtract'
+    const { operation, reason, notes } = req.body; // operation: 'add' o 'subtract'
     
     const ProductModel = req.tenantModels?.Product || Product;
-    const product = await ProductModel.findById(req.params.id);
-    
-    if (!product) {
-      return res.status(404).json({ message: 'Producto no encontrado' });
-    }
+    const StockMovementModel = req.tenantModels?.StockMovement || StockMovement;
+    const warehouseModels = getWarehouseModels(req.tenantModels);
+    const warehouse = await resolveWarehouse(warehouseModels.Warehouse, req.body.warehouse);
+    const costingModels = getCostingModels(req.tenantModels);
+    const costingMethod = await getCostingMethod(costingModels.Config, req.tenant?._id);
     
-    if (operation === 'add') {
-      product.stock += quantity;
-    } else if (operation === 'subtract') {
-      if (product.stock < quantity) {
-        return res.status(400).json({ message: 'Stock insuficiente' });
+    // Stock de la ubicación, del producto, movimiento y capas de costo se registran juntos
+    const product = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const product = await ProductModel.findById(req.params.id).session(session);
+      if (!product) {
+        throw new WarehouseError('Producto no encontrado', 404);
       }
-      product.stock -= quantity;
-    }
+      
+      // La cantidad puede venir en otra unidad del producto (p. ej. cajas); el stock se lleva en su unidad
+      const quantity = req.body.unit ? req.body.quantity * getConversionFactor(product, req.body.unit) : req.body.quantity;
+      
+      const previousStock = product.stock;
+      if (operation === 'add') {
+        product.stock += quantity;
+      } else if (operation === 'subtract') {
+        if (product.stock < quantity) {
+          throw new WarehouseError('Stock insuficiente');
+        }
+        product.stock -= quantity;
+      }
+      
+      // Solo se registra algo si el stock cambió
+      if (product.stock === previousStock) {
+        return product;
+      }
+      
+      // El movimiento se aplica en la ubicación indicada (o la por defecto)
+      if (warehouse) {
+        const location = await incrementWarehouseStock(warehouseModels.WarehouseStock, warehouse._id, product._id, product.stock - previousStock, { session });
+        if (!location) {
+          throw new WarehouseError(`Stock insuficiente en la ubicación ${warehouse.name}`);
+        }
+      }
+      
+      await product.save({ session });
+      
+      const movement = await recordStockMovement(StockMovementModel, {
+        product: product._id,
+        productName: product.name,
+        warehouse: warehouse?._id,
+        quantity: product.stock - previousStock,
+        previousStock,
+        newStock: product.stock,
+        referenceType: 'manual',
+        reason: reason || (operation === 'add' ? 'Entrada manual de stock' : 'Salida manual de stock'),
+        notes,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+      
+      await recordStockChangeCost(costingModels, product, product.stock - previousStock, {
+        type: 'manual',
+        reference: movement._id,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session, method: costingMethod });
+      
+      return product;
+    });
     
-    await product.save();
     res.json(product);
   } catch (error) {
+    if (error instanceof WarehouseError || error instanceof UnitConversionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error en el servidor' });
   }
 });
@@ -175,8 +331,9 @@ router.put('/:id/stock', protect, identifyTenant, async (req, res) => {
 router.get('/low-stock', protect, identifyTenant, async (req, res) => {
   try {
     const ProductModel = req.tenantModels?.Product || Product;
+    // Con punto de pedido definido se usa en lugar del stock mínimo
     const products = await ProductModel.find({
-      $expr: { $lte: ['$stock', '$minStock'] },
+      $expr: { $lte: ['$stock', { $ifNull: ['$reorderPoint', '$minStock'] }] },
       isActive: true
     }).populate('supplier', 'name');
     
@@ -2,11 +2,29 @@ import express from 'express';
 import mongoose from 'mongoose';
 import { protect, manager } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
+import { checkPeriodOpen } from '../middleware/accountingPeriod.js';
 import Purchase from '../models/Purchase.js';
 import Supplier from '../models/Supplier.js';
 import Product from '../models/Product.js';
 import Batch from '../models/Batch.js';
 import Account from '../models/Account.js';
+import StockMovement from '../models/StockMovement.js';
+import Sequence from '../models/Sequence.js';
+import { getNextNumber } from '../services/sequenceService.js';
+import { getJournalModels, postSourceEntry, reverseJournalEntries, treasuryAccountKey } from '../services/journalService.js';
+import { getDuePurchases } from '../services/payablesService.js';
+import {
+  PurchaseReceiptError,
+  RECEIVED_STATUSES,
+  buildBackorder,
+  receivePurchaseItems,
+  reversePurchaseReceipts
+} from '../services/purchaseReceiptService.js';
+import { getCostingModels, getCostingMethod } from '../services/costingService.js';
+import { getWarehouseModels, resolveWarehouse, WarehouseError } from '../services/warehouseService.js';
+import { LandedCostError, LANDED_COST_METHODS, allocateLandedCost, applyLandedCost } from '../services/landedCostService.js';
+import { UnitConversionError, getConversionFactor } from '../services/unitService.js';
+import databaseManager from '../services/DatabaseManager.js';
 
 const router = express.Router();
 
@@ -29,6 +47,193 @@ const authenticateWithTenant = async (req, res, next) => {
 // Aplicar middleware combinado a todas las rutas
 router.use(authenticateWithTenant);
 
+// Fechas de la compra afectada, para no modificar operaciones de periodos contables cerrados
+const purchaseDates = async (req) => {
+  const dates = [req.body?.actualDelivery];
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return dates;
+  const PurchaseModel = req.tenantModels?.Purchase || Purchase;
+  const purchase = await PurchaseModel.findById(req.params.id).select('orderDate actualDelivery status partialPayments');
+  if (!purchase) return dates;
+
+  if (req.params.paymentId) {
+    const payment = mongoose.Types.ObjectId.isValid(req.params.paymentId) && purchase.partialPayments.id(req.params.paymentId);
+    return payment ? [payment.paymentDate] : [];
+  }
+  // Una compra recibida (total o parcialmente) ya está contabilizada en la fecha de recepción
+  return [...dates, purchase.orderDate, RECEIVED_STATUSES.includes(purchase.status) ? purchase.actualDelivery : null];
+};
+
+// Fecha del costo adicional que se elimina (o de la compra si ya no existe), para no revertirlo en un periodo cerrado
+const landedCostDates = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.costId)) return [];
+  const PurchaseModel = req.tenantModels?.Purchase || Purchase;
+  const purchase = await PurchaseModel.findById(req.params.id).select('orderDate actualDelivery landedCosts');
+  if (!purchase) return [];
+
+  const landedCost = purchase.landedCosts.id(req.params.costId);
+  return landedCost ? [landedCost.date] : [purchase.actualDelivery || purchase.orderDate];
+};
+
+const getReceiptModels = (req) => ({
+  ...getCostingModels(req.tenantModels),
+  StockMovement: req.tenantModels?.StockMovement || StockMovement,
+  Sequence: req.tenantModels?.Sequence || Sequence,
+  WarehouseStock: getWarehouseModels(req.tenantModels).WarehouseStock
+});
+
+// Ubicación que recibe la mercadería: la indicada, la de la compra o la ubicación por defecto
+const getReceiptWarehouse = async (req, purchase, warehouseId) => {
+  const warehouse = await resolveWarehouse(getWarehouseModels(req.tenantModels).Warehouse, warehouseId || purchase.warehouse);
+  return warehouse?._id;
+};
+
+const getPurchaseCostingMethod = (req) => getCostingMethod(getCostingModels(req.tenantModels).Config, req.tenant?._id);
+
+const handleReceiptError = (res, error, message) => {
+  if (error instanceof PurchaseReceiptError || error instanceof WarehouseError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Contabilizar una recepción de compra por el valor recibido: gasto de compras contra cuentas por pagar.
+// El estado contable queda en la recepción (si faltan cuentas, journalStatus 'error') y la compra se
+// guarda en la misma transacción; cualquier otro error aborta la recepción.
+const postPurchaseReceiptEntry = async (req, purchase, receipt, { session } = {}) => {
+  const journalModels = getJournalModels(req.tenantModels);
+  const existingEntry = await journalModels.JournalEntry.findOne({
+    sourceType: 'purchase',
+    sourceId: purchase._id,
+    sourceNumber: receipt.receiptNumber,
+    reversalOf: null,
+    reversedBy: null
+  }).session(session || null);
+  if (existingEntry) return existingEntry;
+  
+  const entry = await postSourceEntry(journalModels, receipt, {
+    date: receipt.date || new Date(),
+    description: `Recepción ${receipt.receiptNumber} de compra ${purchase.purchaseNumber} - ${purchase.supplierName || ''}`.trim(),
+    sourceType: 'purchase',
+    sourceId: purchase._id,
+    sourceNumber: receipt.receiptNumber,
+    lines: [
+      { module: 'compras', key: 'gastos', debit: receipt.total },
+      { module: 'proveedores', key: 'cuentasPorPagar', credit: receipt.total }
+    ],
+    createdBy: req.user._id,
+    tenant: req.tenant?._id
+  }, { session });
+  await purchase.save({ session });
+  return entry;
+};
+
+// Contabilizar un pago a proveedor: cuentas por pagar contra la cuenta de tesorería usada
+// (el estado contable queda en el pago y la compra se guarda en la misma transacción)
+const postPurchasePaymentEntry = async (req, purchase, payment, bank, { session } = {}) => {
+  const entry = await postSourceEntry(getJournalModels(req.tenantModels), payment, {
+    date: payment.paymentDate || new Date(),
+    description: `Pago de compra ${purchase.purchaseNumber}`,
+    sourceType: 'purchase_payment',
+    sourceId: payment._id,
+    sourceNumber: purchase.purchaseNumber,
+    lines: [
+      { module: 'proveedores', key: 'cuentasPorPagar', debit: payment.amount },
+      { module: 'bancos', key: treasuryAccountKey(bank, payment.paymentMethod), credit: payment.amount }
+    ],
+    createdBy: req.user._id,
+    tenant: req.tenant?._id
+  }, { session });
+  await purchase.save({ session });
+  return entry;
+};
+
+// Error de validación de un pago de compra; se responde con su status (400 por defecto)
+class PurchasePaymentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PurchasePaymentError';
+    this.status = status;
+  }
+}
+
+// Registrar un pago parcial de una compra con su movimiento bancario y su asiento, dentro de la
+// transacción del pago (o de la corrida de pagos): cualquier error revierte todo.
+const addPurchasePayment = async (req, purchase, { amount, paymentMethod, bankAccount, notes, paymentRun }, { session }) => {
+  // Verificar que el pago no exceda el monto restante
+  const currentPaidAmount = purchase.paidAmount || 0;
+  const remainingAmount = purchase.total - currentPaidAmount;
+  
+  if (amount > remainingAmount) {
+    throw new PurchasePaymentError(`El monto del pago (${amount}) excede el monto restante (${remainingAmount})`);
+  }
+  
+  // Crear el pago parcial
+  const payment = {
+    amount,
+    paymentMethod,
+    bankAccount: bankAccount || null,
+    notes: notes || '',
+    paymentRun,
+    createdBy: req.user.id
+  };
+  
+  purchase.partialPayments.push(payment);
+  
+  // Si es el primer pago, establecer el método de pago principal
+  if (purchase.partialPayments.length === 1) {
+    purchase.paymentMethod = paymentMethod;
+    purchase.bankAccount = bankAccount || null;
+  }
+  
+  await purchase.save({ session });
+  const savedPayment = purchase.partialPayments[purchase.partialPayments.length - 1];
+  let paymentBank = null;
+  
+  // Crear transacción bancaria si se especificó una cuenta bancaria
+  if (bankAccount && paymentMethod !== 'Efectivo') {
+    const BankTransactionModel = req.tenantModels?.BankTransaction || (await import('../models/BankTransaction.js')).default;
+    const BankModel = req.tenantModels?.Bank || (await import('../models/Bank.js')).default;
+    
+    const bank = await BankModel.findById(bankAccount).session(session);
+    if (bank) {
+      const previousBalance = bank.currentBalance;
+      const newBalance = previousBalance - amount; // Para compras, restamos del saldo
+      
+      await BankTransactionModel.create([{
+        bank: bankAccount,
+        type: 'withdrawal',
+        amount,
+        previousBalance,
+        newBalance,
+        description: paymentRun
+          ? `Pago compra ${purchase.purchaseNumber} (corrida ${paymentRun})`
+          : `Pago parcial compra ${purchase.purchaseNumber}`,
+        reference: purchase._id.toString(),
+        referenceType: 'purchase',
+        paymentDate: savedPayment.paymentDate,
+        createdBy: req.user.id,
+        tenant: req.tenant?._id
+      }], { session });
+      
+      // Actualizar saldo de la cuenta bancaria
+      bank.currentBalance = newBalance;
+      await bank.save({ session });
+      paymentBank = bank;
+    }
+  }
+  
+  await postPurchasePaymentEntry(req, purchase, savedPayment, paymentBank, { session });
+  return savedPayment;
+};
+
 // @desc    Obtener todas las compras
 // @route   GET /api/purchases
 // @access  Private
@@ -111,6 +316,214 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Previsualizar una corrida de pagos: compras pendientes que vencen hasta una fecha
+// @route   GET /api/purchases/payment-run?dueBefore=&supplier=
+// @access  Private
+router.get('/payment-run', protect, async (req, res) => {
+  try {
+    const { dueBefore, supplier } = req.query;
+    if (dueBefore && isNaN(new Date(dueBefore).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha inválida'
+      });
+    }
+
+    const duePurchases = await getDuePurchases({
+      Purchase: req.tenantModels?.Purchase || Purchase,
+      Supplier: req.tenantModels?.Supplier || Supplier
+    }, { dueBefore, supplier });
+
+    res.json({
+      success: true,
+      data: {
+        purchases: duePurchases.map(({ purchase, dueDate }) => ({
+          purchase: purchase._id,
+          purchaseNumber: purchase.purchaseNumber,
+          supplier: purchase.supplier ? { id: purchase.supplier._id, name: purchase.supplier.name } : { id: null, name: purchase.supplierName },
+          status: purchase.status,
+          dueDate,
+          total: purchase.total,
+          remainingAmount: purchase.remainingAmount
+        })),
+        totalAmount: Math.round(duePurchases.reduce((sum, { purchase }) => sum + purchase.remainingAmount, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las compras por pagar',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Ejecutar una corrida de pagos: paga el saldo de las compras que vencen hasta una fecha desde un banco
+// @route   POST /api/purchases/payment-run
+// @access  Private (Manager/Admin)
+router.post('/payment-run', protect, manager, checkPeriodOpen(), async (req, res) => {
+  try {
+    const { dueBefore, supplier, purchaseIds, bankAccount, paymentMethod = 'Transferencia Bancaria', notes } = req.body;
+
+    if (!bankAccount || !mongoose.Types.ObjectId.isValid(bankAccount)) {
+      return res.status(400).json({
+        success: false,
+        message: 'La cuenta bancaria es requerida'
+      });
+    }
+
+    if (!Purchase.schema.path('paymentMethod').enumValues.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Método de pago inválido'
+      });
+    }
+
+    if (dueBefore && isNaN(new Date(dueBefore).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha inválida'
+      });
+    }
+
+    const BankModel = req.tenantModels?.Bank || (await import('../models/Bank.js')).default;
+    const bank = await BankModel.findById(bankAccount);
+    if (!bank || !bank.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cuenta bancaria no encontrada o inactiva'
+      });
+    }
+
+    const models = {
+      Purchase: req.tenantModels?.Purchase || Purchase,
+      Supplier: req.tenantModels?.Supplier || Supplier
+    };
+    const duePurchases = await getDuePurchases(models, {
+      dueBefore,
+      supplier,
+      purchaseIds: purchaseIds?.length ? purchaseIds.filter(id => mongoose.Types.ObjectId.isValid(id)) : undefined
+    });
+
+    if (duePurchases.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No hay compras pendientes de pago para la selección indicada'
+      });
+    }
+
+    const totalAmount = Math.round(duePurchases.reduce((sum, { purchase }) => sum + purchase.remainingAmount, 0) * 100) / 100;
+    if (paymentMethod !== 'Efectivo' && totalAmount > bank.currentBalance) {
+      return res.status(400).json({
+        success: false,
+        message: `El total de la corrida (${totalAmount}) excede el saldo disponible de ${bank.name} (${bank.currentBalance})`
+      });
+    }
+
+    // Todos los pagos del lote se registran o se revierten juntos
+    const result = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const runNumber = await getNextNumber(req.tenantModels?.Sequence || Sequence, 'payment_run', { session, tenantId: req.tenant?._id });
+      const payments = [];
+
+      for (const { purchase: selected, dueDate } of duePurchases) {
+        const purchase = await models.Purchase.findById(selected._id).session(session);
+        const amount = Math.round(purchase.remainingAmount * 100) / 100;
+        if (amount <= 0) continue;
+
+        const payment = await addPurchasePayment(req, purchase, {
+          amount,
+          paymentMethod,
+          bankAccount,
+          notes: notes || `Lote de pagos ${runNumber}`,
+          paymentRun: runNumber
+        }, { session });
+
+        payments.push({
+          purchase: purchase._id,
+          purchaseNumber: purchase.purchaseNumber,
+          supplier: selected.supplier?.name || purchase.supplierName,
+          dueDate,
+          payment: payment._id,
+          amount
+        });
+      }
+
+      return { runNumber, payments };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Lote de pagos ${result.runNumber}: ${result.payments.length} compras pagadas`,
+      data: {
+        runNumber: result.runNumber,
+        bankAccount: bank._id,
+        paymentMethod,
+        totalAmount: Math.round(result.payments.reduce((sum, payment) => sum + payment.amount, 0) * 100) / 100,
+        payments: result.payments
+      }
+    });
+  } catch (error) {
+    if (error instanceof PurchasePaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al ejecutar la corrida de pagos',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Obtener líneas de compras pendientes de recibir (backorder)
+// @route   GET /api/purchases/backorders
+// @access  Private
+router.get('/backorders', protect, async (req, res) => {
+  try {
+    const { supplier, product } = req.query;
+
+    const query = {
+      isActive: true,
+      isAccountPayment: { $ne: true },
+      status: { $in: ['pendiente', 'en_transito', 'parcialmente_recibida'] }
+    };
+    if (supplier) query.supplier = supplier;
+    if (product) query['items.product'] = product;
+
+    const PurchaseModel = req.tenantModels?.Purchase || Purchase;
+    const purchases = await PurchaseModel.find(query)
+      .select('purchaseNumber supplier supplierName status orderDate expectedDelivery items receipts')
+      .sort({ expectedDelivery: 1 });
+
+    const lines = purchases.flatMap(purchase => buildBackorder(purchase)
+      .filter(line => !product || line.product?.toString() === product)
+      .map(line => ({
+        purchase: purchase._id,
+        purchaseNumber: purchase.purchaseNumber,
+        supplier: purchase.supplier,
+        supplierName: purchase.supplierName,
+        status: purchase.status,
+        orderDate: purchase.orderDate,
+        expectedDelivery: purchase.expectedDelivery,
+        ...line
+      })));
+
+    res.json({
+      success: true,
+      data: lines
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las compras pendientes de recibir',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Obtener pagos contables (egresos)
 // @route   GET /api/purchases/account-payments
 // @access  Private
@@ -220,7 +633,7 @@ router.get('/:id', async (req, res) => {
 // @desc    Crear nueva compra
 // @route   POST /api/purchases
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, checkPeriodOpen(), async (req, res) => {
   try {
     const {
       supplier,
@@ -230,6 +643,7 @@ router.post('/', protect, async (req, res) => {
       expectedDelivery,
       category,
       notes,
+      warehouse,
       status = 'pendiente' // Permitir establecer estado al crear
     } = req.body;
 
@@ -253,7 +667,6 @@ router.post('/', protect, async (req, res) => {
 
     // Validar y procesar items (productos y cuentas contables)
     const itemsToCreate = [];
-    const batchesToCreate = [];
 
     const ProductModel = req.tenantModels?.Product || Product;
     const AccountModel = req.tenantModels?.Account || Account;
@@ -274,7 +687,7 @@ router.post('/', protect, async (req, res) => {
 
       if (product.managesBatches) {
         if (item.batchType === 'new') {
-          // Crear nuevo lote
+          // El lote nuevo se crea al recibir la mercadería, con la cantidad efectivamente recibida
           if (!item.batchData || !item.batchData.batchNumber || !item.batchData.expirationDate) {
             return res.status(400).json({
               success: false,
@@ -282,21 +695,9 @@ router.post('/', protect, async (req, res) => {
             });
           }
 
-          const BatchModel = req.tenantModels?.Batch || Batch;
-          const newBatch = new BatchModel({
-            product: item.product,
-            productName: product.name,
-            batchNumber: item.batchData.batchNumber,
-            expirationDate: item.batchData.expirationDate,
-            units: item.batchData.units || item.quantity,
-            stock: 0,
-            isActive: true
-          });
-
-          batchesToCreate.push(newBatch);
           itemsToCreate.push({
             ...item,
-            batch: newBatch._id,
+            batch: undefined,
             batchType: 'new'
           });
         } else if (item.batchType === 'existing' && item.batch) {
@@ -352,24 +753,6 @@ router.post('/', protect, async (req, res) => {
       }
     }
 
-    // Crear lotes si es necesario
-    if (batchesToCreate.length > 0) {
-      const BatchModel = req.tenantModels?.Batch || Batch;
-      const createdBatches = await BatchModel.insertMany(batchesToCreate);
-      
-      // Actualizar los IDs de los lotes en los items validados
-      for (let i = 0; i < itemsToCreate.length; i++) {
-        if (itemsToCreate[i].batchType === 'new') {
-          const createdBatch = createdBatches.find(b => 
-            b.batchNumber === items[i].batchData.batchNumber
-          );
-          if (createdBatch) {
-            itemsToCreate[i].batch = createdBatch._id;
-          }
-        }
-      }
-    }
-
     // Calcular total y agregar información a cada item
     for (let i = 0; i < itemsToCreate.length; i++) {
       const item = itemsToCreate[i];
@@ -380,11 +763,14 @@ router.post('/', protect, async (req, res) => {
           item.productName = product.name;
           item.total = item.quantity * item.price;
           
-          // Asegurar que el campo unit esté presente
-          if (!item.unit) {
-            item.unit = 'unidad'; // valor por defecto
+          // Unidad de compra: la indicada, la de compra del producto o su unidad de stock
+          item.unit = item.unit || product.purchaseUnit || product.unit;
+          try {
+            item.conversionFactor = getConversionFactor(product, item.unit);
+          } catch (error) {
+            if (!(error instanceof UnitConversionError)) throw error;
+            return res.status(error.status).json({ success: false, message: error.message });
           }
-        } else {
         }
       } else if (item.itemType === 'account') {
         // Para cuentas contables, el total ya está calculado
@@ -421,105 +807,49 @@ router.post('/', protect, async (req, res) => {
       }
     }
 
-    // Crear la compra
-    const PurchaseModel = req.tenantModels?.Purchase || Purchase;
-    const purchase = new PurchaseModel({
-      supplier,
-      supplierName: supplierDoc.name,
-      items: itemsToCreate,
-      total,
-      paymentMethod,
-      expectedDelivery,
-      category,
-      notes,
-      status
-    });
-
-    await purchase.save();
-
-    // Si la compra está recibida, actualizar stock y costo (solo para productos)
-    if (purchase.status === 'recibida') {
-      const stockUpdates = [];
-      
-      for (const item of itemsToCreate) {
-        // Solo procesar productos, no cuentas contables
-        if (item.itemType !== 'product' || !item.product) continue;
-        
-        const product = await ProductModel.findById(item.product);
-        if (!product) continue;
+    if (!['borrador', 'pendiente', 'en_transito', 'recibida'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Una compra nueva solo puede crearse en borrador, pendiente, en tránsito o recibida'
+      });
+    }
 
-        // Calcular costo promedio si hay stock existente
-        let newCost = item.price || 0; // Usar el campo 'price' del item de compra
-        
-        if (product.stock > 0 && product.cost && product.cost > 0) {
-          // Fórmula: (costo_actual * stock_actual + costo_nuevo * cantidad_nueva) / (stock_actual + cantidad_nueva)
-          const totalCurrentValue = product.cost * product.stock;
-          const totalNewValue = newCost * item.quantity;
-          const totalStock = product.stock + item.quantity;
-          newCost = (totalCurrentValue + totalNewValue) / totalStock;
-        } 
-        else {
-        }
-        
-        const updatedProduct = await ProductModel.findByIdAndUpdate(
-          item.product,
-          { 
-            $inc: { stock: item.quantity },
-            $set: { cost: newCost }
-          },
-          { new: true }
-        );
-
-        stockUpdates.push({
-          productId: item.product,
-          productName: item.productName,
-          quantity: item.quantity,
-          oldStock: updatedProduct.stock - item.quantity,
-          newStock: updatedProduct.stock,
-          oldCost: product.cost,
-          newCost: newCost,
-          costChange: newCost - (product.cost || 0)
-        });
+    // Crear la compra; si llega recibida se registra su recepción completa en la misma transacción
+    const PurchaseModel = req.tenantModels?.Purchase || Purchase;
+    const costingMethod = await getPurchaseCostingMethod(req);
+    const purchaseWarehouse = await resolveWarehouse(getWarehouseModels(req.tenantModels).Warehouse, warehouse);
+    const { purchase, stockUpdates } = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const purchaseNumber = await getNextNumber(req.tenantModels?.Sequence || Sequence, 'purchase', {
+        session,
+        tenantId: req.tenant?._id
+      });
+      const purchase = new PurchaseModel({
+        purchaseNumber,
+        supplier,
+        supplierName: supplierDoc.name,
+        warehouse: purchaseWarehouse?._id,
+        items: itemsToCreate.map(item => ({ ...item, receivedQuantity: 0 })),
+        total,
+        paymentMethod,
+        expectedDelivery,
+        category,
+        notes,
+        status: status === 'recibida' ? 'pendiente' : status
+      });
 
-        // Si el item tiene un lote asociado, actualizar el stock del lote
-        if (item.batch) {
-          try {
-            const BatchModel = req.tenantModels?.Batch || Batch;
-            const updatedBatch = await BatchModel.findByIdAndUpdate(
-              item.batch,
-              { $inc: { stock: item.quantity } },
-              { new: true }
-            );
-          } catch (error) {
-            // Error al actualizar stock del lote
-          }
-        }
+      await purchase.save({ session });
+      if (status !== 'recibida') return { purchase };
 
-        // Si el item tiene datos de lote nuevo, actualizar el stock del lote creado
-        if (item.batchType === 'new' && item.batchData) {
-          try {
-            // Buscar el lote recién creado por número de lote
-            const BatchModel = req.tenantModels?.Batch || Batch;
-            const batch = await BatchModel.findOne({ 
-              batchNumber: item.batchData.batchNumber,
-              product: item.product 
-            });
-            
-            if (batch) {
-              await BatchModel.findByIdAndUpdate(
-                batch._id,
-                { 
-                  $inc: { stock: item.quantity },
-                  $set: { initialStock: item.quantity }
-                }
-              );
-            }
-          } catch (error) {
-            // Error al actualizar stock del lote nuevo
-          }
-        }
-      }
-    }
+      const { receipt, stockUpdates } = await receivePurchaseItems(getReceiptModels(req), purchase, null, {
+        warehouse: purchaseWarehouse?._id,
+        user: req.user._id,
+        tenant: req.tenant?._id,
+        session,
+        costingMethod
+      });
+      await postPurchaseReceiptEntry(req, purchase, receipt, { session });
+      return { purchase, stockUpdates };
+    });
 
     res.status(201).json({
       success: true,
@@ -528,6 +858,12 @@ router.post('/', protect, async (req, res) => {
       ...(purchase.status === 'recibida' && { stockUpdates })
     });
   } catch (error) {
+    if (error instanceof PurchaseReceiptError || error instanceof WarehouseError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     // Si es un error de autenticación, devolver 401 específico
     if (error.message && error.message.includes('Usuario no encontrado')) {
@@ -558,7 +894,7 @@ router.post('/', protect, async (req, res) => {
 // @desc    Actualizar compra
 // @route   PUT /api/purchases/:id
 // @access  Private
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, checkPeriodOpen(purchaseDates), async (req, res) => {
   try {
     const {
       supplier,
@@ -568,7 +904,8 @@ router.put('/:id', protect, async (req, res) => {
       expectedDelivery,
       actualDelivery,
       category,
-      notes
+      notes,
+      warehouse
     } = req.body;
 
     const PurchaseModel = req.tenantModels?.Purchase || Purchase;
@@ -588,6 +925,23 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
+    // Las recepciones se registran con su endpoint para mantener stock y cantidades recibidas coherentes
+    if ((status && status !== purchase.status && (RECEIVED_STATUSES.includes(status) || RECEIVED_STATUSES.includes(purchase.status)))
+      || (items && items.length > 0 && RECEIVED_STATUSES.includes(purchase.status))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Las recepciones de la compra se gestionan con /receive y /status'
+      });
+    }
+
+    // Los costos adicionales están prorrateados sobre las líneas actuales
+    if (items && items.length > 0 && purchase.landedCosts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Elimine los costos adicionales antes de modificar las líneas de la compra'
+      });
+    }
+
     // Si se cambia el proveedor, validar que existe
     if (supplier && supplier !== purchase.supplier.toString()) {
       const SupplierModel = req.tenantModels?.Supplier || Supplier;
@@ -619,11 +973,21 @@ router.put('/:id', protect, async (req, res) => {
         const itemTotal = item.quantity * item.price;
         total += itemTotal;
 
+        const unit = item.unit || product.purchaseUnit || product.unit;
+        let conversionFactor;
+        try {
+          conversionFactor = getConversionFactor(product, unit);
+        } catch (error) {
+          if (!(error instanceof UnitConversionError)) throw error;
+          return res.status(error.status).json({ success: false, message: error.message });
+        }
+
         validatedItems.push({
           product: item.product,
           productName: product.name,
           quantity: item.quantity,
-          unit: item.unit,
+          unit,
+          conversionFactor,
           price: item.price,
           total: itemTotal
         });
@@ -641,6 +1005,10 @@ router.put('/:id', protect, async (req, res) => {
     if (actualDelivery) purchase.actualDelivery = actualDelivery;
     if (category) purchase.category = category;
     if (notes !== undefined) purchase.notes = notes;
+    // La ubicación solo define el destino de las recepciones futuras
+    if (warehouse) {
+      purchase.warehouse = (await resolveWarehouse(getWarehouseModels(req.tenantModels).Warehouse, warehouse))._id;
+    }
 
     await purchase.save();
 
@@ -650,6 +1018,12 @@ router.put('/:id', protect, async (req, res) => {
       data: purchase
     });
   } catch (error) {
+    if (error instanceof WarehouseError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({ 
       success: false, 
       message: 'Error al actualizar la compra',
@@ -661,10 +1035,17 @@ router.put('/:id', protect, async (req, res) => {
 // @desc    Cambiar estado de compra
 // @route   PATCH /api/purchases/:id/status
 // @access  Private
-router.patch('/:id/status', protect, async (req, res) => {
+router.patch('/:id/status', protect, checkPeriodOpen(purchaseDates), async (req, res) => {
   try {
     const { status } = req.body;
 
+    if (status === 'parcialmente_recibida') {
+      return res.status(400).json({
+        success: false,
+        message: 'Las recepciones parciales se registran con POST /api/purchases/:id/receive'
+      });
+    }
+
     if (!['pendiente', 'en_transito', 'recibida', 'cancelada'].includes(status)) {
       return res.status(400).json({
         success: false,
@@ -673,150 +1054,78 @@ router.patch('/:id/status', protect, async (req, res) => {
     }
 
     const PurchaseModel = req.tenantModels?.Purchase || Purchase;
-    const purchase = await PurchaseModel.findById(req.params.id);
-    if (!purchase) {
+    const existingPurchase = await PurchaseModel.findById(req.params.id);
+    if (!existingPurchase) {
       return res.status(404).json({
         success: false,
         message: 'Compra no encontrada'
       });
     }
 
-    // Si se está cambiando a "recibida" y antes no lo estaba, actualizar stock y costo
-    if (status === 'recibida' && purchase.status !== 'recibida') {
-      const stockUpdates = [];
-      
-      // Actualizar stock y costo de todos los productos en la compra
-      for (const item of purchase.items) {
-        try {
-          // Obtener el producto actual para calcular costo promedio
-          const ProductModel = req.tenantModels?.Product || Product;
-          const currentProduct = await ProductModel.findById(item.product);
-          if (!currentProduct) {
-            continue;
-          }
-
-          // Calcular costo promedio si hay stock existente
-          let newCost = item.price || 0; // Usar el campo 'price' del item de compra
-          
-          if (currentProduct.stock > 0 && currentProduct.cost && currentProduct.cost > 0) {
-            // Fórmula: (costo_actual * stock_actual + costo_nuevo * cantidad_nueva) / (stock_actual + cantidad_nueva)
-            const totalCurrentValue = currentProduct.cost * currentProduct.stock;
-            const totalNewValue = newCost * item.quantity;
-            const totalStock = currentProduct.stock + item.quantity;
-            newCost = (totalCurrentValue + totalNewValue) / totalStock;
-          } else {
-          }
-          
-          const updatedProduct = await ProductModel.findByIdAndUpdate(
-            item.product,
-            { 
-              $inc: { stock: item.quantity },
-              $set: { cost: newCost }
-            },
-            { new: true }
-          );
-          
-          stockUpdates.push({
-            productId: item.product,
-            productName: item.productName,
-            quantity: item.quantity,
-            oldStock: updatedProduct.stock - item.quantity,
-            newStock: updatedProduct.stock,
-            oldCost: currentProduct.cost,
-            newCost: newCost,
-            costChange: newCost - (currentProduct.cost || 0)
-          });
-
-          // Si el item tiene un lote asociado, actualizar el stock del lote
-          if (item.batch) {
-            try {
-              const BatchModel = req.tenantModels?.Batch || Batch;
-              const updatedBatch = await BatchModel.findByIdAndUpdate(
-                item.batch,
-                { $inc: { currentStock: item.quantity } },
-                { new: true }
-              );
-            } catch (error) {
-              // No fallar si falla la actualización del lote
-            }
-          }
-
-          // Si el item tiene datos de lote nuevo, crear el lote
-          if (item.batchType === 'new' && item.batchData) {
-            try {
-              const BatchModel = req.tenantModels?.Batch || Batch;
-              const newBatch = new BatchModel({
-                product: item.product,
-                productName: item.productName,
-                quantity: item.quantity,
-                unit: item.unit,
-                batchNumber: item.batchData.batchNumber,
-                expirationDate: item.batchData.expirationDate,
-                notes: item.batchData.notes || '',
-                cost: item.price,
-                createdBy: req.user._id,
-                currentStock: item.quantity,
-                initialStock: item.quantity
-              });
-              
-              await newBatch.save();
-            } catch (error) {
-              // No fallar si falla la creación del lote
-            }
-          }
-        } catch (error) {
-          // Continuar con otros productos aunque falle uno
-        }
+    const previousStatus = existingPurchase.status;
+    const receiving = status === 'recibida' && previousStatus !== 'recibida';
+    const reverting = RECEIVED_STATUSES.includes(previousStatus) && !RECEIVED_STATUSES.includes(status);
+
+    const costingMethod = await getPurchaseCostingMethod(req);
+    const receiptWarehouse = receiving ? await getReceiptWarehouse(req, existingPurchase, req.body.warehouse) : null;
+    const { purchase, stockUpdates } = await databaseManager.withTransaction(req.tenant, async (session) => {
+      // Se relee dentro de la transacción: el callback puede reintentarse
+      const purchase = await PurchaseModel.findById(req.params.id).session(session);
+      if (purchase.status !== previousStatus) {
+        throw new PurchaseReceiptError('La compra fue modificada mientras se cambiaba su estado', 409);
       }
-    }
 
-    // Si se está cambiando de "recibida" a otro estado, revertir el stock
-    if (purchase.status === 'recibida' && status !== 'recibida') {
-      // Revertir stock de todos los productos en la compra
-      const ProductModel = req.tenantModels?.Product || Product;
-      for (const item of purchase.items) {
-        try {
-          await ProductModel.findByIdAndUpdate(
-            item.product,
-            { $inc: { stock: -item.quantity } },
-            { new: true }
-          );
-        } catch (error) {
-          // Continuar con otros productos aunque falle uno
-        }
+      // Marcar como recibida recibe todo lo pendiente (el resto de una recepción parcial)
+      if (receiving) {
+        const { receipt, stockUpdates } = await receivePurchaseItems(getReceiptModels(req), purchase, null, {
+          warehouse: receiptWarehouse,
+          user: req.user._id,
+          tenant: req.tenant?._id,
+          session,
+          costingMethod
+        });
+        await postPurchaseReceiptEntry(req, purchase, receipt, { session });
+        return { purchase, stockUpdates };
       }
-    }
 
-    purchase.status = status;
-    
-    // Si se marca como recibida, establecer fecha de entrega actual
-    if (status === 'recibida') {
-      purchase.actualDelivery = new Date();
-    }
+      // Si deja de estar recibida, revertir el stock de todas sus recepciones y anular sus asientos
+      if (reverting) {
+        await reversePurchaseReceipts(getReceiptModels(req), purchase, {
+          reason: `Reversión de recepción (cambio a ${status})`,
+          user: req.user._id,
+          tenant: req.tenant?._id,
+          session,
+          costingMethod
+        });
+        await reverseJournalEntries(getJournalModels(req.tenantModels), { sourceType: 'purchase', sourceId: purchase._id }, {
+          description: `Reversión de recepción de compra ${purchase.purchaseNumber} (cambio a ${status})`,
+          createdBy: req.user._id,
+          tenant: req.tenant?._id
+        }, { session });
+      }
 
-    await purchase.save();
+      purchase.status = status;
+      await purchase.save({ session });
+      return { purchase, stockUpdates: null };
+    });
 
     res.json({
       success: true,
-      message: status === 'recibida' && purchase.status !== 'recibida' 
+      message: receiving
         ? 'Estado de compra actualizado y stock/costos actualizados' 
         : 'Estado de compra actualizado exitosamente',
       data: purchase,
-      ...(status === 'recibida' && purchase.status !== 'recibida' && { stockUpdates })
+      ...(receiving && { stockUpdates })
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      message: 'Error al cambiar el estado de la compra',
-      error: error.message 
-    });
+    handleReceiptError(res, error, 'Error al cambiar el estado de la compra');
   }
 });
 
 // @desc    Eliminar compra (soft delete)
 // @route   DELETE /api/purchases/:id
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, checkPeriodOpen(purchaseDates), async (req, res) => {
   try {
     const PurchaseModel = req.tenantModels?.Purchase || Purchase;
     const purchase = await PurchaseModel.findById(req.params.id);
@@ -827,11 +1136,11 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    // Solo permitir eliminar compras pendientes
-    if (purchase.status !== 'pendiente') {
+    // Solo permitir eliminar compras pendientes o en borrador
+    if (!['borrador', 'pendiente'].includes(purchase.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Solo se pueden eliminar compras pendientes'
+        message: 'Solo se pueden eliminar compras pendientes o en borrador'
       });
     }
 
@@ -917,124 +1226,323 @@ router.get('/supplier/:supplierId', protect, async (req, res) => {
   }
 });
 
-// @desc    Recibir compra y actualizar stock
+// @desc    Recibir una compra total o parcialmente y actualizar stock
 // @route   POST /api/purchases/:id/receive
 // @access  Private
-router.post('/:id/receive', protect, async (req, res) => {
+router.post('/:id/receive', protect, checkPeriodOpen(req => req.body.date), async (req, res) => {
   try {
-    const PurchaseModel = req.tenantModels?.Purchase || Purchase;
-    const purchase = await PurchaseModel.findById(req.params.id);
-    if (!purchase) {
-      return res.status(404).json({
-        success: false,
-        message: 'Compra no encontrada'
+    const { items, date, notes, warehouse } = req.body;
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: 'items debe ser una lista de { itemId, quantity }'
       });
     }
 
-    // Verificar que la compra no esté ya recibida
-    if (purchase.status === 'recibida') {
-      return res.status(400).json({
+    const PurchaseModel = req.tenantModels?.Purchase || Purchase;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
         success: false,
-        message: 'La compra ya está marcada como recibida'
+        message: 'Compra no encontrada'
       });
     }
 
-    // Verificar que la compra no esté cancelada
-    if (purchase.status === 'cancelada') {
-      return res.status(400).json({
+    const costingMethod = await getPurchaseCostingMethod(req);
+    const result = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const purchase = await PurchaseModel.findById(req.params.id).session(session);
+      if (!purchase) {
+        throw new PurchaseReceiptError('Compra no encontrada', 404);
+      }
+
+      // Verificar que la compra no esté ya recibida por completo
+      if (purchase.status === 'recibida') {
+        throw new PurchaseReceiptError('La compra ya está marcada como recibida');
+      }
+
+      const result = await receivePurchaseItems(getReceiptModels(req), purchase, items, {
+        date,
+        notes,
+        warehouse: await getReceiptWarehouse(req, purchase, warehouse),
+        user: req.user._id,
+        tenant: req.tenant?._id,
+        session,
+        costingMethod
+      });
+      await postPurchaseReceiptEntry(req, purchase, result.receipt, { session });
+
+      return { purchase, ...result };
+    });
+
+    res.json({
+      success: true,
+      message: result.purchase.status === 'recibida'
+        ? 'Compra recibida exitosamente, stock y costos actualizados'
+        : 'Recepción parcial registrada, stock y costos actualizados',
+      data: result
+    });
+  } catch (error) {
+    handleReceiptError(res, error, 'Error al recibir la compra');
+  }
+});
+
+// @desc    Obtener las recepciones de una compra y lo pendiente de recibir
+// @route   GET /api/purchases/:id/receipts
+// @access  Private
+router.get('/:id/receipts', protect, async (req, res) => {
+  try {
+    const PurchaseModel = req.tenantModels?.Purchase || Purchase;
+    const purchase = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PurchaseModel.findById(req.params.id)
+        .select('purchaseNumber supplierName status warehouse items receipts')
+        .populate('receipts.items.batch', 'batchNumber expirationDate')
+        .populate('receipts.warehouse', 'name code')
+        .populate('receipts.createdBy', 'name email')
+      : null;
+
+    if (!purchase) {
+      return res.status(404).json({
         success: false,
-        message: 'No se puede recibir una compra cancelada'
+        message: 'Compra no encontrada'
       });
     }
 
-    // Actualizar stock y costo de todos los productos
-    const stockUpdates = [];
-    const ProductModel = req.tenantModels?.Product || Product;
-    for (const item of purchase.items) {
-      try {
-        // Obtener el producto actual para calcular costo promedio
-        const currentProduct = await ProductModel.findById(item.product);
-        if (!currentProduct) {
-          throw new Error(`Producto ${item.product} no encontrado`);
-        }
+    res.json({
+      success: true,
+      data: {
+        purchaseNumber: purchase.purchaseNumber,
+        supplierName: purchase.supplierName,
+        status: purchase.status,
+        receipts: purchase.receipts,
+        backorder: buildBackorder(purchase)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las recepciones de la compra',
+      error: error.message
+    });
+  }
+});
 
-        // Calcular costo promedio si hay stock existente
-        let newCost = item.price || 0; // Usar el campo 'price' del item de compra
-        
-        if (currentProduct.stock > 0 && currentProduct.cost > 0) {
-          // Fórmula: (costo_actual * stock_actual + costo_nuevo * cantidad_nueva) / (stock_actual + cantidad_nueva)
-          const totalCurrentValue = currentProduct.cost * currentProduct.stock;
-          const totalNewValue = newCost * item.quantity;
-          const totalStock = currentProduct.stock + item.quantity;
-          newCost = (totalCurrentValue + totalNewValue) / totalStock;
-        } else {
-        }
+// @desc    Obtener los costos adicionales de una compra y el costo unitario resultante por línea
+// @route   GET /api/purchases/:id/landed-costs
+// @access  Private
+router.get('/:id/landed-costs', protect, async (req, res) => {
+  try {
+    const PurchaseModel = req.tenantModels?.Purchase || Purchase;
+    const purchase = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PurchaseModel.findById(req.params.id)
+        .select('purchaseNumber supplierName status items landedCosts')
+        .populate('landedCosts.accountPayment', 'purchaseNumber total')
+        .populate('landedCosts.createdBy', 'name email')
+      : null;
 
-        // Actualizar stock y costo del producto
-        const updatedProduct = await ProductModel.findByIdAndUpdate(
-          item.product,
-          { 
-            $inc: { stock: item.quantity },
-            $set: { cost: newCost }
-          },
-          { new: true }
-        );
-        
-        stockUpdates.push({
-          productId: item.product,
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada'
+      });
+    }
+
+    const lines = purchase.items
+      .filter(item => item.itemType !== 'account' && item.product)
+      .map(item => {
+        const price = item.price ?? item.unitPrice ?? item.total / item.quantity;
+        return {
+          item: item._id,
+          product: item.product,
           productName: item.productName,
           quantity: item.quantity,
-          oldStock: updatedProduct.stock - item.quantity,
-          newStock: updatedProduct.stock,
-          oldCost: currentProduct.cost,
-          newCost: newCost,
-          costChange: newCost - (currentProduct.cost || 0)
-        });
-        
+          price,
+          landedCost: item.landedCost || 0,
+          landedUnitCost: price + (item.landedCost || 0) / item.quantity
+        };
+      });
 
-        // Si el item tiene un lote asociado, actualizar el stock del lote
-        if (item.batch) {
-          try {
-            const BatchModel = req.tenantModels?.Batch || Batch;
-            const updatedBatch = await BatchModel.findByIdAndUpdate(
-              item.batch,
-              { $inc: { currentStock: item.quantity } },
-              { new: true }
-            );
-          } catch (error) {
-            // No fallar la recepción si falla la actualización del lote
-          }
-        }
+    res.json({
+      success: true,
+      data: {
+        purchaseNumber: purchase.purchaseNumber,
+        landedCosts: purchase.landedCosts,
+        totalLandedCost: purchase.landedCosts.reduce((sum, landedCost) => sum + landedCost.amount, 0),
+        lines
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los costos adicionales de la compra',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Agregar un costo adicional (flete, aduana, manejo...) y prorratearlo entre las líneas
+// @route   POST /api/purchases/:id/landed-costs
+// @access  Private (Manager/Admin)
+router.post('/:id/landed-costs', protect, manager, checkPeriodOpen(req => req.body.date), async (req, res) => {
+  try {
+    const { type, description, amount, allocationMethod = 'valor', accountPaymentId, reference, date } = req.body;
+
+    if (!LANDED_COST_METHODS.includes(allocationMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Método de prorrateo inválido. Debe ser: ${LANDED_COST_METHODS.join(', ')}`
+      });
+    }
+
+    const PurchaseModel = req.tenantModels?.Purchase || Purchase;
+    const purchase = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PurchaseModel.findById(req.params.id)
+      : null;
+    if (!purchase || !purchase.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada'
+      });
+    }
+
+    if (purchase.status === 'cancelada' || purchase.isAccountPayment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se pueden agregar costos adicionales a compras de productos no canceladas'
+      });
+    }
+
+    // El costo puede venir de un pago contable ya registrado (flete, aduana pagados por /account-payment)
+    let accountPayment = null;
+    if (accountPaymentId) {
+      accountPayment = mongoose.Types.ObjectId.isValid(accountPaymentId)
+        ? await PurchaseModel.findOne({ _id: accountPaymentId, isAccountPayment: true, isActive: true })
+        : null;
+      if (!accountPayment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pago contable no encontrado'
+        });
+      }
 
-        // NOTA: Los lotes nuevos ya se crearon cuando se cambió el estado a "recibida"
-        // No es necesario crearlos aquí de nuevo
-      } catch (error) {
-        return res.status(500).json({
+      if (await PurchaseModel.exists({ 'landedCosts.accountPayment': accountPayment._id })) {
+        return res.status(400).json({
           success: false,
-          message: `Error al actualizar stock del producto ${item.productName}`,
-          error: error.message
+          message: `El pago contable ${accountPayment.purchaseNumber} ya está asignado a una compra`
         });
       }
     }
 
-    // Marcar compra como recibida
-    purchase.status = 'recibida';
-    purchase.actualDelivery = new Date();
-    await purchase.save();
+    const costAmount = Math.round(parseFloat(amount ?? accountPayment?.total) * 100) / 100;
+    const costDescription = description?.trim() || accountPayment?.items[0]?.description || accountPayment?.items[0]?.productName;
+    if (!costAmount || costAmount <= 0 || !costDescription) {
+      return res.status(400).json({
+        success: false,
+        message: 'Descripción y un monto mayor a 0 son requeridos'
+      });
+    }
 
-    res.json({
+    // Peso unitario de los productos para prorratear por peso
+    const ProductModel = req.tenantModels?.Product || Product;
+    const productWeights = new Map();
+    if (allocationMethod === 'peso') {
+      const products = await ProductModel.find({ _id: { $in: purchase.items.map(item => item.product).filter(Boolean) } })
+        .select('weight');
+      products.forEach(product => productWeights.set(product._id.toString(), product.weight || 0));
+    }
+
+    const costingMethod = await getPurchaseCostingMethod(req);
+    const result = await databaseManager.withTransaction(req.tenant, async (session) => {
+      // Se relee dentro de la transacción: si el callback se reintenta no se duplica el costo
+      const purchase = await PurchaseModel.findById(req.params.id).session(session);
+      if (accountPayment && await PurchaseModel.exists({ 'landedCosts.accountPayment': accountPayment._id }).session(session)) {
+        throw new LandedCostError(`El pago contable ${accountPayment.purchaseNumber} ya está asignado a una compra`);
+      }
+
+      const allocations = allocateLandedCost(purchase, costAmount, allocationMethod, productWeights);
+      purchase.landedCosts.push({
+        type,
+        description: costDescription,
+        amount: costAmount,
+        allocationMethod,
+        accountPayment: accountPayment?._id,
+        reference: reference || accountPayment?.reference,
+        date: date ? new Date(date) : new Date(),
+        allocations,
+        createdBy: req.user._id
+      });
+
+      const costUpdates = await applyLandedCost(getReceiptModels(req), purchase, allocations, { session, costingMethod });
+      await purchase.save({ session });
+
+      return {
+        landedCost: purchase.landedCosts[purchase.landedCosts.length - 1],
+        costUpdates
+      };
+    });
+
+    res.status(201).json({
       success: true,
-      message: 'Compra recibida exitosamente, stock y costos actualizados',
-      data: {
-        purchase,
-        stockUpdates
+      message: 'Costo adicional prorrateado y costos actualizados',
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof LandedCostError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al agregar el costo adicional',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Eliminar un costo adicional y revertir su efecto en los costos
+// @route   DELETE /api/purchases/:id/landed-costs/:costId
+// @access  Private (Manager/Admin)
+router.delete('/:id/landed-costs/:costId', protect, manager, checkPeriodOpen(landedCostDates), async (req, res) => {
+  try {
+    const PurchaseModel = req.tenantModels?.Purchase || Purchase;
+    const costingMethod = await getPurchaseCostingMethod(req);
+    const costUpdates = await databaseManager.withTransaction(req.tenant, async (session) => {
+      // Se lee dentro de la transacción: si el callback se reintenta no se revierte dos veces
+      const purchase = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await PurchaseModel.findById(req.params.id).session(session)
+        : null;
+      const landedCost = purchase && mongoose.Types.ObjectId.isValid(req.params.costId)
+        ? purchase.landedCosts.id(req.params.costId)
+        : null;
+      if (!landedCost) {
+        throw new LandedCostError('Costo adicional no encontrado', 404);
       }
+
+      const costUpdates = await applyLandedCost(getReceiptModels(req), purchase, landedCost.allocations, { sign: -1, session, costingMethod });
+      purchase.landedCosts.pull(landedCost._id);
+      await purchase.save({ session });
+      return costUpdates;
+    });
+
+    res.json({
+      success: true,
+      message: 'Costo adicional eliminado y costos actualizados',
+      data: { costUpdates }
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      message: 'Error al recibir la compra',
-      error: error.message 
+    if (error instanceof LandedCostError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar el costo adicional',
+      error: error.message
     });
   }
 });
@@ -1042,7 +1550,7 @@ router.post('/:id/receive', protect, async (req, res) => {
 // @desc    Agregar pago parcial a una compra
 // @route   POST /api/purchases/:id/payments
 // @access  Private
-router.post('/:id/payments', protect, async (req, res) => {
+router.post('/:id/payments', protect, checkPeriodOpen(), async (req, res) => {
   try {
     
     // Validar que el ID sea un ObjectId válido
@@ -1070,7 +1578,15 @@ router.post('/:id/payments', protect, async (req, res) => {
     }
     
     const PurchaseModel = req.tenantModels?.Purchase || Purchase;
-    const purchase = await PurchaseModel.findById(req.params.id);
+    
+    // Pago, movimiento bancario y asiento se registran juntos
+    const purchase = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const purchase = await PurchaseModel.findById(req.params.id).session(session);
+      if (!purchase) return null;
+      
+      await addPurchasePayment(req, purchase, { amount, paymentMethod, bankAccount, notes }, { session });
+      return purchase;
+    });
 
     if (!purchase) {
       return res.status(404).json({
@@ -1079,74 +1595,6 @@ router.post('/:id/payments', protect, async (req, res) => {
       });
     }
     
-    // Verificar que el pago no exceda el monto restante
-    const currentPaidAmount = purchase.paidAmount || 0;
-    const remainingAmount = purchase.total - currentPaidAmount;
-    
-    if (amount > remainingAmount) {
-      return res.status(400).json({
-        success: false,
-        message: `El monto del pago (${amount}) excede el monto restante (${remainingAmount})`
-      });
-    }
-    
-    // Crear el pago parcial
-    const payment = {
-      amount,
-      paymentMethod,
-      bankAccount: bankAccount || null,
-      notes: notes || '',
-      createdBy: req.user.id
-    };
-    
-    purchase.partialPayments.push(payment);
-    
-    // Si es el primer pago, establecer el método de pago principal
-    if (purchase.partialPayments.length === 1) {
-      purchase.paymentMethod = paymentMethod;
-      purchase.bankAccount = bankAccount || null;
-    }
-    
-    await purchase.save();
-    
-    // Crear transacción bancaria si se especificó una cuenta bancaria
-    
-    if (bankAccount && paymentMethod !== 'Efectivo') {
-      try {
-        const BankTransactionModel = req.tenantModels?.BankTransaction || (await import('../models/BankTransaction.js')).default;
-        const BankModel = req.tenantModels?.Bank || (await import('../models/Bank.js')).default;
-        
-        const bank = await BankModel.findById(bankAccount);
-        if (bank) {
-          
-          const previousBalance = bank.currentBalance;
-          const newBalance = previousBalance - amount; // Para compras, restamos del saldo
-          
-          const bankTransaction = await BankTransactionModel.create({
-            bank: bankAccount,
-            type: 'withdrawal',
-            amount,
-            previousBalance,
-            newBalance,
-            description: `Pago parcial compra ${purchase.purchaseNumber}`,
-            reference: purchase._id.toString(),
-            referenceType: 'purchase',
-            createdBy: req.user.id,
-            tenant: req.tenant?._id
-          });
-          
-          
-          // Actualizar saldo de la cuenta bancaria
-          bank.currentBalance = newBalance;
-          await bank.save();
-        } else {
-        }
-      } catch (bankError) {
-        // No fallar la operación por error en transacción bancaria
-      }
-    } else {
-    }
-    
     // Poblar la compra actualizada
     const updatedPurchase = await PurchaseModel.findById(req.params.id)
       .populate('supplier', 'name email phone')
@@ -1162,6 +1610,12 @@ router.post('/:id/payments', protect, async (req, res) => {
       data: updatedPurchase
     });
   } catch (error) {
+    if (error instanceof PurchasePaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -1211,7 +1665,7 @@ router.get('/:id/payments', protect, async (req, res) => {
 // @desc    Registrar pago con imputación contable
 // @route   POST /api/purchases/account-payment
 // @access  Private
-router.post('/account-payment', protect, identifyTenant, async (req, res) => {
+router.post('/account-payment', protect, identifyTenant, checkPeriodOpen(req => req.body.paymentDate), async (req, res) => {
   try {
     const { 
       amount, 
@@ -1292,52 +1746,6 @@ router.post('/account-payment', protect, identifyTenant, async (req, res) => {
     }
 
 
-    // Crear transacción bancaria (siempre requerida)
-    {
-      try {
-        const BankTransactionModel = req.tenantModels?.BankTransaction || (await import('../models/BankTransaction.js')).default;
-        const BankModel = req.tenantModels?.Bank || (await import('../models/Bank.js')).default;
-        
-        const bank = await BankModel.findById(bankAccount);
-        if (bank) {
-          const previousBalance = bank.currentBalance;
-          const newBalance = previousBalance - amount; // Para gastos, restamos del saldo
-          
-          // Verificar que hay saldo suficiente
-          if (amount > previousBalance) {
-            return res.status(400).json({
-              success: false,
-              message: 'El monto excede el saldo disponible en la cuenta bancaria'
-            });
-          }
-          
-          const bankTransaction = await BankTransactionModel.create({
-            bank: bankAccount,
-            type: 'withdrawal',
-            amount,
-            previousBalance,
-            newBalance,
-            description: `Pago ${category} (${paymentMethod}): ${description}`,
-            reference: reference || null,
-            referenceType: 'account_payment',
-            createdBy: req.user.id,
-            tenant: req.tenant?._id
-          });
-          
-          
-          // Actualizar saldo de la cuenta bancaria
-          bank.currentBalance = newBalance;
-          await bank.save();
-        }
-      } catch (bankError) {
-        return res.status(500).json({
-          success: false,
-          message: 'Error al procesar la transacción bancaria',
-          error: bankError.message
-        });
-      }
-    }
-
     // Crear registro de pago con cuenta contable
     const accountPayment = {
       amount,
@@ -1356,74 +1764,119 @@ router.post('/account-payment', protect, identifyTenant, async (req, res) => {
       type: 'account_payment'
     };
 
-    // Guardar como una transacción bancaria especial
     const BankTransactionModel = req.tenantModels?.BankTransaction || (await import('../models/BankTransaction.js')).default;
-    
-    const accountTransaction = await BankTransactionModel.create({
-      bank: bankAccount || null,
-      type: 'account_payment',
-      amount,
-      previousBalance: bankAccount ? (await BankModel.findById(bankAccount)).currentBalance : 0,
-      newBalance: bankAccount ? (await BankModel.findById(bankAccount)).currentBalance : 0,
-      description: `Pago ${category}: ${description}`,
-      reference: reference || null,
-      referenceType: 'account_payment',
-      createdBy: req.user.id,
-      tenant: req.tenant?._id,
-      accountId,
-      accountCode: account.code,
-      accountName: account.name,
-      accountType: account.type,
-      category,
-      paymentDate: new Date(paymentDate)
-    });
-
-    // Crear también un registro de compra para mostrar en la tabla
     const PurchaseModel = req.tenantModels?.Purchase || (await import('../models/Purchase.js')).default;
-    
-    // Generar número de compra único para pagos contables
-    const purchaseCount = await PurchaseModel.countDocuments({ 
-      purchaseNumber: { $regex: /^PC-/ }
-    });
-    const purchaseNumber = `PC-${String(purchaseCount + 1).padStart(4, '0')}`;
-    
-    
-    const purchaseData = {
-      purchaseNumber,
-      supplier: supplierId || null, // Proveedor opcional
-      supplierName: supplierName || 'Pago Contable',
-      category: category,
-      orderDate: new Date(paymentDate),
-      expectedDelivery: new Date(paymentDate),
-      status: 'recibida', // Los pagos contables se consideran recibidos inmediatamente
-      paymentStatus: 'pagado', // Ya están pagados
-      total: amount,
-      paidAmount: amount,
-      remainingAmount: 0,
-      items: [{
-        product: null,
-        productName: `Pago ${category}`,
-        quantity: 1,
-        unitPrice: amount,
+
+    // Movimiento, compra y asiento se registran juntos
+    const accountTransaction = await databaseManager.withTransaction(req.tenant, async (session) => {
+      // Crear transacción bancaria (siempre requerida)
+      const bank = await BankModel.findById(bankAccount).session(session);
+      const previousBalance = bank.currentBalance;
+      const newBalance = previousBalance - amount; // Para gastos, restamos del saldo
+
+      // Verificar que hay saldo suficiente
+      if (amount > previousBalance) {
+        throw new PurchasePaymentError('El monto excede el saldo disponible en la cuenta bancaria');
+      }
+
+      await BankTransactionModel.create([{
+        bank: bankAccount,
+        type: 'withdrawal',
+        amount,
+        previousBalance,
+        newBalance,
+        description: `Pago ${category} (${paymentMethod}): ${description}`,
+        reference: reference || null,
+        referenceType: 'account_payment',
+        createdBy: req.user.id,
+        tenant: req.tenant?._id
+      }], { session });
+
+      // Actualizar saldo de la cuenta bancaria
+      bank.currentBalance = newBalance;
+      await bank.save({ session });
+
+      // Guardar como una transacción bancaria especial
+      const [accountTransaction] = await BankTransactionModel.create([{
+        bank: bankAccount || null,
+        type: 'account_payment',
+        amount,
+        previousBalance: newBalance,
+        newBalance,
+        description: `Pago ${category}: ${description}`,
+        reference: reference || null,
+        referenceType: 'account_payment',
+        createdBy: req.user.id,
+        tenant: req.tenant?._id,
+        accountId,
+        accountCode: account.code,
+        accountName: account.name,
+        accountType: account.type,
+        category,
+        paymentDate: new Date(paymentDate)
+      }], { session });
+
+      // Generar número de compra para pagos contables con su propia serie
+      const purchaseNumber = await getNextNumber(req.tenantModels?.Sequence || Sequence, 'purchase', {
+        series: 'PC',
+        session,
+        tenantId: req.tenant?._id
+      });
+
+      // Crear también un registro de compra para mostrar en la tabla
+      const purchase = new PurchaseModel({
+        purchaseNumber,
+        supplier: supplierId || null, // Proveedor opcional
+        supplierName: supplierName || 'Pago Contable',
+        category: category,
+        orderDate: new Date(paymentDate),
+        expectedDelivery: new Date(paymentDate),
+        status: 'recibida', // Los pagos contables se consideran recibidos inmediatamente
+        paymentStatus: 'pagado', // Ya están pagados
         total: amount,
-        description: description.trim()
-      }],
-      notes: `Pago contable - Cuenta: ${account.code} - ${account.name}`,
-      createdBy: req.user.id,
-      tenant: req.tenant?._id,
-      isActive: true, // Asegurar que esté activo
-      isAccountPayment: true, // Marcar como pago contable
-      accountPaymentId: accountTransaction._id,
-      accountId,
-      accountCode: account.code,
-      accountName: account.name,
-      accountType: account.type,
-      paymentMethod,
-      bankAccount: bankAccount || null,
-      reference: reference?.trim() || null
-    };
+        paidAmount: amount,
+        remainingAmount: 0,
+        items: [{
+          product: null,
+          productName: `Pago ${category}`,
+          quantity: 1,
+          unitPrice: amount,
+          total: amount,
+          description: description.trim()
+        }],
+        notes: `Pago contable - Cuenta: ${account.code} - ${account.name}`,
+        createdBy: req.user.id,
+        tenant: req.tenant?._id,
+        isActive: true, // Asegurar que esté activo
+        isAccountPayment: true, // Marcar como pago contable
+        accountPaymentId: accountTransaction._id,
+        accountId,
+        accountCode: account.code,
+        accountName: account.name,
+        accountType: account.type,
+        paymentMethod,
+        bankAccount: bankAccount || null,
+        reference: reference?.trim() || null
+      });
 
-    const purchase = await PurchaseModel.create(purchaseData);
+      // Contabilizar el gasto contra la cuenta de tesorería (si faltan cuentas queda marcado en la compra)
+      await postSourceEntry(getJournalModels(req.tenantModels), purchase, {
+        date: new Date(paymentDate),
+        description: `Pago ${category}: ${description.trim()}`,
+        sourceType: 'account_payment',
+        sourceId: accountTransaction._id,
+        sourceNumber: purchaseNumber,
+        lines: [
+          { accountId, debit: amount },
+          { module: 'bancos', key: treasuryAccountKey(bank, paymentMethod), credit: amount }
+        ],
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+      await purchase.save({ session });
+
+      return accountTransaction;
+    });
 
     res.status(201).json({
       success: true,
@@ -1443,6 +1896,13 @@ router.post('/account-payment', protect, identifyTenant, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof PurchasePaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error al registrar pago con cuenta contable',
@@ -1454,42 +1914,37 @@ router.post('/account-payment', protect, identifyTenant, async (req, res) => {
 // @desc    Eliminar pago parcial de una compra
 // @route   DELETE /api/purchases/:id/payments/:paymentId
 // @access  Private
-router.delete('/:id/payments/:paymentId', protect, async (req, res) => {
+router.delete('/:id/payments/:paymentId', protect, checkPeriodOpen(purchaseDates), async (req, res) => {
   try {
     const PurchaseModel = req.tenantModels?.Purchase || Purchase;
-    const purchase = await PurchaseModel.findById(req.params.id);
-    if (!purchase) {
-      return res.status(404).json({
-        success: false,
-        message: 'Compra no encontrada'
-      });
-    }
-    
-    const paymentIndex = purchase.partialPayments.findIndex(
-      payment => payment._id.toString() === req.params.paymentId
-    );
-    
-    if (paymentIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Pago no encontrado'
-      });
-    }
-    
-    const payment = purchase.partialPayments[paymentIndex];
-    
-    // Crear transacción bancaria de reversión si era un pago bancario
-    if (payment.bankAccount && payment.paymentMethod !== 'Efectivo') {
-      try {
-        const BankTransactionModel = req.tenantModels?.BankTransaction || (await import('../models/BankTransaction.js')).default;
-        const BankModel = req.tenantModels?.Bank || (await import('../models/Bank.js')).default;
-        
-        const bank = await BankModel.findById(payment.bankAccount);
+    const BankTransactionModel = req.tenantModels?.BankTransaction || (await import('../models/BankTransaction.js')).default;
+    const BankModel = req.tenantModels?.Bank || (await import('../models/Bank.js')).default;
+
+    // Reversión bancaria, anulación del asiento y baja del pago se registran juntas
+    await databaseManager.withTransaction(req.tenant, async (session) => {
+      const purchase = await PurchaseModel.findById(req.params.id).session(session);
+      if (!purchase) {
+        throw new PurchasePaymentError('Compra no encontrada', 404);
+      }
+      
+      const paymentIndex = purchase.partialPayments.findIndex(
+        payment => payment._id.toString() === req.params.paymentId
+      );
+      
+      if (paymentIndex === -1) {
+        throw new PurchasePaymentError('Pago no encontrado', 404);
+      }
+      
+      const payment = purchase.partialPayments[paymentIndex];
+      
+      // Crear transacción bancaria de reversión si era un pago bancario
+      if (payment.bankAccount && payment.paymentMethod !== 'Efectivo') {
+        const bank = await BankModel.findById(payment.bankAccount).session(session);
         if (bank) {
           const previousBalance = bank.currentBalance;
           const newBalance = previousBalance + payment.amount; // Revertir el pago
           
-          await BankTransactionModel.create({
+          await BankTransactionModel.create([{
             bank: payment.bankAccount,
             type: 'deposit',
             amount: payment.amount,
@@ -1500,20 +1955,25 @@ router.delete('/:id/payments/:paymentId', protect, async (req, res) => {
             referenceType: 'purchase',
             createdBy: req.user.id,
             tenant: req.tenant?._id
-          });
+          }], { session });
           
           // Actualizar saldo de la cuenta bancaria
           bank.currentBalance = newBalance;
-          await bank.save();
+          await bank.save({ session });
         }
-      } catch (bankError) {
-        // No fallar la operación por error en transacción bancaria
       }
-    }
-    
-    // Eliminar el pago
-    purchase.partialPayments.splice(paymentIndex, 1);
-    await purchase.save();
+      
+      // Anular el asiento del pago
+      await reverseJournalEntries(getJournalModels(req.tenantModels), { sourceType: 'purchase_payment', sourceId: payment._id }, {
+        description: `Reversión de pago de compra ${purchase.purchaseNumber}`,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+      
+      // Eliminar el pago
+      purchase.partialPayments.splice(paymentIndex, 1);
+      await purchase.save({ session });
+    });
     
     // Poblar la compra actualizada
     const updatedPurchase = await PurchaseModel.findById(req.params.id)
@@ -1530,6 +1990,13 @@ router.delete('/:id/payments/:paymentId', protect, async (req, res) => {
       data: updatedPurchase
     });
   } catch (error) {
+    if (error instanceof PurchasePaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error al eliminar pago parcial',
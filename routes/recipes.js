@@ -2,90 +2,102 @@ import express from 'express';
 import Recipe from '../models/Recipe.js';
 import Product from '../models/Product.js';
 import Batch from '../models/Batch.js';
+import StockMovement from '../models/StockMovement.js';
+import { incrementProductStock } from '../services/stockMovementService.js';
+import {
+  getCostingModels,
+  getCostingMethod,
+  restoreCostLayers,
+  reverseSourceCostLayers
+} from '../services/costingService.js';
+import { getWarehouseModels, resolveWarehouse, WarehouseError } from '../services/warehouseService.js';
+import { BomError, getBomModels, validateRecipeStructure, rollupRecipeCost, findWhereUsed } from '../services/bomService.js';
+import {
+  RecipeVersionError,
+  getRecipeVersionModels,
+  snapshotRecipe,
+  formulaChanged,
+  createRecipeVersion,
+  ensureInitialVersion,
+  resolveRecipeVersion,
+  findVersion,
+  diffRecipeVersions
+} from '../services/recipeVersionService.js';
+import databaseManager from '../services/DatabaseManager.js';
 import { protect, manager } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
 
 const router = express.Router();
 
-// Función auxiliar para consumir ingredientes de una receta
-const consumeIngredients = async (recipe, ProductModel) => {
-  const consumedIngredients = []
-  const errors = []
-  
-  for (const ingredient of recipe.ingredients) {
-    // Solo procesar ingredientes que tengan un producto asignado
-    if (ingredient.product) {
-      try {
-        const product = await ProductModel.findById(ingredient.product)
-        if (!product) {
-          errors.push(`Producto ${ingredient.name || ingredient.product} no encontrado`)
-          continue
-        }
-        
-                 const quantityToConsume = ingredient.quantity
-        
-        if (product.stock < quantityToConsume) {
-          errors.push(`Stock insuficiente para ${product.name}. Disponible: ${product.stock}, Necesario: ${quantityToConsume}`)
-          continue
-        }
-        
-        // Disminuir el stock
-        product.stock -= quantityToConsume
-        await product.save()
-        
-        consumedIngredients.push({
-          productId: product._id,
-          productName: product.name,
-          quantityConsumed: quantityToConsume,
-          oldStock: product.stock + quantityToConsume,
-          newStock: product.stock
-        })
-        
-      } catch (error) {
-        errors.push(`Error al procesar ingrediente ${ingredient.name || ingredient.product}: ${error.message}`)
-      }
-    }
+// Error al revertir una producción por receta: aborta la transacción y se responde con su código HTTP
+class RecipeRevertError extends Error {
+  constructor(message, status = 400, errors) {
+    super(message)
+    this.name = 'RecipeRevertError'
+    this.status = status
+    this.errors = errors
   }
-  
-  return { consumedIngredients, errors }
 }
 
-// Función auxiliar para restaurar ingredientes de una receta
-const restoreIngredients = async (recipe, ProductModel) => {
+// Función auxiliar para restaurar ingredientes de una receta, dentro de la transacción de la reversión
+// Lo consumido de lotes (recipe.ingredientBatches) vuelve a esos mismos lotes.
+// Las producciones por receta descontaban la cantidad de la receta sin convertir unidades: se repone tal cual
+const restoreIngredients = async (recipe, models, movementInfo, costing, session) => {
   const restoredIngredients = []
   const errors = []
   
   for (const ingredient of recipe.ingredients) {
     // Solo procesar ingredientes que tengan un producto asignado
     if (ingredient.product) {
-      try {
-        const product = await ProductModel.findById(ingredient.product)
-        if (!product) {
-          errors.push(`Producto ${ingredient.name || ingredient.product} no encontrado`)
-          continue
-        }
-        
-                 const quantityToRestore = ingredient.quantity
-        
-        // Aumentar el stock
-        product.stock += quantityToRestore
-        await product.save()
-        
-        restoredIngredients.push({
-          productId: product._id,
-          productName: product.name,
-          quantityRestored: quantityToRestore,
-          oldStock: product.stock - quantityToRestore,
-          newStock: product.stock
-        })
-        
-      } catch (error) {
-        errors.push(`Error al restaurar ingrediente ${ingredient.name || ingredient.product}: ${error.message}`)
+      const quantityToRestore = ingredient.quantity
+      
+      const batchesUsed = (recipe.ingredientBatches || [])
+        .filter(used => used.product?.toString() === ingredient.product.toString())
+      for (const used of batchesUsed) {
+        await costing.models.Batch.incrementStock(used.batch, used.quantity, { session })
+      }
+      const unbatchedQuantity = quantityToRestore - batchesUsed.reduce((sum, used) => sum + used.quantity, 0)
+      
+      // Aumentar el stock (y el de la ubicación de producción)
+      const product = await incrementProductStock(models, ingredient.product, quantityToRestore, {
+        ...movementInfo,
+        reason: `Restauración de ingrediente de receta ${recipe.name}`
+      }, { session })
+      if (!product) {
+        errors.push(`Producto ${ingredient.name || ingredient.product} no encontrado`)
+        continue
       }
+      
+      // Lo devuelto a cada lote vuelve a su capa de lote; el resto al costo actual del producto
+      await restoreCostLayers(costing.models, {
+        product: product._id,
+        productName: product.name,
+        layers: [
+          ...batchesUsed.map(used => ({ batch: used.batch, quantity: used.quantity, unitCost: null })),
+          ...(unbatchedQuantity > 0 ? [{ quantity: unbatchedQuantity, unitCost: null }] : [])
+        ],
+        sourceType: 'recipe',
+        sourceId: recipe._id,
+        sourceNumber: movementInfo.referenceNumber,
+        createdBy: movementInfo.createdBy,
+        tenant: movementInfo.tenant
+      }, { session, method: costing.method })
+      
+      restoredIngredients.push({
+        productId: product._id,
+        productName: product.name,
+        quantityRestored: quantityToRestore,
+        oldStock: product.stock - quantityToRestore,
+        newStock: product.stock
+      })
     }
   }
   
-  return { restoredIngredients, errors }
+  if (errors.length > 0) {
+    throw new RecipeRevertError('Error al restaurar ingredientes', 500, errors)
+  }
+  
+  return restoredIngredients
 }
 
 // @desc    Obtener todas las recetas
@@ -137,6 +149,30 @@ router.get('/', protect, identifyTenant, async (req, res) => {
   }
 });
 
+// @desc    Recetas que dependen de un producto (directamente o a través de subrecetas)
+// @route   GET /api/recipes/where-used/:productId
+// @access  Private
+router.get('/where-used/:productId', protect, identifyTenant, async (req, res) => {
+  try {
+    const models = getBomModels(req.tenantModels);
+    const product = await models.Product.findById(req.params.productId).select('name sku');
+    if (!product) {
+      return res.status(404).json({ message: 'Producto no encontrado' });
+    }
+    
+    const usages = await findWhereUsed(models, product._id);
+    
+    res.json({
+      product,
+      direct: usages.filter(usage => usage.level === 1),
+      indirect: usages.filter(usage => usage.level > 1),
+      total: usages.length
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
 // @desc    Obtener receta por ID
 // @route   GET /api/recipes/:id
 // @access  Private
@@ -147,6 +183,7 @@ router.get('/:id', protect, identifyTenant, async (req, res) => {
     
     const recipe = await RecipeModel.findById(req.params.id)
       .populate('ingredients.product', 'name sku price cost stock', ProductModel)
+      .populate('ingredients.subRecipe', 'name batchInfo', RecipeModel)
       .populate('productToProduce', 'name sku', ProductModel)
       .populate('createdBy', 'name');
     
@@ -170,32 +207,155 @@ router.post('/', protect, identifyTenant, manager, async (req, res) => {
       createdBy: req.user._id
     };
     
-    const RecipeModel = req.tenantModels?.Recipe || Recipe;
-    const recipe = await RecipeModel.create(recipeData);
+    const models = getRecipeVersionModels(req.tenantModels);
+    await validateRecipeStructure(getBomModels(req.tenantModels), null, recipeData.ingredients);
+    
+    // La receta nace con su versión 1
+    const recipe = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const [recipe] = await models.Recipe.create([recipeData], { session });
+      await createRecipeVersion(models, recipe, {
+        changeNote: req.body.changeNote || 'Versión inicial',
+        effectiveDate: req.body.effectiveDate
+      }, { user: req.user._id, tenant: req.tenant?._id, session });
+      recipe.currentVersion = 1;
+      return recipe;
+    });
     res.status(201).json(recipe);
   } catch (error) {
+    if (error instanceof BomError || error instanceof RecipeVersionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error en el servidor' });
   }
 });
 
-// @desc    Actualizar receta
+// @desc    Actualizar receta; si cambia la fórmula se crea una nueva versión ({ changeNote, effectiveDate })
 // @route   PUT /api/recipes/:id
 // @access  Private (Manager/Admin)
 router.put('/:id', protect, identifyTenant, manager, async (req, res) => {
   try {
-    const RecipeModel = req.tenantModels?.Recipe || Recipe;
-    const recipe = await RecipeModel.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const models = getRecipeVersionModels(req.tenantModels);
+    if (req.body.ingredients) {
+      await validateRecipeStructure(getBomModels(req.tenantModels), req.params.id, req.body.ingredients);
+    }
+    // El historial de versiones no se edita desde aquí
+    const { changeNote, effectiveDate, currentVersion, ...changes } = req.body;
     
-    if (recipe) {
-      res.json(recipe);
+    const result = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const before = await models.Recipe.findById(req.params.id).session(session);
+      if (!before) return null;
+      
+      const recipe = await models.Recipe.findByIdAndUpdate(
+        req.params.id,
+        changes,
+        { new: true, runValidators: true, session }
+      );
+      if (!formulaChanged(snapshotRecipe(before), snapshotRecipe(recipe))) {
+        return { recipe };
+      }
+      
+      // Las recetas anteriores al versionado guardan primero su fórmula original
+      const options = { user: req.user._id, tenant: req.tenant?._id, session };
+      await ensureInitialVersion(models, before, options);
+      const version = await createRecipeVersion(models, recipe, { changeNote, effectiveDate }, options);
+      recipe.currentVersion = version.version;
+      return { recipe, version };
+    });
+    
+    if (result) {
+      res.json(result.version
+        ? { ...result.recipe.toObject(), message: `Versión ${result.version.version} de la receta creada` }
+        : result.recipe);
     } else {
       res.status(404).json({ message: 'Receta no encontrada' });
     }
   } catch (error) {
+    if (error instanceof BomError || error instanceof RecipeVersionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Historial de versiones de la receta
+// @route   GET /api/recipes/:id/versions
+// @access  Private
+router.get('/:id/versions', protect, identifyTenant, async (req, res) => {
+  try {
+    const models = getRecipeVersionModels(req.tenantModels);
+    const recipe = await models.Recipe.findById(req.params.id).select('name currentVersion');
+    if (!recipe) {
+      return res.status(404).json({ message: 'Receta no encontrada' });
+    }
+    
+    const versions = await models.RecipeVersion.find({ recipe: recipe._id })
+      .select('version effectiveDate changeNote cost.totalCost cost.unitCost createdBy createdAt')
+      .populate('createdBy', 'name')
+      .sort({ version: -1 });
+    const effective = versions.find(version => version.effectiveDate <= new Date());
+    
+    res.json({
+      recipe: recipe._id,
+      recipeName: recipe.name,
+      currentVersion: recipe.currentVersion,
+      // La vigente hoy puede no ser la última si hay una versión con vigencia futura
+      effectiveVersion: effective?.version || null,
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Comparar los ingredientes y costos de dos versiones (?from=&to=; por defecto la última con la anterior)
+// @route   GET /api/recipes/:id/versions/diff
+// @access  Private
+router.get('/:id/versions/diff', protect, identifyTenant, async (req, res) => {
+  try {
+    const models = getRecipeVersionModels(req.tenantModels);
+    const recipe = await models.Recipe.findById(req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ message: 'Receta no encontrada' });
+    }
+    
+    if (!req.query.to && !recipe.currentVersion) {
+      return res.status(404).json({ message: 'La receta aún no tiene versiones' });
+    }
+    const toNumber = req.query.to || recipe.currentVersion;
+    const fromNumber = req.query.from || toNumber - 1;
+    const [from, to] = await Promise.all([
+      findVersion(models, recipe._id, fromNumber),
+      findVersion(models, recipe._id, toNumber)
+    ]);
+    
+    res.json(await diffRecipeVersions(models, recipe, from, to));
+  } catch (error) {
+    if (error instanceof RecipeVersionError || error instanceof BomError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
+// @desc    Obtener una versión de la receta
+// @route   GET /api/recipes/:id/versions/:version
+// @access  Private
+router.get('/:id/versions/:version', protect, identifyTenant, async (req, res) => {
+  try {
+    const models = getRecipeVersionModels(req.tenantModels);
+    const version = await findVersion(models, req.params.id, req.params.version);
+    await version.populate([
+      { path: 'ingredients.product', select: 'name sku unit', model: models.Product },
+      { path: 'ingredients.subRecipe', select: 'name', model: models.Recipe },
+      { path: 'productToProduce', select: 'name sku', model: models.Product },
+      { path: 'createdBy', select: 'name' }
+    ]);
+    
+    res.json(version);
+  } catch (error) {
+    if (error instanceof RecipeVersionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error en el servidor' });
   }
 });
@@ -222,40 +382,48 @@ router.delete('/:id', protect, identifyTenant, manager, async (req, res) => {
   }
 });
 
-// @desc    Calcular costo de receta
+// @desc    Calcular costo de receta con sus subrecetas, mano de obra y gastos indirectos
+//          (?date= con la versión vigente en esa fecha, a los costos actuales)
 // @route   GET /api/recipes/:id/cost
 // @access  Private
 router.get('/:id/cost', protect, identifyTenant, async (req, res) => {
   try {
-    const RecipeModel = req.tenantModels?.Recipe || Recipe;
-    const ProductModel = req.tenantModels?.Product || Product;
+    const models = getRecipeVersionModels(req.tenantModels);
     
-    const recipe = await RecipeModel.findById(req.params.id)
-      .populate('ingredients.product', 'cost', ProductModel);
+    const found = await models.Recipe.findById(req.params.id);
     
-    if (!recipe) {
+    if (!found) {
       return res.status(404).json({ message: 'Receta no encontrada' });
     }
     
-    let totalCost = 0;
-    recipe.ingredients.forEach(ingredient => {
-      if (ingredient.product && ingredient.product.cost) {
-        totalCost += ingredient.product.cost * ingredient.quantity;
-      }
-    });
+    const date = req.query.date && new Date(req.query.date);
+    if (date && isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'Fecha inválida' });
+    }
+    const recipe = date ? await resolveRecipeVersion(models, found, date) : found;
+    const rollup = await rollupRecipeCost(models, recipe);
     
     res.json({
       recipeId: recipe._id,
       recipeName: recipe.name,
-      totalCost: totalCost,
-      costPerServing: totalCost / (recipe.batchInfo?.quantity || recipe.servings || 1)
+      version: recipe.version ?? found.currentVersion,
+      totalCost: rollup.totalCost,
+      costPerServing: rollup.unitCost,
+      materialCost: rollup.materialCost,
+      laborCost: rollup.laborCost,
+      overheadCost: rollup.overheadCost,
+      breakdown: rollup
     });
   } catch (error) {
+    if (error instanceof BomError || error instanceof RecipeVersionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error en el servidor' });
   }
 });
 
-// @desc    Cambiar estado de receta
+// @desc    Cambiar estado de receta (la producción se registra con órdenes de producción;
+//          aquí solo se revierten las producciones hechas al completar recetas)
 // @route   PUT /api/recipes/:id/status
 // @access  Private (Manager/Admin)
 router.put('/:id/status', protect, identifyTenant, manager, async (req, res) => {
@@ -269,6 +437,7 @@ router.put('/:id/status', protect, identifyTenant, manager, async (req, res) =>
     const RecipeModel = req.tenantModels?.Recipe || Recipe;
     const ProductModel = req.tenantModels?.Product || Product;
     const BatchModel = req.tenantModels?.Batch || Batch;
+    const StockMovementModel = req.tenantModels?.StockMovement || StockMovement;
     
     const recipe = await RecipeModel.findById(req.params.id)
       .populate('productToProduce', 'name sku stock', ProductModel);
@@ -277,66 +446,104 @@ router.put('/:id/status', protect, identifyTenant, manager, async (req, res) =>
       return res.status(404).json({ message: 'Receta no encontrada' });
     }
     
+    if (status === 'completada' && recipe.status !== 'completada') {
+      return res.status(400).json({
+        message: 'Para producir la receta cree una orden de producción (POST /api/production-orders)'
+      });
+    }
+    
+    // Ubicación de producción: la de la receta, la indicada o la por defecto
+    const { Warehouse: WarehouseModel, WarehouseStock: WarehouseStockModel } = getWarehouseModels(req.tenantModels);
+    const warehouse = await resolveWarehouse(WarehouseModel, recipe.warehouse || req.body.warehouse);
+    
+    const movementInfo = {
+      referenceType: 'recipe',
+      reference: recipe._id,
+      referenceNumber: recipe.batchInfo?.batchNumber,
+      warehouse: warehouse?._id,
+      createdBy: req.user._id,
+      tenant: req.tenant?._id
+    };
+    
+    const costingModels = getCostingModels(req.tenantModels);
+    const costing = {
+      models: costingModels,
+      method: await getCostingMethod(costingModels.Config, req.tenant?._id)
+    };
+    
     const oldStatus = recipe.status;
     const newStatus = status;
     
-    // Si el estado anterior era "completada" y el nuevo no lo es, disminuir el stock y eliminar lotes
+    // Si el estado anterior era "completada" (producción anterior a las órdenes de producción)
+    // y el nuevo no lo es, disminuir el stock y eliminar lotes
     if (oldStatus === 'completada' && newStatus !== 'completada') {
       if (!recipe.productToProduce) {
         return res.status(400).json({ message: 'La receta no tiene un producto asociado para actualizar el stock' });
       }
 
-      const product = await ProductModel.findById(recipe.productToProduce._id);
-      if (!product) {
-        return res.status(404).json({ message: 'Producto no encontrado' });
-      }
-
       const quantityToDecrease = recipe.batchInfo?.quantity || 1;
+      const stockModels = { Product: ProductModel, StockMovement: StockMovementModel, WarehouseStock: WarehouseStockModel };
 
-      // Verificar que hay suficiente stock para disminuir
-      if (product.stock < quantityToDecrease) {
-        return res.status(400).json({ 
-          message: `Stock insuficiente. El producto ${product.name} tiene ${product.stock} unidades, pero se necesitan ${quantityToDecrease} para revertir la receta.` 
-        });
-      }
+      // Retiro de lo producido, devolución de ingredientes y baja de lotes se confirman o se revierten juntos
+      const result = await databaseManager.withTransaction(req.tenant, async (session) => {
+        const recipeToRevert = await RecipeModel.findById(recipe._id).session(session);
+        if (recipeToRevert.status !== 'completada') {
+          throw new RecipeRevertError('La receta ya fue revertida', 409);
+        }
 
-      // Restaurar ingredientes consumidos
-      const { restoredIngredients, errors: restoreErrors } = await restoreIngredients(recipe, ProductModel);
-      
-      if (restoreErrors.length > 0) {
-        return res.status(500).json({ 
-          message: 'Error al restaurar ingredientes',
-          errors: restoreErrors
-        });
-      }
+        // Lo producido debe seguir en stock (y en la ubicación de producción) para poder retirarlo
+        const product = await incrementProductStock(stockModels, recipe.productToProduce._id, -quantityToDecrease, {
+          ...movementInfo,
+          reason: `Reversión de producción de receta ${recipeToRevert.name} (cambio a ${newStatus})`
+        }, { session });
+        if (!product) {
+          const current = await ProductModel.findById(recipe.productToProduce._id).session(session);
+          if (!current) {
+            throw new RecipeRevertError('Producto no encontrado', 404);
+          }
+          throw new RecipeRevertError(warehouse
+            ? `Stock insuficiente de ${current.name} en la ubicación de producción para revertir la receta.`
+            : `Stock insuficiente. El producto ${current.name} tiene ${current.stock} unidades, pero se necesitan ${quantityToDecrease} para revertir la receta.`);
+        }
 
-      // Buscar y eliminar lotes asociados a esta receta
-      const batchesToRemove = await BatchModel.find({
-        recipe: recipe._id,
-        isActive: true
-      });
+        // Restaurar ingredientes consumidos
+        const restoredIngredients = await restoreIngredients(recipeToRevert, stockModels, movementInfo, costing, session);
 
-      let batchesRemoved = [];
-      for (const batch of batchesToRemove) {
-        batch.isActive = false;
-        await batch.save();
-        batchesRemoved.push({
-          batchNumber: batch.batchNumber,
-          quantity: batch.currentStock
-        });
-      }
+        // Buscar y eliminar lotes asociados a esta receta
+        const batchesToRemove = await BatchModel.find({
+          recipe: recipe._id,
+          isActive: true
+        }).session(session);
 
-      // Disminuir stock del producto producido
-      product.stock -= quantityToDecrease;
-      await product.save();
+        const batchesRemoved = [];
+        for (const batch of batchesToRemove) {
+          batch.isActive = false;
+          await batch.save({ session });
+          // Retirar la capa de costo de lo producido en el lote
+          await reverseSourceCostLayers(costingModels, {
+            sourceId: batch._id,
+            referenceType: 'recipe',
+            reference: recipe._id,
+            referenceNumber: batch.batchNumber
+          }, { session, method: costing.method });
+          batchesRemoved.push({
+            batchNumber: batch.batchNumber,
+            quantity: batch.currentStock
+          });
+        }
 
-      // Actualizar estado de la receta
-      recipe.status = newStatus;
-      await recipe.save();
+        // Actualizar estado de la receta; sus ingredientes ya volvieron a los lotes
+        recipeToRevert.status = newStatus;
+        recipeToRevert.ingredientBatches = [];
+        await recipeToRevert.save({ session });
 
+        return { recipe: recipeToRevert, product, restoredIngredients, batchesRemoved };
+      });
+
+      const { product } = result;
       return res.json({
         message: `Receta cambiada a ${newStatus}. Stock del producto ${product.name} disminuido en ${quantityToDecrease} unidad(es). Lotes eliminados e ingredientes restaurados exitosamente.`,
-        recipe: recipe,
+        recipe: result.recipe,
         stockChange: {
           productId: product._id,
           productName: product.name,
@@ -344,113 +551,8 @@ router.put('/:id/status', protect, identifyTenant, manager, async (req, res) =>
           newStock: product.stock,
           change: -quantityToDecrease
         },
-        ingredientsRestored: restoredIngredients,
-        batchesRemoved: batchesRemoved
-      });
-    }
-    
-    // Si el nuevo estado es "completada", crear lote y aumentar el stock
-    if (newStatus === 'completada') {
-      if (!recipe.productToProduce) {
-        return res.status(400).json({ message: 'La receta no tiene un producto asociado para actualizar el stock' });
-      }
-
-      // Verificar que la receta tenga información de lote
-      if (!recipe.batchInfo || !recipe.batchInfo.expirationDate || !recipe.batchInfo.quantity || !recipe.batchInfo.unit) {
-        return res.status(400).json({ 
-          message: 'La receta debe tener información completa de lote (fecha de vencimiento, cantidad y unidad) para ser completada' 
-        });
-      }
-
-      // Primero verificar que haya stock suficiente para todos los ingredientes
-      const { consumedIngredients, errors: ingredientErrors } = await consumeIngredients(recipe, ProductModel);
-      
-      if (ingredientErrors.length > 0) {
-        return res.status(400).json({ 
-          message: 'No hay stock suficiente para completar la receta',
-          errors: ingredientErrors
-        });
-      }
-
-      // Obtener el producto a producir
-      const product = await ProductModel.findById(recipe.productToProduce._id);
-      if (!product) {
-        return res.status(404).json({ message: 'Producto no encontrado' });
-      }
-
-      // Crear el lote
-      const batchData = {
-        batchNumber: recipe.batchInfo.batchNumber, // Usar el número de lote del frontend
-        product: product._id,
-        productName: product.name,
-        quantity: recipe.batchInfo.quantity,
-        unit: recipe.batchInfo.unit,
-        productionDate: recipe.batchInfo.productionDate || new Date(),
-        expirationDate: recipe.batchInfo.expirationDate,
-        initialStock: recipe.batchInfo.quantity,
-        currentStock: recipe.batchInfo.quantity,
-        cost: recipe.cost || 0,
-        recipe: recipe._id,
-        recipeName: recipe.name,
-        notes: `Lote creado automáticamente al completar receta: ${recipe.name}`,
-        createdBy: req.user._id
-      };
-
-      const batch = await BatchModel.create(batchData);
-
-      // Calcular costo promedio del producto
-      let newCost = recipe.cost || 0;
-      
-      if (product.stock > 0 && product.cost && product.cost > 0) {
-        // Calcular promedio ponderado del costo
-        const totalCurrentValue = product.cost * product.stock;
-        const totalNewValue = newCost * recipe.batchInfo.quantity;
-        const totalStock = product.stock + recipe.batchInfo.quantity;
-        newCost = (totalCurrentValue + totalNewValue) / totalStock;
-        
-      } else {
-      }
-
-      // Aumentar stock del producto producido y actualizar costo
-      product.stock += recipe.batchInfo.quantity;
-      product.cost = newCost;
-      await product.save();
-
-      // Actualizar estado de la receta
-      recipe.status = newStatus;
-      try {
-        await recipe.save();
-      } catch (error) {
-        // Si hay error de validación, restaurar ingredientes y stock
-        await restoreIngredients(recipe, ProductModel);
-        product.stock -= recipe.batchInfo.quantity;
-        await product.save();
-        
-        return res.status(400).json({ 
-          message: 'Error de validación al completar la receta',
-          error: error.message 
-        });
-      }
-
-      return res.json({
-        message: `Receta marcada como completada. Lote ${batch.batchNumber} creado exitosamente. Stock del producto ${product.name} aumentado en ${recipe.batchInfo.quantity} ${recipe.batchInfo.unit}. Ingredientes consumidos exitosamente.`,
-        recipe: recipe,
-        batch: batch,
-        stockChange: {
-          productId: product._id,
-          productName: product.name,
-          oldStock: product.stock - recipe.batchInfo.quantity,
-          newStock: product.stock,
-          change: recipe.batchInfo.quantity
-        },
-        costChange: {
-          productId: product._id,
-          productName: product.name,
-          oldCost: product.cost,
-          newCost: newCost,
-          change: newCost - (product.cost || 0)
-        },
-        ingredientsConsumed: consumedIngredients
+        ingredientsRestored: result.restoredIngredients,
+        batchesRemoved: result.batchesRemoved
       });
     }
     
@@ -464,6 +566,12 @@ router.put('/:id/status', protect, identifyTenant, manager, async (req, res) =>
     });
     
   } catch (error) {
+    if (error instanceof RecipeRevertError) {
+      return res.status(error.status).json({ message: error.message, ...(error.errors && { errors: error.errors }) });
+    }
+    if (error instanceof WarehouseError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error interno del servidor' });
   }
 });
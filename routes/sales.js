@@ -1,4 +1,5 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Sale from '../models/Sale.js';
 import Product from '../models/Product.js';
 import Batch from '../models/Batch.js';
@@ -6,11 +7,499 @@ import Package from '../models/Package.js';
 import Config from '../models/Config.js';
 import Bank from '../models/Bank.js';
 import BankTransaction from '../models/BankTransaction.js';
+import StockMovement from '../models/StockMovement.js';
+import CreditNote from '../models/CreditNote.js';
+import Client from '../models/Client.js';
+import Sequence from '../models/Sequence.js';
+import { incrementProductStock } from '../services/stockMovementService.js';
+import { getNextNumber, getSequenceConfig } from '../services/sequenceService.js';
+import { calculateDueDate, getClientBalance } from '../services/receivablesService.js';
+import { getCostingModels, getCostingMethod, consumeCostLayers, restoreCostLayers } from '../services/costingService.js';
+import { getWarehouseModels, resolveWarehouse, WarehouseError } from '../services/warehouseService.js';
+import { getJournalModels, postSourceEntry, reverseJournalEntries, treasuryAccountKey } from '../services/journalService.js';
+import { UnitConversionError, getConversionFactor } from '../services/unitService.js';
 import { protect, manager } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
+import { checkPeriodOpen } from '../middleware/accountingPeriod.js';
+import databaseManager from '../services/DatabaseManager.js';
 
 const router = express.Router();
 
+// Error de validación de una venta: aborta la transacción y se responde con su código HTTP
+// (details se agrega a la respuesta, p. ej. el código y los importes de un límite de crédito excedido)
+class SaleError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'SaleError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Fechas de la venta afectada, para no modificar operaciones de periodos contables cerrados
+const saleDates = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return [];
+  const SaleModel = req.tenantModels?.Sale || Sale;
+  const sale = await SaleModel.findById(req.params.id).select('saleDate partialPayments');
+  if (!sale) return [];
+
+  if (req.params.paymentId) {
+    const payment = mongoose.Types.ObjectId.isValid(req.params.paymentId) && sale.partialPayments.id(req.params.paymentId);
+    return payment ? [payment.paymentDate] : [];
+  }
+  return [sale.saleDate];
+};
+
+// Los errores transitorios deben propagarse para que withTransaction reintente la venta
+const isTransientTransactionError = (error) =>
+  typeof error?.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError');
+
+// Descontar stock de un lote dentro de la transacción de la venta.
+// El filtro por currentStock impide que dos ventas concurrentes vendan el mismo stock del lote.
+const consumeBatchStock = async (BatchModel, batch, quantity, session) => {
+  const updatedBatch = await BatchModel.decrementStock(batch._id, quantity, { session });
+  
+  if (!updatedBatch) {
+    throw new SaleError(`Stock insuficiente en el lote #${batch.batchNumber}. Disponible: ${batch.currentStock} ${batch.unit}`);
+  }
+  
+  return updatedBatch;
+};
+
+// Línea expresada en la unidad de stock del producto: si se vende en otra unidad (p. ej. docena de un
+// producto que se lleva por unidad) se convierten cantidad, precio y descuento, y se conserva lo vendido
+const toStockUnitLine = (product, item) => {
+  if (!item.unit || item.unit === product.unit) {
+    return { ...item, unit: product.unit };
+  }
+  
+  let factor;
+  try {
+    factor = getConversionFactor(product, item.unit);
+  } catch (error) {
+    if (error instanceof UnitConversionError) throw new SaleError(error.message);
+    throw error;
+  }
+  
+  return {
+    ...item,
+    unit: product.unit,
+    saleUnit: item.unit,
+    saleQuantity: item.quantity,
+    quantity: item.quantity * factor,
+    unitPrice: item.unitPrice / factor,
+    discount: (item.discount || 0) / factor
+  };
+};
+
+// Descontar el stock de una línea de producto: del lote indicado o, si el producto maneja lotes,
+// de los lotes asignados por FEFO. Devuelve la asignación por lote que se guarda en la venta.
+const consumeProductLine = async ({ BatchModel, stockModels }, product, item, movementInfo, session) => {
+  let allocations = [];
+  
+  if (item.batch) {
+    const batch = await BatchModel.findById(item.batch).session(session);
+    if (!batch) {
+      throw new SaleError(`Lote ${item.batch} no encontrado`);
+    }
+    
+    if (batch.product.toString() !== product._id.toString()) {
+      throw new SaleError(`El lote ${batch.batchNumber} no corresponde al producto ${product.name}`);
+    }
+    
+    if (batch.status !== 'activo') {
+      throw new SaleError(`El lote #${batch.batchNumber} no está activo (estado: ${batch.status})`);
+    }
+    
+    await consumeBatchStock(BatchModel, batch, item.quantity, session);
+    allocations = [{
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      expirationDate: batch.expirationDate,
+      quantity: item.quantity
+    }];
+  } else if (product.managesBatches) {
+    const fefo = await BatchModel.allocateFEFO(product._id, item.quantity, { session, warehouse: movementInfo.warehouse });
+    if (fefo.shortfall > 0) {
+      throw new SaleError(`Stock insuficiente en lotes activos de ${product.name}. Disponible: ${fefo.allocated}`);
+    }
+    
+    for (const allocation of fefo.allocations) {
+      await consumeBatchStock(BatchModel, {
+        _id: allocation.batch,
+        batchNumber: allocation.batchNumber,
+        currentStock: allocation.available,
+        unit: allocation.unit
+      }, allocation.quantity, session);
+    }
+    allocations = fefo.allocations.map(({ batch, batchNumber, expirationDate, quantity }) => ({
+      batch, batchNumber, expirationDate, quantity
+    }));
+  }
+  
+  // SIEMPRE actualizar stock del producto principal; el lote es solo una subdivisión del inventario total.
+  // Se registra un movimiento por lote para conservar la trazabilidad.
+  const parts = allocations.length ? allocations : [{ quantity: item.quantity }];
+  for (const part of parts) {
+    const updatedProduct = await incrementProductStock(stockModels, product._id, -part.quantity, {
+      ...movementInfo,
+      batch: part.batch,
+      batchNumber: part.batchNumber
+    }, { session });
+    
+    if (!updatedProduct) {
+      throw new SaleError(movementInfo.warehouse
+        ? `Stock insuficiente para ${product.name} en la ubicación de la venta`
+        : `Stock insuficiente para ${product.name}. Disponible: ${product.stock}`);
+    }
+  }
+  
+  return allocations;
+};
+
+// Costo de salida de una línea según el método de costeo: consume las capas de cada producto
+// (parts: [{ product, quantity, batchAllocations }]) y devuelve el costo total y las capas usadas
+const costSaleLine = async (costingModels, parts, reference, options) => {
+  let totalCost = 0;
+  const costLayers = [];
+  
+  for (const part of parts) {
+    const cost = await consumeCostLayers(costingModels, { ...part, ...reference }, options);
+    totalCost += cost.totalCost;
+    costLayers.push(...cost.layers.map(layer => ({ ...layer, product: part.product })));
+  }
+  
+  return { totalCost, costLayers };
+};
+
+// Emitir una nota de crédito sobre una venta: repone el inventario de las líneas devueltas,
+// reduce lo adeudado por el cliente y reembolsa lo cobrado en exceso, todo en una transacción.
+// lines: [{ itemId, quantity }]; si cancel es true se devuelven todas las cantidades pendientes y la venta queda anulada.
+const issueCreditNote = async (req, saleId, { lines, reason, cancel = false }) => {
+  const SaleModel = req.tenantModels?.Sale || Sale;
+  const BatchModel = req.tenantModels?.Batch || Batch;
+  const PackageModel = req.tenantModels?.Package || Package;
+  const BankModel = req.tenantModels?.Bank || Bank;
+  const BankTransactionModel = req.tenantModels?.BankTransaction || BankTransaction;
+  const CreditNoteModel = req.tenantModels?.CreditNote || CreditNote;
+  const stockModels = {
+    Product: req.tenantModels?.Product || Product,
+    StockMovement: req.tenantModels?.StockMovement || StockMovement,
+    WarehouseStock: getWarehouseModels(req.tenantModels).WarehouseStock
+  };
+  const costingModels = getCostingModels(req.tenantModels);
+  const costingMethod = await getCostingMethod(costingModels.Config, req.tenant?._id);
+  
+  return databaseManager.withTransaction(req.tenant, async (session) => {
+    const sale = await SaleModel.findById(saleId).session(session);
+    if (!sale) {
+      throw new SaleError('Venta no encontrada', 404);
+    }
+    
+    if (sale.paymentStatus === 'cancelado') {
+      throw new SaleError('La venta ya está anulada');
+    }
+    
+    // Determinar qué cantidades se devuelven de cada línea
+    let returns;
+    if (cancel) {
+      returns = sale.items
+        .map(item => ({ item, quantity: item.quantity - (item.returnedQuantity || 0) }))
+        .filter(line => line.quantity > 0);
+    } else {
+      if (!Array.isArray(lines) || lines.length === 0) {
+        throw new SaleError('Debe indicar las líneas a devolver');
+      }
+      
+      returns = lines.map(line => {
+        const item = sale.items.id(line.itemId);
+        if (!item) {
+          throw new SaleError(`La línea ${line.itemId} no pertenece a la venta`);
+        }
+        
+        const quantity = Number(line.quantity);
+        const pending = item.quantity - (item.returnedQuantity || 0);
+        if (!quantity || quantity <= 0) {
+          throw new SaleError('La cantidad a devolver debe ser mayor a 0');
+        }
+        
+        if (quantity > pending) {
+          throw new SaleError(`La cantidad a devolver (${quantity}) excede la cantidad pendiente de devolución (${pending})`);
+        }
+        
+        return { item, quantity };
+      });
+    }
+    
+    if (returns.length === 0) {
+      throw new SaleError('No hay cantidades pendientes de devolución en la venta');
+    }
+    
+    const creditNoteId = new mongoose.Types.ObjectId();
+    const creditNoteNumber = await getNextNumber(req.tenantModels?.Sequence || Sequence, 'credit_note', {
+      session,
+      ConfigModel: req.tenantModels?.Config || Config,
+      tenantId: req.tenant?._id
+    });
+    // Lo devuelto vuelve a la ubicación de la que salió la venta
+    const movementInfo = {
+      referenceType: 'credit_note',
+      reference: creditNoteId,
+      referenceNumber: creditNoteNumber,
+      warehouse: sale.warehouse,
+      reason: cancel ? 'Anulación de venta' : 'Devolución de venta',
+      notes: `Venta #${sale.invoiceNumber}`,
+      createdBy: req.user._id,
+      tenant: req.tenant?._id
+    };
+    
+    let subtotal = 0;
+    let totalCost = 0;
+    const creditNoteItems = [];
+    
+    for (const { item, quantity } of returns) {
+      const restoredStock = [];
+      
+      // Partes de stock a reponer: { product, batch, quantity }
+      const parts = [];
+      
+      if (item.isPackage) {
+        // Reponer los componentes consumidos (y sus lotes), en proporción a la cantidad devuelta
+        const ratio = quantity / item.quantity;
+        
+        if (item.consumedItems?.length) {
+          for (const component of item.consumedItems) {
+            if (component.batchAllocations?.length) {
+              for (const allocation of component.batchAllocations) {
+                parts.push({ product: component.productId, batch: allocation.batch, quantity: allocation.quantity * ratio });
+              }
+            } else {
+              parts.push({ product: component.productId, quantity: component.quantity * ratio });
+            }
+          }
+        } else {
+          // Ventas anteriores sin detalle de consumo: usar la composición actual del paquete
+          const packageItem = await PackageModel.findById(item.package).session(session);
+          for (const component of packageItem?.items || []) {
+            parts.push({ product: component.product, quantity: component.quantity * ratio });
+          }
+        }
+      } else {
+        // Devolver a los lotes de la línea, empezando por el último asignado
+        let pending = quantity;
+        for (const allocation of [...(item.batchAllocations || [])].reverse()) {
+          const returnable = Math.min(allocation.quantity - (allocation.returnedQuantity || 0), pending);
+          if (returnable <= 0) continue;
+          
+          allocation.returnedQuantity = (allocation.returnedQuantity || 0) + returnable;
+          parts.push({ product: item.product, batch: allocation.batch, quantity: returnable });
+          pending -= returnable;
+        }
+        
+        // Ventas anteriores a la asignación por lotes solo guardan el lote de la línea
+        if (pending > 0) {
+          parts.push({
+            product: item.product,
+            batch: item.batchAllocations?.length ? null : item.batch,
+            quantity: pending
+          });
+        }
+      }
+      
+      for (const part of parts) {
+        const batch = part.batch ? await BatchModel.incrementStock(part.batch, part.quantity, { session }) : null;
+        
+        const updatedProduct = await incrementProductStock(stockModels, part.product, part.quantity, {
+          ...movementInfo,
+          batch: batch?._id,
+          batchNumber: batch?.batchNumber
+        }, { session });
+        
+        if (updatedProduct) {
+          restoredStock.push({
+            product: updatedProduct._id,
+            productName: updatedProduct.name,
+            batch: batch?._id,
+            quantity: part.quantity
+          });
+        }
+      }
+      
+      // Reponer las capas de costo al costo con que salió la línea, en proporción a lo devuelto
+      // (las ventas anteriores al registro de capas usan el costo de la línea o el del producto)
+      const returnedRatio = quantity / item.quantity;
+      const costParts = item.costLayers?.length
+        ? item.costLayers.map(usage => ({ product: usage.product, batch: usage.batch, quantity: usage.quantity * returnedRatio, unitCost: usage.unitCost }))
+        : parts.map(part => ({ ...part, unitCost: item.isPackage ? null : item.cost }));
+      const costPartsByProduct = new Map();
+      for (const part of costParts) {
+        const key = part.product.toString();
+        costPartsByProduct.set(key, [...(costPartsByProduct.get(key) || []), part]);
+      }
+      for (const [product, layers] of costPartsByProduct) {
+        await restoreCostLayers(costingModels, {
+          product,
+          layers,
+          sourceType: 'credit_note',
+          sourceId: creditNoteId,
+          sourceNumber: creditNoteNumber,
+          createdBy: req.user._id,
+          tenant: req.tenant?._id
+        }, { session, method: costingMethod });
+      }
+      
+      const lineTotal = item.total * quantity / item.quantity;
+      subtotal += lineTotal;
+      totalCost += item.cost * quantity;
+      item.returnedQuantity = (item.returnedQuantity || 0) + quantity;
+      
+      creditNoteItems.push({
+        saleItem: item._id,
+        product: item.product,
+        package: item.package,
+        isPackage: item.isPackage,
+        batch: item.batch,
+        quantity,
+        unitPrice: item.unitPrice,
+        cost: item.cost,
+        total: lineTotal,
+        restoredStock
+      });
+    }
+    
+    // El impuesto se acredita en la misma proporción que se cobró en la venta
+    const tax = sale.subtotal > 0 ? subtotal * (sale.tax / sale.subtotal) : 0;
+    const total = subtotal + tax;
+    
+    sale.creditedAmount = Math.min(sale.total, (sale.creditedAmount || 0) + total);
+    sale.creditNotes.push(creditNoteId);
+    if (cancel) {
+      sale.cancelledAt = new Date();
+      sale.cancellationReason = reason;
+    }
+    
+    // Reembolsar lo cobrado por encima del nuevo total, empezando por los pagos más recientes
+    let excess = (sale.paidAmount - (sale.refundedAmount || 0)) - Math.max(0, sale.total - sale.creditedAmount);
+    const refunds = [];
+    
+    for (const payment of [...sale.partialPayments].reverse()) {
+      if (excess <= 0) break;
+      
+      const alreadyRefunded = sale.refunds
+        .filter(refund => refund.payment?.toString() === payment._id.toString())
+        .reduce((sum, refund) => sum + refund.amount, 0);
+      const amount = Math.min(payment.amount - alreadyRefunded, excess);
+      if (amount <= 0) continue;
+      
+      const refund = {
+        payment: payment._id,
+        amount,
+        paymentMethod: payment.paymentMethod,
+        bankAccount: null,
+        bankTransaction: null
+      };
+      
+      // Reversar el ingreso en la cuenta bancaria que recibió el pago
+      if (payment.bankAccount && payment.paymentMethod !== 'efectivo') {
+        const bank = await BankModel.findByIdAndUpdate(
+          payment.bankAccount,
+          { $inc: { currentBalance: -amount } },
+          { new: true, session }
+        );
+        
+        if (bank) {
+          const [transaction] = await BankTransactionModel.create([{
+            bank: bank._id,
+            type: 'refund',
+            amount,
+            previousBalance: bank.currentBalance + amount,
+            newBalance: bank.currentBalance,
+            description: `Reembolso por nota de crédito ${creditNoteNumber} de venta #${sale.invoiceNumber}`,
+            reference: sale._id,
+            referenceType: 'sale',
+            createdBy: req.user._id,
+            tenant: req.tenant?._id
+          }], { session });
+          
+          refund.bankAccount = bank._id;
+          refund.bankTransaction = transaction._id;
+        }
+      }
+      
+      refunds.push(refund);
+      sale.refunds.push({ ...refund, creditNote: creditNoteId });
+      excess -= amount;
+    }
+    
+    await sale.save({ session });
+    
+    // Asiento de la nota de crédito y de sus reembolsos
+    const journalModels = getJournalModels(req.tenantModels);
+    const roundedTotal = Math.round(total * 100) / 100;
+    const roundedSubtotal = Math.round(subtotal * 100) / 100;
+    const refundLines = [];
+    for (const refund of refunds) {
+      const refundBank = refund.bankAccount ? await BankModel.findById(refund.bankAccount).session(session) : null;
+      refundLines.push(
+        { module: 'clientes', key: 'cuentasPorCobrar', debit: refund.amount },
+        { module: 'bancos', key: treasuryAccountKey(refundBank, refund.paymentMethod), credit: refund.amount }
+      );
+    }
+    
+    const creditNote = new CreditNoteModel({
+      _id: creditNoteId,
+      creditNoteNumber,
+      sale: sale._id,
+      saleInvoiceNumber: sale.invoiceNumber,
+      client: sale.client,
+      type: cancel ? 'total' : 'parcial',
+      items: creditNoteItems,
+      subtotal,
+      tax,
+      total,
+      totalCost,
+      refunds,
+      refundedAmount: refunds.reduce((sum, refund) => sum + refund.amount, 0),
+      reason,
+      createdBy: req.user._id,
+      tenant: req.tenant?._id
+    });
+    
+    // Si faltan cuentas el asiento queda marcado como pendiente en la nota de crédito
+    await postSourceEntry(journalModels, creditNote, {
+      description: `Nota de crédito ${creditNoteNumber} de venta #${sale.invoiceNumber}`,
+      sourceType: 'credit_note',
+      sourceId: creditNoteId,
+      sourceNumber: creditNoteNumber,
+      lines: [
+        { module: 'ventas', key: 'devoluciones', debit: roundedSubtotal },
+        { module: 'ventas', key: 'impuestos', fallbackKey: 'devoluciones', debit: roundedTotal - roundedSubtotal },
+        { module: 'clientes', key: 'cuentasPorCobrar', credit: roundedTotal },
+        ...refundLines
+      ],
+      createdBy: req.user._id,
+      tenant: req.tenant?._id
+    }, { session });
+    await creditNote.save({ session });
+    
+    return creditNoteId;
+  });
+};
+
+// Respuesta común a las rutas que emiten notas de crédito
+const handleCreditNoteError = (res, error) => {
+  if (error instanceof SaleError) {
+    return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+  }
+  
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({ success: false, message: 'Error de validación', errors });
+  }
+  
+  res.status(500).json({ success: false, message: 'Error en el servidor' });
+};
+
 // @desc    Obtener paquetes disponibles para ventas
 // @route   GET /api/sales/available-packages
 // @access  Private
@@ -59,13 +548,126 @@ router.get('/available-packages', protect, identifyTenant, async (req, res) => {
   }
 });
 
+// @desc    Verificar stock de las líneas de una venta y proponer la asignación de lotes (FEFO)
+// @route   POST /api/sales/stock-check
+// @access  Private
+router.post('/stock-check', protect, identifyTenant, async (req, res) => {
+  try {
+    const { items } = req.body;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'Debe indicar las líneas a verificar' });
+    }
+    
+    const ProductModel = req.tenantModels?.Product || Product;
+    const BatchModel = req.tenantModels?.Batch || Batch;
+    const PackageModel = req.tenantModels?.Package || Package;
+    const warehouseModels = getWarehouseModels(req.tenantModels);
+    const warehouse = await resolveWarehouse(warehouseModels.Warehouse, req.body.warehouse);
+    const lines = [];
+    
+    for (const item of items) {
+      const quantity = Number(item.quantity) || 0;
+      
+      if (item.isPackage && item.package) {
+        const packageItem = await PackageModel.findById(item.package);
+        if (!packageItem) {
+          lines.push({ package: item.package, quantity, available: false, message: 'Paquete no encontrado' });
+          continue;
+        }
+        
+        const availability = await packageItem.checkStockAvailability({ multiplier: quantity || 1, warehouse: warehouse?._id });
+        lines.push({
+          package: packageItem._id,
+          packageName: packageItem.name,
+          quantity,
+          ...availability
+        });
+        continue;
+      }
+      
+      const product = await ProductModel.findById(item.product);
+      if (!product) {
+        lines.push({ product: item.product, quantity, available: false, message: 'Producto no encontrado' });
+        continue;
+      }
+      
+      // Las cantidades en otra unidad se comparan en la unidad de stock
+      let stockQuantity = quantity;
+      if (item.unit && item.unit !== product.unit) {
+        try {
+          stockQuantity = quantity * getConversionFactor(product, item.unit);
+        } catch (error) {
+          if (!(error instanceof UnitConversionError)) throw error;
+          lines.push({ product: product._id, productName: product.name, quantity, unit: item.unit, available: false, message: error.message });
+          continue;
+        }
+      }
+      
+      const line = {
+        product: product._id,
+        productName: product.name,
+        quantity: stockQuantity,
+        unit: product.unit,
+        ...(stockQuantity !== quantity && { saleQuantity: quantity, saleUnit: item.unit }),
+        stock: product.stock,
+        managesBatches: product.managesBatches,
+        available: product.stock >= stockQuantity,
+        allocations: []
+      };
+      
+      // Con ubicaciones, la línea también debe estar cubierta por el stock de la ubicación de la venta
+      if (warehouse) {
+        const location = await warehouseModels.WarehouseStock.findOne({ warehouse: warehouse._id, product: product._id });
+        line.warehouseStock = location?.quantity || 0;
+        line.available = line.available && line.warehouseStock >= stockQuantity;
+      }
+      
+      if (item.batch) {
+        // Lote elegido explícitamente
+        const batch = await BatchModel.findById(item.batch);
+        const batchAvailable = !!batch && batch.status === 'activo' && batch.currentStock >= stockQuantity;
+        line.available = line.available && batchAvailable;
+        if (batch) {
+          line.allocations.push({
+            batch: batch._id,
+            batchNumber: batch.batchNumber,
+            expirationDate: batch.expirationDate,
+            available: batch.currentStock,
+            unit: batch.unit,
+            quantity: Math.min(stockQuantity, batch.currentStock)
+          });
+        }
+      } else if (product.managesBatches) {
+        const fefo = await BatchModel.allocateFEFO(product._id, stockQuantity, { warehouse: warehouse?._id });
+        line.allocations = fefo.allocations;
+        line.shortfall = fefo.shortfall;
+        line.available = line.available && fefo.shortfall === 0;
+      }
+      
+      lines.push(line);
+    }
+    
+    res.json({
+      available: lines.every(line => line.available),
+      warehouse: warehouse?._id,
+      items: lines
+    });
+  } catch (error) {
+    if (error instanceof WarehouseError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error en el servidor' });
+  }
+});
+
 // @desc    Obtener todas las ventas
 // @route   GET /api/sales
 // @access  Private
 router.get('/', protect, identifyTenant, async (req, res) => {
   try {
     const SaleModel = req.tenantModels?.Sale || Sale;
-    const { page = 1, limit = 10, startDate, endDate, paymentStatus, client } = req.query;
+    const { page = 1, limit = 10, startDate, endDate, paymentStatus, client, warehouse } = req.query;
     
     const query = { isActive: true };
     
@@ -84,6 +686,10 @@ router.get('/', protect, identifyTenant, async (req, res) => {
       query.client = client;
     }
     
+    if (warehouse) {
+      query.warehouse = warehouse;
+    }
+    
     const sales = await SaleModel.find(query)
       .populate('client', 'name email')
       .populate('items.product', 'name sku')
@@ -131,249 +737,308 @@ router.get('/:id', protect, identifyTenant, async (req, res) => {
 // @desc    Crear venta
 // @route   POST /api/sales
 // @access  Private (Manager/Admin)
-router.post('/', protect, identifyTenant, manager, async (req, res) => {
+router.post('/', protect, identifyTenant, manager, checkPeriodOpen(), async (req, res) => {
   try {
-    const { items, client, paymentMethod, notes } = req.body;
+    const { items, client, paymentMethod, notes, series, overrideCreditLimit, overrideReason, warehouse } = req.body;
+    // Sin método de pago la venta queda a crédito, salvo que se indique el tipo
+    const saleType = req.body.saleType || (paymentMethod ? 'contado' : 'credito');
     
-    // Calcular totales
-    let subtotal = 0;
-    let totalCost = 0;
-    const processedItems = [];
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'La venta debe tener al menos un producto' });
+    }
     
-    for (const item of items) {
-      let itemTotal = 0;
-      let processedItem = { ...item };
+    const SaleModel = req.tenantModels?.Sale || Sale;
+    const ProductModel = req.tenantModels?.Product || Product;
+    const BatchModel = req.tenantModels?.Batch || Batch;
+    const PackageModel = req.tenantModels?.Package || Package;
+    const warehouseModels = getWarehouseModels(req.tenantModels);
+    const stockModels = {
+      Product: ProductModel,
+      StockMovement: req.tenantModels?.StockMovement || StockMovement,
+      WarehouseStock: warehouseModels.WarehouseStock
+    };
+    
+    // Ubicación de la que sale el stock (la por defecto si no se indica)
+    const saleWarehouse = await resolveWarehouse(warehouseModels.Warehouse, warehouse);
+    
+    // Obtener IVA de la configuración
+    const ConfigModel = req.tenantModels?.Config || Config;
+    const ivaPercentage = await ConfigModel.getByKey('iva_percentage') || 0;
+    
+    // Las ventas a crédito requieren cliente; su vencimiento sale de los días de crédito del cliente
+    const ClientModel = req.tenantModels?.Client || Client;
+    const clientDoc = client && mongoose.Types.ObjectId.isValid(client) ? await ClientModel.findById(client) : null;
+    if (saleType === 'credito' && !clientDoc) {
+      return res.status(400).json({ message: 'Las ventas a crédito requieren un cliente' });
+    }
+    
+    const saleDate = new Date();
+    const dueDate = saleType === 'credito' ? calculateDueDate(saleDate, clientDoc.paymentTerms) : saleDate;
+    
+    // Validar la serie de facturación solicitada
+    if (series) {
+      const invoiceSequence = await getSequenceConfig('invoice', ConfigModel, req.tenant?._id);
+      if (!invoiceSequence.series[series]) {
+        return res.status(400).json({ message: `La serie de facturación ${series} no está configurada` });
+      }
+    }
+    
+    const costingModels = getCostingModels(req.tenantModels);
+    const costingMethod = await getCostingMethod(ConfigModel, req.tenant?._id);
+    
+    // Toda la venta (stock, lotes, componentes de paquetes y documento) se confirma o se revierte junta
+    const createdSaleId = await databaseManager.withTransaction(req.tenant, async (session) => {
+      // Identificadores de la venta generados de antemano para enlazar los movimientos de inventario
+      const saleId = new mongoose.Types.ObjectId();
+      // El número se toma dentro de la transacción para que una venta fallida no deje huecos
+      const invoiceNumber = await getNextNumber(req.tenantModels?.Sequence || Sequence, 'invoice', {
+        series,
+        session,
+        ConfigModel,
+        tenantId: req.tenant?._id
+      });
+      const movementInfo = {
+        referenceType: 'sale',
+        reference: saleId,
+        referenceNumber: invoiceNumber,
+        warehouse: saleWarehouse?._id,
+        reason: 'Venta',
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      };
+      const costReference = {
+        referenceType: 'sale',
+        reference: saleId,
+        referenceNumber: invoiceNumber,
+        date: saleDate
+      };
+      const costOptions = { session, method: costingMethod };
       
-      // Manejar ventas de paquetes
-      if (item.isPackage && item.package) {
-        const PackageModel = req.tenantModels?.Package || Package;
-        const packageItem = await PackageModel.findById(item.package);
-        if (!packageItem) {
-          return res.status(400).json({ message: `Paquete ${item.package} no encontrado` });
-        }
-        
-        if (!packageItem.isActive) {
-          return res.status(400).json({ message: `El paquete ${packageItem.name} no está activo` });
-        }
-        
-        // Verificar disponibilidad de stock del paquete
-        const availability = await packageItem.checkStockAvailability();
-        if (!availability.available) {
-          return res.status(400).json({ 
-            message: `Stock insuficiente para el paquete ${packageItem.name}. Productos no disponibles: ${availability.unavailableItems.map(i => `${i.product} (necesario: ${i.required}, disponible: ${i.available})`).join(', ')}` 
-          });
-        }
-        
-        // Consumir stock de todos los productos del paquete
-        const consumedItems = await packageItem.consumeStock();
-        
-        itemTotal = (packageItem.finalPrice - (item.discount || 0)) * item.quantity;
-        const itemCost = packageItem.totalCost * item.quantity;
-        
-        processedItem = {
-          ...item,
-          unitPrice: packageItem.finalPrice,
-          cost: packageItem.totalCost,
-          total: itemTotal,
-          consumedItems: consumedItems
-        };
-        
-        totalCost += itemCost;
-        
-      } else if (item.isFromPackage && item.packageId) {
-        // Manejar productos que vienen de paquetes
-        const PackageModel = req.tenantModels?.Package || Package;
-        const packageItem = await PackageModel.findById(item.packageId);
-        if (!packageItem) {
-          return res.status(400).json({ message: `Paquete ${item.packageId} no encontrado` });
-        }
-        
-        if (!packageItem.isActive) {
-          return res.status(400).json({ message: `El paquete ${packageItem.name} no está activo` });
-        }
-        
-        // Verificar que el producto pertenece al paquete
-        const packageProduct = packageItem.items.find(pkgItem => 
-          pkgItem.product.toString() === item.product.toString()
-        );
-        
-        if (!packageProduct) {
-          return res.status(400).json({ 
-            message: `El producto ${item.product} no pertenece al paquete ${packageItem.name}` 
-          });
-        }
-        
-        // Verificar stock del producto individual
-        const ProductModel = req.tenantModels?.Product || Product;
-        const product = await ProductModel.findById(item.product);
-        if (!product) {
-          return res.status(400).json({ message: `Producto ${item.product} no encontrado` });
-        }
+      // Calcular totales
+      let subtotal = 0;
+      let totalCost = 0;
+      const processedItems = [];
+      
+      for (const item of items) {
+        let itemTotal = 0;
+        let processedItem = { ...item };
         
-        // Si se especifica un lote, validar y consumir stock del lote
-        if (item.batch) {
-          const BatchModel = req.tenantModels?.Batch || Batch;
-          const batch = await BatchModel.findById(item.batch);
-          if (!batch) {
-            return res.status(400).json({ message: `Lote ${item.batch} no encontrado` });
+        // Manejar ventas de paquetes
+        if (item.isPackage && item.package) {
+          const packageItem = await PackageModel.findById(item.package).session(session);
+          if (!packageItem) {
+            throw new SaleError(`Paquete ${item.package} no encontrado`);
           }
           
-          if (batch.product.toString() !== item.product.toString()) {
-            return res.status(400).json({ 
-              message: `El lote ${batch.batchNumber} no pertenece al producto ${product.name}` 
-            });
+          if (!packageItem.isActive) {
+            throw new SaleError(`El paquete ${packageItem.name} no está activo`);
           }
           
-          if (batch.currentStock < item.quantity) {
-            return res.status(400).json({ 
-              message: `Stock insuficiente en el lote ${batch.batchNumber}. Disponible: ${batch.currentStock}` 
-            });
+          // Verificar disponibilidad de stock del paquete
+          const availability = await packageItem.checkStockAvailability({ session, multiplier: item.quantity, warehouse: movementInfo.warehouse });
+          if (!availability.available) {
+            throw new SaleError(`Stock insuficiente para el paquete ${packageItem.name}. Productos no disponibles: ${availability.unavailableItems.map(i => `${i.product} (necesario: ${i.required}, disponible: ${i.available})`).join(', ')}`);
           }
           
-          if (batch.status !== 'activo') {
-            return res.status(400).json({ 
-              message: `El lote ${batch.batchNumber} no está activo` 
-            });
+          // Consumir stock de todos los productos del paquete
+          let consumedItems;
+          try {
+            consumedItems = await packageItem.consumeStock(movementInfo, { session, multiplier: item.quantity });
+          } catch (error) {
+            if (isTransientTransactionError(error)) throw error;
+            throw new SaleError(error.message);
           }
           
-          // Consumir stock del lote
-          await BatchModel.findByIdAndUpdate(item.batch, {
-            $inc: { currentStock: -item.quantity }
-          });
+          // Costo de los paquetes: el de los componentes consumidos (por todos los paquetes) según el método de costeo
+          const { totalCost: itemCost, costLayers } = await costSaleLine(costingModels, consumedItems.map(component => ({
+            product: component.productId,
+            quantity: component.quantity,
+            batchAllocations: component.batchAllocations
+          })), costReference, costOptions);
           
-          // Actualizar estado del lote si se agota
-          if (batch.currentStock - item.quantity === 0) {
-            await BatchModel.findByIdAndUpdate(item.batch, { status: 'agotado' });
-          }
-        } else {
-          // Validación tradicional de stock del producto
-          if (product.stock < item.quantity) {
-            return res.status(400).json({ 
-              message: `Stock insuficiente para ${product.name}. Disponible: ${product.stock}` 
-            });
-          }
-        }
-        
-        // SIEMPRE actualizar stock del producto principal para productos individuales
-        // El lote es solo una subdivisión del inventario total
-        await ProductModel.findByIdAndUpdate(item.product, {
-          $inc: { stock: -item.quantity }
-        });
-        
-        itemTotal = (item.unitPrice - (item.discount || 0)) * item.quantity;
-        const itemCost = product.cost * item.quantity;
-        processedItem = {
-          ...item,
-          cost: product.cost,
-          package: packageItem._id,
-          packageName: packageItem.name,
-          total: itemTotal
-        };
-        
-        totalCost += itemCost;
-        
-      } else {
-        // Lógica tradicional de ventas de productos individuales
-        const ProductModel = req.tenantModels?.Product || Product;
-        const product = await ProductModel.findById(item.product);
-        if (!product) {
-          return res.status(400).json({ message: `Producto ${item.product} no encontrado` });
-        }
-        
-        // Si se especifica un lote, validar y consumir stock del lote
-        if (item.batch) {
-          const BatchModel = req.tenantModels?.Batch || Batch;
-          const batch = await BatchModel.findById(item.batch);
-          if (!batch) {
-            return res.status(400).json({ message: `Lote ${item.batch} no encontrado` });
+          itemTotal = (packageItem.finalPrice - (item.discount || 0)) * item.quantity;
+          
+          processedItem = {
+            ...item,
+            unitPrice: packageItem.finalPrice,
+            cost: itemCost / item.quantity,
+            costLayers,
+            total: itemTotal,
+            consumedItems: consumedItems
+          };
+          
+          totalCost += itemCost;
+          
+        } else if (item.isFromPackage && item.packageId) {
+          // Manejar productos que vienen de paquetes
+          const packageItem = await PackageModel.findById(item.packageId).session(session);
+          if (!packageItem) {
+            throw new SaleError(`Paquete ${item.packageId} no encontrado`);
           }
           
-          if (batch.product.toString() !== item.product) {
-            return res.status(400).json({ message: `El lote ${batch.batchNumber} no corresponde al producto ${product.name}` });
+          if (!packageItem.isActive) {
+            throw new SaleError(`El paquete ${packageItem.name} no está activo`);
           }
           
-          if (batch.currentStock < item.quantity) {
-            return res.status(400).json({ 
-              message: `Stock insuficiente en lote #${batch.batchNumber} para ${product.name}. Disponible: ${batch.currentStock} ${batch.unit}` 
-            });
+          // Verificar que el producto pertenece al paquete
+          const packageProduct = packageItem.items.find(pkgItem => 
+            pkgItem.product.toString() === item.product.toString()
+          );
+          
+          if (!packageProduct) {
+            throw new SaleError(`El producto ${item.product} no pertenece al paquete ${packageItem.name}`);
           }
           
-          if (batch.status !== 'activo') {
-            return res.status(400).json({ 
-              message: `El lote #${batch.batchNumber} no está activo (estado: ${batch.status})` 
-            });
+          // Verificar stock del producto individual
+          const product = await ProductModel.findById(item.product).session(session);
+          if (!product) {
+            throw new SaleError(`Producto ${item.product} no encontrado`);
           }
           
-          // Consumir stock del lote
-          await BatchModel.findByIdAndUpdate(item.batch, {
-            $inc: { currentStock: -item.quantity }
-          });
+          // Descontar del lote indicado o de los lotes asignados por FEFO (en la unidad de stock)
+          const line = toStockUnitLine(product, item);
+          const batchAllocations = await consumeProductLine({ BatchModel, stockModels }, product, line, {
+            ...movementInfo,
+            notes: `Producto del paquete ${packageItem.name}`
+          }, session);
+          
+          const { totalCost: itemCost, costLayers } = await costSaleLine(costingModels, [{
+            product: product._id,
+            quantity: line.quantity,
+            batchAllocations
+          }], costReference, costOptions);
+          
+          itemTotal = (line.unitPrice - (line.discount || 0)) * line.quantity;
+          processedItem = {
+            ...line,
+            batch: batchAllocations.length === 1 ? batchAllocations[0].batch : item.batch,
+            batchAllocations,
+            cost: itemCost / line.quantity,
+            costLayers,
+            package: packageItem._id,
+            packageName: packageItem.name,
+            total: itemTotal
+          };
+          
+          totalCost += itemCost;
           
-          // Actualizar estado del lote si se agota
-          if (batch.currentStock - item.quantity === 0) {
-            await BatchModel.findByIdAndUpdate(item.batch, { status: 'agotado' });
-          }
         } else {
-          // Validación tradicional de stock del producto
-          if (product.stock < item.quantity) {
-            return res.status(400).json({ 
-              message: `Stock insuficiente para ${product.name}. Disponible: ${product.stock}` 
-            });
+          // Lógica tradicional de ventas de productos individuales
+          const product = await ProductModel.findById(item.product).session(session);
+          if (!product) {
+            throw new SaleError(`Producto ${item.product} no encontrado`);
           }
+          
+          // Descontar del lote indicado o de los lotes asignados por FEFO (en la unidad de stock)
+          const line = toStockUnitLine(product, item);
+          const batchAllocations = await consumeProductLine({ BatchModel, stockModels }, product, line, movementInfo, session);
+          
+          const { totalCost: itemCost, costLayers } = await costSaleLine(costingModels, [{
+            product: product._id,
+            quantity: line.quantity,
+            batchAllocations
+          }], costReference, costOptions);
+          
+          itemTotal = (line.unitPrice - (line.discount || 0)) * line.quantity;
+          processedItem = {
+            ...line,
+            batch: batchAllocations.length === 1 ? batchAllocations[0].batch : item.batch,
+            batchAllocations,
+            cost: itemCost / line.quantity,
+            costLayers,
+            total: itemTotal
+          };
+          
+          totalCost += itemCost;
         }
         
-        itemTotal = (item.unitPrice - (item.discount || 0)) * item.quantity;
-        const itemCost = product.cost * item.quantity;
-        processedItem = {
-          ...item,
-          cost: product.cost,
-          total: itemTotal
-        };
-        
-        totalCost += itemCost;
+        subtotal += itemTotal;
+        processedItems.push(processedItem);
+      }
+      
+      const tax = subtotal * (ivaPercentage / 100);
+      const total = subtotal + tax;
+      
+      // Calcular ganancia y margen
+      const profit = subtotal - totalCost;
+      const profitMargin = totalCost > 0 ? (profit / totalCost) * 100 : 0;
+      
+      // Límite de crédito (0 = sin límite asignado): exceder el límite requiere la autorización de un gerente
+      let creditLimitOverride;
+      if (saleType === 'credito' && clientDoc.creditLimit > 0) {
+        const previousBalance = await getClientBalance(SaleModel, clientDoc._id, { session });
+        const exceededBy = Math.round((previousBalance + total - clientDoc.creditLimit) * 100) / 100;
         
-        // SIEMPRE actualizar stock del producto principal para productos individuales
-        // El lote es solo una subdivisión del inventario total
-        await ProductModel.findByIdAndUpdate(item.product, {
-          $inc: { stock: -item.quantity }
-        });
+        if (exceededBy > 0) {
+          if (!overrideCreditLimit || !['admin', 'manager'].includes(req.user.role)) {
+            throw new SaleError(`La venta excede el límite de crédito del cliente ${clientDoc.name} en ${exceededBy}`, 403, {
+              code: 'CREDIT_LIMIT_EXCEEDED',
+              creditLimit: clientDoc.creditLimit,
+              currentBalance: previousBalance,
+              saleTotal: Math.round(total * 100) / 100,
+              exceededBy
+            });
+          }
+          
+          creditLimitOverride = {
+            approvedBy: req.user._id,
+            creditLimit: clientDoc.creditLimit,
+            previousBalance,
+            exceededBy,
+            reason: overrideReason,
+            approvedAt: new Date()
+          };
+        }
       }
       
-      subtotal += itemTotal;
-      processedItems.push(processedItem);
-    }
-    
-    // Obtener IVA de la configuración
-    const ConfigModel = req.tenantModels?.Config || Config;
-    const ivaPercentage = await ConfigModel.getByKey('iva_percentage') || 0;
-    const tax = subtotal * (ivaPercentage / 100);
-    const total = subtotal + tax;
-    
-    // Calcular ganancia y margen
-    const profit = subtotal - totalCost;
-    const profitMargin = totalCost > 0 ? (profit / totalCost) * 100 : 0;
-    
-    
-    const saleData = {
-      invoiceNumber: generateInvoiceNumber(),
-      client,
-      items: processedItems,
-      subtotal,
-      tax,
-      total,
-      totalCost,
-      profit,
-      profitMargin,
-      paymentMethod,
-      notes,
-      createdBy: req.user._id
-    };
-    
-    const SaleModel = req.tenantModels?.Sale || Sale;
-    const sale = await SaleModel.create(saleData);
+      const saleData = {
+        _id: saleId,
+        invoiceNumber,
+        series: series || '',
+        client,
+        warehouse: saleWarehouse?._id,
+        items: processedItems,
+        subtotal,
+        tax,
+        total,
+        totalCost,
+        costingMethod,
+        profit,
+        profitMargin,
+        paymentMethod,
+        saleType,
+        saleDate,
+        dueDate,
+        creditLimitOverride,
+        notes,
+        createdBy: req.user._id
+      };
+      
+      const sale = new SaleModel(saleData);
+      
+      // Asiento de la venta: cuentas por cobrar contra ingresos e impuesto (si faltan cuentas queda marcado en la venta)
+      const roundedTotal = Math.round(total * 100) / 100;
+      const roundedSubtotal = Math.round(subtotal * 100) / 100;
+      await postSourceEntry(getJournalModels(req.tenantModels), sale, {
+        description: `Venta #${invoiceNumber}`,
+        sourceType: 'sale',
+        sourceId: saleId,
+        sourceNumber: invoiceNumber,
+        lines: [
+          { module: 'clientes', key: 'cuentasPorCobrar', debit: roundedTotal },
+          { module: 'ventas', key: 'ingresos', credit: roundedSubtotal },
+          { module: 'ventas', key: 'impuestos', fallbackKey: 'ingresos', credit: roundedTotal - roundedSubtotal }
+        ],
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+      await sale.save({ session });
+      
+      return saleId;
+    });
     
     // Populate para la respuesta
-    const populatedSale = await SaleModel.findById(sale._id)
+    const populatedSale = await SaleModel.findById(createdSaleId)
       .populate('client', 'name email')
       .populate('items.product', 'name sku')
       .populate('items.batch', 'batchNumber status currentStock')
@@ -381,6 +1046,19 @@ router.post('/', protect, identifyTenant, manager, async (req, res) => {
     
     res.status(201).json(populatedSale);
   } catch (error) {
+    if (error instanceof SaleError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    
+    if (error instanceof WarehouseError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Error de validación', errors });
+    }
+    
     res.status(500).json({ message: 'Error en el servidor' });
   }
 });
@@ -388,10 +1066,15 @@ router.post('/', protect, identifyTenant, manager, async (req, res) => {
 // @desc    Actualizar estado de pago
 // @route   PUT /api/sales/:id/payment-status
 // @access  Private
-router.put('/:id/payment-status', protect, identifyTenant, async (req, res) => {
+router.put('/:id/payment-status', protect, identifyTenant, checkPeriodOpen(saleDates), async (req, res) => {
   try {
     const { paymentStatus } = req.body;
     
+    // La anulación debe reponer inventario y reembolsar pagos
+    if (paymentStatus === 'cancelado') {
+      return res.status(400).json({ message: 'Para anular una venta use POST /api/sales/:id/cancel' });
+    }
+    
     const SaleModel = req.tenantModels?.Sale || Sale;
     const sale = await SaleModel.findByIdAndUpdate(
       req.params.id,
@@ -449,7 +1132,7 @@ router.get('/stats/summary', protect, identifyTenant, async (req, res) => {
 // @desc    Agregar pago parcial a una venta
 // @route   POST /api/sales/:id/payments
 // @access  Private
-router.post('/:id/payments', protect, identifyTenant, async (req, res) => {
+router.post('/:id/payments', protect, identifyTenant, checkPeriodOpen(), async (req, res) => {
   try {
     const { amount, paymentMethod, bankAccount, notes } = req.body;
     
@@ -461,58 +1144,58 @@ router.post('/:id/payments', protect, identifyTenant, async (req, res) => {
     }
     
     const SaleModel = req.tenantModels?.Sale || Sale;
-    const sale = await SaleModel.findById(req.params.id);
-    if (!sale) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Venta no encontrada' 
-      });
-    }
-    
-    // Verificar que el pago no exceda el monto restante
-    if (amount > sale.remainingAmount) {
-      return res.status(400).json({ 
-        success: false,
-        message: `El monto del pago (${amount}) excede el monto restante (${sale.remainingAmount})` 
-      });
-    }
+    const BankModel = req.tenantModels?.Bank || Bank;
+    const BankTransactionModel = req.tenantModels?.BankTransaction || BankTransaction;
     
-    // Agregar el pago parcial
-    const newPayment = {
-      amount,
-      paymentMethod,
-      bankAccount: bankAccount || null,
-      paymentDate: new Date(),
-      notes: notes || '',
-      createdBy: req.user.id
-    };
-    
-    sale.partialPayments.push(newPayment);
-    
-    // Si es el primer pago, actualizar el método de pago principal de la venta
-    if (sale.partialPayments.length === 1) {
-      sale.paymentMethod = paymentMethod;
-      sale.bankAccount = bankAccount || null;
-    }
-    
-    // Actualizar saldo de la cuenta bancaria si se especifica
-    if (bankAccount && paymentMethod !== 'efectivo') {
-      try {
-        
-        const BankModel = req.tenantModels?.Bank || Bank;
-        const bank = await BankModel.findById(bankAccount);
+    // Pago, movimiento bancario y asiento se registran juntos
+    const sale = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const sale = await SaleModel.findById(req.params.id).session(session);
+      if (!sale) {
+        throw new SaleError('Venta no encontrada', 404);
+      }
+      
+      if (sale.paymentStatus === 'cancelado') {
+        throw new SaleError('No se pueden registrar pagos en una venta anulada');
+      }
+      
+      // Verificar que el pago no exceda el monto restante
+      if (amount > sale.remainingAmount) {
+        throw new SaleError(`El monto del pago (${amount}) excede el monto restante (${sale.remainingAmount})`);
+      }
+      
+      // Agregar el pago parcial
+      const newPayment = {
+        amount,
+        paymentMethod,
+        bankAccount: bankAccount || null,
+        paymentDate: new Date(),
+        notes: notes || '',
+        createdBy: req.user.id
+      };
+      
+      sale.partialPayments.push(newPayment);
+      
+      // Si es el primer pago, actualizar el método de pago principal de la venta
+      if (sale.partialPayments.length === 1) {
+        sale.paymentMethod = paymentMethod;
+        sale.bankAccount = bankAccount || null;
+      }
+      
+      // Actualizar saldo de la cuenta bancaria si se especifica
+      let paymentBank = null;
+      if (bankAccount && paymentMethod !== 'efectivo') {
+        const bank = await BankModel.findById(bankAccount).session(session);
+        paymentBank = bank;
         if (bank) {
           const previousBalance = bank.currentBalance;
           const newBalance = previousBalance + amount;
           
-          
           // Aumentar el saldo de la cuenta bancaria
           bank.currentBalance = newBalance;
-          await bank.save();
-          
+          await bank.save({ session });
           
           // Registrar la transacción bancaria
-          const transactionData = {
+          await BankTransactionModel.create([{
             bank: bankAccount,
             type: 'payment',
             amount,
@@ -523,19 +1206,29 @@ router.post('/:id/payments', protect, identifyTenant, async (req, res) => {
             referenceType: 'sale',
             createdBy: req.user.id,
             tenant: req.tenant?._id
-          };
-          
-          
-          const BankTransactionModel = req.tenantModels?.BankTransaction || BankTransaction;
-          const transaction = await BankTransactionModel.create(transactionData);
-        } else {
+          }], { session });
         }
-      } catch (bankError) {
-        // No fallar la operación si hay error con el banco
       }
-    }
-    
-    await sale.save();
+      
+      // Asiento del cobro: tesorería contra cuentas por cobrar (si faltan cuentas queda marcado en el pago)
+      const savedPayment = sale.partialPayments[sale.partialPayments.length - 1];
+      await postSourceEntry(getJournalModels(req.tenantModels), savedPayment, {
+        date: savedPayment.paymentDate,
+        description: `Cobro de venta #${sale.invoiceNumber}`,
+        sourceType: 'sale_payment',
+        sourceId: savedPayment._id,
+        sourceNumber: sale.invoiceNumber,
+        lines: [
+          { module: 'bancos', key: treasuryAccountKey(paymentBank, paymentMethod), debit: amount },
+          { module: 'clientes', key: 'cuentasPorCobrar', credit: amount }
+        ],
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+      
+      await sale.save({ session });
+      return sale;
+    });
     
     // Poblar las referencias para devolver datos completos
     const populatedSale = await SaleModel.findById(sale._id)
@@ -554,6 +1247,10 @@ router.post('/:id/payments', protect, identifyTenant, async (req, res) => {
       message: 'Pago parcial registrado correctamente'
     });
   } catch (error) {
+    if (error instanceof SaleError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    
     res.status(500).json({ 
       success: false,
       message: 'Error en el servidor' 
@@ -570,7 +1267,7 @@ router.get('/:id/payments', protect, identifyTenant, async (req, res) => {
     const sale = await SaleModel.findById(req.params.id)
       .populate('partialPayments.bankAccount', 'name accountNumber type')
       .populate('partialPayments.createdBy', 'name email')
-      .select('partialPayments paidAmount remainingAmount total paymentStatus');
+      .select('partialPayments refunds paidAmount refundedAmount creditedAmount remainingAmount total paymentStatus');
     
     if (!sale) {
       return res.status(404).json({ 
@@ -583,7 +1280,10 @@ router.get('/:id/payments', protect, identifyTenant, async (req, res) => {
       success: true,
       data: {
         payments: sale.partialPayments,
+        refunds: sale.refunds,
         paidAmount: sale.paidAmount,
+        refundedAmount: sale.refundedAmount,
+        creditedAmount: sale.creditedAmount,
         remainingAmount: sale.remainingAmount,
         total: sale.total,
         paymentStatus: sale.paymentStatus
@@ -600,49 +1300,48 @@ router.get('/:id/payments', protect, identifyTenant, async (req, res) => {
 // @desc    Eliminar un pago parcial
 // @route   DELETE /api/sales/:id/payments/:paymentId
 // @access  Private (Manager)
-router.delete('/:id/payments/:paymentId', protect, identifyTenant, manager, async (req, res) => {
+router.delete('/:id/payments/:paymentId', protect, identifyTenant, manager, checkPeriodOpen(saleDates), async (req, res) => {
   try {
     const SaleModel = req.tenantModels?.Sale || Sale;
-    const sale = await SaleModel.findById(req.params.id);
-    if (!sale) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Venta no encontrada' 
-      });
-    }
-    
-    const paymentIndex = sale.partialPayments.findIndex(
-      payment => payment._id.toString() === req.params.paymentId
-    );
+    const BankModel = req.tenantModels?.Bank || Bank;
+    const BankTransactionModel = req.tenantModels?.BankTransaction || BankTransaction;
     
-    if (paymentIndex === -1) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Pago no encontrado' 
-      });
-    }
-    
-    // Obtener el pago antes de eliminarlo para restaurar el saldo bancario
-    const paymentToDelete = sale.partialPayments[paymentIndex];
-    
-    // Restaurar saldo de la cuenta bancaria si el pago tenía una cuenta bancaria
-    if (paymentToDelete.bankAccount && paymentToDelete.paymentMethod !== 'efectivo') {
-      try {
-        
-        const BankModel = req.tenantModels?.Bank || Bank;
-        const bank = await BankModel.findById(paymentToDelete.bankAccount);
+    // Reversión bancaria, anulación del asiento y baja del pago se registran juntas
+    const sale = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const sale = await SaleModel.findById(req.params.id).session(session);
+      if (!sale) {
+        throw new SaleError('Venta no encontrada', 404);
+      }
+      
+      const paymentIndex = sale.partialPayments.findIndex(
+        payment => payment._id.toString() === req.params.paymentId
+      );
+      
+      if (paymentIndex === -1) {
+        throw new SaleError('Pago no encontrado', 404);
+      }
+      
+      // Obtener el pago antes de eliminarlo para restaurar el saldo bancario
+      const paymentToDelete = sale.partialPayments[paymentIndex];
+      
+      // Un pago ya reembolsado por una nota de crédito no puede eliminarse
+      if (sale.refunds.some(refund => refund.payment?.toString() === paymentToDelete._id.toString())) {
+        throw new SaleError('El pago tiene reembolsos asociados a notas de crédito y no puede eliminarse');
+      }
+      
+      // Restaurar saldo de la cuenta bancaria si el pago tenía una cuenta bancaria
+      if (paymentToDelete.bankAccount && paymentToDelete.paymentMethod !== 'efectivo') {
+        const bank = await BankModel.findById(paymentToDelete.bankAccount).session(session);
         if (bank) {
           const previousBalance = bank.currentBalance;
           const newBalance = previousBalance - paymentToDelete.amount;
           
-          
           // Restar el monto del saldo de la cuenta bancaria
           bank.currentBalance = newBalance;
-          await bank.save();
-          
+          await bank.save({ session });
           
           // Registrar la transacción de reversión
-          const refundData = {
+          await BankTransactionModel.create([{
             bank: paymentToDelete.bankAccount,
             type: 'refund',
             amount: paymentToDelete.amount,
@@ -653,21 +1352,22 @@ router.delete('/:id/payments/:paymentId', protect, identifyTenant, manager, asyn
             referenceType: 'sale',
             createdBy: req.user.id,
             tenant: req.tenant?._id
-          };
-          
-          
-          const BankTransactionModel = req.tenantModels?.BankTransaction || BankTransaction;
-          const refundTransaction = await BankTransactionModel.create(refundData);
-        } else {
+          }], { session });
         }
-      } catch (bankError) {
-        // No fallar la operación si hay error con el banco
       }
-    }
-    
-    // Eliminar el pago
-    sale.partialPayments.splice(paymentIndex, 1);
-    await sale.save();
+      
+      // Anular el asiento del cobro
+      await reverseJournalEntries(getJournalModels(req.tenantModels), { sourceType: 'sale_payment', sourceId: paymentToDelete._id }, {
+        description: `Reversión de cobro de venta #${sale.invoiceNumber}`,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }, { session });
+      
+      // Eliminar el pago
+      sale.partialPayments.splice(paymentIndex, 1);
+      await sale.save({ session });
+      return sale;
+    });
     
     // Poblar las referencias para devolver datos completos
     const populatedSale = await SaleModel.findById(sale._id)
@@ -686,6 +1386,10 @@ router.delete('/:id/payments/:paymentId', protect, identifyTenant, manager, asyn
       message: 'Pago eliminado correctamente'
     });
   } catch (error) {
+    if (error instanceof SaleError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    
     res.status(500).json({ 
       success: false,
       message: 'Error en el servidor' 
@@ -693,11 +1397,101 @@ router.delete('/:id/payments/:paymentId', protect, identifyTenant, manager, asyn
   }
 });
 
-// Generar número de factura único
-const generateInvoiceNumber = () => {
-  const timestamp = Date.now().toString();
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `INV-${timestamp.slice(-6)}-${random}`;
-};
+// @desc    Anular una venta completa
+// @route   POST /api/sales/:id/cancel
+// @access  Private (Manager)
+router.post('/:id/cancel', protect, identifyTenant, manager, checkPeriodOpen(), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'El motivo de la anulación es requerido' 
+      });
+    }
+    
+    const creditNoteId = await issueCreditNote(req, req.params.id, { reason, cancel: true });
+    
+    const CreditNoteModel = req.tenantModels?.CreditNote || CreditNote;
+    const creditNote = await CreditNoteModel.findById(creditNoteId)
+      .populate('client', 'name email')
+      .populate('items.product', 'name sku')
+      .populate('createdBy', 'name email');
+    
+    res.status(201).json({
+      success: true,
+      data: creditNote,
+      message: 'Venta anulada correctamente'
+    });
+  } catch (error) {
+    handleCreditNoteError(res, error);
+  }
+});
+
+// @desc    Emitir nota de crédito por devolución parcial
+// @route   POST /api/sales/:id/credit-notes
+// @access  Private (Manager)
+router.post('/:id/credit-notes', protect, identifyTenant, manager, checkPeriodOpen(), async (req, res) => {
+  try {
+    const { items, reason } = req.body;
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'El motivo de la devolución es requerido' 
+      });
+    }
+    
+    const creditNoteId = await issueCreditNote(req, req.params.id, { lines: items, reason });
+    
+    const CreditNoteModel = req.tenantModels?.CreditNote || CreditNote;
+    const creditNote = await CreditNoteModel.findById(creditNoteId)
+      .populate('client', 'name email')
+      .populate('items.product', 'name sku')
+      .populate('createdBy', 'name email');
+    
+    res.status(201).json({
+      success: true,
+      data: creditNote,
+      message: 'Nota de crédito emitida correctamente'
+    });
+  } catch (error) {
+    handleCreditNoteError(res, error);
+  }
+});
+
+// @desc    Obtener notas de crédito de una venta
+// @route   GET /api/sales/:id/credit-notes
+// @access  Private
+router.get('/:id/credit-notes', protect, identifyTenant, async (req, res) => {
+  try {
+    const SaleModel = req.tenantModels?.Sale || Sale;
+    const sale = await SaleModel.findById(req.params.id).select('_id');
+    if (!sale) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Venta no encontrada' 
+      });
+    }
+    
+    const CreditNoteModel = req.tenantModels?.CreditNote || CreditNote;
+    const creditNotes = await CreditNoteModel.find({ sale: sale._id })
+      .populate('items.product', 'name sku')
+      .populate('refunds.bankAccount', 'name accountNumber type')
+      .populate('createdBy', 'name email')
+      .sort({ issueDate: -1 });
+    
+    res.json({
+      success: true,
+      data: creditNotes
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Error en el servidor' 
+    });
+  }
+});
 
 export default router;
@@ -0,0 +1,275 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { protect, manager } from '../middleware/auth.js';
+import { identifyTenant } from '../middleware/tenant.js';
+import { getNextNumber } from '../services/sequenceService.js';
+import { getCostingMethod } from '../services/costingService.js';
+import { WarehouseError, resolveWarehouse } from '../services/warehouseService.js';
+import {
+  StockCountError,
+  getStockCountModels,
+  buildCountLines,
+  recordCountedQuantities,
+  buildVarianceReport,
+  approveStockCount
+} from '../services/stockCountService.js';
+import databaseManager from '../services/DatabaseManager.js';
+
+// Montado en /api/inventory/counts
+const router = express.Router();
+
+const COUNT_CATEGORIES = ['materia_prima', 'producto_terminado', 'empaque'];
+
+const handleCountError = (res, error) => {
+  if (error instanceof StockCountError || error instanceof WarehouseError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({ message: messages.join(', ') });
+  }
+
+  res.status(500).json({ message: 'Error en el servidor' });
+};
+
+const findCount = async (StockCountModel, id, session) => {
+  const count = mongoose.Types.ObjectId.isValid(id)
+    ? await StockCountModel.findById(id).session(session || null)
+    : null;
+  if (!count) {
+    throw new StockCountError('Conteo no encontrado', 404);
+  }
+  return count;
+};
+
+// @desc    Obtener conteos físicos de inventario
+// @route   GET /api/inventory/counts
+// @access  Private
+router.get('/', protect, identifyTenant, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, warehouse, category } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (warehouse) query.warehouse = warehouse;
+    if (category) query.category = category;
+
+    const { StockCount: StockCountModel } = getStockCountModels(req.tenantModels);
+    const counts = await StockCountModel.find(query)
+      .select('-lines')
+      .populate('warehouse', 'name code')
+      .populate('createdBy', 'name email')
+      .populate('approvedBy', 'name email')
+      .sort({ openedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await StockCountModel.countDocuments(query);
+
+    res.json({
+      counts,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    handleCountError(res, error);
+  }
+});
+
+// @desc    Obtener conteo físico por ID con sus líneas
+// @route   GET /api/inventory/counts/:id
+// @access  Private
+router.get('/:id', protect, identifyTenant, async (req, res) => {
+  try {
+    const { StockCount: StockCountModel } = getStockCountModels(req.tenantModels);
+    const count = await findCount(StockCountModel, req.params.id);
+    await count.populate([
+      { path: 'warehouse', select: 'name code' },
+      { path: 'createdBy', select: 'name email' },
+      { path: 'approvedBy', select: 'name email' },
+      { path: 'cancelledBy', select: 'name email' },
+      { path: 'lines.countedBy', select: 'name' }
+    ]);
+
+    res.json(count);
+  } catch (error) {
+    handleCountError(res, error);
+  }
+});
+
+// @desc    Informe de diferencias del conteo valorizadas al costo
+// @route   GET /api/inventory/counts/:id/variance
+// @access  Private
+router.get('/:id/variance', protect, identifyTenant, async (req, res) => {
+  try {
+    const { StockCount: StockCountModel } = getStockCountModels(req.tenantModels);
+    const count = await findCount(StockCountModel, req.params.id);
+    await count.populate('warehouse', 'name code');
+
+    res.json({
+      count: {
+        _id: count._id,
+        countNumber: count.countNumber,
+        warehouse: count.warehouse,
+        category: count.category,
+        status: count.status,
+        costingMethod: count.costingMethod,
+        openedAt: count.openedAt,
+        approvedAt: count.approvedAt
+      },
+      ...buildVarianceReport(count)
+    });
+  } catch (error) {
+    handleCountError(res, error);
+  }
+});
+
+// @desc    Abrir un conteo físico de una categoría y/o ubicación congelando las cantidades esperadas
+// @route   POST /api/inventory/counts
+// @access  Private (Manager/Admin)
+router.post('/', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { category, notes } = req.body;
+
+    if (category && !COUNT_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `Categoría inválida. Valores permitidos: ${COUNT_CATEGORIES.join(', ')}` });
+    }
+
+    const models = getStockCountModels(req.tenantModels);
+    const costingMethod = await getCostingMethod(models.Config, req.tenant?._id);
+
+    const count = await databaseManager.withTransaction(req.tenant, async (session) => {
+      // Con ubicaciones el conteo siempre es de una ubicación (la indicada o la por defecto)
+      const warehouse = await resolveWarehouse(models.Warehouse, req.body.warehouse, { session });
+
+      // Un conteo abierto congela el stock de su alcance: no se abren dos sobre la misma ubicación
+      const openCount = await models.StockCount.findOne({
+        status: 'abierto',
+        warehouse: warehouse?._id || null
+      }).session(session);
+      if (openCount) {
+        throw new StockCountError(`Ya hay un conteo abierto para esta ubicación (${openCount.countNumber}); apruébelo o cancélelo primero`);
+      }
+
+      const lines = await buildCountLines(models, { warehouse, category, costingMethod }, { session });
+      if (lines.length === 0) {
+        throw new StockCountError('No hay productos para contar en el alcance indicado');
+      }
+
+      const countNumber = await getNextNumber(models.Sequence, 'stock_count', {
+        session,
+        ConfigModel: models.Config,
+        tenantId: req.tenant?._id
+      });
+      const [count] = await models.StockCount.create([{
+        countNumber,
+        warehouse: warehouse?._id,
+        category,
+        costingMethod,
+        lines,
+        notes,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }], { session });
+
+      return count;
+    });
+
+    res.status(201).json({
+      message: `Conteo ${count.countNumber} abierto con ${count.lines.length} línea(s)`,
+      count
+    });
+  } catch (error) {
+    handleCountError(res, error);
+  }
+});
+
+// @desc    Registrar cantidades contadas ({ lines: [{ lineId, countedQuantity, notes }] })
+// @route   PUT /api/inventory/counts/:id/lines
+// @access  Private
+router.put('/:id/lines', protect, identifyTenant, async (req, res) => {
+  try {
+    const { lines } = req.body;
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ message: 'Debe indicar al menos una línea contada' });
+    }
+
+    const { StockCount: StockCountModel } = getStockCountModels(req.tenantModels);
+    const count = await findCount(StockCountModel, req.params.id);
+
+    recordCountedQuantities(count, lines, req.user._id);
+    await count.save();
+
+    res.json({
+      message: 'Cantidades contadas registradas',
+      count,
+      totals: buildVarianceReport(count).totals
+    });
+  } catch (error) {
+    handleCountError(res, error);
+  }
+});
+
+// @desc    Aprobar el conteo registrando todas las diferencias como ajustes de inventario
+// @route   POST /api/inventory/counts/:id/approve
+// @access  Private (Manager/Admin)
+router.post('/:id/approve', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const models = getStockCountModels(req.tenantModels);
+    const costingMethod = await getCostingMethod(models.Config, req.tenant?._id);
+
+    const result = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const count = await findCount(models.StockCount, req.params.id, session);
+      const adjustments = await approveStockCount(models, count, {
+        user: req.user._id,
+        tenant: req.tenant?._id,
+        session,
+        costingMethod
+      });
+      return { count, adjustments };
+    });
+
+    res.json({
+      message: `Conteo ${result.count.countNumber} aprobado; se registraron ${result.adjustments.length} ajuste(s)`,
+      adjustments: result.adjustments,
+      ...buildVarianceReport(result.count)
+    });
+  } catch (error) {
+    handleCountError(res, error);
+  }
+});
+
+// @desc    Cancelar un conteo abierto sin registrar ajustes
+// @route   POST /api/inventory/counts/:id/cancel
+// @access  Private (Manager/Admin)
+router.post('/:id/cancel', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ message: 'El motivo de la cancelación es requerido' });
+    }
+
+    const { StockCount: StockCountModel } = getStockCountModels(req.tenantModels);
+    const count = await findCount(StockCountModel, req.params.id);
+    if (count.status !== 'abierto') {
+      throw new StockCountError(`El conteo está ${count.status}`);
+    }
+
+    count.status = 'cancelado';
+    count.cancelledAt = new Date();
+    count.cancelledBy = req.user._id;
+    count.cancellationReason = reason;
+    await count.save();
+
+    res.json({
+      message: `Conteo ${count.countNumber} cancelado`,
+      count
+    });
+  } catch (error) {
+    handleCountError(res, error);
+  }
+});
+
+export default router;
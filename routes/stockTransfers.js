@@ -0,0 +1,471 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { protect, manager } from '../middleware/auth.js';
+import { identifyTenant } from '../middleware/tenant.js';
+import Batch from '../models/Batch.js';
+import StockMovement from '../models/StockMovement.js';
+import { getNextNumber } from '../services/sequenceService.js';
+import { recordStockMovement } from '../services/stockMovementService.js';
+import { WarehouseError, getWarehouseModels, incrementWarehouseStock } from '../services/warehouseService.js';
+import databaseManager from '../services/DatabaseManager.js';
+
+// Montado en /api/warehouses/transfers
+const router = express.Router();
+
+const getTransferModels = (tenantModels) => ({
+  ...getWarehouseModels(tenantModels),
+  Batch: tenantModels?.Batch || Batch,
+  StockMovement: tenantModels?.StockMovement || StockMovement
+});
+
+const handleTransferError = (res, error) => {
+  if (error instanceof WarehouseError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', ')
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Error en el servidor'
+  });
+};
+
+// Transferencia en tránsito, bloqueada para la transacción en curso
+const findTransitTransfer = async (models, transferId, session) => {
+  const transfer = mongoose.Types.ObjectId.isValid(transferId)
+    ? await models.StockTransfer.findById(transferId).session(session)
+    : null;
+  if (!transfer) {
+    throw new WarehouseError('Transferencia no encontrada', 404);
+  }
+  if (transfer.status !== 'en_transito') {
+    throw new WarehouseError(`La transferencia ya está ${transfer.status}`);
+  }
+  return transfer;
+};
+
+// Movimientos del kardex de una línea en una ubicación, uno por lote (o uno solo sin lotes). El stock anterior
+// y nuevo son los de la ubicación: el stock total del producto no cambia al moverlo entre ubicaciones.
+// locationStock es el stock de la ubicación ya actualizado; sign es 1 para entradas y -1 para salidas.
+const recordTransferMovements = async (models, transfer, item, parts, { warehouse, locationStock, sign, reason, user }, session) => {
+  let stock = locationStock - sign * item.quantity;
+  for (const part of parts) {
+    const quantity = sign * part.quantity;
+    await recordStockMovement(models.StockMovement, {
+      product: item.product,
+      productName: item.productName,
+      batch: part.batch,
+      batchNumber: part.batchNumber,
+      warehouse,
+      quantity,
+      previousStock: stock,
+      newStock: stock + quantity,
+      referenceType: 'stock_transfer',
+      reference: transfer._id,
+      referenceNumber: transfer.transferNumber,
+      reason,
+      createdBy: user,
+      tenant: transfer.tenant
+    }, { session });
+    stock += quantity;
+  }
+};
+
+// Lotes de los que sale una línea en el origen: el indicado o, si el producto maneja lotes, los asignados por FEFO
+const dispatchBatches = async (models, product, item, quantity, origin, session) => {
+  let allocations = [];
+  if (item.batch) {
+    const batch = mongoose.Types.ObjectId.isValid(item.batch)
+      ? await models.Batch.findOne({ _id: item.batch, product: product._id, ...await models.Batch.warehouseFilter(origin._id, { session }) }).session(session)
+      : null;
+    if (!batch) {
+      throw new WarehouseError(`Lote ${item.batch} de ${product.name} no encontrado en ${origin.name}`, 404);
+    }
+    allocations = [{ batch: batch._id, batchNumber: batch.batchNumber, quantity }];
+  } else if (product.managesBatches) {
+    const fefo = await models.Batch.allocateFEFO(product._id, quantity, { session, warehouse: origin._id });
+    if (fefo.shortfall > 0) {
+      throw new WarehouseError(`Stock insuficiente en lotes activos de ${product.name} en ${origin.name}. Disponible: ${fefo.allocated}`);
+    }
+    allocations = fefo.allocations;
+  }
+
+  for (const allocation of allocations) {
+    const batch = await models.Batch.decrementStock(allocation.batch, allocation.quantity, { session });
+    if (!batch) {
+      throw new WarehouseError(`Stock insuficiente en el lote #${allocation.batchNumber} de ${product.name}`);
+    }
+  }
+  return allocations.map(({ batch, batchNumber, quantity }) => ({ batch, batchNumber, quantity }));
+};
+
+// Ingresa una parte de un lote en la ubicación de destino: en la parte de ese lote que ya esté allí
+// (o en el propio lote original si vuelve a su ubicación) o en un lote nuevo separado del original
+const receiveBatch = async (models, transfer, destination, part, user, session) => {
+  const source = await models.Batch.findById(part.batch).session(session);
+  if (!source) {
+    throw new WarehouseError(`Lote ${part.batchNumber} no encontrado`, 404);
+  }
+  const rootId = source.sourceBatch || source._id;
+
+  const location = await models.Batch.warehouseFilter(destination._id, { session });
+  const existing = await models.Batch.findOne({ $or: [{ _id: rootId }, { sourceBatch: rootId }], ...location }).session(session);
+  if (existing) {
+    await models.Batch.incrementStock(existing._id, part.quantity, { session });
+    return existing;
+  }
+
+  const root = rootId.equals(source._id) ? source : await models.Batch.findById(rootId).session(session);
+  const [batch] = await models.Batch.create([{
+    batchNumber: `${root.batchNumber}-${destination.code}`,
+    product: source.product,
+    productName: source.productName,
+    quantity: part.quantity,
+    unit: source.unit,
+    productionDate: source.productionDate,
+    expirationDate: source.expirationDate,
+    initialStock: part.quantity,
+    currentStock: part.quantity,
+    cost: source.cost,
+    recipe: source.recipe,
+    recipeName: source.recipeName,
+    recipeVersion: source.recipeVersion,
+    recipeVersionNumber: source.recipeVersionNumber,
+    productionOrder: source.productionOrder,
+    ingredientBatches: source.ingredientBatches,
+    warehouse: destination._id,
+    sourceBatch: rootId,
+    notes: `Transferido desde el lote ${source.batchNumber} (transferencia ${transfer.transferNumber})`,
+    createdBy: user
+  }], { session });
+  return batch;
+};
+
+// Mover lo en tránsito hacia el destino: sale del tránsito y, si se recibe, entra al stock (y los lotes) del destino;
+// si se cancela vuelve al stock y a los lotes del origen
+const settleInTransit = async (models, transfer, { receive, user }, session) => {
+  const destination = receive ? await models.Warehouse.findById(transfer.toWarehouse).session(session) : null;
+  if (receive && !destination) {
+    throw new WarehouseError('Ubicación de destino no encontrada', 404);
+  }
+
+  for (const item of transfer.items) {
+    const updated = await models.WarehouseStock.findOneAndUpdate(
+      { warehouse: transfer.toWarehouse, product: item.product, inTransit: { $gte: item.quantity } },
+      { $inc: { inTransit: -item.quantity, ...(receive && { quantity: item.quantity }) } },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new WarehouseError(`La cantidad en tránsito de ${item.productName} no coincide con la transferencia`);
+    }
+
+    const batches = item.batches || [];
+    if (receive) {
+      for (const part of batches) {
+        const batch = await receiveBatch(models, transfer, destination, part, user, session);
+        part.receivedBatch = batch._id;
+        part.receivedBatchNumber = batch.batchNumber;
+      }
+      const parts = batches.length
+        ? batches.map(part => ({ batch: part.receivedBatch, batchNumber: part.receivedBatchNumber, quantity: part.quantity }))
+        : [{ quantity: item.quantity }];
+      await recordTransferMovements(models, transfer, item, parts, {
+        warehouse: transfer.toWarehouse,
+        locationStock: updated.quantity,
+        sign: 1,
+        reason: 'Recepción de transferencia',
+        user
+      }, session);
+      continue;
+    }
+
+    // Al cancelar la mercadería vuelve al origen
+    const location = await incrementWarehouseStock(models.WarehouseStock, transfer.fromWarehouse, item.product, item.quantity, { session });
+    for (const part of batches) {
+      await models.Batch.incrementStock(part.batch, part.quantity, { session });
+    }
+    await recordTransferMovements(models, transfer, item, batches.length ? batches : [{ quantity: item.quantity }], {
+      warehouse: transfer.fromWarehouse,
+      locationStock: location.quantity,
+      sign: 1,
+      reason: 'Cancelación de transferencia',
+      user
+    }, session);
+  }
+};
+
+const populateTransfer = (query) => query
+  .populate('fromWarehouse', 'name code type')
+  .populate('toWarehouse', 'name code type')
+  .populate('createdBy', 'name email')
+  .populate('receivedBy', 'name email')
+  .populate('cancelledBy', 'name email');
+
+// @desc    Obtener transferencias de inventario entre ubicaciones
+// @route   GET /api/warehouses/transfers
+// @access  Private
+router.get('/', protect, identifyTenant, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, warehouse, status, product, startDate, endDate } = req.query;
+
+    const query = {};
+
+    if (warehouse) {
+      query.$or = [{ fromWarehouse: warehouse }, { toWarehouse: warehouse }];
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (product) {
+      query['items.product'] = product;
+    }
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const StockTransferModel = getWarehouseModels(req.tenantModels).StockTransfer;
+    const transfers = await populateTransfer(StockTransferModel.find(query))
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ date: -1, createdAt: -1 });
+
+    const total = await StockTransferModel.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: transfers,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    handleTransferError(res, error);
+  }
+});
+
+// @desc    Obtener transferencia de inventario por ID
+// @route   GET /api/warehouses/transfers/:transferId
+// @access  Private
+router.get('/:transferId', protect, identifyTenant, async (req, res) => {
+  try {
+    const transfer = mongoose.Types.ObjectId.isValid(req.params.transferId)
+      ? await populateTransfer(getWarehouseModels(req.tenantModels).StockTransfer.findById(req.params.transferId))
+      : null;
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transferencia no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    handleTransferError(res, error);
+  }
+});
+
+// @desc    Despachar una transferencia: el stock sale del origen y queda en tránsito hacia el destino
+// @route   POST /api/warehouses/transfers
+// @access  Private (Manager/Admin)
+router.post('/', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { fromWarehouse, toWarehouse, items, date, notes } = req.body;
+
+    if (!fromWarehouse || !toWarehouse || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ubicación de origen, ubicación de destino y al menos un producto son requeridos'
+      });
+    }
+
+    if (String(fromWarehouse) === String(toWarehouse)) {
+      return res.status(400).json({
+        success: false,
+        message: 'La ubicación de origen y la de destino deben ser distintas'
+      });
+    }
+
+    const transferDate = date ? new Date(date) : new Date();
+    if (isNaN(transferDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha inválida'
+      });
+    }
+
+    const models = getTransferModels(req.tenantModels);
+    const [origin, destination] = await Promise.all([
+      mongoose.Types.ObjectId.isValid(fromWarehouse) ? models.Warehouse.findOne({ _id: fromWarehouse, isActive: true }) : null,
+      mongoose.Types.ObjectId.isValid(toWarehouse) ? models.Warehouse.findOne({ _id: toWarehouse, isActive: true }) : null
+    ]);
+
+    if (!origin || !destination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ubicación no encontrada o inactiva'
+      });
+    }
+
+    const transfer = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const transferItems = [];
+      for (const item of items) {
+        const quantity = parseFloat(item.quantity);
+        const product = mongoose.Types.ObjectId.isValid(item.product)
+          ? await models.Product.findById(item.product).session(session)
+          : null;
+        if (!product) {
+          throw new WarehouseError(`Producto ${item.product} no encontrado`, 404);
+        }
+        if (!quantity || quantity <= 0) {
+          throw new WarehouseError(`La cantidad a transferir de ${product.name} debe ser mayor a 0`);
+        }
+
+        const location = await incrementWarehouseStock(models.WarehouseStock, origin._id, product._id, -quantity, { session });
+        if (!location) {
+          throw new WarehouseError(`Stock insuficiente de ${product.name} en ${origin.name}`);
+        }
+
+        await models.WarehouseStock.findOneAndUpdate(
+          { warehouse: destination._id, product: product._id },
+          { $inc: { inTransit: quantity } },
+          { upsert: true, setDefaultsOnInsert: true, session }
+        );
+
+        const batches = await dispatchBatches(models, product, item, quantity, origin, session);
+        transferItems.push({
+          item: { product: product._id, productName: product.name, quantity, unit: product.unit, batches },
+          locationStock: location.quantity
+        });
+      }
+
+      const transferNumber = await getNextNumber(models.Sequence, 'stock_transfer', {
+        session,
+        date: transferDate,
+        ConfigModel: models.Config,
+        tenantId: req.tenant?._id
+      });
+      const [transfer] = await models.StockTransfer.create([{
+        transferNumber,
+        fromWarehouse: origin._id,
+        toWarehouse: destination._id,
+        items: transferItems.map(({ item }) => item),
+        date: transferDate,
+        notes,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      }], { session });
+
+      // Salida del origen en el kardex
+      for (const { item, locationStock } of transferItems) {
+        await recordTransferMovements(models, transfer, item, item.batches.length ? item.batches : [{ quantity: item.quantity }], {
+          warehouse: origin._id,
+          locationStock,
+          sign: -1,
+          reason: 'Despacho de transferencia',
+          user: req.user._id
+        }, session);
+      }
+
+      return transfer;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Transferencia ${transfer.transferNumber} despachada; el stock queda en tránsito hacia ${destination.name}`,
+      data: transfer
+    });
+  } catch (error) {
+    handleTransferError(res, error);
+  }
+});
+
+// @desc    Recibir una transferencia en tránsito en la ubicación de destino
+// @route   POST /api/warehouses/transfers/:transferId/receive
+// @access  Private (Manager/Admin)
+router.post('/:transferId/receive', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const models = getTransferModels(req.tenantModels);
+
+    const transfer = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const transfer = await findTransitTransfer(models, req.params.transferId, session);
+
+      await settleInTransit(models, transfer, { receive: true, user: req.user._id }, session);
+
+      transfer.status = 'recibida';
+      transfer.receivedAt = new Date();
+      transfer.receivedBy = req.user._id;
+      await transfer.save({ session });
+      return transfer;
+    });
+
+    res.json({
+      success: true,
+      message: `Transferencia ${transfer.transferNumber} recibida correctamente`,
+      data: transfer
+    });
+  } catch (error) {
+    handleTransferError(res, error);
+  }
+});
+
+// @desc    Cancelar una transferencia en tránsito devolviendo el stock al origen
+// @route   POST /api/warehouses/transfers/:transferId/cancel
+// @access  Private (Manager/Admin)
+router.post('/:transferId/cancel', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'El motivo de la cancelación es requerido'
+      });
+    }
+
+    const models = getTransferModels(req.tenantModels);
+
+    const transfer = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const transfer = await findTransitTransfer(models, req.params.transferId, session);
+
+      await settleInTransit(models, transfer, { receive: false, user: req.user._id }, session);
+
+      transfer.status = 'cancelada';
+      transfer.cancelledAt = new Date();
+      transfer.cancelledBy = req.user._id;
+      transfer.cancellationReason = reason;
+      await transfer.save({ session });
+      return transfer;
+    });
+
+    res.json({
+      success: true,
+      message: `Transferencia ${transfer.transferNumber} cancelada; el stock volvió a la ubicación de origen`,
+      data: transfer
+    });
+  } catch (error) {
+    handleTransferError(res, error);
+  }
+});
+
+export default router;
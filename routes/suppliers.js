@@ -1,7 +1,9 @@
 import express from 'express';
 import Supplier from '../models/Supplier.js';
+import Purchase from '../models/Purchase.js';
 import { protect, authorize } from '../middleware/auth.js';
 import { identifyTenant } from '../middleware/tenant.js';
+import { buildPayablesAgingReport, buildSupplierStatement } from '../services/payablesService.js';
 
 const router = express.Router();
 
@@ -76,6 +78,69 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Antigüedad de cuentas por pagar (0-30, 31-60, 61-90 y más de 90 días vencidos)
+// @route   GET /api/suppliers/aging?date=&supplier=
+// @access  Private
+router.get('/aging', async (req, res) => {
+  try {
+    const { date, supplier } = req.query;
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha inválida'
+      });
+    }
+
+    const report = await buildPayablesAgingReport({
+      Purchase: req.tenantModels?.Purchase || Purchase,
+      Supplier: req.tenantModels?.Supplier || Supplier
+    }, { date, supplier });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar la antigüedad de cuentas por pagar',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Estado de cuenta de un proveedor
+// @route   GET /api/suppliers/:id/statement?startDate=&endDate=
+// @access  Private
+router.get('/:id/statement', async (req, res) => {
+  try {
+    const SupplierModel = req.tenantModels?.Supplier || Supplier;
+    const supplier = await SupplierModel.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    const statement = await buildSupplierStatement({
+      Purchase: req.tenantModels?.Purchase || Purchase
+    }, supplier, req.query);
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar el estado de cuenta del proveedor',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Obtener un proveedor por ID
 // @route   GET /api/suppliers/:id
 // @access  Private
@@ -0,0 +1,288 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { protect, manager } from '../middleware/auth.js';
+import { identifyTenant } from '../middleware/tenant.js';
+import databaseManager from '../services/DatabaseManager.js';
+import {
+  WarehouseError,
+  getWarehouseModels,
+  seedWarehouseStock,
+  getWarehouseStock,
+  locationMinStock
+} from '../services/warehouseService.js';
+
+// Montado en /api/warehouses
+const router = express.Router();
+
+const WAREHOUSE_FIELDS = ['name', 'code', 'type', 'address'];
+
+const handleWarehouseError = (res, error) => {
+  if (error instanceof WarehouseError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', ')
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Ya existe una ubicación con ese código'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Error en el servidor'
+  });
+};
+
+const findWarehouse = async (WarehouseModel, id, session) => {
+  const warehouse = mongoose.Types.ObjectId.isValid(id)
+    ? await WarehouseModel.findById(id).session(session || null)
+    : null;
+  if (!warehouse) {
+    throw new WarehouseError('Ubicación no encontrada', 404);
+  }
+  return warehouse;
+};
+
+// @desc    Obtener ubicaciones de inventario
+// @route   GET /api/warehouses
+// @access  Private
+router.get('/', protect, identifyTenant, async (req, res) => {
+  try {
+    const { type, includeInactive } = req.query;
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    if (type) {
+      query.type = type;
+    }
+
+    const warehouses = await getWarehouseModels(req.tenantModels).Warehouse.find(query)
+      .sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: warehouses
+    });
+  } catch (error) {
+    handleWarehouseError(res, error);
+  }
+});
+
+// @desc    Obtener ubicación por ID
+// @route   GET /api/warehouses/:id
+// @access  Private
+router.get('/:id', protect, identifyTenant, async (req, res) => {
+  try {
+    const warehouse = await findWarehouse(getWarehouseModels(req.tenantModels).Warehouse, req.params.id);
+
+    res.json({
+      success: true,
+      data: warehouse
+    });
+  } catch (error) {
+    handleWarehouseError(res, error);
+  }
+});
+
+// @desc    Obtener el stock por producto de una ubicación
+// @route   GET /api/warehouses/:id/stock
+// @access  Private
+router.get('/:id/stock', protect, identifyTenant, async (req, res) => {
+  try {
+    const models = getWarehouseModels(req.tenantModels);
+    const warehouse = await findWarehouse(models.Warehouse, req.params.id);
+    const rows = await getWarehouseStock(models, warehouse._id, { lowStock: req.query.lowStock === 'true' });
+
+    res.json({
+      success: true,
+      data: {
+        warehouse,
+        items: rows.map(row => ({
+          product: row.product._id,
+          productName: row.product.name,
+          sku: row.product.sku,
+          unit: row.product.unit,
+          quantity: row.quantity,
+          inTransit: row.inTransit,
+          minStock: locationMinStock(row),
+          lowStock: row.quantity <= locationMinStock(row)
+        }))
+      }
+    });
+  } catch (error) {
+    handleWarehouseError(res, error);
+  }
+});
+
+// @desc    Crear ubicación. La primera ubicación del tenant queda por defecto y recibe el stock existente.
+// @route   POST /api/warehouses
+// @access  Private (Manager/Admin)
+router.post('/', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const models = getWarehouseModels(req.tenantModels);
+
+    const result = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const isFirst = (await models.Warehouse.countDocuments({}).session(session)) === 0;
+      const isDefault = isFirst || req.body.isDefault === true;
+
+      if (isDefault && !isFirst) {
+        await models.Warehouse.updateMany({ isDefault: true }, { $set: { isDefault: false } }, { session });
+      }
+
+      const warehouse = new models.Warehouse({
+        ...Object.fromEntries(WAREHOUSE_FIELDS.map(field => [field, req.body[field]])),
+        isDefault,
+        createdBy: req.user._id,
+        tenant: req.tenant?._id
+      });
+      await warehouse.save({ session });
+
+      const seededProducts = isFirst ? await seedWarehouseStock(models, warehouse, { session }) : 0;
+      return { warehouse, seededProducts };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.seededProducts > 0
+        ? `Ubicación creada; se le asignó el stock actual de ${result.seededProducts} producto(s)`
+        : 'Ubicación creada correctamente',
+      data: result.warehouse
+    });
+  } catch (error) {
+    handleWarehouseError(res, error);
+  }
+});
+
+// @desc    Actualizar ubicación (isDefault: true la convierte en la ubicación por defecto)
+// @route   PUT /api/warehouses/:id
+// @access  Private (Manager/Admin)
+router.put('/:id', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const models = getWarehouseModels(req.tenantModels);
+
+    const warehouse = await databaseManager.withTransaction(req.tenant, async (session) => {
+      const warehouse = await findWarehouse(models.Warehouse, req.params.id, session);
+
+      for (const field of WAREHOUSE_FIELDS) {
+        if (req.body[field] !== undefined) warehouse[field] = req.body[field];
+      }
+
+      if (req.body.isDefault === false && warehouse.isDefault) {
+        throw new WarehouseError('Marque otra ubicación como predeterminada en lugar de quitar la actual');
+      }
+
+      if (req.body.isDefault === true && !warehouse.isDefault) {
+        if (!warehouse.isActive) {
+          throw new WarehouseError('Una ubicación inactiva no puede ser la predeterminada');
+        }
+        await models.Warehouse.updateMany({ isDefault: true }, { $set: { isDefault: false } }, { session });
+        warehouse.isDefault = true;
+      }
+
+      await warehouse.save({ session });
+      return warehouse;
+    });
+
+    res.json({
+      success: true,
+      message: 'Ubicación actualizada correctamente',
+      data: warehouse
+    });
+  } catch (error) {
+    handleWarehouseError(res, error);
+  }
+});
+
+// @desc    Definir el stock mínimo de un producto en una ubicación (null vuelve al mínimo del producto)
+// @route   PUT /api/warehouses/:id/stock/:productId
+// @access  Private (Manager/Admin)
+router.put('/:id/stock/:productId', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const models = getWarehouseModels(req.tenantModels);
+    const warehouse = await findWarehouse(models.Warehouse, req.params.id);
+    const { minStock } = req.body;
+
+    if (minStock !== null && (minStock === undefined || isNaN(parseFloat(minStock)) || parseFloat(minStock) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El stock mínimo debe ser un número mayor o igual a 0'
+      });
+    }
+
+    const product = mongoose.Types.ObjectId.isValid(req.params.productId)
+      ? await models.Product.findById(req.params.productId).select('name')
+      : null;
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const row = await models.WarehouseStock.findOneAndUpdate(
+      { warehouse: warehouse._id, product: product._id },
+      minStock === null ? { $unset: { minStock: 1 } } : { $set: { minStock: parseFloat(minStock) } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Stock mínimo de la ubicación actualizado',
+      data: row
+    });
+  } catch (error) {
+    handleWarehouseError(res, error);
+  }
+});
+
+// @desc    Desactivar ubicación (debe estar vacía y sin transferencias en tránsito)
+// @route   DELETE /api/warehouses/:id
+// @access  Private (Manager/Admin)
+router.delete('/:id', protect, identifyTenant, manager, async (req, res) => {
+  try {
+    const models = getWarehouseModels(req.tenantModels);
+    const warehouse = await findWarehouse(models.Warehouse, req.params.id);
+
+    if (warehouse.isDefault) {
+      throw new WarehouseError('No se puede desactivar la ubicación predeterminada');
+    }
+
+    const withStock = await models.WarehouseStock.countDocuments({
+      warehouse: warehouse._id,
+      $or: [{ quantity: { $gt: 0 } }, { inTransit: { $gt: 0 } }]
+    });
+    if (withStock > 0) {
+      throw new WarehouseError('La ubicación tiene stock; transfiéralo antes de desactivarla');
+    }
+
+    const pendingTransfers = await models.StockTransfer.countDocuments({
+      status: 'en_transito',
+      $or: [{ fromWarehouse: warehouse._id }, { toWarehouse: warehouse._id }]
+    });
+    if (pendingTransfers > 0) {
+      throw new WarehouseError('La ubicación tiene transferencias en tránsito');
+    }
+
+    warehouse.isActive = false;
+    await warehouse.save();
+
+    res.json({
+      success: true,
+      message: 'Ubicación desactivada correctamente'
+    });
+  } catch (error) {
+    handleWarehouseError(res, error);
+  }
+});
+
+export default router;
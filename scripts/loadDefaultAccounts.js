@@ -234,7 +234,9 @@ const defaultConfigs = {
   },
   bancos: {
     efectivo: { code: '1111', name: 'Caja', type: 'activo' },
-    bancos: { code: '1112', name: 'Bancos', type: 'activo' }
+    bancos: { code: '1112', name: 'Bancos', type: 'activo' },
+    ajustesIngreso: { code: '421', name: 'Otros Ingresos', type: 'ingreso' },
+    ajustesGasto: { code: '521', name: 'Otros Gastos', type: 'gasto' }
   },
   clientes: {
     cuentasPorCobrar: { code: '1121', name: 'Clientes', type: 'activo' }
@@ -21,8 +21,17 @@ import bankRoutes from './routes/banks.js';
 import bankTransactionRoutes from './routes/bankTransactions.js';
 import accountRoutes from './routes/accounts.js';
 import accountConfigRoutes from './routes/accountConfigs.js';
+import journalEntryRoutes from './routes/journalEntries.js';
+import bankReconciliationRoutes from './routes/bankReconciliations.js';
+import bankTransferRoutes from './routes/bankTransfers.js';
+import accountingPeriodRoutes from './routes/accountingPeriods.js';
 import adminRoutes from './routes/admin.js';
 import importRoutes from './routes/import.js';
+import warehouseRoutes from './routes/warehouses.js';
+import stockTransferRoutes from './routes/stockTransfers.js';
+import stockCountRoutes from './routes/stockCounts.js';
+import productionOrderRoutes from './routes/productionOrders.js';
+import { startBatchExpiryScheduler } from './services/batchExpiryService.js';
 
 // Middleware de tenant y salud
 import { identifyTenant, logTenantActivity } from './middleware/tenant.js';
@@ -69,17 +78,25 @@ app.use('/api/clients', clientRoutes);
 app.use('/api/suppliers', supplierRoutes);
 app.use('/api/recipes', recipeRoutes);
 app.use('/api/batches', batchRoutes);
+app.use('/api/production-orders', productionOrderRoutes);
+app.use('/api/inventory/counts', stockCountRoutes);
 app.use('/api/inventory', inventoryRoutes);
+app.use('/api/warehouses/transfers', stockTransferRoutes);
+app.use('/api/warehouses', warehouseRoutes);
 app.use('/api/sales', salesRoutes);
 app.use('/api/purchases', purchaseRoutes);
 app.use('/api/packages', packageRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/config', configRoutes);
+app.use('/api/banks/transfers', bankTransferRoutes);
+app.use('/api/banks/:id/reconciliations', bankReconciliationRoutes);
 app.use('/api/banks', bankRoutes);
 app.use('/api/bank-transactions', bankTransactionRoutes);
 app.use('/api/accounts', accountRoutes);
 app.use('/api/account-configs', accountConfigRoutes);
+app.use('/api/journal-entries', journalEntryRoutes);
+app.use('/api/accounting-periods', accountingPeriodRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/import', importRoutes);
 
@@ -97,6 +114,7 @@ app.get('/', (req, res) => {
       recipes: '/api/recipes',
       batches: '/api/batches',
       inventory: '/api/inventory',
+      warehouses: '/api/warehouses',
       sales: '/api/sales',
       purchases: '/api/purchases',
       banks: '/api/banks'
@@ -125,6 +143,11 @@ const initializeServer = async () => {
   
   app.listen(PORT, () => {
   });
+  
+  // Control diario de vencimiento de lotes de todos los tenants
+  if (process.env.BATCH_EXPIRY_JOB !== 'false') {
+    startBatchExpiryScheduler();
+  }
 };
 
 initializeServer().catch(error => {
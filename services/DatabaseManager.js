@@ -92,6 +92,21 @@ class DatabaseManager {
       const { default: Package } = await import('../models/Package.js');
       const { default: Bank } = await import('../models/Bank.js');
       const { default: BankTransaction } = await import('../models/BankTransaction.js');
+      const { default: StockMovement } = await import('../models/StockMovement.js');
+      const { default: CreditNote } = await import('../models/CreditNote.js');
+      const { default: Sequence } = await import('../models/Sequence.js');
+      const { default: JournalEntry } = await import('../models/JournalEntry.js');
+      const { default: AccountingPeriod } = await import('../models/AccountingPeriod.js');
+      const { default: BankStatement } = await import('../models/BankStatement.js');
+      const { default: BankStatementLine } = await import('../models/BankStatementLine.js');
+      const { default: BankTransfer } = await import('../models/BankTransfer.js');
+      const { default: CostLayer } = await import('../models/CostLayer.js');
+      const { default: Warehouse } = await import('../models/Warehouse.js');
+      const { default: WarehouseStock } = await import('../models/WarehouseStock.js');
+      const { default: StockTransfer } = await import('../models/StockTransfer.js');
+      const { default: StockCount } = await import('../models/StockCount.js');
+      const { default: ProductionOrder } = await import('../models/ProductionOrder.js');
+      const { default: RecipeVersion } = await import('../models/RecipeVersion.js');
 
       // Crear modelos específicos para este tenant usando los esquemas existentes
       const models = {
@@ -106,6 +121,21 @@ class DatabaseManager {
         Package: connection.model('Package', Package.schema),
         Bank: connection.model('Bank', Bank.schema),
         BankTransaction: connection.model('BankTransaction', BankTransaction.schema),
+        StockMovement: connection.model('StockMovement', StockMovement.schema),
+        CreditNote: connection.model('CreditNote', CreditNote.schema),
+        Sequence: connection.model('Sequence', Sequence.schema),
+        JournalEntry: connection.model('JournalEntry', JournalEntry.schema),
+        AccountingPeriod: connection.model('AccountingPeriod', AccountingPeriod.schema),
+        BankStatement: connection.model('BankStatement', BankStatement.schema),
+        BankStatementLine: connection.model('BankStatementLine', BankStatementLine.schema),
+        BankTransfer: connection.model('BankTransfer', BankTransfer.schema),
+        CostLayer: connection.model('CostLayer', CostLayer.schema),
+        Warehouse: connection.model('Warehouse', Warehouse.schema),
+        WarehouseStock: connection.model('WarehouseStock', WarehouseStock.schema),
+        StockTransfer: connection.model('StockTransfer', StockTransfer.schema),
+        StockCount: connection.model('StockCount', StockCount.schema),
+        ProductionOrder: connection.model('ProductionOrder', ProductionOrder.schema),
+        RecipeVersion: connection.model('RecipeVersion', RecipeVersion.schema),
       };
 
       // Guardar modelos en cache
@@ -118,6 +148,28 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Ejecuta una función dentro de una transacción de MongoDB sobre la conexión del tenant.
+   * Si la función lanza un error, todos los cambios hechos con la sesión se revierten.
+   * @param {Object|null} tenant - Objeto tenant (null para usar la BD principal)
+   * @param {Function} fn - Función async que recibe la sesión; puede reintentarse ante errores transitorios
+   * @returns {Promise<*>} - Valor devuelto por la función
+   */
+  async withTransaction(tenant, fn) {
+    const connection = tenant ? await this.getTenantConnection(tenant) : mongoose.connection;
+    const session = await connection.startSession();
+
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
   /**
    * Cierra la conexión de un tenant específico
    * @param {string} tenantId - ID del tenant
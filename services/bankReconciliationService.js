@@ -0,0 +1,462 @@
+import crypto from 'crypto';
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tipos de BankTransaction que aumentan el saldo; los demás lo disminuyen
+const INFLOW_TYPES = ['deposit', 'payment'];
+// Registros informativos que no mueven el saldo (el pago a cuenta ya genera su retiro real)
+export const BALANCE_NEUTRAL_TYPES = ['account_payment'];
+
+// Nombres de columna reconocidos en los extractos CSV (en minúsculas y sin acentos)
+const CSV_COLUMN_ALIASES = {
+  date: ['fecha', 'date', 'fecha operacion', 'fecha valor', 'posted date'],
+  description: ['descripcion', 'description', 'concepto', 'detalle', 'memo'],
+  reference: ['referencia', 'reference', 'ref', 'documento', 'numero', 'no. documento'],
+  amount: ['monto', 'importe', 'amount', 'valor'],
+  debit: ['debito', 'debit', 'cargo', 'retiro'],
+  credit: ['credito', 'credit', 'abono', 'deposito']
+};
+
+const normalizeHeader = (header) => header
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim();
+
+// Dividir una línea CSV respetando los valores entre comillas
+const splitCSVLine = (line, delimiter) => {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+};
+
+/**
+ * Convierte un importe de texto a número ("1,234.56", "1.234,56", "(50.00)", "-RD$ 20")
+ * @param {string} value - Importe
+ * @param {string} [decimalSeparator] - '.' (por defecto) o ','
+ * @returns {number|null}
+ */
+export const parseStatementAmount = (value, decimalSeparator = '.') => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  text = text.replace(/[^0-9.,]/g, '');
+  text = decimalSeparator === ','
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+  return roundAmount(negative ? -amount : amount);
+};
+
+/**
+ * Convierte una fecha de extracto a Date (UTC)
+ * @param {string} value - AAAA-MM-DD, DD/MM/AAAA, MM/DD/AAAA o AAAAMMDD (OFX)
+ * @param {string} [dateFormat] - 'DD/MM/YYYY' (por defecto) o 'MM/DD/YYYY' para fechas con barras
+ * @returns {Date|null}
+ */
+export const parseStatementDate = (value, dateFormat = 'DD/MM/YYYY') => {
+  if (!value) return null;
+  const text = String(value).trim();
+  let year;
+  let month;
+  let day;
+
+  let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (match) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/))) {
+    [, day, month, year] = match;
+    if (dateFormat === 'MM/DD/YYYY') [day, month] = [month, day];
+    if (year.length === 2) year = `20${year}`;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Huella de un movimiento sin identificador propio, para detectar importaciones repetidas
+const lineFingerprint = (line, occurrence) => crypto
+  .createHash('sha1')
+  .update([line.date.toISOString().slice(0, 10), line.amount, line.description || '', line.reference || '', occurrence].join('|'))
+  .digest('hex');
+
+/**
+ * Lee un extracto en CSV. La primera fila debe traer los encabezados; las columnas se reconocen
+ * por su nombre (fecha, descripción, referencia, monto o débito/crédito) o se indican en options.columns.
+ * @param {string} content - Contenido del archivo
+ * @param {Object} [options] - { delimiter, dateFormat, decimalSeparator, columns: { date, description, reference, amount, debit, credit } }
+ * @returns {{ lines: Array, errors: Array<string> }}
+ */
+export const parseStatementCSV = (content, options = {}) => {
+  const rows = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(row => row.trim());
+  if (rows.length < 2) {
+    return { lines: [], errors: ['El archivo no contiene movimientos'] };
+  }
+
+  const delimiter = options.delimiter || (rows[0].split(';').length > rows[0].split(',').length ? ';' : ',');
+  const headers = splitCSVLine(rows[0], delimiter).map(normalizeHeader);
+
+  const columns = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMN_ALIASES)) {
+    const configured = options.columns?.[field];
+    const index = configured !== undefined
+      ? (Number.isInteger(configured) ? configured : headers.indexOf(normalizeHeader(String(configured))))
+      : headers.findIndex(header => aliases.includes(header));
+    if (index >= 0) columns[field] = index;
+  }
+
+  if (columns.date === undefined || (columns.amount === undefined && columns.debit === undefined && columns.credit === undefined)) {
+    return { lines: [], errors: ['No se encontraron las columnas de fecha y monto (o débito/crédito) en el encabezado'] };
+  }
+
+  const lines = [];
+  const errors = [];
+  const occurrences = new Map();
+
+  rows.slice(1).forEach((row, index) => {
+    const values = splitCSVLine(row, delimiter);
+    const rowNumber = index + 2;
+
+    const date = parseStatementDate(values[columns.date], options.dateFormat);
+    let amount = columns.amount !== undefined
+      ? parseStatementAmount(values[columns.amount], options.decimalSeparator)
+      : null;
+
+    if (amount === null) {
+      const credit = parseStatementAmount(values[columns.credit], options.decimalSeparator) || 0;
+      const debit = parseStatementAmount(values[columns.debit], options.decimalSeparator) || 0;
+      amount = credit || debit ? roundAmount(Math.abs(credit) - Math.abs(debit)) : null;
+    }
+
+    if (!date) {
+      errors.push(`Fila ${rowNumber}: fecha inválida`);
+      return;
+    }
+    if (amount === null || amount === 0) {
+      errors.push(`Fila ${rowNumber}: monto inválido`);
+      return;
+    }
+
+    const line = {
+      date,
+      amount,
+      description: columns.description !== undefined ? values[columns.description] : '',
+      reference: columns.reference !== undefined ? values[columns.reference] : ''
+    };
+
+    // Dos movimientos idénticos el mismo día se distinguen por su número de aparición
+    const key = [line.date.toISOString(), line.amount, line.description, line.reference].join('|');
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+    line.externalId = lineFingerprint(line, occurrence);
+
+    lines.push(line);
+  });
+
+  return { lines, errors };
+};
+
+// Valor de una etiqueta OFX (SGML sin cierre o XML)
+const ofxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : undefined;
+};
+
+/**
+ * Lee un extracto en formato OFX/QFX
+ * @param {string} content - Contenido del archivo
+ * @returns {{ lines: Array, errors: Array<string>, startDate, endDate, closingBalance }}
+ */
+export const parseStatementOFX = (content) => {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  const lines = [];
+  const errors = [];
+
+  blocks.forEach((block, index) => {
+    const date = parseStatementDate(ofxTag(block, 'DTPOSTED'));
+    const amount = parseStatementAmount(ofxTag(block, 'TRNAMT'));
+
+    if (!date || amount === null || amount === 0) {
+      errors.push(`Movimiento ${index + 1}: fecha o monto inválido`);
+      return;
+    }
+
+    const line = {
+      date,
+      amount,
+      description: [ofxTag(block, 'NAME'), ofxTag(block, 'MEMO')].filter(Boolean).join(' - '),
+      reference: ofxTag(block, 'CHECKNUM') || ofxTag(block, 'REFNUM') || ''
+    };
+    line.externalId = ofxTag(block, 'FITID') || lineFingerprint(line, index);
+
+    lines.push(line);
+  });
+
+  if (!blocks.length) {
+    errors.push('El archivo no contiene movimientos OFX');
+  }
+
+  const ledgerBalance = content.match(/<LEDGERBAL>[\s\S]*?(?=<\/LEDGERBAL>|<AVAILBAL>|<\/STMTRS>)/i)?.[0];
+
+  return {
+    lines,
+    errors,
+    startDate: parseStatementDate(ofxTag(content, 'DTSTART')),
+    endDate: parseStatementDate(ofxTag(content, 'DTEND')),
+    closingBalance: ledgerBalance ? parseStatementAmount(ofxTag(ledgerBalance, 'BALAMT')) : undefined
+  };
+};
+
+/**
+ * Importe con signo de un movimiento del sistema según cómo afectó el saldo de la cuenta
+ * @param {Object} transaction - BankTransaction
+ * @returns {number}
+ */
+export const transactionSignedAmount = (transaction) => {
+  if (BALANCE_NEUTRAL_TYPES.includes(transaction.type)) return 0;
+  if (transaction.type === 'adjustment') {
+    return roundAmount(transaction.newBalance - transaction.previousBalance);
+  }
+  return INFLOW_TYPES.includes(transaction.type) ? transaction.amount : -transaction.amount;
+};
+
+// Fecha valor de un movimiento del sistema
+export const transactionDate = (transaction) => transaction.paymentDate || transaction.createdAt;
+
+// Coincidencia de referencias: la referencia de uno aparece en la descripción o referencia del otro
+const referencesMatch = (line, transaction) => {
+  const lineText = `${line.reference || ''} ${line.description || ''}`.toLowerCase();
+  const transactionText = `${transaction.reference || ''} ${transaction.description || ''}`.toLowerCase();
+  return Boolean(
+    (line.reference && transactionText.includes(line.reference.toLowerCase())) ||
+    (transaction.reference && lineText.includes(transaction.reference.toLowerCase()))
+  );
+};
+
+/**
+ * Concilia automáticamente las líneas pendientes de un banco con los movimientos no conciliados.
+ * Una línea se empareja con un movimiento del mismo importe y signo cuya fecha esté dentro de la ventana;
+ * si hay varios candidatos se prefiere el que coincide en referencia y luego el de fecha más cercana.
+ * @param {Object} models - { BankStatementLine, BankTransaction }
+ * @param {string} bankId - Cuenta bancaria
+ * @param {Object} [options] - { dateWindowDays (3 por defecto), statementId, userId }
+ * @returns {Promise<Array>} Parejas { line, transaction } conciliadas
+ */
+export const autoMatchStatementLines = async (models, bankId, options = {}) => {
+  const { dateWindowDays = 3, statementId, userId } = options;
+  const lineQuery = { bank: bankId, status: 'pendiente' };
+  if (statementId) lineQuery.statement = statementId;
+
+  const lines = await models.BankStatementLine.find(lineQuery).sort({ date: 1 });
+  if (!lines.length) return [];
+
+  const window = dateWindowDays * DAY_MS;
+  const from = new Date(lines[0].date.getTime() - window);
+  const to = new Date(lines[lines.length - 1].date.getTime() + window + DAY_MS);
+
+  const transactions = await models.BankTransaction.find({
+    bank: bankId,
+    type: { $nin: BALANCE_NEUTRAL_TYPES },
+    reconciled: { $ne: true },
+    $or: [
+      { paymentDate: { $gte: from, $lte: to } },
+      { paymentDate: null, createdAt: { $gte: from, $lte: to } }
+    ]
+  });
+
+  const available = new Set(transactions.map(transaction => transaction._id.toString()));
+  const matches = [];
+
+  for (const line of lines) {
+    const candidates = transactions
+      .filter(transaction => available.has(transaction._id.toString()))
+      .filter(transaction => Math.abs(transactionSignedAmount(transaction) - line.amount) < 0.005)
+      .map(transaction => ({
+        transaction,
+        distance: Math.abs(transactionDate(transaction).getTime() - line.date.getTime()),
+        reference: referencesMatch(line, transaction)
+      }))
+      .filter(candidate => candidate.distance <= window + DAY_MS)
+      .sort((a, b) => (b.reference - a.reference) || (a.distance - b.distance));
+
+    if (!candidates.length) continue;
+
+    const { transaction } = candidates[0];
+    available.delete(transaction._id.toString());
+    matches.push({ line, transaction });
+  }
+
+  const reconciledAt = new Date();
+  for (const { line, transaction } of matches) {
+    line.status = 'conciliado';
+    line.transactions = [transaction._id];
+    line.matchType = 'automatico';
+    line.reconciledAt = reconciledAt;
+    line.reconciledBy = userId;
+    await line.save();
+
+    transaction.reconciled = true;
+    transaction.statementLine = line._id;
+    transaction.reconciledAt = reconciledAt;
+    await transaction.save();
+  }
+
+  return matches;
+};
+
+/**
+ * Deshace la conciliación de una línea y libera sus movimientos
+ * @param {Object} models - { BankStatementLine, BankTransaction }
+ * @param {Object} line - BankStatementLine
+ */
+export const unmatchStatementLine = async (models, line) => {
+  await models.BankTransaction.updateMany(
+    { _id: { $in: line.transactions } },
+    { $set: { reconciled: false }, $unset: { statementLine: '', reconciledAt: '' } }
+  );
+
+  line.status = 'pendiente';
+  line.transactions = [];
+  line.matchType = undefined;
+  line.reconciledAt = undefined;
+  line.reconciledBy = undefined;
+  await line.save();
+};
+
+/**
+ * Arma el informe de conciliación de una cuenta a una fecha de corte
+ * @param {Object} models - { BankStatement, BankStatementLine, BankTransaction }
+ * @param {Object} bank - Cuenta bancaria
+ * @param {Object} [options] - { date, statementBalance }; sin saldo del extracto se toma el del último extracto importado
+ * @returns {Promise<Object>}
+ */
+export const buildReconciliationReport = async (models, bank, options = {}) => {
+  const cutoff = options.date ? new Date(options.date) : new Date();
+  if (options.date && /^\d{4}-\d{2}-\d{2}$/.test(options.date)) cutoff.setUTCHours(23, 59, 59, 999);
+
+  // Saldo en libros a la fecha de corte: saldo actual menos los movimientos posteriores
+  const laterTransactions = await models.BankTransaction.find({
+    bank: bank._id,
+    type: { $nin: BALANCE_NEUTRAL_TYPES },
+    $or: [
+      { paymentDate: { $gt: cutoff } },
+      { paymentDate: null, createdAt: { $gt: cutoff } }
+    ]
+  });
+  const bookBalance = roundAmount(
+    bank.currentBalance - laterTransactions.reduce((sum, transaction) => sum + transactionSignedAmount(transaction), 0)
+  );
+
+  let statementBalance = options.statementBalance !== undefined && options.statementBalance !== ''
+    ? roundAmount(parseFloat(options.statementBalance))
+    : undefined;
+  let statement = null;
+  if (statementBalance === undefined || isNaN(statementBalance)) {
+    statement = await models.BankStatement.findOne({
+      bank: bank._id,
+      closingBalance: { $ne: null },
+      endDate: { $lte: cutoff }
+    }).sort({ endDate: -1 });
+    statementBalance = statement ? roundAmount(statement.closingBalance) : null;
+  }
+
+  // Partidas pendientes: movimientos en libros que el banco aún no registra
+  const outstandingTransactions = await models.BankTransaction.find({
+    bank: bank._id,
+    type: { $nin: BALANCE_NEUTRAL_TYPES },
+    reconciled: { $ne: true },
+    $or: [
+      { paymentDate: { $lte: cutoff } },
+      { paymentDate: null, createdAt: { $lte: cutoff } }
+    ]
+  }).sort({ createdAt: 1 });
+
+  const depositsInTransit = [];
+  const outstandingPayments = [];
+  for (const transaction of outstandingTransactions) {
+    const amount = transactionSignedAmount(transaction);
+    const item = {
+      id: transaction._id,
+      date: transactionDate(transaction),
+      type: transaction.type,
+      description: transaction.description,
+      reference: transaction.reference,
+      amount
+    };
+    if (amount >= 0) depositsInTransit.push(item);
+    else outstandingPayments.push(item);
+  }
+
+  // Movimientos del banco que no están registrados en libros (comisiones, intereses, etc.)
+  const unmatchedLines = await models.BankStatementLine.find({
+    bank: bank._id,
+    status: 'pendiente',
+    date: { $lte: cutoff }
+  }).sort({ date: 1 });
+
+  const sum = (items) => roundAmount(items.reduce((total, item) => total + item.amount, 0));
+  const totalDepositsInTransit = sum(depositsInTransit);
+  const totalOutstandingPayments = sum(outstandingPayments);
+  const totalUnmatchedLines = sum(unmatchedLines);
+
+  // Saldo conciliado: libros más los movimientos del banco aún no registrados.
+  // Debe coincidir con el saldo del extracto ajustado con las partidas en tránsito.
+  const reconciledBalance = roundAmount(bookBalance + totalUnmatchedLines);
+  const adjustedStatementBalance = statementBalance !== null
+    ? roundAmount(statementBalance + totalDepositsInTransit + totalOutstandingPayments)
+    : null;
+  const difference = adjustedStatementBalance !== null
+    ? roundAmount(adjustedStatementBalance - reconciledBalance)
+    : null;
+
+  return {
+    bank: {
+      id: bank._id,
+      name: bank.name,
+      accountNumber: bank.accountNumber,
+      currency: bank.currency
+    },
+    date: cutoff,
+    statement: statement ? { id: statement._id, fileName: statement.fileName, endDate: statement.endDate } : null,
+    statementBalance,
+    bookBalance,
+    reconciledBalance,
+    outstanding: {
+      depositsInTransit,
+      outstandingPayments,
+      unmatchedStatementLines: unmatchedLines,
+      totalDepositsInTransit,
+      totalOutstandingPayments,
+      totalUnmatchedStatementLines: totalUnmatchedLines
+    },
+    adjustedStatementBalance,
+    difference,
+    isReconciled: difference !== null && Math.abs(difference) < 0.01
+  };
+};
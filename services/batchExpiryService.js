@@ -0,0 +1,377 @@
+import Batch from '../models/Batch.js';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import Tenant from '../models/Tenant.js';
+import User from '../models/User.js';
+import Config, { tenantConfigKey } from '../models/Config.js';
+import databaseManager from './DatabaseManager.js';
+import { incrementProductStock } from './stockMovementService.js';
+import { getCostingModels, getCostingMethod, recordStockChangeCost } from './costingService.js';
+import { getWarehouseModels, resolveWarehouse } from './warehouseService.js';
+import { sendBatchExpiryAlertEmail } from './emailService.js';
+
+const EXPIRY_SETTINGS_KEY = 'batch_expiry_settings';
+const EXPIRY_LAST_RUN_KEY = 'batch_expiry_last_run';
+const DEFAULT_JOB_HOUR = 6;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// alertThresholds: días antes del vencimiento en que se avisa (un correo por umbral alcanzado)
+// autoWriteOff: dar de baja el stock de los lotes al vencer
+// emailAlerts: enviar los avisos por correo a administradores y encargados
+export const DEFAULT_EXPIRY_SETTINGS = {
+  alertThresholds: [30, 7, 1],
+  autoWriteOff: true,
+  emailAlerts: true
+};
+
+/**
+ * Obtiene los modelos del control de vencimientos (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - Modelos del tenant
+ * @returns {Object} { Batch, Product, StockMovement, Warehouse, WarehouseStock, CostLayer, Config }
+ */
+export const getBatchExpiryModels = (tenantModels) => ({
+  ...getWarehouseModels(tenantModels),
+  ...getCostingModels(tenantModels),
+  Batch: tenantModels?.Batch || Batch,
+  StockMovement: tenantModels?.StockMovement || StockMovement
+});
+
+const normalizeThresholds = (thresholds) => [...new Set((thresholds || [])
+  .map(days => parseInt(days))
+  .filter(days => days > 0))]
+  .sort((a, b) => b - a);
+
+/**
+ * Configuración de vencimientos del tenant, completada con los valores por defecto
+ * @param {mongoose.Model} [ConfigModel] - Modelo Config
+ * @param {string} [tenantId] - Tenant
+ * @returns {Promise<Object>} { alertThresholds, autoWriteOff, emailAlerts }
+ */
+export const getBatchExpirySettings = async (ConfigModel = Config, tenantId) => {
+  const value = (tenantId && await ConfigModel.getByKey(tenantConfigKey(EXPIRY_SETTINGS_KEY, tenantId)))
+    || await ConfigModel.getByKey(EXPIRY_SETTINGS_KEY)
+    || {};
+  const settings = { ...DEFAULT_EXPIRY_SETTINGS, ...value };
+  settings.alertThresholds = normalizeThresholds(settings.alertThresholds);
+  return settings;
+};
+
+/**
+ * Guarda la configuración de vencimientos del tenant
+ * @param {mongoose.Model} ConfigModel - Modelo Config
+ * @param {Object} settings - { alertThresholds, autoWriteOff, emailAlerts }
+ * @param {Object} [options] - { tenantId, userId }
+ * @returns {Promise<Object>} Configuración guardada
+ */
+export const setBatchExpirySettings = async (ConfigModel, settings, { tenantId, userId } = {}) => {
+  const value = {
+    alertThresholds: normalizeThresholds(settings.alertThresholds),
+    autoWriteOff: settings.autoWriteOff !== false,
+    emailAlerts: settings.emailAlerts !== false
+  };
+  await ConfigModel.setByKey(tenantConfigKey(EXPIRY_SETTINGS_KEY, tenantId), value, 'object', 'Avisos y baja automática de lotes vencidos', userId);
+  return value;
+};
+
+// Días completos que faltan para el vencimiento (0 si vence hoy)
+const daysUntil = (date, now) => Math.max(0, Math.ceil((new Date(date) - now) / MS_PER_DAY));
+
+/**
+ * Da de baja el stock de un lote vencido: movimiento de salida del producto (y de la ubicación
+ * del lote), consumo de sus capas de costo y lote en cero. Se ejecuta en su propia transacción.
+ * @param {Object} models - Modelos de getBatchExpiryModels
+ * @param {Object} batch - Lote vencido con stock
+ * @param {Object} options - { tenant, user, costingMethod }
+ * @returns {Promise<Object>} { batchNumber, productName, quantity, unit, expirationDate }
+ */
+export const writeOffExpiredBatch = async (models, batch, { tenant, user, costingMethod }) => {
+  // Los lotes anteriores a las ubicaciones están en la ubicación por defecto
+  const warehouse = await resolveWarehouse(models.Warehouse, batch.warehouse);
+
+  return databaseManager.withTransaction(tenant, async (session) => {
+    const quantity = batch.currentStock;
+    const updated = await models.Batch.findOneAndUpdate(
+      { _id: batch._id, currentStock: quantity },
+      { $set: { currentStock: 0, status: 'vencido', writtenOffQuantity: quantity, writtenOffAt: new Date() } },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new Error(`El stock del lote ${batch.batchNumber} cambió durante la baja`);
+    }
+
+    const product = await incrementProductStock(models, batch.product, -quantity, {
+      type: 'salida',
+      referenceType: 'batch',
+      reference: batch._id,
+      referenceNumber: batch.batchNumber,
+      warehouse: warehouse?._id,
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      reason: `Baja por vencimiento del lote ${batch.batchNumber}`,
+      createdBy: user,
+      tenant: tenant?._id
+    }, { session });
+    if (!product) {
+      throw new Error(`El stock de ${batch.productName}${warehouse ? ` en ${warehouse.name}` : ''} no cubre el lote ${batch.batchNumber}`);
+    }
+
+    await recordStockChangeCost(models, product, -quantity, {
+      type: 'batch',
+      reference: batch._id,
+      referenceNumber: batch.batchNumber,
+      batch: batch._id,
+      createdBy: user,
+      tenant: tenant?._id
+    }, { session, method: costingMethod });
+
+    return {
+      batchNumber: batch.batchNumber,
+      productName: batch.productName,
+      quantity,
+      unit: batch.unit,
+      expirationDate: batch.expirationDate
+    };
+  });
+};
+
+/**
+ * Marca como vencidos los lotes cuya fecha ya pasó y, si la configuración lo indica, da de baja su stock
+ * @param {Object} models - Modelos de getBatchExpiryModels
+ * @param {Object} settings - Configuración de getBatchExpirySettings
+ * @param {Object} options - { tenant, user, costingMethod, now }
+ * @returns {Promise<Object>} { expired, writtenOff, errors }
+ */
+export const sweepExpiredBatches = async (models, settings, options = {}) => {
+  const now = options.now || new Date();
+
+  const expiredQuery = {
+    isActive: true,
+    expirationDate: { $lt: now },
+    $or: [
+      { status: { $ne: 'vencido' } },
+      ...(settings.autoWriteOff ? [{ currentStock: { $gt: 0 } }] : [])
+    ]
+  };
+  const batches = await models.Batch.find(expiredQuery).sort({ expirationDate: 1 });
+
+  const writtenOff = [];
+  const errors = [];
+  for (const batch of batches) {
+    if (settings.autoWriteOff && batch.currentStock > 0) {
+      try {
+        writtenOff.push(await writeOffExpiredBatch(models, batch, options));
+      } catch (error) {
+        // Si no se puede dar de baja, al menos queda marcado como vencido para que no se use
+        await models.Batch.updateOne({ _id: batch._id }, { $set: { status: 'vencido' } });
+        errors.push({ batch: batch._id, batchNumber: batch.batchNumber, message: error.message });
+      }
+    } else if (batch.status !== 'vencido') {
+      await models.Batch.updateOne({ _id: batch._id }, { $set: { status: 'vencido' } });
+    }
+  }
+
+  return { expired: batches.length, writtenOff, errors };
+};
+
+/**
+ * Lotes con stock que alcanzaron un umbral de aviso aún no notificado. Cada lote se avisa una vez
+ * por umbral: al notificar se guarda el umbral alcanzado en el lote.
+ * @param {Object} models - { Batch }
+ * @param {Array<number>} thresholds - Umbrales en días, de mayor a menor
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Array>} Lotes a avisar con sus días restantes
+ */
+export const collectExpiryAlerts = async (models, thresholds, options = {}) => {
+  if (thresholds.length === 0) return [];
+  const now = options.now || new Date();
+
+  const batches = await models.Batch.find({
+    isActive: true,
+    status: 'activo',
+    currentStock: { $gt: 0 },
+    expirationDate: { $gte: now, $lte: new Date(now.getTime() + thresholds[0] * MS_PER_DAY) }
+  }).sort({ expirationDate: 1 });
+
+  const alerts = [];
+  for (const batch of batches) {
+    const daysLeft = daysUntil(batch.expirationDate, now);
+    // Umbral alcanzado: el menor umbral que aún es mayor o igual a los días que faltan
+    const threshold = thresholds.filter(days => days >= daysLeft).pop();
+    if (threshold == null || (batch.expiryAlertThreshold != null && batch.expiryAlertThreshold <= threshold)) continue;
+
+    alerts.push({
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      productName: batch.productName,
+      expirationDate: batch.expirationDate,
+      daysLeft,
+      threshold,
+      currentStock: batch.currentStock,
+      unit: batch.unit
+    });
+  }
+  return alerts;
+};
+
+// Usuario con que se registran los movimientos automáticos: el administrador del tenant o el primer administrador
+const getSystemUser = async (tenant) => {
+  if (tenant?.adminUser) return tenant.adminUser;
+  const admin = await User.findOne({ role: 'admin', isActive: true, tenantId: tenant?._id || null }).select('_id');
+  return admin?._id || null;
+};
+
+// Administradores y encargados activos del tenant que reciben notificaciones por correo
+const getAlertRecipients = async (tenant) => {
+  const users = await User.find({
+    tenantId: tenant?._id || null,
+    role: { $in: ['admin', 'manager'] },
+    isActive: true,
+    emailNotifications: true
+  }).select('email');
+  return users.map(user => user.email).filter(Boolean);
+};
+
+/**
+ * Control de vencimientos de un tenant (o de la BD principal con tenant null): marca y da de baja
+ * los lotes vencidos y avisa por correo de los que alcanzaron un umbral
+ * @param {Object|null} tenant - Tenant
+ * @param {Object} [options] - { now, user } user: quien ejecuta el control manualmente
+ * @returns {Promise<Object>} { expired, writtenOff, alerts, errors, emailSent }
+ */
+export const runBatchExpiryCheck = async (tenant, options = {}) => {
+  const tenantModels = tenant ? await databaseManager.getTenantModels(tenant) : null;
+  const models = getBatchExpiryModels(tenantModels);
+  const settings = await getBatchExpirySettings(models.Config, tenant?._id);
+  const costingMethod = await getCostingMethod(models.Config, tenant?._id);
+  const user = options.user || await getSystemUser(tenant);
+
+  const sweep = user
+    ? await sweepExpiredBatches(models, settings, { tenant, user, costingMethod, now: options.now })
+    : await sweepExpiredBatches(models, { ...settings, autoWriteOff: false }, { now: options.now });
+  const alerts = await collectExpiryAlerts(models, settings.alertThresholds, { now: options.now });
+
+  let emailSent = false;
+  if (settings.emailAlerts && (alerts.length > 0 || sweep.writtenOff.length > 0)) {
+    const recipients = await getAlertRecipients(tenant);
+    if (recipients.length > 0) {
+      const result = await sendBatchExpiryAlertEmail(recipients, {
+        companyName: tenant?.companyName,
+        expiring: alerts,
+        writtenOff: sweep.writtenOff
+      });
+      emailSent = result.success;
+    }
+  }
+
+  // Los umbrales quedan registrados aunque no haya destinatarios, para no acumular avisos atrasados
+  for (const alert of alerts) {
+    await models.Batch.updateOne({ _id: alert.batch }, { $set: { expiryAlertThreshold: alert.threshold } });
+  }
+
+  return { ...sweep, alerts, emailSent };
+};
+
+// Resumen que queda guardado del último control automático de un tenant
+const summarizeCheck = (result) => result.error
+  ? { ranAt: new Date(), error: result.error }
+  : {
+    ranAt: new Date(),
+    expired: result.expired,
+    writtenOff: result.writtenOff.length,
+    alerts: result.alerts.length,
+    errors: result.errors,
+    emailSent: result.emailSent
+  };
+
+// Guardar el resultado del tenant (la configuración requiere un usuario: se usa el del sistema)
+const saveLastRun = async (tenant, summary) => {
+  const user = await getSystemUser(tenant);
+  if (!user) return;
+  await Config.setByKey(tenantConfigKey(EXPIRY_LAST_RUN_KEY, tenant?._id), summary, 'object', 'Último control automático de vencimientos', user);
+};
+
+/**
+ * Resultado del último control automático de vencimientos del tenant
+ * @param {mongoose.Model} [ConfigModel] - Modelo Config
+ * @param {string} [tenantId] - Tenant
+ * @returns {Promise<Object|null>} { ranAt, expired, writtenOff, alerts, errors, emailSent } o { ranAt, error }
+ */
+export const getBatchExpiryLastRun = async (ConfigModel = Config, tenantId) =>
+  ConfigModel.getByKey(tenantConfigKey(EXPIRY_LAST_RUN_KEY, tenantId));
+
+/**
+ * Ejecuta el control de vencimientos en la BD principal y en cada tenant activo.
+ * El error de un tenant no detiene el resto; el resultado de cada uno queda guardado (ver getBatchExpiryLastRun).
+ * @returns {Promise<Array>} Resultado por tenant
+ */
+export const runBatchExpiryJob = async () => {
+  const tenants = await Tenant.find({ status: { $in: ['active', 'trial'] } });
+  const results = [];
+
+  for (const tenant of [null, ...tenants]) {
+    let result;
+    try {
+      result = { tenant: tenant?._id || null, ...(await runBatchExpiryCheck(tenant)) };
+    } catch (error) {
+      result = { tenant: tenant?._id || null, error: error.message };
+    }
+    results.push(result);
+
+    try {
+      await saveLastRun(tenant, summarizeCheck(result));
+    } catch (error) {
+      result.saveError = error.message;
+    }
+  }
+  return results;
+};
+
+let expiryTimer = null;
+let lastJobRun = null;
+
+/**
+ * Estado de la última ejecución del programador en este proceso: tenants con error o el fallo
+ * general (p. ej. sin conexión a la BD principal)
+ * @returns {Object|null} { startedAt, finishedAt, tenants, failedTenants, error }
+ */
+export const getBatchExpiryJobStatus = () => lastJobRun;
+
+// Hora del control diario: BATCH_EXPIRY_JOB_HOUR si es una hora válida (0-23), si no la hora por defecto
+const getJobHour = () => {
+  const hour = Number(process.env.BATCH_EXPIRY_JOB_HOUR || DEFAULT_JOB_HOUR);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_JOB_HOUR;
+};
+
+/**
+ * Programa el control de vencimientos una vez al día a la hora indicada (BATCH_EXPIRY_JOB_HOUR, 6 por defecto)
+ * @returns {Function} Función que detiene el programador
+ */
+export const startBatchExpiryScheduler = () => {
+  const hour = getJobHour();
+
+  const scheduleNext = () => {
+    const next = new Date();
+    next.setHours(hour, 0, 0, 0);
+    if (next <= new Date()) next.setDate(next.getDate() + 1);
+
+    expiryTimer = setTimeout(async () => {
+      const startedAt = new Date();
+      try {
+        const results = await runBatchExpiryJob();
+        const failedTenants = results.filter(result => result.error || result.saveError);
+        lastJobRun = { startedAt, finishedAt: new Date(), tenants: results.length, failedTenants };
+        if (failedTenants.length > 0) {
+          console.error(`Control de vencimientos: ${failedTenants.length} tenant(s) con error`, failedTenants);
+        }
+      } catch (error) {
+        // Un fallo (p. ej. sin conexión a la BD principal) no detiene las próximas ejecuciones
+        lastJobRun = { startedAt, finishedAt: new Date(), error: error.message };
+        console.error('Error en el control de vencimientos de lotes:', error.message);
+      }
+      scheduleNext();
+    }, next - new Date());
+  };
+
+  scheduleNext();
+  return () => clearTimeout(expiryTimer);
+};
@@ -0,0 +1,253 @@
+import Batch from '../models/Batch.js';
+import Recipe from '../models/Recipe.js';
+import Purchase from '../models/Purchase.js';
+import Sale from '../models/Sale.js';
+import Client from '../models/Client.js';
+
+// Niveles máximos de la genealogía (recetas que usan lotes producidos por otras recetas)
+const MAX_TRACE_DEPTH = 10;
+
+/**
+ * Obtiene los modelos de trazabilidad (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - req.tenantModels
+ * @returns {Object} { Batch, Recipe, Purchase, Sale, Client }
+ */
+export const getBatchTraceModels = (tenantModels) => ({
+  Batch: tenantModels?.Batch || Batch,
+  Recipe: tenantModels?.Recipe || Recipe,
+  Purchase: tenantModels?.Purchase || Purchase,
+  Sale: tenantModels?.Sale || Sale,
+  Client: tenantModels?.Client || Client
+});
+
+const summarizeBatch = (batch) => ({
+  _id: batch._id,
+  batchNumber: batch.batchNumber,
+  product: batch.product,
+  productName: batch.productName,
+  initialStock: batch.initialStock,
+  currentStock: batch.currentStock,
+  unit: batch.unit,
+  productionDate: batch.productionDate,
+  expirationDate: batch.expirationDate,
+  status: batch.status,
+  isActive: batch.isActive
+});
+
+const isCancelledSale = (sale) => Boolean(sale.cancelledAt) || sale.paymentStatus === 'cancelado';
+
+// Cantidad de una venta que salió de un lote (neta de devoluciones), incluidos los componentes de paquetes
+const saleQuantityFromBatch = (sale, batchId) => {
+  const id = batchId.toString();
+  const fromAllocations = (allocations = []) => allocations
+    .filter(allocation => allocation.batch?.toString() === id)
+    .reduce((sum, allocation) => sum + allocation.quantity - (allocation.returnedQuantity || 0), 0);
+
+  return sale.items.reduce((sum, item) => {
+    let quantity = fromAllocations(item.batchAllocations)
+      + (item.consumedItems || []).reduce((itemSum, consumed) => itemSum + fromAllocations(consumed.batchAllocations), 0);
+    // Ventas anteriores a la asignación por lotes: solo indicaban el lote de la línea
+    if (!item.batchAllocations?.length && item.batch?.toString() === id) {
+      quantity += item.quantity - (item.returnedQuantity || 0);
+    }
+    return sum + quantity;
+  }, 0);
+};
+
+// Compras (y recepciones) de las que entró un lote
+const findBatchPurchases = async (models, batch) => {
+  const purchases = await models.Purchase.find({
+    $or: [{ 'items.batch': batch._id }, { 'receipts.items.batch': batch._id }]
+  }).select('purchaseNumber supplier supplierName orderDate status receipts');
+
+  return purchases.map(purchase => {
+    const receipts = purchase.receipts
+      .filter(receipt => receipt.items.some(item => item.batch?.toString() === batch._id.toString()))
+      .map(receipt => ({
+        receiptNumber: receipt.receiptNumber,
+        date: receipt.date,
+        status: receipt.status,
+        quantity: receipt.items
+          .filter(item => item.batch?.toString() === batch._id.toString())
+          .reduce((sum, item) => sum + item.quantity, 0)
+      }));
+    return {
+      _id: purchase._id,
+      purchaseNumber: purchase.purchaseNumber,
+      supplier: purchase.supplier,
+      supplierName: purchase.supplierName,
+      orderDate: purchase.orderDate,
+      status: purchase.status,
+      receipts
+    };
+  });
+};
+
+/**
+ * Trazabilidad hacia atrás: de un lote a los lotes de ingredientes que consumió (recursivamente)
+ * y, para los lotes comprados, a sus compras y proveedores
+ * @param {Object} models - Modelos de getBatchTraceModels
+ * @param {Object} batch - Lote (documento)
+ * @returns {Promise<Object>} { tree, suppliers, purchases, sourceBatches }
+ */
+export const traceBatchBackward = async (models, batch) => {
+  const suppliers = new Map();
+  const purchases = new Map();
+  const sourceBatches = new Map();
+
+  const buildNode = async (current, path, depth) => {
+    const node = { batch: summarizeBatch(current), origin: null, ingredients: [] };
+
+    if (current.recipe) {
+      const recipe = await models.Recipe.findById(current.recipe).select('name ingredients');
+      node.origin = {
+        type: current.productionOrder ? 'production_order' : 'recipe',
+        recipe: current.recipe,
+        recipeName: current.recipeName || recipe?.name,
+        productionOrder: current.productionOrder
+      };
+
+      const tracedProducts = new Set();
+      for (const used of current.ingredientBatches || []) {
+        tracedProducts.add(used.product?.toString());
+        const ingredientBatch = path.has(used.batch.toString()) || depth >= MAX_TRACE_DEPTH
+          ? null
+          : await models.Batch.findById(used.batch);
+        node.ingredients.push({
+          product: used.product,
+          productName: used.productName,
+          quantity: used.quantity,
+          unit: used.unit,
+          batchNumber: used.batchNumber,
+          trace: ingredientBatch
+            ? await buildNode(ingredientBatch, new Set([...path, used.batch.toString()]), depth + 1)
+            : null
+        });
+      }
+
+      // Ingredientes sin lote (o de producciones anteriores al registro de lotes): no se pueden rastrear más
+      for (const ingredient of recipe?.ingredients || []) {
+        if (!ingredient.product || tracedProducts.has(ingredient.product.toString())) continue;
+        node.ingredients.push({
+          product: ingredient.product,
+          productName: ingredient.name,
+          quantity: ingredient.quantity,
+          unit: ingredient.unit,
+          batchNumber: null,
+          trace: null
+        });
+      }
+    } else {
+      const batchPurchases = await findBatchPurchases(models, current);
+      node.origin = batchPurchases.length > 0
+        ? { type: 'purchase', purchases: batchPurchases }
+        : { type: 'manual' };
+
+      sourceBatches.set(current._id.toString(), summarizeBatch(current));
+      for (const purchase of batchPurchases) {
+        purchases.set(purchase._id.toString(), { ...purchase, batchNumber: current.batchNumber });
+        if (purchase.supplier) {
+          const supplierId = purchase.supplier.toString();
+          const entry = suppliers.get(supplierId) || { supplier: purchase.supplier, supplierName: purchase.supplierName, batches: [] };
+          if (!entry.batches.includes(current.batchNumber)) entry.batches.push(current.batchNumber);
+          suppliers.set(supplierId, entry);
+        }
+      }
+    }
+
+    return node;
+  };
+
+  const tree = await buildNode(batch, new Set([batch._id.toString()]), 0);
+  return {
+    tree,
+    suppliers: [...suppliers.values()],
+    purchases: [...purchases.values()],
+    sourceBatches: [...sourceBatches.values()]
+  };
+};
+
+/**
+ * Trazabilidad hacia adelante: de un lote a los lotes producidos con él (recursivamente)
+ * y a todas las ventas que despacharon producto de cualquiera de ellos, con sus clientes
+ * @param {Object} models - Modelos de getBatchTraceModels
+ * @param {Object} batch - Lote (documento)
+ * @returns {Promise<Object>} { tree, sales, affectedClients }
+ */
+export const traceBatchForward = async (models, batch) => {
+  const allSales = new Map();
+  const clients = new Map();
+
+  const buildNode = async (current, path, depth) => {
+    const sales = await models.Sale.find({
+      $or: [
+        { 'items.batchAllocations.batch': current._id },
+        { 'items.consumedItems.batchAllocations.batch': current._id },
+        { 'items.batch': current._id }
+      ]
+    })
+      .select('invoiceNumber saleDate client paymentStatus cancelledAt items')
+      .populate({ path: 'client', select: 'name email phone', model: models.Client })
+      .sort({ saleDate: 1 });
+
+    const saleLines = sales.map(sale => {
+      const cancelled = isCancelledSale(sale);
+      const quantity = saleQuantityFromBatch(sale, current._id);
+      const line = {
+        _id: sale._id,
+        invoiceNumber: sale.invoiceNumber,
+        saleDate: sale.saleDate,
+        client: sale.client,
+        batchNumber: current.batchNumber,
+        quantity,
+        cancelled
+      };
+      allSales.set(`${sale._id}:${current._id}`, line);
+
+      // Las ventas anuladas o devueltas por completo no llegaron al cliente
+      if (!cancelled && quantity > 0 && sale.client) {
+        const clientId = sale.client._id.toString();
+        const entry = clients.get(clientId) || {
+          client: sale.client._id,
+          name: sale.client.name,
+          email: sale.client.email,
+          phone: sale.client.phone,
+          invoices: [],
+          batches: [],
+          quantity: 0
+        };
+        if (!entry.invoices.includes(sale.invoiceNumber)) entry.invoices.push(sale.invoiceNumber);
+        if (!entry.batches.includes(current.batchNumber)) entry.batches.push(current.batchNumber);
+        entry.quantity += quantity;
+        clients.set(clientId, entry);
+      }
+      return line;
+    });
+
+    // Lotes producidos con este lote (las producciones revertidas quedan inactivas)
+    const produced = depth >= MAX_TRACE_DEPTH
+      ? []
+      : await models.Batch.find({ 'ingredientBatches.batch': current._id, isActive: true }).sort({ productionDate: 1 });
+
+    const producedBatches = [];
+    for (const child of produced) {
+      if (path.has(child._id.toString())) continue;
+      const consumed = child.ingredientBatches
+        .filter(used => used.batch.toString() === current._id.toString())
+        .reduce((sum, used) => sum + used.quantity, 0);
+      producedBatches.push({
+        quantityUsed: consumed,
+        ...(await buildNode(child, new Set([...path, child._id.toString()]), depth + 1))
+      });
+    }
+
+    return { batch: summarizeBatch(current), sales: saleLines, producedBatches };
+  };
+
+  const tree = await buildNode(batch, new Set([batch._id.toString()]), 0);
+  return {
+    tree,
+    sales: [...allSales.values()],
+    affectedClients: [...clients.values()].sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+  };
+};
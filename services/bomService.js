@@ -0,0 +1,247 @@
+import mongoose from 'mongoose';
+import Recipe from '../models/Recipe.js';
+import Product from '../models/Product.js';
+import { UnitConversionError, convertQuantity } from './unitService.js';
+
+// Error de estructura de una receta (subrecetas inválidas o circulares): se responde con su código HTTP
+export class BomError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BomError';
+    this.status = status;
+  }
+}
+
+// Niveles máximos de subrecetas
+export const MAX_BOM_DEPTH = 10;
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+/**
+ * Obtiene los modelos de listas de materiales (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - req.tenantModels
+ * @returns {Object} { Recipe, Product }
+ */
+export const getBomModels = (tenantModels) => ({
+  Recipe: tenantModels?.Recipe || Recipe,
+  Product: tenantModels?.Product || Product
+});
+
+/**
+ * Cantidad que produce una vez la receta (su lote, o sus porciones)
+ * @param {Object} recipe - Receta
+ * @returns {number}
+ */
+export const recipeBaseQuantity = (recipe) => recipe.batchInfo?.quantity || recipe.servings || 1;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Valida las subrecetas de los ingredientes de una receta: deben existir, estar activas y producir
+ * el producto del ingrediente (si el ingrediente no indica producto se toma el de la subreceta),
+ * y no pueden formar una referencia circular con la receta.
+ * @param {Object} models - Modelos de getBomModels
+ * @param {string} [recipeId] - Receta que se guarda (sin ID al crearla)
+ * @param {Array} ingredients - Ingredientes a guardar (se completan con el producto de su subreceta)
+ */
+export const validateRecipeStructure = async (models, recipeId, ingredients = []) => {
+  for (const ingredient of ingredients) {
+    if (!ingredient.subRecipe) continue;
+
+    const subRecipe = mongoose.Types.ObjectId.isValid(idOf(ingredient.subRecipe))
+      ? await models.Recipe.findOne({ _id: idOf(ingredient.subRecipe), isActive: true }).select('name productToProduce')
+      : null;
+    if (!subRecipe) {
+      throw new BomError('Subreceta no encontrada o inactiva', 404);
+    }
+    if (recipeId && subRecipe._id.toString() === recipeId.toString()) {
+      throw new BomError(`La receta ${subRecipe.name} no puede usarse a sí misma como subreceta`);
+    }
+
+    if (!ingredient.product) {
+      ingredient.product = subRecipe.productToProduce;
+      delete ingredient.name;
+    } else if (idOf(ingredient.product) !== subRecipe.productToProduce?.toString()) {
+      throw new BomError(`La subreceta ${subRecipe.name} no produce el producto del ingrediente`);
+    }
+  }
+
+  if (!recipeId) return;
+
+  // Recorrer las subrecetas buscando un camino que vuelva a la receta
+  const target = recipeId.toString();
+  const visit = async (ids, path) => {
+    for (const id of ids) {
+      if (id === target) {
+        const names = await models.Recipe.find({ _id: { $in: [target, ...path] } }).select('name');
+        const nameOf = (recipe) => names.find(found => found._id.toString() === recipe)?.name || recipe;
+        throw new BomError(`Referencia circular entre recetas: ${[target, ...path, target].map(nameOf).join(' → ')}`);
+      }
+      if (path.includes(id) || path.length >= MAX_BOM_DEPTH) continue;
+
+      const recipe = await models.Recipe.findById(id).select('ingredients.subRecipe');
+      const children = (recipe?.ingredients || []).filter(item => item.subRecipe).map(item => item.subRecipe.toString());
+      await visit(children, [...path, id]);
+    }
+  };
+  await visit(ingredients.filter(item => item.subRecipe).map(item => idOf(item.subRecipe)), []);
+};
+
+/**
+ * Costo de una receta con sus subrecetas: materiales (los ingredientes con subreceta se costean con
+ * el costo unitario de esa receta, el resto al costo del producto), mano de obra y gastos indirectos
+ * por hora de elaboración. Se devuelve el árbol completo con el costo de cada nivel.
+ * Las cantidades de la receta se convierten a la unidad en que está expresado cada costo; si no hay
+ * conversión se usa la cantidad tal cual y la línea queda con un aviso.
+ * @param {Object} models - Modelos de getBomModels
+ * @param {Object} recipe - Receta (documento)
+ * @returns {Promise<Object>} Nodo { recipe, recipeName, baseQuantity, unit, hours, materialCost, laborCost, overheadCost, totalCost, unitCost, ingredients }
+ */
+export const rollupRecipeCost = async (models, recipe) => {
+  // Una subreceta usada en varios niveles se costea una sola vez
+  const computed = new Map();
+
+  const costRecipe = async (current, path) => {
+    const id = current._id.toString();
+    if (computed.has(id)) return computed.get(id);
+
+    const ingredients = [];
+    let materialCost = 0;
+    for (const ingredient of current.ingredients) {
+      const line = {
+        product: ingredient.product,
+        productName: ingredient.name,
+        quantity: ingredient.quantity,
+        unit: ingredient.unit,
+        source: 'generic',
+        unitCost: 0,
+        cost: 0,
+        subRecipe: null
+      };
+
+      // Cantidad en la unidad del costo: la de stock del producto o la del lote de la subreceta
+      let product = null;
+      let costQuantity = ingredient.quantity;
+      const convertTo = (unit) => {
+        costQuantity = ingredient.quantity;
+        if (!product) return;
+        try {
+          costQuantity = convertQuantity(product, ingredient.quantity, ingredient.unit, unit);
+        } catch (error) {
+          if (!(error instanceof UnitConversionError)) throw error;
+          line.warning = error.message;
+        }
+      };
+
+      if (ingredient.product) {
+        product = await models.Product.findById(ingredient.product).select('name cost unit unitConversions');
+        line.productName = product?.name;
+        line.source = 'product';
+        line.unitCost = product?.cost || 0;
+        line.costUnit = product?.unit;
+        convertTo(product?.unit);
+      }
+
+      if (ingredient.subRecipe) {
+        const subId = ingredient.subRecipe.toString();
+        if (path.includes(subId)) {
+          throw new BomError(`Referencia circular entre recetas en ${current.name}`);
+        }
+        const subRecipe = path.length < MAX_BOM_DEPTH
+          ? await models.Recipe.findById(subId)
+          : null;
+        if (subRecipe) {
+          line.subRecipe = await costRecipe(subRecipe, [...path, subId]);
+          line.source = 'recipe';
+          line.unitCost = line.subRecipe.unitCost;
+          line.costUnit = line.subRecipe.unit || product?.unit;
+          delete line.warning;
+          convertTo(line.costUnit);
+        }
+      }
+
+      line.costQuantity = costQuantity;
+      line.cost = line.unitCost * costQuantity;
+      materialCost += line.cost;
+      ingredients.push(line);
+    }
+
+    const hours = ((current.preparationTime || 0) + (current.cookingTime || 0)) / 60;
+    const laborCost = hours * (current.laborRate || 0);
+    const overheadCost = hours * (current.overheadRate || 0);
+    const totalCost = materialCost + laborCost + overheadCost;
+    const baseQuantity = recipeBaseQuantity(current);
+
+    const node = {
+      recipe: current._id,
+      recipeName: current.name,
+      baseQuantity,
+      unit: current.batchInfo?.unit,
+      hours,
+      laborRate: current.laborRate || 0,
+      overheadRate: current.overheadRate || 0,
+      materialCost: roundAmount(materialCost),
+      laborCost: roundAmount(laborCost),
+      overheadCost: roundAmount(overheadCost),
+      totalCost: roundAmount(totalCost),
+      unitCost: totalCost / baseQuantity,
+      ingredients
+    };
+    computed.set(id, node);
+    return node;
+  };
+
+  return costRecipe(recipe, [recipe._id.toString()]);
+};
+
+/**
+ * Recetas que dependen de un producto: las que lo usan directamente (nivel 1) y, a través de los
+ * productos intermedios que elaboran, las que los usan a su vez (niveles siguientes)
+ * @param {Object} models - Modelos de getBomModels
+ * @param {string} productId - Producto
+ * @returns {Promise<Array>} [{ recipe, recipeName, productToProduce, productName, quantity, unit, level, path }]
+ */
+export const findWhereUsed = async (models, productId) => {
+  const usages = [];
+  const visited = new Set();
+
+  let frontier = [{ product: productId.toString(), path: [] }];
+  for (let level = 1; frontier.length > 0 && level <= MAX_BOM_DEPTH; level++) {
+    const next = [];
+    for (const { product, path } of frontier) {
+      const recipes = await models.Recipe.find({ 'ingredients.product': product, isActive: true })
+        .select('name productToProduce ingredients batchInfo status')
+        .populate('productToProduce', 'name sku', models.Product);
+
+      for (const recipe of recipes) {
+        const id = recipe._id.toString();
+        if (visited.has(id)) continue;
+        visited.add(id);
+
+        const lines = recipe.ingredients.filter(ingredient => ingredient.product?.toString() === product);
+        usages.push({
+          recipe: recipe._id,
+          recipeName: recipe.name,
+          status: recipe.status,
+          productToProduce: recipe.productToProduce?._id,
+          productName: recipe.productToProduce?.name,
+          quantity: lines.reduce((sum, ingredient) => sum + ingredient.quantity, 0),
+          unit: lines[0]?.unit,
+          level,
+          // Recetas intermedias entre el producto consultado y esta receta
+          path
+        });
+
+        if (recipe.productToProduce) {
+          next.push({
+            product: recipe.productToProduce._id.toString(),
+            path: [...path, { recipe: recipe._id, recipeName: recipe.name }]
+          });
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return usages;
+};
@@ -0,0 +1,368 @@
+import CostLayer from '../models/CostLayer.js';
+import Product from '../models/Product.js';
+import Batch from '../models/Batch.js';
+import Config, { tenantConfigKey } from '../models/Config.js';
+
+// Métodos de costeo de inventario: promedio ponderado, primeras entradas primeras salidas y lote específico
+export const COSTING_METHODS = ['promedio', 'fifo', 'lote'];
+
+const COSTING_METHOD_KEY = 'inventory_costing_method';
+
+// Tolerancia para cantidades fraccionarias al agotar capas
+const EPSILON = 1e-9;
+
+/**
+ * Obtiene los modelos necesarios para costear (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - req.tenantModels
+ * @returns {Object} { CostLayer, Product, Batch, Config }
+ */
+export const getCostingModels = (tenantModels) => ({
+  CostLayer: tenantModels?.CostLayer || CostLayer,
+  Product: tenantModels?.Product || Product,
+  Batch: tenantModels?.Batch || Batch,
+  Config: tenantModels?.Config || Config
+});
+
+/**
+ * Método de costeo vigente del tenant (promedio si no está configurado)
+ * @param {mongoose.Model} [ConfigModel] - Modelo Config
+ * @param {string} [tenantId] - Tenant
+ * @returns {Promise<string>} promedio, fifo o lote
+ */
+export const getCostingMethod = async (ConfigModel = Config, tenantId) => {
+  const value = (tenantId && await ConfigModel.getByKey(tenantConfigKey(COSTING_METHOD_KEY, tenantId)))
+    || await ConfigModel.getByKey(COSTING_METHOD_KEY);
+  return COSTING_METHODS.includes(value) ? value : 'promedio';
+};
+
+/**
+ * Guarda el método de costeo del tenant
+ * @param {mongoose.Model} ConfigModel - Modelo Config
+ * @param {string} method - promedio, fifo o lote
+ * @param {Object} [options] - { tenantId, userId }
+ * @returns {Promise<Object>} Configuración guardada
+ */
+export const setCostingMethod = async (ConfigModel, method, { tenantId, userId } = {}) =>
+  ConfigModel.setByKey(tenantConfigKey(COSTING_METHOD_KEY, tenantId), method, 'string', 'Método de costeo del inventario (promedio, fifo, lote)', userId);
+
+/**
+ * Recalcula Product.cost como el costo unitario del inventario disponible según las capas
+ * (el stock sin capas, anterior a este registro, conserva el costo actual del producto).
+ * Con el método promedio el costo lo mantiene cada entrada y no se recalcula.
+ * @param {Object} models - { CostLayer, Product }
+ * @param {string} productId - Producto
+ * @param {Object} [options] - { session }
+ * @returns {Promise<number|null>} Nuevo costo unitario
+ */
+export const refreshProductCost = async (models, productId, options = {}) => {
+  const product = await models.Product.findById(productId).session(options.session || null);
+  if (!product || product.stock <= 0) return null;
+
+  const { value } = await valueProductStock(models, product, options);
+  const newCost = value / product.stock;
+  await models.Product.updateOne({ _id: product._id }, { $set: { cost: newCost } }, { session: options.session });
+  return newCost;
+};
+
+/**
+ * Registra una entrada de inventario como capa de costo
+ * @param {Object} models - { CostLayer, Product }
+ * @param {Object} data - { product, productName, batch, quantity, unitCost, sourceType, sourceId, sourceLine, sourceNumber, date, createdBy, tenant }
+ * @param {Object} [options] - { session, method }
+ * @returns {Promise<Object|null>} Capa creada
+ */
+export const addCostLayer = async (models, data, options = {}) => {
+  if (!data.product || !(data.quantity > 0)) return null;
+
+  const [layer] = await models.CostLayer.create([{
+    ...data,
+    unitCost: Math.max(0, data.unitCost || 0),
+    remainingQuantity: data.quantity
+  }], { session: options.session });
+
+  if (options.method && options.method !== 'promedio') {
+    await refreshProductCost(models, data.product, options);
+  }
+
+  return layer;
+};
+
+// Tomar una cantidad de las capas disponibles que cumplan el filtro, de la más antigua a la más reciente
+const takeFromLayers = async (models, filter, quantity, consumption, session) => {
+  const layers = await models.CostLayer.find({ ...filter, remainingQuantity: { $gt: 0 } })
+    .sort({ date: 1, createdAt: 1 })
+    .session(session || null);
+
+  const taken = [];
+  let pending = quantity;
+  for (const layer of layers) {
+    if (pending <= EPSILON) break;
+
+    const layerQuantity = Math.min(layer.remainingQuantity, pending);
+    layer.remainingQuantity = Math.max(0, layer.remainingQuantity - layerQuantity);
+    taken.push({ layer, quantity: layerQuantity });
+    pending -= layerQuantity;
+  }
+
+  return { taken, pending: pending > EPSILON ? pending : 0 };
+};
+
+/**
+ * Registra la salida de inventario de un producto en sus capas y calcula su costo según el método:
+ * - promedio: costo promedio ponderado del producto; las capas se agotan por antigüedad.
+ * - fifo: costo de las capas más antiguas.
+ * - lote: costo del lote asignado (Batch.cost o sus capas); las líneas sin lote se costean por FIFO.
+ * La cantidad que no tiene capas (stock anterior al registro de capas) se costea al costo del producto.
+ * @param {Object} models - { CostLayer, Product, Batch }
+ * @param {Object} data - { product, quantity, batchAllocations: [{ batch, quantity }], referenceType, reference, referenceNumber, date }
+ * @param {Object} [options] - { session, method }
+ * @returns {Promise<Object>} { method, unitCost, totalCost, layers: [{ layer, batch, quantity, unitCost }] }
+ */
+export const consumeCostLayers = async (models, data, options = {}) => {
+  const { session } = options;
+  const method = options.method || 'promedio';
+  const product = await models.Product.findById(data.product).session(session || null);
+  const productCost = product?.cost || 0;
+
+  const consumption = {
+    referenceType: data.referenceType,
+    reference: data.reference,
+    referenceNumber: data.referenceNumber,
+    costingMethod: method,
+    date: data.date || new Date()
+  };
+
+  const parts = data.batchAllocations?.length ? data.batchAllocations : [{ quantity: data.quantity }];
+  const layers = [];
+  let totalCost = 0;
+
+  for (const part of parts) {
+    const batch = method === 'lote' && part.batch
+      ? await models.Batch.findById(part.batch).session(session || null)
+      : null;
+    const filter = batch ? { product: data.product, batch: batch._id } : { product: data.product };
+    const { taken, pending } = await takeFromLayers(models, filter, part.quantity, consumption, session);
+
+    for (const { layer, quantity } of taken) {
+      let unitCost = layer.unitCost;
+      if (method === 'promedio') unitCost = productCost;
+      if (batch && batch.cost != null) unitCost = batch.cost;
+
+      layer.consumptions.push({ ...consumption, quantity, unitCost });
+      await layer.save({ session });
+
+      layers.push({ layer: layer._id, batch: layer.batch, quantity, unitCost });
+      totalCost += quantity * unitCost;
+    }
+
+    if (pending > 0) {
+      const unitCost = batch?.cost ?? productCost;
+      layers.push({ layer: null, batch: part.batch, quantity: pending, unitCost });
+      totalCost += pending * unitCost;
+    }
+  }
+
+  if (method !== 'promedio') {
+    await refreshProductCost(models, data.product, options);
+  }
+
+  return {
+    method,
+    unitCost: data.quantity > 0 ? totalCost / data.quantity : 0,
+    totalCost,
+    layers
+  };
+};
+
+/**
+ * Vuelve a poner en inventario lo que salió con un costo conocido (devoluciones, reversiones),
+ * creando una capa por cada costo original para no alterar el costo histórico.
+ * @param {Object} models - { CostLayer, Product }
+ * @param {Object} data - { product, productName, layers: [{ batch, quantity, unitCost }], sourceType, sourceId, sourceNumber, createdBy, tenant }
+ *   (unitCost null: costo actual del producto)
+ * @param {Object} [options] - { session, method }
+ * @returns {Promise<Array>} Capas creadas
+ */
+export const restoreCostLayers = async (models, data, options = {}) => {
+  const { layers: parts, ...source } = data;
+  const created = [];
+
+  // Sin costo conocido se repone al costo actual del producto
+  const product = parts.some(part => part.unitCost == null)
+    ? await models.Product.findById(data.product).session(options.session || null)
+    : null;
+
+  for (const part of parts) {
+    const layer = await addCostLayer(models, {
+      ...source,
+      productName: source.productName || product?.name,
+      batch: part.batch,
+      quantity: part.quantity,
+      unitCost: part.unitCost ?? product?.cost
+    }, { session: options.session });
+    if (layer) created.push(layer);
+  }
+
+  if (options.method && options.method !== 'promedio') {
+    await refreshProductCost(models, data.product, options);
+  }
+
+  return created;
+};
+
+/**
+ * Refleja en las capas un cambio de stock sin documento de costo (ajustes, movimientos manuales):
+ * las entradas crean una capa al costo actual del producto y las salidas consumen capas
+ * @param {Object} models - { CostLayer, Product, Batch }
+ * @param {Object} product - Producto (documento)
+ * @param {number} quantity - Cantidad con signo
+ * @param {Object} source - { type, reference, referenceNumber, batch, unitCost, createdBy, tenant }
+ * @param {Object} [options] - { session, method }
+ * @returns {Promise<Object|null>} Capa creada o costo de la salida
+ */
+export const recordStockChangeCost = async (models, product, quantity, source, options = {}) => {
+  if (quantity > 0) {
+    return addCostLayer(models, {
+      product: product._id,
+      productName: product.name,
+      batch: source.batch,
+      quantity,
+      unitCost: source.unitCost ?? product.cost,
+      sourceType: source.type,
+      sourceId: source.reference,
+      sourceNumber: source.referenceNumber,
+      createdBy: source.createdBy,
+      tenant: source.tenant
+    }, options);
+  }
+
+  if (quantity < 0) {
+    return consumeCostLayers(models, {
+      product: product._id,
+      quantity: -quantity,
+      batchAllocations: source.batch ? [{ batch: source.batch, quantity: -quantity }] : undefined,
+      referenceType: source.type,
+      reference: source.reference,
+      referenceNumber: source.referenceNumber
+    }, options);
+  }
+
+  return null;
+};
+
+/**
+ * Retira de las capas lo que queda de las entradas de un documento (p. ej. al revertir la recepción de una compra)
+ * @param {Object} models - { CostLayer, Product }
+ * @param {Object} source - { sourceId, referenceType, reference, referenceNumber }
+ * @param {Object} [options] - { session, method }
+ * @returns {Promise<number>} Cantidad retirada
+ */
+export const reverseSourceCostLayers = async (models, source, options = {}) => {
+  const layers = await models.CostLayer.find({ sourceId: source.sourceId, remainingQuantity: { $gt: 0 } })
+    .session(options.session || null);
+
+  let removed = 0;
+  const products = new Set();
+  for (const layer of layers) {
+    layer.consumptions.push({
+      referenceType: source.referenceType,
+      reference: source.reference,
+      referenceNumber: source.referenceNumber,
+      quantity: layer.remainingQuantity,
+      unitCost: layer.unitCost,
+      costingMethod: options.method
+    });
+    removed += layer.remainingQuantity;
+    layer.remainingQuantity = 0;
+    await layer.save({ session: options.session });
+    products.add(layer.product.toString());
+  }
+
+  if (options.method && options.method !== 'promedio') {
+    for (const productId of products) {
+      await refreshProductCost(models, productId, options);
+    }
+  }
+
+  return removed;
+};
+
+/**
+ * Ajusta el costo unitario de las capas de una línea de documento (costos adicionales de una compra)
+ * @param {Object} models - { CostLayer, Product }
+ * @param {Object} source - { sourceId, sourceLine }
+ * @param {number} unitDelta - Diferencia de costo unitario
+ * @param {Object} [options] - { session, method }
+ */
+export const adjustSourceLayerCost = async (models, source, unitDelta, options = {}) => {
+  const layers = await models.CostLayer.find({ sourceId: source.sourceId, sourceLine: source.sourceLine })
+    .session(options.session || null);
+
+  for (const layer of layers) {
+    layer.unitCost = Math.max(0, layer.unitCost + unitDelta);
+    await layer.save({ session: options.session });
+  }
+
+  if (layers.length && options.method && options.method !== 'promedio') {
+    await refreshProductCost(models, layers[0].product, options);
+  }
+};
+
+// Valor del stock de un producto por capas: el stock disponible corresponde a las capas más recientes
+// y lo que no tenga capa (stock anterior al registro de capas) se valoriza al costo del producto
+const valueProductStock = async (models, product, options = {}) => {
+  const layers = await models.CostLayer.find({ product: product._id, remainingQuantity: { $gt: 0 } })
+    .sort({ date: -1, createdAt: -1 })
+    .session(options.session || null);
+
+  let pending = product.stock;
+  let value = 0;
+  for (const layer of layers) {
+    if (pending <= EPSILON) break;
+    const quantity = Math.min(layer.remainingQuantity, pending);
+    value += quantity * layer.unitCost;
+    pending -= quantity;
+  }
+
+  const layeredQuantity = product.stock - Math.max(0, pending);
+  if (pending > EPSILON) value += pending * (product.cost || 0);
+
+  return { value, layeredQuantity };
+};
+
+/**
+ * Valorización del inventario según el método de costeo
+ * @param {Object} models - { CostLayer, Product }
+ * @param {Object} [options] - { method, query } query filtra los productos
+ * @returns {Promise<Object>} { method, totalValue, products: [{ product, name, sku, stock, unitCost, value, layeredQuantity }] }
+ */
+export const buildInventoryValuation = async (models, options = {}) => {
+  const method = options.method || 'promedio';
+  const products = await models.Product.find({ isActive: true, stock: { $gt: 0 }, ...(options.query || {}) })
+    .select('name sku stock cost unit')
+    .sort({ name: 1 });
+
+  const valuation = [];
+  for (const product of products) {
+    const { value, layeredQuantity } = method === 'promedio'
+      ? { value: product.stock * (product.cost || 0), layeredQuantity: null }
+      : await valueProductStock(models, product);
+
+    valuation.push({
+      product: product._id,
+      name: product.name,
+      sku: product.sku,
+      unit: product.unit,
+      stock: product.stock,
+      unitCost: product.stock > 0 ? value / product.stock : 0,
+      value,
+      layeredQuantity
+    });
+  }
+
+  return {
+    method,
+    totalValue: valuation.reduce((sum, item) => sum + item.value, 0),
+    products: valuation
+  };
+};
@@ -475,3 +475,104 @@ export const sendPasswordChangedEmail = async (email, userName) => {
     };
   }
 };
+
+/**
+ * Envía a los encargados el aviso de lotes próximos a vencer y de los lotes vencidos dados de baja
+ * @param {Array<string>} emails - Emails de los destinatarios
+ * @param {Object} data - { companyName, expiring, writtenOff } expiring: [{ batchNumber, productName, expirationDate, daysLeft, currentStock, unit }]
+ * @returns {Promise<Object>} Resultado del envío
+ */
+export const sendBatchExpiryAlertEmail = async (emails, { companyName, expiring = [], writtenOff = [] }) => {
+  try {
+    
+    const transporter = createTransporter();
+    
+    const formatDate = (date) => new Date(date).toLocaleDateString('es-ES');
+    const expiringRows = expiring.map(batch => `
+                <tr>
+                  <td style="padding: 8px; border-bottom: 1px solid #eee;">${batch.batchNumber}</td>
+                  <td style="padding: 8px; border-bottom: 1px solid #eee;">${batch.productName}</td>
+                  <td style="padding: 8px; border-bottom: 1px solid #eee;">${formatDate(batch.expirationDate)}</td>
+                  <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${batch.daysLeft}</td>
+                  <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${batch.currentStock} ${batch.unit}</td>
+                </tr>`).join('');
+    const writtenOffRows = writtenOff.map(batch => `
+                <tr>
+                  <td style="padding: 8px; border-bottom: 1px solid #eee;">${batch.batchNumber}</td>
+                  <td style="padding: 8px; border-bottom: 1px solid #eee;">${batch.productName}</td>
+                  <td style="padding: 8px; border-bottom: 1px solid #eee;">${formatDate(batch.expirationDate)}</td>
+                  <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${batch.quantity} ${batch.unit}</td>
+                </tr>`).join('');
+    
+    const mailOptions = {
+      from: '"ProductOneX - Sistema de Gestión" <juancarlos@innovadom.net>',
+      to: emails.join(', '),
+      subject: `Vencimiento de lotes${companyName ? ` - ${companyName}` : ''} - ProductOneX`,
+      html: `
+        <!DOCTYPE html>
+        <html lang="es">
+        <head>
+          <meta charset="UTF-8">
+          <title>Vencimiento de lotes</title>
+        </head>
+        <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 700px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #1a1a1a;">Vencimiento de lotes${companyName ? ` - ${companyName}` : ''}</h2>
+          ${expiring.length > 0 ? `
+            <h3>Lotes próximos a vencer</h3>
+            <table style="width: 100%; border-collapse: collapse;">
+              <thead>
+                <tr style="background-color: #f4f4f4; text-align: left;">
+                  <th style="padding: 8px;">Lote</th>
+                  <th style="padding: 8px;">Producto</th>
+                  <th style="padding: 8px;">Vence</th>
+                  <th style="padding: 8px; text-align: right;">Días</th>
+                  <th style="padding: 8px; text-align: right;">Stock</th>
+                </tr>
+              </thead>
+              <tbody>${expiringRows}
+              </tbody>
+            </table>` : ''}
+          ${writtenOff.length > 0 ? `
+            <h3>Lotes vencidos dados de baja</h3>
+            <table style="width: 100%; border-collapse: collapse;">
+              <thead>
+                <tr style="background-color: #f4f4f4; text-align: left;">
+                  <th style="padding: 8px;">Lote</th>
+                  <th style="padding: 8px;">Producto</th>
+                  <th style="padding: 8px;">Venció</th>
+                  <th style="padding: 8px; text-align: right;">Cantidad</th>
+                </tr>
+              </thead>
+              <tbody>${writtenOffRows}
+              </tbody>
+            </table>` : ''}
+          <p style="color: #888; font-size: 12px; margin-top: 30px;">Este es un correo automático, por favor no respondas a este mensaje.</p>
+        </body>
+        </html>
+      `,
+      text: [
+        `Vencimiento de lotes${companyName ? ` - ${companyName}` : ''}`,
+        ...(expiring.length > 0 ? ['', 'Lotes próximos a vencer:'] : []),
+        ...expiring.map(batch => `- ${batch.batchNumber} ${batch.productName}: vence el ${formatDate(batch.expirationDate)} (${batch.daysLeft} días), stock ${batch.currentStock} ${batch.unit}`),
+        ...(writtenOff.length > 0 ? ['', 'Lotes vencidos dados de baja:'] : []),
+        ...writtenOff.map(batch => `- ${batch.batchNumber} ${batch.productName}: ${batch.quantity} ${batch.unit}`)
+      ].join('\n')
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    
+    return {
+      success: true,
+      message: 'Aviso de vencimiento de lotes enviado exitosamente',
+      data: info
+    };
+    
+  } catch (error) {
+    
+    return {
+      success: false,
+      message: 'Error al enviar el aviso de vencimiento de lotes',
+      error: error.message
+    };
+  }
+};
@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+
+// Tipos de cuenta cuyo saldo normal es deudor; el resto (pasivo, patrimonio, ingreso) es acreedor
+const DEBIT_NATURE_TYPES = ['activo', 'gasto'];
+
+export const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+/**
+ * Saldo de una cuenta según su naturaleza (positivo cuando está del lado normal)
+ * @param {string} type - Tipo de cuenta
+ * @param {number} debit - Total débitos
+ * @param {number} credit - Total créditos
+ * @returns {number}
+ */
+export const accountBalance = (type, debit, credit) =>
+  roundAmount(DEBIT_NATURE_TYPES.includes(type) ? debit - credit : credit - debit);
+
+// Construir el filtro de fechas de los asientos; una fecha final sin hora incluye todo ese día
+export const buildDateMatch = ({ startDate, endDate } = {}) => {
+  const match = {};
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) end.setUTCHours(23, 59, 59, 999);
+      match.date.$lte = end;
+    }
+  }
+  return match;
+};
+
+/**
+ * Suma débitos y créditos por cuenta de los asientos de un periodo
+ * @param {mongoose.Model} JournalEntryModel - Modelo JournalEntry (del tenant o principal)
+ * @param {Object} [period] - { startDate, endDate }; sin fechas se toman todos los asientos
+ * @returns {Promise<Map>} Map de accountId => { debit, credit }
+ */
+export const getAccountTotals = async (JournalEntryModel, period = {}) => {
+  const rows = await JournalEntryModel.aggregate([
+    { $match: buildDateMatch(period) },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), { debit: row.debit, credit: row.credit }]));
+};
+
+/**
+ * Arma el árbol de cuentas acumulando los importes de cada cuenta en sus cuentas padre
+ * @param {Array} accounts - Cuentas del catálogo
+ * @param {Map} totals - Totales del periodo (ver getAccountTotals)
+ * @param {Object} [options] - { types, level, previousTotals, includeZero }
+ *   types: tipos de cuenta a incluir; level: nivel máximo a mostrar (los niveles inferiores se acumulan);
+ *   previousTotals: totales del periodo comparativo; includeZero: incluir cuentas sin movimiento
+ * @returns {Array} Cuentas raíz con { debit, credit, balance, previousBalance, variation, children }
+ */
+export const buildAccountTree = (accounts, totals, options = {}) => {
+  const { types, level, previousTotals, includeZero = false } = options;
+  const childrenByParent = new Map();
+
+  for (const account of accounts) {
+    const parentKey = account.parentId ? account.parentId.toString() : 'root';
+    if (!childrenByParent.has(parentKey)) childrenByParent.set(parentKey, []);
+    childrenByParent.get(parentKey).push(account);
+  }
+
+  const buildNode = (account) => {
+    const id = account._id.toString();
+    const own = totals.get(id) || { debit: 0, credit: 0 };
+    const ownPrevious = previousTotals?.get(id) || { debit: 0, credit: 0 };
+    const children = (childrenByParent.get(id) || []).map(buildNode);
+
+    const debit = own.debit + children.reduce((sum, child) => sum + child.debit, 0);
+    const credit = own.credit + children.reduce((sum, child) => sum + child.credit, 0);
+    const node = {
+      id,
+      code: account.code,
+      name: account.name,
+      type: account.type,
+      level: account.level,
+      debit: roundAmount(debit),
+      credit: roundAmount(credit),
+      balance: accountBalance(account.type, debit, credit)
+    };
+
+    if (previousTotals) {
+      const previousDebit = ownPrevious.debit + children.reduce((sum, child) => sum + child.previousDebit, 0);
+      const previousCredit = ownPrevious.credit + children.reduce((sum, child) => sum + child.previousCredit, 0);
+      node.previousDebit = roundAmount(previousDebit);
+      node.previousCredit = roundAmount(previousCredit);
+      node.previousBalance = accountBalance(account.type, previousDebit, previousCredit);
+      node.variation = roundAmount(node.balance - node.previousBalance);
+    }
+
+    node.children = level && account.level >= level ? [] : children;
+    return node;
+  };
+
+  const hasMovement = (node) =>
+    node.debit !== 0 || node.credit !== 0 || (node.previousDebit || 0) !== 0 || (node.previousCredit || 0) !== 0;
+
+  // Quitar las cuentas sin movimiento en ninguno de los periodos
+  const prune = (nodes) => nodes
+    .filter(node => includeZero || hasMovement(node))
+    .map(node => ({ ...node, children: prune(node.children) }));
+
+  const roots = (childrenByParent.get('root') || [])
+    .filter(account => !types || types.includes(account.type))
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map(buildNode);
+
+  return prune(roots);
+};
+
+/**
+ * Aplana el árbol de cuentas en orden de código, útil para el balance de comprobación
+ * @param {Array} nodes - Nodos de buildAccountTree
+ * @returns {Array} Cuentas sin la propiedad children
+ */
+export const flattenAccountTree = (nodes) => nodes.flatMap(({ children, ...node }) => [
+  { ...node, hasChildren: children.length > 0 },
+  ...flattenAccountTree(children)
+]);
+
+/**
+ * Suma un importe de las cuentas raíz del árbol
+ * @param {Array} nodes - Nodos raíz
+ * @param {string} field - Campo a sumar (debit, credit, balance, previousBalance)
+ * @returns {number}
+ */
+export const sumRoots = (nodes, field) => roundAmount(nodes.reduce((sum, node) => sum + (node[field] || 0), 0));
+
+/**
+ * Obtiene el id de una cuenta y de todas sus subcuentas
+ * @param {Array} accounts - Cuentas del catálogo
+ * @param {string} accountId - Cuenta raíz
+ * @returns {Array<mongoose.Types.ObjectId>}
+ */
+export const getAccountWithDescendants = (accounts, accountId) => {
+  const ids = [accountId.toString()];
+  for (let i = 0; i < ids.length; i++) {
+    for (const account of accounts) {
+      if (account.parentId && account.parentId.toString() === ids[i]) {
+        ids.push(account._id.toString());
+      }
+    }
+  }
+  return ids.map(id => new mongoose.Types.ObjectId(id));
+};
@@ -0,0 +1,257 @@
+import JournalEntry from '../models/JournalEntry.js';
+import Sequence from '../models/Sequence.js';
+import Account from '../models/Account.js';
+import AccountConfig from '../models/AccountConfig.js';
+import { getNextNumber } from './sequenceService.js';
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// Falta de configuración contable para un asiento (cuenta sin mapear o inactiva)
+export class JournalError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'JournalError';
+    this.status = status;
+  }
+}
+
+/**
+ * Obtiene los modelos necesarios para contabilizar (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - req.tenantModels
+ * @returns {Object} { JournalEntry, Sequence, Account, AccountConfig }
+ */
+export const getJournalModels = (tenantModels) => ({
+  JournalEntry: tenantModels?.JournalEntry || JournalEntry,
+  Sequence: tenantModels?.Sequence || Sequence,
+  Account: tenantModels?.Account || Account,
+  AccountConfig: tenantModels?.AccountConfig || AccountConfig
+});
+
+/**
+ * Cuenta de tesorería (clave del módulo bancos) que corresponde a un banco o método de pago
+ * @param {Object|null} bank - Cuenta bancaria
+ * @param {string} [paymentMethod] - Método de pago
+ * @returns {string} 'efectivo' o 'bancos'
+ */
+export const treasuryAccountKey = (bank, paymentMethod) =>
+  bank?.type === 'efectivo' || (!bank && paymentMethod?.toLowerCase() === 'efectivo') ? 'efectivo' : 'bancos';
+
+// Resolver la cuenta de una línea: { module, key } según AccountConfig o { accountId } directo
+const resolveAccount = async (models, tenantId, line, configCache) => {
+  if (line.accountId) {
+    const account = await models.Account.findOne({ _id: line.accountId, tenant: tenantId ?? null, isActive: true });
+    return account
+      ? { account: account._id, accountCode: account.code, accountName: account.name, accountType: account.type }
+      : null;
+  }
+
+  if (!configCache.has(line.module)) {
+    configCache.set(line.module, await models.AccountConfig.findOne({ tenant: tenantId ?? null, module: line.module }));
+  }
+
+  const configurations = configCache.get(line.module)?.configurations;
+  const mapping = configurations?.get(line.key) || (line.fallbackKey && configurations?.get(line.fallbackKey));
+  return mapping
+    ? { account: mapping.accountId, accountCode: mapping.accountCode, accountName: mapping.accountName, accountType: mapping.accountType }
+    : null;
+};
+
+/**
+ * Registra un asiento contable de partida doble.
+ * Las líneas indican la cuenta por su mapeo en AccountConfig ({ module, key, fallbackKey }) o directamente ({ accountId }).
+ * Si el tenant no tiene configuradas las cuentas necesarias el asiento no se genera y se devuelve null,
+ * para que la operación de origen no falle por falta de configuración contable (con reportMissing
+ * se lanza JournalError indicando la cuenta que falta; ver postSourceEntry).
+ * @param {Object} models - { JournalEntry, Sequence, Account, AccountConfig } (ver getJournalModels)
+ * @param {Object} entry - { date, description, sourceType, sourceId, sourceNumber, lines, createdBy, tenant }
+ * @param {Object} [options] - { session, reportMissing } session para contabilizar dentro de una transacción
+ * @returns {Promise<Object|null>} Asiento creado o null si no se pudo resolver alguna cuenta
+ */
+export const postJournalEntry = async (models, entry, options = {}) => {
+  const configCache = new Map();
+  const lines = [];
+
+  for (const line of entry.lines) {
+    const debit = roundAmount(line.debit);
+    const credit = roundAmount(line.credit);
+    if (debit === 0 && credit === 0) continue;
+
+    const account = await resolveAccount(models, entry.tenant, line, configCache);
+    if (!account) {
+      if (!options.reportMissing) return null;
+      throw new JournalError(line.accountId
+        ? `La cuenta contable ${line.accountId} no existe o está inactiva`
+        : `Falta configurar la cuenta ${line.key} del módulo ${line.module}`);
+    }
+
+    lines.push({ ...account, debit, credit, description: line.description });
+  }
+
+  if (lines.length < 2) {
+    return null;
+  }
+
+  const entryNumber = await getNextNumber(models.Sequence, 'journal', {
+    session: options.session,
+    date: entry.date ? new Date(entry.date) : new Date(),
+    tenantId: entry.tenant
+  });
+
+  const [journalEntry] = await models.JournalEntry.create([{
+    entryNumber,
+    date: entry.date || new Date(),
+    description: entry.description,
+    sourceType: entry.sourceType,
+    sourceId: entry.sourceId,
+    sourceNumber: entry.sourceNumber,
+    lines,
+    createdBy: entry.createdBy,
+    tenant: entry.tenant
+  }], { session: options.session });
+
+  return journalEntry;
+};
+
+/**
+ * Contabiliza el asiento de un documento y deja su estado contable en él (journalStatus y journalError;
+ * el documento lo guarda quien llama). Si faltan cuentas la operación sigue y el documento queda
+ * con journalStatus 'error' (se listan en GET /api/journal-entries/pending); cualquier otro error se
+ * propaga y, dentro de una transacción, la aborta. Si no hay asiento que registrar (importes en cero)
+ * el estado no cambia.
+ * @param {Object} models - { JournalEntry, Sequence, Account, AccountConfig }
+ * @param {Object} document - Documento o subdocumento de origen (venta, pago, recepción...)
+ * @param {Object} entry - Asiento, como en postJournalEntry
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object|null>} Asiento creado o null
+ */
+export const postSourceEntry = async (models, document, entry, options = {}) => {
+  try {
+    const journalEntry = await postJournalEntry(models, entry, { ...options, reportMissing: true });
+    if (journalEntry) {
+      document.journalStatus = 'contabilizado';
+      document.journalError = undefined;
+    }
+    return journalEntry;
+  } catch (error) {
+    if (!(error instanceof JournalError)) throw error;
+    document.journalStatus = 'error';
+    document.journalError = error.message;
+    return null;
+  }
+};
+
+/**
+ * Anula los asientos de un documento registrando asientos con débitos y créditos invertidos
+ * @param {Object} models - { JournalEntry, Sequence, Account, AccountConfig }
+ * @param {Object} source - { sourceType, sourceId }
+ * @param {Object} info - { description, createdBy, tenant, date }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Array>} Asientos de reversión creados
+ */
+export const reverseJournalEntries = async (models, { sourceType, sourceId }, info, options = {}) => {
+  const entries = await models.JournalEntry.find({
+    sourceType,
+    sourceId,
+    reversalOf: null,
+    reversedBy: null
+  }).session(options.session || null);
+
+  const reversals = [];
+  for (const entry of entries) {
+    const entryNumber = await getNextNumber(models.Sequence, 'journal', { session: options.session, tenantId: info.tenant });
+    const [reversal] = await models.JournalEntry.create([{
+      entryNumber,
+      date: info.date || new Date(),
+      description: info.description || `Reversión de ${entry.entryNumber}: ${entry.description}`,
+      sourceType: entry.sourceType,
+      sourceId: entry.sourceId,
+      sourceNumber: entry.sourceNumber,
+      lines: entry.lines.map(line => ({
+        account: line.account,
+        accountCode: line.accountCode,
+        accountName: line.accountName,
+        accountType: line.accountType,
+        debit: line.credit,
+        credit: line.debit,
+        description: line.description
+      })),
+      reversalOf: entry._id,
+      createdBy: info.createdBy,
+      tenant: info.tenant
+    }], { session: options.session });
+
+    await models.JournalEntry.updateOne({ _id: entry._id }, { reversedBy: reversal._id }, { session: options.session });
+    reversals.push(reversal);
+  }
+
+  return reversals;
+};
+
+/**
+ * Contabiliza un movimiento manual de una cuenta bancaria contra la cuenta indicada
+ * o, si no se indica, contra las cuentas de ajuste (ajustesIngreso / ajustesGasto) del módulo bancos.
+ * El sentido y el importe salen de la variación del saldo; si el saldo no cambió no hay asiento
+ * @param {Object} models - { JournalEntry, Sequence, Account, AccountConfig }
+ * @param {Object} data - { bank, transaction, counterpartAccountId, createdBy, tenant }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object|null>} Asiento creado o null si faltan cuentas (queda marcado en el movimiento, que guarda quien llama)
+ */
+export const postBankAdjustmentEntry = async (models, { bank, transaction, counterpartAccountId, createdBy, tenant }, options = {}) => {
+  const change = roundAmount(transaction.newBalance - transaction.previousBalance);
+  if (change === 0) {
+    return null;
+  }
+
+  const isInflow = change > 0;
+  const amount = Math.abs(change);
+  const treasury = { module: 'bancos', key: treasuryAccountKey(bank) };
+  const counterpart = counterpartAccountId
+    ? { accountId: counterpartAccountId }
+    : { module: 'bancos', key: isInflow ? 'ajustesIngreso' : 'ajustesGasto' };
+
+  return postSourceEntry(models, transaction, {
+    date: transaction.createdAt || new Date(),
+    description: transaction.description,
+    sourceType: 'bank_adjustment',
+    sourceId: transaction._id,
+    sourceNumber: bank.name,
+    lines: isInflow
+      ? [{ ...treasury, debit: amount }, { ...counterpart, credit: amount }]
+      : [{ ...counterpart, debit: amount }, { ...treasury, credit: amount }],
+    createdBy,
+    tenant
+  }, options);
+};
+
+/**
+ * Contabiliza una transferencia entre cuentas propias cuando las cuentas contables de tesorería
+ * son distintas (p. ej. de caja a banco). Entre cuentas bancarias no se genera asiento porque
+ * ambas usan la misma cuenta, y entre monedas distintas tampoco, porque el libro no registra
+ * la conversión.
+ * @param {Object} models - { JournalEntry, Sequence, Account, AccountConfig }
+ * @param {Object} data - { transfer, fromBank, toBank, createdBy, tenant }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object|null>} Asiento creado o null si no corresponde o faltan cuentas (queda marcado en la
+ * transferencia, que guarda quien llama)
+ */
+export const postBankTransferEntry = async (models, { transfer, fromBank, toBank, createdBy, tenant }, options = {}) => {
+  const fromKey = treasuryAccountKey(fromBank);
+  const toKey = treasuryAccountKey(toBank);
+  if (fromKey === toKey || transfer.fromCurrency !== transfer.toCurrency) {
+    return null;
+  }
+
+  return postSourceEntry(models, transfer, {
+    date: transfer.date,
+    description: `Transferencia ${transfer.transferNumber}: ${fromBank.name} a ${toBank.name}`,
+    sourceType: 'bank_transfer',
+    sourceId: transfer._id,
+    sourceNumber: transfer.transferNumber,
+    lines: [
+      { module: 'bancos', key: toKey, debit: transfer.amount },
+      { module: 'bancos', key: fromKey, credit: transfer.amount }
+    ],
+    createdBy,
+    tenant
+  }, options);
+};
@@ -0,0 +1,136 @@
+import { itemReceivedQuantity, itemConversionFactor } from './purchaseReceiptService.js';
+import { adjustSourceLayerCost } from './costingService.js';
+
+// Error de validación de un costo adicional: aborta la transacción y se responde con su código HTTP
+export class LandedCostError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LandedCostError';
+    this.status = status;
+  }
+}
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+export const LANDED_COST_METHODS = ['valor', 'cantidad', 'peso'];
+
+// Base de prorrateo de una línea: su valor, su cantidad o su peso (de la línea o unitario del producto).
+// Cantidad y peso unitario se toman en la unidad de stock para comparar líneas compradas en unidades distintas
+const allocationBase = (item, method, productWeights) => {
+  if (method === 'cantidad') return item.quantity * itemConversionFactor(item);
+  if (method === 'peso') {
+    return item.weight ?? (productWeights.get(item.product.toString()) || 0) * item.quantity * itemConversionFactor(item);
+  }
+  return item.total;
+};
+
+/**
+ * Prorratea un costo adicional entre las líneas de productos de una compra.
+ * El redondeo se ajusta en la última línea para que la suma coincida con el monto.
+ * @param {Object} purchase - Compra
+ * @param {number} amount - Monto a prorratear
+ * @param {string} method - valor, cantidad o peso
+ * @param {Map} [productWeights] - Peso unitario por ID de producto (método peso)
+ * @returns {Array} [{ item, product, productName, base, amount, unitAmount }]
+ */
+export const allocateLandedCost = (purchase, amount, method, productWeights = new Map()) => {
+  const lines = purchase.items
+    .filter(item => item.itemType !== 'account' && item.product)
+    .map(item => ({ item, base: allocationBase(item, method, productWeights) || 0 }))
+    .filter(line => line.base > 0);
+
+  const totalBase = lines.reduce((sum, line) => sum + line.base, 0);
+  if (totalBase <= 0) {
+    throw new LandedCostError(method === 'peso'
+      ? 'Las líneas de la compra no tienen peso registrado para prorratear el costo'
+      : 'La compra no tiene líneas de productos sobre las que prorratear el costo');
+  }
+
+  let assigned = 0;
+  return lines.map(({ item, base }, index) => {
+    const lineAmount = index === lines.length - 1
+      ? roundAmount(amount - assigned)
+      : roundAmount(amount * base / totalBase);
+    assigned = roundAmount(assigned + lineAmount);
+
+    return {
+      item: item._id,
+      product: item.product,
+      productName: item.productName,
+      base,
+      amount: lineAmount,
+      unitAmount: lineAmount / item.quantity
+    };
+  });
+};
+
+/**
+ * Aplica (sign = 1) o retira (sign = -1) un costo adicional ya prorrateado: acumula el costo en cada
+ * línea, revaloriza el costo promedio del producto por lo recibido que sigue en inventario y ajusta
+ * el costo unitario de los lotes recibidos. Lo pendiente de recibir lo toma al recibirse.
+ * No guarda la compra.
+ * @param {Object} models - { Product, Batch, CostLayer }
+ * @param {Object} purchase - Compra (documento)
+ * @param {Array} allocations - Prorrateo del costo adicional
+ * @param {Object} [options] - { sign, session, costingMethod }
+ * @returns {Promise<Array>} Cambios de costo por producto
+ */
+export const applyLandedCost = async (models, purchase, allocations, options = {}) => {
+  const { sign = 1, session, costingMethod } = options;
+  const costUpdates = [];
+
+  for (const allocation of allocations) {
+    const item = purchase.items.id(allocation.item);
+    if (!item) continue;
+
+    const received = itemReceivedQuantity(purchase, item);
+    item.landedCost = roundAmount((item.landedCost || 0) + sign * allocation.amount);
+    if (received <= 0) continue;
+
+    // El stock, los lotes y las capas están en la unidad de stock; la línea, en la unidad de compra
+    const factor = itemConversionFactor(item);
+    const receivedStock = received * factor;
+    const stockUnitAmount = allocation.unitAmount / factor;
+
+    // Solo revaloriza la parte recibida que sigue en inventario; lo ya vendido no se recalcula
+    const product = await models.Product.findById(item.product).session(session || null);
+    if (product && product.stock > 0) {
+      const receivedAmount = sign * allocation.amount * received / item.quantity;
+      const applicable = receivedAmount * Math.min(product.stock, receivedStock) / receivedStock;
+      const newCost = Math.max(0, ((product.cost || 0) * product.stock + applicable) / product.stock);
+
+      await models.Product.updateOne({ _id: product._id }, { $set: { cost: newCost } }, { session });
+      costUpdates.push({
+        productId: product._id,
+        productName: product.name,
+        oldCost: product.cost,
+        newCost,
+        costChange: newCost - (product.cost || 0)
+      });
+    }
+
+    // Lotes que recibieron mercadería de la línea (las compras sin recepciones usan el lote de la línea)
+    const batchIds = purchase.receipts?.length
+      ? purchase.receipts
+        .filter(receipt => receipt.status !== 'revertida')
+        .flatMap(receipt => receipt.items)
+        .filter(line => line.item.toString() === item._id.toString() && line.batch)
+        .map(line => line.batch)
+      : [item.batch].filter(Boolean);
+
+    if (batchIds.length > 0) {
+      await models.Batch.updateMany(
+        { _id: { $in: batchIds }, cost: { $ne: null } },
+        { $inc: { cost: sign * stockUnitAmount } },
+        { session }
+      );
+    }
+
+    await adjustSourceLayerCost(models, { sourceId: purchase._id, sourceLine: item._id }, sign * stockUnitAmount, {
+      session,
+      method: costingMethod
+    });
+  }
+
+  return costUpdates;
+};
@@ -0,0 +1,427 @@
+import mongoose from 'mongoose';
+import Purchase from '../models/Purchase.js';
+import Supplier from '../models/Supplier.js';
+import { ProductionError, getProductionModels, planFromRecipe } from './productionService.js';
+import { MAX_BOM_DEPTH } from './bomService.js';
+import { resolveRecipeVersion } from './recipeVersionService.js';
+import { UnitConversionError, getConversionFactor } from './unitService.js';
+
+// Compras abiertas cuya mercadería cubre requerimientos (los borradores aún no están confirmados)
+const OPEN_PURCHASE_STATUSES = ['pendiente', 'en_transito', 'parcialmente_recibida'];
+
+// Proveedores alternativos que se sugieren por ingrediente (los de sus últimas compras)
+const MAX_ALTERNATIVE_SUPPLIERS = 3;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+const round = (value, decimals = 4) => Math.round((value || 0) * 10 ** decimals) / 10 ** decimals;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Obtiene los modelos de planificación de materiales (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - req.tenantModels
+ * @returns {Object} Modelos de producción más { Purchase, Supplier }
+ */
+export const getMrpModels = (tenantModels) => ({
+  ...getProductionModels(tenantModels),
+  Purchase: tenantModels?.Purchase || Purchase,
+  Supplier: tenantModels?.Supplier || Supplier
+});
+
+// Filtro de ubicación: lo que no indica ubicación pertenece a la ubicación por defecto
+const warehouseFilter = (warehouse) => warehouse
+  ? { $or: [{ warehouse: warehouse._id }, ...(warehouse.isDefault ? [{ warehouse: null }] : [])] }
+  : {};
+
+// Líneas de compras abiertas pendientes de recibir, en la unidad de stock, por producto
+const getOpenPurchaseLines = async (models, productIds, warehouse) => {
+  const purchases = await models.Purchase.find({
+    isActive: true,
+    isAccountPayment: { $ne: true },
+    status: { $in: OPEN_PURCHASE_STATUSES },
+    'items.product': { $in: productIds },
+    ...warehouseFilter(warehouse)
+  }).select('purchaseNumber supplier supplierName status expectedDelivery items').sort({ expectedDelivery: 1 });
+
+  const ids = new Set(productIds.map(id => id.toString()));
+  const lines = new Map();
+  for (const purchase of purchases) {
+    for (const item of purchase.items) {
+      const productId = item.product?.toString();
+      if (!ids.has(productId)) continue;
+      const pending = (item.quantity - (item.receivedQuantity || 0)) * (item.conversionFactor || 1);
+      if (pending <= EPSILON) continue;
+      if (!lines.has(productId)) lines.set(productId, []);
+      lines.get(productId).push({
+        purchase: purchase._id,
+        purchaseNumber: purchase.purchaseNumber,
+        supplier: purchase.supplier,
+        supplierName: purchase.supplierName,
+        status: purchase.status,
+        expectedDelivery: purchase.expectedDelivery,
+        quantity: pending
+      });
+    }
+  }
+  return lines;
+};
+
+// Stock de lotes activos que vence antes de la fecha de necesidad: no sirve para cubrirla
+const getExpiringStock = async (models, productId, needDate, warehouse) => {
+  const [row] = await models.Batch.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(productId),
+        isActive: true,
+        status: 'activo',
+        currentStock: { $gt: 0 },
+        expirationDate: { $lt: needDate },
+        ...warehouseFilter(warehouse)
+      }
+    },
+    { $group: { _id: null, quantity: { $sum: '$currentStock' } } }
+  ]);
+  return row?.quantity || 0;
+};
+
+// Proveedores de las últimas compras recibidas de cada producto, con su último costo en unidad de stock
+const getPurchaseHistory = async (models, productIds) => {
+  const rows = await models.Purchase.aggregate([
+    {
+      $match: {
+        isActive: true,
+        isAccountPayment: { $ne: true },
+        status: { $in: ['parcialmente_recibida', 'recibida'] },
+        supplier: { $ne: null },
+        'items.product': { $in: productIds.map(id => new mongoose.Types.ObjectId(id)) }
+      }
+    },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: productIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+    { $sort: { orderDate: -1 } },
+    {
+      $group: {
+        _id: { product: '$items.product', supplier: '$supplier' },
+        supplierName: { $first: '$supplierName' },
+        lastPurchaseDate: { $first: '$orderDate' },
+        unitPrice: { $first: '$items.unitPrice' },
+        conversionFactor: { $first: '$items.conversionFactor' }
+      }
+    },
+    { $sort: { lastPurchaseDate: -1 } }
+  ]);
+
+  const history = new Map();
+  for (const row of rows) {
+    const productId = row._id.product.toString();
+    if (!history.has(productId)) history.set(productId, []);
+    history.get(productId).push({
+      supplier: row._id.supplier,
+      supplierName: row.supplierName,
+      lastPurchaseDate: row.lastPurchaseDate,
+      lastUnitCost: round((row.unitPrice || 0) / (row.conversionFactor || 1))
+    });
+  }
+  return history;
+};
+
+// Cantidad a pedir: lotes de reposición del producto que cubren el faltante, o el faltante
+const suggestPurchaseQuantity = (product, shortage) => product.reorderQuantity > 0
+  ? Math.ceil(shortage / product.reorderQuantity - EPSILON) * product.reorderQuantity
+  : round(shortage);
+
+// Lo sugerido expresado en la unidad de compra del producto (unidades enteras)
+const toPurchaseUnit = (product, quantity) => {
+  if (!product.purchaseUnit || product.purchaseUnit === product.unit) return null;
+  try {
+    const factor = getConversionFactor(product, product.purchaseUnit);
+    return { purchaseUnit: product.purchaseUnit, purchaseQuantity: Math.ceil(quantity / factor - EPSILON) };
+  } catch (error) {
+    if (error instanceof UnitConversionError) return null;
+    throw error;
+  }
+};
+
+/**
+ * Planificación de requerimientos de materiales (MRP) para una producción planificada.
+ * Explota las recetas nivel por nivel: cada producto se netea recién cuando se conocen todos sus
+ * requerimientos (de todas las recetas que lo usan), contra su stock sin los lotes que vencen antes
+ * de necesitarlo y contra lo pendiente de recibir de compras abiertas. Los faltantes de productos
+ * que se elaboran con una subreceta se planifican como producción y se explotan a su vez; los del
+ * resto se sugieren como compra, con la fecha de pedido según el plazo de entrega del proveedor.
+ * Todas las cantidades van en la unidad de stock de cada producto.
+ * @param {Object} models - Modelos de getMrpModels
+ * @param {Array} items - [{ recipe, plannedQuantity | scaleFactor, date }]
+ * @param {Object} [options] - { warehouse } con ubicación, se netea contra el stock y las compras de ella
+ * @returns {Promise<Object>} { plan, requirements, plannedProduction, shortages, unplanned, totalEstimatedCost }
+ */
+export const buildMaterialPlan = async (models, items, options = {}) => {
+  const { warehouse } = options;
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ProductionError('Debe indicar al menos una receta a producir');
+  }
+
+  // Recetas activas con la fórmula vigente a la fecha y sus productos poblados, como las usa planFromRecipe
+  const populate = [
+    { path: 'productToProduce', select: 'name unit unitConversions', model: models.Product },
+    { path: 'ingredients.product', select: 'name unit unitConversions', model: models.Product }
+  ];
+  const recipes = new Map();
+  const loadRecipe = async (id, date) => {
+    const key = `${(id?._id || id)?.toString()}:${date.getTime()}`;
+    if (!recipes.has(key)) {
+      const found = mongoose.Types.ObjectId.isValid(id?._id || id)
+        ? await models.Recipe.findOne({ _id: id, isActive: true }).populate(populate)
+        : null;
+      recipes.set(key, found && await resolveRecipeVersion(models, found, date, populate));
+    }
+    return recipes.get(key);
+  };
+
+  const today = startOfDay(new Date());
+  const plan = [];
+  for (const item of items) {
+    const date = item.date ? startOfDay(item.date) : today;
+    if (isNaN(date.getTime())) {
+      throw new ProductionError('Fecha inválida en la producción planificada');
+    }
+    const recipe = await loadRecipe(item.recipe, date);
+    if (!recipe) {
+      throw new ProductionError('Receta no encontrada o inactiva', 404);
+    }
+    if (!recipe.productToProduce) {
+      throw new ProductionError(`La receta ${recipe.name} no tiene un producto asociado para producir`);
+    }
+    plan.push({ recipe, date, ...planFromRecipe(recipe, item) });
+  }
+
+  // Nivel más bajo en que aparece cada producto: se netea después de todas las recetas que lo usan.
+  // Un producto se elabora con la primera subreceta con que aparece.
+  const levels = new Map();
+  const subRecipeOf = new Map();
+  const assignLevels = async (recipe, level, path, date) => {
+    if (level > MAX_BOM_DEPTH) {
+      throw new ProductionError(`La receta ${recipe.name} supera los ${MAX_BOM_DEPTH} niveles de subrecetas`);
+    }
+    for (const ingredient of recipe.ingredients) {
+      if (!ingredient.product) continue;
+      const productId = ingredient.product._id.toString();
+      levels.set(productId, Math.max(levels.get(productId) || 0, level));
+
+      if (ingredient.subRecipe && !subRecipeOf.has(productId)) {
+        subRecipeOf.set(productId, ingredient.subRecipe.toString());
+      }
+      if (ingredient.subRecipe && subRecipeOf.get(productId) === ingredient.subRecipe.toString()) {
+        const subRecipe = await loadRecipe(ingredient.subRecipe, date);
+        if (!subRecipe || path.includes(subRecipe._id.toString())) continue;
+        await assignLevels(subRecipe, level + 1, [...path, subRecipe._id.toString()], date);
+      }
+    }
+  };
+  for (const entry of plan) {
+    await assignLevels(entry.recipe, 1, [entry.recipe._id.toString()], entry.date);
+  }
+
+  // Requerimientos brutos por producto, con la receta que los origina
+  const demands = new Map();
+  const unplanned = [];
+  const addDemands = (recipe, ingredients, date, scale, level = 1) => {
+    for (const ingredient of ingredients) {
+      const productId = ingredient.product.toString();
+      // La fórmula vigente a la fecha de necesidad puede traer productos que no se recorrieron
+      if (!levels.has(productId)) levels.set(productId, level);
+      if (!demands.has(productId)) demands.set(productId, []);
+      demands.get(productId).push({
+        recipe: recipe._id,
+        recipeName: recipe.name,
+        date,
+        quantity: ingredient.plannedQuantity
+      });
+    }
+    // Los ingredientes genéricos no son del inventario: se informan para pedirlos aparte
+    for (const ingredient of recipe.ingredients.filter(item => !item.product)) {
+      unplanned.push({
+        recipe: recipe._id,
+        recipeName: recipe.name,
+        name: ingredient.name,
+        quantity: round(ingredient.quantity * scale),
+        unit: ingredient.unit,
+        date
+      });
+    }
+  };
+  for (const entry of plan) {
+    addDemands(entry.recipe, entry.ingredients, entry.date, entry.scaleFactor);
+  }
+
+  const requirements = [];
+  const plannedProduction = [];
+  for (let level = 1; level <= Math.max(0, ...levels.values()); level++) {
+    const productIds = [...demands.keys()].filter(id => levels.get(id) === level);
+    if (productIds.length === 0) continue;
+
+    const [products, openPurchases, locationRows] = await Promise.all([
+      models.Product.find({ _id: { $in: productIds } })
+        .select('name sku unit purchaseUnit unitConversions stock supplier reorderQuantity cost'),
+      getOpenPurchaseLines(models, productIds, warehouse),
+      warehouse
+        ? models.WarehouseStock.find({ warehouse: warehouse._id, product: { $in: productIds } })
+        : []
+    ]);
+    const locationStock = new Map(locationRows.map(row => [row.product.toString(), row.quantity]));
+
+    for (const product of products) {
+      const productId = product._id.toString();
+      const sources = demands.get(productId);
+      const needDate = new Date(Math.min(...sources.map(source => source.date.getTime())));
+      const grossRequirement = sources.reduce((sum, source) => sum + source.quantity, 0);
+
+      const stock = warehouse ? (locationStock.get(productId) || 0) : product.stock;
+      const expiringStock = await getExpiringStock(models, productId, needDate, warehouse);
+      const availableStock = Math.max(0, stock - expiringStock);
+      const purchases = (openPurchases.get(productId) || []).map(line => ({
+        ...line,
+        quantity: round(line.quantity),
+        // Llega después de la fecha de necesidad: cubre el requerimiento, pero tarde
+        arrivesLate: !!line.expectedDelivery && startOfDay(line.expectedDelivery) > needDate
+      }));
+      const onOrder = purchases.reduce((sum, line) => sum + line.quantity, 0);
+      const netRequirement = Math.max(0, grossRequirement - availableStock - onOrder);
+      const onTimeOrder = purchases.filter(line => !line.arrivesLate).reduce((sum, line) => sum + line.quantity, 0);
+
+      const subRecipe = subRecipeOf.has(productId) ? await loadRecipe(subRecipeOf.get(productId), needDate) : null;
+      const requirement = {
+        product: product._id,
+        productName: product.name,
+        sku: product.sku,
+        unit: product.unit,
+        level,
+        action: subRecipe ? 'producir' : 'comprar',
+        needDate,
+        grossRequirement: round(grossRequirement),
+        stock: round(stock),
+        expiringStock: round(expiringStock),
+        availableStock: round(availableStock),
+        onOrder: round(onOrder),
+        openPurchases: purchases,
+        netRequirement: round(netRequirement),
+        // Sin faltante solo gracias a compras que llegan después de la fecha de necesidad
+        coveredLate: netRequirement <= EPSILON && grossRequirement - availableStock - onTimeOrder > EPSILON,
+        sources: sources.map(source => ({ ...source, quantity: round(source.quantity) }))
+      };
+      requirements.push(requirement);
+
+      if (netRequirement <= EPSILON || !subRecipe) continue;
+
+      // El faltante de un producto intermedio se produce para la misma fecha y se explota su receta
+      const production = planFromRecipe(subRecipe, { plannedQuantity: netRequirement });
+      plannedProduction.push({
+        recipe: subRecipe._id,
+        recipeName: subRecipe.name,
+        recipeVersion: subRecipe.version ?? null,
+        product: product._id,
+        productName: product.name,
+        plannedQuantity: round(production.plannedQuantity),
+        scaleFactor: round(production.scaleFactor),
+        unit: production.unit,
+        needDate
+      });
+      addDemands(subRecipe, production.ingredients, needDate, production.scaleFactor, level + 1);
+    }
+  }
+
+  const shortages = await buildPurchaseSuggestions(models, requirements.filter(line =>
+    line.action === 'comprar' && line.netRequirement > EPSILON), today);
+
+  return {
+    warehouse: warehouse?._id || null,
+    plan: plan.map(entry => ({
+      recipe: entry.recipe._id,
+      recipeName: entry.recipe.name,
+      recipeVersion: entry.recipe.version ?? null,
+      product: entry.recipe.productToProduce._id,
+      productName: entry.recipe.productToProduce.name,
+      plannedQuantity: round(entry.plannedQuantity),
+      scaleFactor: round(entry.scaleFactor),
+      unit: entry.unit,
+      date: entry.date
+    })),
+    requirements: requirements.sort((a, b) => a.level - b.level || a.productName.localeCompare(b.productName)),
+    plannedProduction,
+    shortages,
+    unplanned,
+    totalEstimatedCost: round(shortages.reduce((sum, line) => sum + line.estimatedCost, 0), 2)
+  };
+};
+
+// Faltantes a comprar con proveedor sugerido (el del producto o el de su última compra),
+// proveedores alternativos y fecha en que hay que pedir según el plazo de entrega
+const buildPurchaseSuggestions = async (models, requirements, today) => {
+  if (requirements.length === 0) return [];
+
+  const productIds = requirements.map(line => line.product.toString());
+  const [products, history] = await Promise.all([
+    models.Product.find({ _id: { $in: productIds } })
+      .select('name unit purchaseUnit unitConversions supplier reorderQuantity cost'),
+    getPurchaseHistory(models, productIds)
+  ]);
+  const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const supplierIds = new Set();
+  products.forEach(product => {
+    const id = product.supplier?.toString();
+    if (id && mongoose.Types.ObjectId.isValid(id)) supplierIds.add(id);
+  });
+  history.forEach(rows => rows.forEach(row => supplierIds.add(row.supplier.toString())));
+  const suppliers = supplierIds.size > 0
+    ? await models.Supplier.find({ _id: { $in: [...supplierIds] }, isActive: true }).select('name leadTimeDays status')
+    : [];
+  const supplierById = new Map(suppliers.map(doc => [doc._id.toString(), doc]));
+
+  const shortages = requirements.map(line => {
+    const product = productById.get(line.product.toString());
+    const previous = (history.get(line.product.toString()) || [])
+      .filter(row => supplierById.has(row.supplier.toString()));
+    const supplier = supplierById.get(product.supplier?.toString())
+      || supplierById.get(previous[0]?.supplier.toString())
+      || null;
+
+    const leadTimeDays = supplier?.leadTimeDays || 0;
+    const latestOrderDate = new Date(line.needDate.getTime() - leadTimeDays * MS_PER_DAY);
+    const suggestedQuantity = suggestPurchaseQuantity(product, line.netRequirement);
+    const unitCost = previous.find(row => row.supplier.toString() === supplier?._id.toString())?.lastUnitCost
+      ?? product.cost ?? 0;
+
+    return {
+      product: line.product,
+      productName: line.productName,
+      sku: line.sku,
+      unit: line.unit,
+      needDate: line.needDate,
+      shortage: line.netRequirement,
+      suggestedQuantity,
+      ...toPurchaseUnit(product, suggestedQuantity),
+      supplier: supplier?._id || null,
+      supplierName: supplier?.name || null,
+      leadTimeDays,
+      // Si el plazo ya no alcanza se sugiere pedir hoy y se marca como atrasado
+      orderDate: latestOrderDate < today ? today : latestOrderDate,
+      late: latestOrderDate < today,
+      alternativeSuppliers: previous
+        .filter(row => row.supplier.toString() !== supplier?._id.toString())
+        .slice(0, MAX_ALTERNATIVE_SUPPLIERS)
+        .map(row => ({ ...row, leadTimeDays: supplierById.get(row.supplier.toString()).leadTimeDays || 0 })),
+      unitCost,
+      estimatedCost: round(suggestedQuantity * unitCost, 2)
+    };
+  });
+
+  // Primero lo que hay que pedir antes
+  return shortages.sort((a, b) => a.orderDate - b.orderDate || a.productName.localeCompare(b.productName));
+};
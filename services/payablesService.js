@@ -0,0 +1,250 @@
+import { AGING_BUCKETS, calculateDueDate, daysPastDue, agingBucket } from './receivablesService.js';
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+/**
+ * Días de crédito a partir de los términos de pago del proveedor, que son texto libre
+ * ('30 días', 'Net 45', 'Contado'); sin número se considera pago inmediato
+ * @param {string|number} paymentTerms - Términos de pago
+ * @returns {number}
+ */
+export const parsePaymentTermsDays = (paymentTerms) => {
+  if (typeof paymentTerms === 'number') return paymentTerms;
+  const match = String(paymentTerms || '').match(/\d+/);
+  return match ? parseInt(match[0]) : 0;
+};
+
+// Fecha desde la que corre el plazo de una compra: la recepción o, si no se ha recibido, el pedido
+export const purchaseDocumentDate = (purchase) => purchase.actualDelivery || purchase.orderDate;
+
+/**
+ * Fecha de vencimiento de una compra según los términos de pago del proveedor
+ * @param {Object} purchase - Compra
+ * @param {Object} [supplier] - Proveedor (si no está poblado en la compra)
+ * @returns {Date}
+ */
+export const purchaseDueDate = (purchase, supplier = purchase.supplier) =>
+  calculateDueDate(purchaseDocumentDate(purchase), parsePaymentTermsDays(supplier?.paymentTerms));
+
+// Compras con saldo pendiente de pago (las compras canceladas, los borradores y los pagos contables no generan deuda)
+export const openPurchasesQuery = (filters = {}) => ({
+  isActive: true,
+  isAccountPayment: { $ne: true },
+  status: { $nin: ['cancelada', 'borrador'] },
+  paymentStatus: { $in: ['pendiente', 'parcial'] },
+  remainingAmount: { $gt: 0 },
+  ...filters
+});
+
+/**
+ * Compras pendientes de pago que vencen hasta una fecha, con su vencimiento calculado
+ * @param {Object} models - { Purchase, Supplier }
+ * @param {Object} [options] - { dueBefore, supplier, purchaseIds }
+ * @returns {Promise<Array>} Compras (documentos) con la propiedad dueDate
+ */
+export const getDuePurchases = async (models, options = {}) => {
+  const filters = {};
+  if (options.supplier) filters.supplier = options.supplier;
+  if (options.purchaseIds?.length) filters._id = { $in: options.purchaseIds };
+
+  const purchases = await models.Purchase.find(openPurchasesQuery(filters))
+    .populate({ path: 'supplier', select: 'name email paymentTerms', model: models.Supplier })
+    .sort({ orderDate: 1 });
+
+  const dueBefore = options.dueBefore ? new Date(options.dueBefore) : null;
+  if (dueBefore && /^\d{4}-\d{2}-\d{2}$/.test(options.dueBefore)) dueBefore.setUTCHours(23, 59, 59, 999);
+
+  return purchases
+    .map(purchase => ({ purchase, dueDate: purchaseDueDate(purchase) }))
+    .filter(({ dueDate }) => !dueBefore || dueDate <= dueBefore)
+    .sort((a, b) => a.dueDate - b.dueDate);
+};
+
+// Pagos de una compra fechados hasta la fecha de corte
+const paidUntil = (purchase, asOf) => (purchase.partialPayments || [])
+  .filter(payment => payment.paymentDate && new Date(payment.paymentDate) <= asOf)
+  .reduce((sum, payment) => sum + payment.amount, 0);
+
+// Saldo de una compra a la fecha de corte, como lo calcula la compra pero solo con los pagos hasta ese día
+const balanceAsOf = (purchase, asOf) => roundAmount(Math.max(0, (purchase.total || 0) - paidUntil(purchase, asOf)));
+
+/**
+ * Informe de antigüedad de cuentas por pagar. El saldo de cada compra se reconstruye a la fecha de corte
+ * (total menos los pagos hasta esa fecha), no es el saldo actual.
+ * @param {Object} models - { Purchase, Supplier }
+ * @param {Object} [options] - { date, supplier }; date es la fecha de corte (hoy por defecto)
+ * @returns {Promise<Object>} { date, buckets, total, suppliers: [{ supplier, buckets, total, purchases }] }
+ */
+export const buildPayablesAgingReport = async (models, options = {}) => {
+  const asOf = options.date ? new Date(options.date) : new Date();
+  if (options.date && /^\d{4}-\d{2}-\d{2}$/.test(options.date)) asOf.setUTCHours(23, 59, 59, 999);
+
+  // Las compras pagadas que no cambiaron después del corte ya lo estaban a esa fecha
+  const query = {
+    isActive: true,
+    isAccountPayment: { $ne: true },
+    status: { $nin: ['cancelada', 'borrador'] },
+    orderDate: { $lte: asOf },
+    $or: [
+      { paymentStatus: { $in: ['pendiente', 'parcial'] } },
+      { updatedAt: { $gt: asOf } }
+    ]
+  };
+  if (options.supplier) query.supplier = options.supplier;
+
+  const purchases = await models.Purchase.find(query)
+    .populate({ path: 'supplier', select: 'name email phone paymentTerms creditLimit', model: models.Supplier })
+    .select('purchaseNumber supplier supplierName orderDate actualDelivery total remainingAmount status paymentStatus partialPayments')
+    .sort({ orderDate: 1 });
+
+  const bySupplier = new Map();
+  const totals = emptyBuckets();
+
+  for (const purchase of purchases) {
+    if (purchaseDocumentDate(purchase) > asOf) continue;
+    const remainingAmount = balanceAsOf(purchase, asOf);
+    if (remainingAmount <= 0) continue;
+
+    const dueDate = purchaseDueDate(purchase);
+    const days = daysPastDue(dueDate, asOf);
+    const bucket = agingBucket(days);
+    const key = purchase.supplier?._id?.toString() || purchase.supplierName || 'sin-proveedor';
+
+    if (!bySupplier.has(key)) {
+      bySupplier.set(key, {
+        supplier: purchase.supplier
+          ? { id: purchase.supplier._id, name: purchase.supplier.name, email: purchase.supplier.email, phone: purchase.supplier.phone, creditLimit: purchase.supplier.creditLimit }
+          : { id: null, name: purchase.supplierName || 'Sin proveedor' },
+        buckets: emptyBuckets(),
+        total: 0,
+        purchases: []
+      });
+    }
+
+    const entry = bySupplier.get(key);
+    entry.buckets[bucket] = roundAmount(entry.buckets[bucket] + remainingAmount);
+    entry.total = roundAmount(entry.total + remainingAmount);
+    entry.purchases.push({
+      purchase: purchase._id,
+      purchaseNumber: purchase.purchaseNumber,
+      orderDate: purchase.orderDate,
+      actualDelivery: purchase.actualDelivery,
+      status: purchase.status,
+      dueDate,
+      daysPastDue: days,
+      bucket,
+      total: purchase.total,
+      remainingAmount
+    });
+    totals[bucket] = roundAmount(totals[bucket] + remainingAmount);
+  }
+
+  return {
+    date: asOf,
+    buckets: totals,
+    total: roundAmount(Object.values(totals).reduce((sum, amount) => sum + amount, 0)),
+    suppliers: [...bySupplier.values()].sort((a, b) => b.total - a.total)
+  };
+};
+
+/**
+ * Estado de cuenta de un proveedor: compras y pagos con el saldo adeudado acumulado
+ * @param {Object} models - { Purchase }
+ * @param {Object} supplier - Proveedor
+ * @param {Object} [options] - { startDate, endDate }
+ * @returns {Promise<Object>} { openingBalance, movements, closingBalance, openPurchases }
+ */
+export const buildSupplierStatement = async (models, supplier, options = {}) => {
+  const start = options.startDate ? new Date(options.startDate) : null;
+  const end = options.endDate ? new Date(options.endDate) : new Date();
+  if (options.endDate && /^\d{4}-\d{2}-\d{2}$/.test(options.endDate)) end.setUTCHours(23, 59, 59, 999);
+
+  const purchases = await models.Purchase.find({
+    supplier: supplier._id,
+    isActive: true,
+    status: { $nin: ['cancelada', 'borrador'] },
+    orderDate: { $lte: end }
+  }).select('purchaseNumber orderDate actualDelivery total remainingAmount status paymentStatus partialPayments');
+
+  // Movimientos con signo: compras aumentan lo adeudado, pagos lo disminuyen
+  const movements = [];
+  for (const purchase of purchases) {
+    movements.push({
+      date: purchaseDocumentDate(purchase),
+      type: 'compra',
+      document: purchase.purchaseNumber,
+      description: `Compra ${purchase.purchaseNumber}`,
+      dueDate: purchaseDueDate(purchase, supplier),
+      amount: purchase.total
+    });
+
+    for (const payment of purchase.partialPayments) {
+      movements.push({
+        date: payment.paymentDate,
+        type: 'pago',
+        document: purchase.purchaseNumber,
+        description: `Pago de compra ${purchase.purchaseNumber} (${payment.paymentMethod})`,
+        amount: -payment.amount
+      });
+    }
+  }
+
+  movements.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let openingBalance = 0;
+  let balance = 0;
+  const periodMovements = [];
+  for (const movement of movements) {
+    if (new Date(movement.date) > end) continue;
+
+    balance = roundAmount(balance + movement.amount);
+    if (start && new Date(movement.date) < start) {
+      openingBalance = balance;
+      continue;
+    }
+
+    periodMovements.push({
+      ...movement,
+      debit: movement.amount < 0 ? roundAmount(-movement.amount) : 0,
+      credit: movement.amount > 0 ? roundAmount(movement.amount) : 0,
+      balance
+    });
+  }
+
+  const asOf = new Date();
+  const openPurchases = purchases
+    .filter(purchase => ['pendiente', 'parcial'].includes(purchase.paymentStatus) && purchase.remainingAmount > 0)
+    .map(purchase => {
+      const dueDate = purchaseDueDate(purchase, supplier);
+      const days = daysPastDue(dueDate, asOf);
+      return {
+        purchase: purchase._id,
+        purchaseNumber: purchase.purchaseNumber,
+        status: purchase.status,
+        dueDate,
+        daysPastDue: days,
+        bucket: agingBucket(days),
+        remainingAmount: purchase.remainingAmount
+      };
+    });
+
+  return {
+    supplier: {
+      id: supplier._id,
+      name: supplier.name,
+      email: supplier.email,
+      paymentTerms: supplier.paymentTerms,
+      creditLimit: supplier.creditLimit
+    },
+    startDate: start,
+    endDate: end,
+    openingBalance,
+    movements: periodMovements,
+    totalDebit: roundAmount(periodMovements.reduce((sum, movement) => sum + movement.debit, 0)),
+    totalCredit: roundAmount(periodMovements.reduce((sum, movement) => sum + movement.credit, 0)),
+    closingBalance: balance,
+    openPurchases
+  };
+};
@@ -0,0 +1,449 @@
+import ProductionOrder from '../models/ProductionOrder.js';
+import Recipe from '../models/Recipe.js';
+import RecipeVersion from '../models/RecipeVersion.js';
+import StockMovement from '../models/StockMovement.js';
+import { incrementProductStock } from './stockMovementService.js';
+import {
+  getCostingModels,
+  addCostLayer,
+  consumeCostLayers,
+  restoreCostLayers,
+  reverseSourceCostLayers
+} from './costingService.js';
+import { getWarehouseModels } from './warehouseService.js';
+import { recipeBaseQuantity } from './bomService.js';
+import { UnitConversionError, convertQuantity } from './unitService.js';
+import { getNextNumber } from './sequenceService.js';
+
+// Error de validación de una orden de producción: aborta la transacción y se responde con su código HTTP
+export class ProductionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProductionError';
+    this.status = status;
+  }
+}
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// Tolerancia para cantidades fraccionarias de ingredientes
+const EPSILON = 1e-9;
+
+/**
+ * Obtiene los modelos de producción (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - req.tenantModels
+ * @returns {Object} { ProductionOrder, Recipe, RecipeVersion, StockMovement, Warehouse, WarehouseStock, Product, Batch, CostLayer, Sequence, Config }
+ */
+export const getProductionModels = (tenantModels) => ({
+  ...getWarehouseModels(tenantModels),
+  ...getCostingModels(tenantModels),
+  ProductionOrder: tenantModels?.ProductionOrder || ProductionOrder,
+  Recipe: tenantModels?.Recipe || Recipe,
+  RecipeVersion: tenantModels?.RecipeVersion || RecipeVersion,
+  StockMovement: tenantModels?.StockMovement || StockMovement
+});
+
+// Cantidad de la receta en la unidad de stock de un producto
+const toStockUnit = (product, quantity, unit) => {
+  try {
+    return convertQuantity(product, quantity, unit);
+  } catch (error) {
+    if (error instanceof UnitConversionError) throw new ProductionError(error.message);
+    throw error;
+  }
+};
+
+/**
+ * Plan de una orden a partir de su receta: factor de escala y cantidades planificadas.
+ * Se indica el factor de escala o la cantidad a producir (el otro se deriva). Todas las cantidades
+ * de la orden van en la unidad de stock de cada producto (las de la receta se convierten).
+ * Los ingredientes genéricos (sin producto) no mueven inventario y no entran en la orden.
+ * @param {Object} recipe - Receta con productToProduce e ingredients.product poblados (name, unit, unitConversions)
+ * @param {Object} data - { scaleFactor, plannedQuantity } plannedQuantity en la unidad de stock del producto
+ * @returns {Object} { scaleFactor, plannedQuantity, unit, ingredients }
+ */
+export const planFromRecipe = (recipe, { scaleFactor, plannedQuantity } = {}) => {
+  const output = recipe.productToProduce;
+  const base = toStockUnit(output, recipeBaseQuantity(recipe), recipe.batchInfo?.unit);
+  let scale = 1;
+  if (plannedQuantity !== undefined && plannedQuantity !== null && plannedQuantity !== '') {
+    const quantity = parseFloat(plannedQuantity);
+    if (isNaN(quantity) || quantity <= 0) {
+      throw new ProductionError('La cantidad a producir debe ser mayor a 0');
+    }
+    scale = quantity / base;
+  } else if (scaleFactor !== undefined && scaleFactor !== null && scaleFactor !== '') {
+    scale = parseFloat(scaleFactor);
+    if (isNaN(scale) || scale <= 0) {
+      throw new ProductionError('El factor de escala debe ser mayor a 0');
+    }
+  }
+
+  const ingredients = recipe.ingredients
+    .filter(ingredient => ingredient.product)
+    .map(ingredient => ({
+      product: ingredient.product._id,
+      productName: ingredient.product.name,
+      unit: ingredient.product.unit,
+      plannedQuantity: toStockUnit(ingredient.product, ingredient.quantity * scale, ingredient.unit)
+    }));
+  if (ingredients.length === 0) {
+    throw new ProductionError('La receta no tiene ingredientes del inventario para producir');
+  }
+
+  return {
+    scaleFactor: scale,
+    plannedQuantity: base * scale,
+    unit: output.unit,
+    ingredients
+  };
+};
+
+/**
+ * Disponibilidad de los ingredientes planificados en la ubicación de producción (o en total, sin ubicaciones)
+ * @param {Object} models - Modelos de getProductionModels
+ * @param {Object} order - Orden de producción
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} { available, lines: [{ product, productName, unit, required, available, shortage }] }
+ */
+export const checkIngredientAvailability = async (models, order, options = {}) => {
+  const session = options.session || null;
+  const productIds = order.ingredients.map(ingredient => ingredient.product);
+  const products = await models.Product.find({ _id: { $in: productIds } }).session(session);
+  const stock = new Map(products.map(product => [product._id.toString(), product.stock]));
+
+  if (order.warehouse) {
+    const rows = await models.WarehouseStock.find({ warehouse: order.warehouse, product: { $in: productIds } }).session(session);
+    stock.clear();
+    rows.forEach(row => stock.set(row.product.toString(), row.quantity));
+  }
+
+  // Un mismo producto puede repetirse en la receta: se compara lo requerido en total
+  const required = new Map();
+  for (const ingredient of order.ingredients) {
+    const id = ingredient.product.toString();
+    required.set(id, (required.get(id) || 0) + ingredient.plannedQuantity);
+  }
+
+  const lines = order.ingredients.map(ingredient => {
+    const id = ingredient.product.toString();
+    const available = stock.get(id) || 0;
+    return {
+      product: ingredient.product,
+      productName: ingredient.productName,
+      unit: ingredient.unit,
+      required: ingredient.plannedQuantity,
+      available,
+      shortage: Math.max(0, required.get(id) - available)
+    };
+  });
+
+  return { available: lines.every(line => line.shortage <= EPSILON), lines };
+};
+
+// Consumir un ingrediente: lotes por FEFO, stock del producto (y de la ubicación) y capas de costo
+const consumeIngredient = async (models, order, ingredient, quantity, options) => {
+  const { user, tenant, session, costingMethod } = options;
+
+  const batchesUsed = [];
+  const { allocations } = await models.Batch.allocateFEFO(ingredient.product, quantity, { session, warehouse: order.warehouse });
+  for (const allocation of allocations) {
+    const batch = await models.Batch.decrementStock(allocation.batch, allocation.quantity, { session });
+    if (!batch) {
+      throw new ProductionError(`El lote ${allocation.batchNumber} de ${ingredient.productName} cambió; intente nuevamente`, 409);
+    }
+    batchesUsed.push({ batch: batch._id, batchNumber: batch.batchNumber, quantity: allocation.quantity });
+  }
+  const unbatchedQuantity = quantity - batchesUsed.reduce((sum, used) => sum + used.quantity, 0);
+
+  const product = await incrementProductStock(models, ingredient.product, -quantity, {
+    referenceType: 'production_order',
+    reference: order._id,
+    referenceNumber: order.orderNumber,
+    warehouse: order.warehouse,
+    ...(batchesUsed.length === 1 && unbatchedQuantity <= EPSILON && {
+      batch: batchesUsed[0].batch,
+      batchNumber: batchesUsed[0].batchNumber
+    }),
+    reason: `Consumo en orden de producción ${order.orderNumber}`,
+    createdBy: user,
+    tenant
+  }, { session });
+  if (!product) {
+    throw new ProductionError(`Stock insuficiente de ${ingredient.productName}${order.warehouse ? ' en la ubicación de producción' : ''}. Necesario: ${quantity}`);
+  }
+
+  const { totalCost, layers } = await consumeCostLayers(models, {
+    product: ingredient.product,
+    quantity,
+    batchAllocations: batchesUsed.length > 0
+      ? [
+        ...batchesUsed.map(used => ({ batch: used.batch, quantity: used.quantity })),
+        ...(unbatchedQuantity > EPSILON ? [{ quantity: unbatchedQuantity }] : [])
+      ]
+      : undefined,
+    referenceType: 'production_order',
+    reference: order._id,
+    referenceNumber: order.orderNumber
+  }, { session, method: costingMethod });
+
+  return {
+    product,
+    batchesUsed,
+    costLayers: layers.map(layer => ({ batch: layer.batch, quantity: layer.quantity, unitCost: layer.unitCost })),
+    cost: totalCost
+  };
+};
+
+// Costo promedio ponderado de un producto cuyo stock (ya actualizado) cambió en quantity por un valor total value
+// (negativos al retirar una entrada); null si no queda stock o el promedio no resulta positivo
+const averageCostAfter = (product, quantity, value) => {
+  if (product.stock <= EPSILON) return null;
+
+  const previousStock = product.stock - quantity;
+  const newCost = previousStock > EPSILON && product.cost > 0
+    ? (product.cost * previousStock + value) / product.stock
+    : value / quantity;
+  return newCost > 0 ? newCost : null;
+};
+
+/**
+ * Termina una orden en proceso en la transacción recibida: consume lo realmente usado de cada ingrediente
+ * (cantidad real + merma), crea el lote producido costeado con ese consumo y lo ingresa al inventario.
+ * @param {Object} models - Modelos de getProductionModels
+ * @param {Object} order - Orden de producción (documento)
+ * @param {Object} data - { actualQuantity, ingredients: [{ ingredientId, actualQuantity, scrapQuantity }], batchInfo, notes }
+ *   (los ingredientes no indicados se consumen según lo planificado, sin merma)
+ * @param {Object} options - { user, tenant, session, costingMethod }
+ * @returns {Promise<Object>} { order, batch, product }
+ */
+export const finishProductionOrder = async (models, order, data, options = {}) => {
+  const { user, tenant, session, costingMethod } = options;
+
+  if (order.status !== 'en_proceso') {
+    throw new ProductionError(`Solo se pueden terminar órdenes en proceso; la orden está ${order.status}`);
+  }
+
+  const actualQuantity = data.actualQuantity === undefined ? order.plannedQuantity : parseFloat(data.actualQuantity);
+  if (isNaN(actualQuantity) || actualQuantity <= 0) {
+    throw new ProductionError('La cantidad producida debe ser mayor a 0');
+  }
+
+  const batchInfo = {
+    batchNumber: data.batchInfo?.batchNumber || order.batchInfo?.batchNumber,
+    productionDate: data.batchInfo?.productionDate || order.batchInfo?.productionDate || new Date(),
+    expirationDate: data.batchInfo?.expirationDate || order.batchInfo?.expirationDate
+  };
+  if (!batchInfo.expirationDate) {
+    throw new ProductionError('La fecha de vencimiento del lote producido es requerida');
+  }
+
+  const entries = new Map((data.ingredients || []).map(entry => [entry.ingredientId?.toString(), entry]));
+  for (const id of entries.keys()) {
+    if (!order.ingredients.id(id)) {
+      throw new ProductionError(`El ingrediente ${id} no pertenece a la orden`);
+    }
+  }
+
+  let totalCost = 0;
+  const ingredientBatches = [];
+  for (const ingredient of order.ingredients) {
+    const entry = entries.get(ingredient._id.toString()) || {};
+    const actual = entry.actualQuantity === undefined ? ingredient.plannedQuantity : parseFloat(entry.actualQuantity);
+    const scrap = entry.scrapQuantity === undefined ? 0 : parseFloat(entry.scrapQuantity);
+    if (isNaN(actual) || actual < 0 || isNaN(scrap) || scrap < 0) {
+      throw new ProductionError(`Las cantidades real y de merma de ${ingredient.productName} deben ser números mayores o iguales a 0`);
+    }
+
+    ingredient.actualQuantity = actual;
+    ingredient.scrapQuantity = scrap;
+    if (actual + scrap <= EPSILON) continue;
+
+    const consumed = await consumeIngredient(models, order, ingredient, actual + scrap, options);
+    ingredient.batchesUsed = consumed.batchesUsed;
+    ingredient.costLayers = consumed.costLayers;
+    ingredient.cost = roundAmount(consumed.cost);
+    totalCost += consumed.cost;
+
+    ingredientBatches.push(...consumed.batchesUsed.map(used => ({
+      product: ingredient.product,
+      productName: ingredient.productName,
+      batch: used.batch,
+      batchNumber: used.batchNumber,
+      quantity: used.quantity,
+      unit: ingredient.unit
+    })));
+  }
+
+  const unitCost = totalCost / actualQuantity;
+
+  const batchNumber = batchInfo.batchNumber?.trim() ||
+    await getNextNumber(models.Sequence, 'batch', { session, tenantId: tenant });
+  const [batch] = await models.Batch.create([{
+    batchNumber,
+    product: order.product,
+    productName: order.productName,
+    quantity: actualQuantity,
+    unit: order.unit,
+    productionDate: batchInfo.productionDate,
+    expirationDate: batchInfo.expirationDate,
+    initialStock: actualQuantity,
+    currentStock: actualQuantity,
+    cost: unitCost,
+    recipe: order.recipe,
+    recipeName: order.recipeName,
+    recipeVersion: order.recipeVersion,
+    recipeVersionNumber: order.recipeVersionNumber,
+    productionOrder: order._id,
+    ingredientBatches,
+    warehouse: order.warehouse,
+    notes: `Lote producido por la orden de producción ${order.orderNumber}`,
+    createdBy: user
+  }], { session });
+
+  const product = await incrementProductStock(models, order.product, actualQuantity, {
+    referenceType: 'production_order',
+    reference: order._id,
+    referenceNumber: order.orderNumber,
+    warehouse: order.warehouse,
+    batch: batch._id,
+    batchNumber: batch.batchNumber,
+    reason: `Producción de la orden ${order.orderNumber} (${order.recipeName})`,
+    createdBy: user,
+    tenant
+  }, { session });
+  if (!product) {
+    throw new ProductionError('Producto a producir no encontrado', 404);
+  }
+
+  // Costo promedio ponderado entre el stock anterior y lo producido
+  if (costingMethod === 'promedio') {
+    const newCost = averageCostAfter(product, actualQuantity, totalCost) ?? unitCost;
+    order.previousProductCost = product.cost;
+    await models.Product.updateOne({ _id: product._id }, { cost: newCost }, { session });
+    product.cost = newCost;
+  }
+
+  // Capa de costo de lo producido, identificada por su lote
+  await addCostLayer(models, {
+    product: product._id,
+    productName: product.name,
+    batch: batch._id,
+    quantity: actualQuantity,
+    unitCost,
+    sourceType: 'production_order',
+    sourceId: batch._id,
+    sourceNumber: order.orderNumber,
+    createdBy: user,
+    tenant
+  }, { session, method: costingMethod });
+
+  order.status = 'terminada';
+  order.actualQuantity = actualQuantity;
+  order.batchInfo = { ...batchInfo, batchNumber: batch.batchNumber };
+  order.producedBatch = batch._id;
+  order.totalCost = roundAmount(totalCost);
+  order.unitCost = unitCost;
+  order.costingMethod = costingMethod;
+  order.finishedAt = new Date();
+  order.finishedBy = user;
+  if (data.notes !== undefined) order.notes = data.notes;
+  await order.save({ session });
+
+  return { order, batch, product };
+};
+
+/**
+ * Revierte una orden terminada en la transacción recibida: retira lo producido (el lote no debe haberse usado)
+ * y devuelve cada ingrediente a sus lotes y a sus capas con el costo con el que salió. Con costo promedio
+ * se quita lo producido del promedio del producto y los ingredientes devueltos vuelven a promediarse.
+ * @param {Object} models - Modelos de getProductionModels
+ * @param {Object} order - Orden de producción terminada (documento)
+ * @param {Object} options - { user, tenant, session, costingMethod }
+ * @returns {Promise<Object>} Lote producido, ya inactivo
+ */
+export const reverseProductionOrder = async (models, order, options = {}) => {
+  const { user, tenant, session, costingMethod } = options;
+
+  const batch = await models.Batch.findById(order.producedBatch).session(session || null);
+  if (!batch || !batch.isActive || Math.abs(batch.currentStock - order.actualQuantity) > EPSILON) {
+    throw new ProductionError(`El lote producido ${batch?.batchNumber || order.batchInfo?.batchNumber} ya tuvo movimientos; no se puede revertir la orden`);
+  }
+
+  const movement = {
+    referenceType: 'production_order',
+    reference: order._id,
+    referenceNumber: order.orderNumber,
+    warehouse: order.warehouse,
+    createdBy: user,
+    tenant
+  };
+
+  const product = await incrementProductStock(models, order.product, -order.actualQuantity, {
+    ...movement,
+    batch: batch._id,
+    batchNumber: batch.batchNumber,
+    reason: `Reversión de la orden de producción ${order.orderNumber}`
+  }, { session });
+  if (!product) {
+    throw new ProductionError(`Stock insuficiente de ${order.productName}${order.warehouse ? ' en la ubicación de producción' : ''} para revertir la orden`);
+  }
+
+  // Quitar lo producido del promedio; sin stock restante vuelve el costo previo a la orden
+  if (costingMethod === 'promedio') {
+    const producedValue = order.unitCost * order.actualQuantity;
+    const newCost = averageCostAfter(product, -order.actualQuantity, -producedValue) ?? order.previousProductCost;
+    if (newCost != null) {
+      await models.Product.updateOne({ _id: product._id }, { cost: newCost }, { session });
+    }
+  }
+
+  batch.currentStock = 0;
+  batch.isActive = false;
+  await batch.save({ session });
+
+  await reverseSourceCostLayers(models, {
+    sourceId: batch._id,
+    referenceType: 'production_order',
+    reference: order._id,
+    referenceNumber: order.orderNumber
+  }, { session, method: costingMethod });
+
+  for (const ingredient of order.ingredients) {
+    const quantity = (ingredient.actualQuantity || 0) + (ingredient.scrapQuantity || 0);
+    if (quantity <= EPSILON) continue;
+
+    for (const used of ingredient.batchesUsed) {
+      await models.Batch.incrementStock(used.batch, used.quantity, { session });
+    }
+
+    const returned = await incrementProductStock(models, ingredient.product, quantity, {
+      ...movement,
+      reason: `Devolución de ingrediente por reversión de la orden ${order.orderNumber}`
+    }, { session });
+    if (!returned) {
+      throw new ProductionError(`Ingrediente ${ingredient.productName} no encontrado`, 404);
+    }
+
+    // El ingrediente vuelve al promedio con el costo con el que salió
+    if (costingMethod === 'promedio') {
+      const newCost = averageCostAfter(returned, quantity, ingredient.cost || 0);
+      if (newCost != null) {
+        await models.Product.updateOne({ _id: returned._id }, { cost: newCost }, { session });
+      }
+    }
+
+    await restoreCostLayers(models, {
+      product: ingredient.product,
+      productName: ingredient.productName,
+      layers: ingredient.costLayers.map(layer => ({ batch: layer.batch, quantity: layer.quantity, unitCost: layer.unitCost })),
+      sourceType: 'production_order',
+      sourceId: order._id,
+      sourceNumber: order.orderNumber,
+      createdBy: user,
+      tenant
+    }, { session, method: costingMethod });
+  }
+
+  return batch;
+};
@@ -0,0 +1,404 @@
+import { incrementProductStock, recordStockMovement } from './stockMovementService.js';
+import { incrementWarehouseStock } from './warehouseService.js';
+import { getNextNumber } from './sequenceService.js';
+import { addCostLayer, reverseSourceCostLayers } from './costingService.js';
+
+// Error de validación de una recepción: aborta la transacción y se responde con su código HTTP
+export class PurchaseReceiptError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PurchaseReceiptError';
+    this.status = status;
+  }
+}
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// Estados en los que la compra ya tiene mercadería ingresada al inventario
+export const RECEIVED_STATUSES = ['recibida', 'parcialmente_recibida'];
+
+/**
+ * Cantidad recibida de una línea. Las compras marcadas como recibidas antes de existir las
+ * recepciones por línea no tienen documentos de recepción y se consideran recibidas por completo.
+ * @param {Object} purchase - Compra
+ * @param {Object} item - Línea de la compra
+ * @returns {number}
+ */
+export const itemReceivedQuantity = (purchase, item) => {
+  if (purchase.status === 'recibida' && !purchase.receipts?.length) return item.quantity;
+  return item.receivedQuantity || 0;
+};
+
+export const itemPendingQuantity = (purchase, item) =>
+  Math.max(0, item.quantity - itemReceivedQuantity(purchase, item));
+
+/**
+ * Líneas con cantidades pendientes de recibir (backorder)
+ * @param {Object} purchase - Compra
+ * @returns {Array} [{ item, product, productName, unit, ordered, received, pending }]
+ */
+export const buildBackorder = (purchase) => {
+  if (purchase.status === 'cancelada') return [];
+
+  return purchase.items
+    .filter(item => itemPendingQuantity(purchase, item) > 0)
+    .map(item => ({
+      item: item._id,
+      product: item.product,
+      productName: item.productName,
+      unit: item.unit,
+      ordered: item.quantity,
+      received: itemReceivedQuantity(purchase, item),
+      pending: itemPendingQuantity(purchase, item)
+    }));
+};
+
+// Costo unitario de una línea: precio pactado más los costos adicionales prorrateados a ella
+const itemUnitCost = (item) => {
+  const price = item.price ?? item.unitPrice ?? (item.quantity ? item.total / item.quantity : 0);
+  return price + (item.quantity ? (item.landedCost || 0) / item.quantity : 0);
+};
+
+/**
+ * Unidades de stock del producto por unidad de compra de una línea (1 en las compras anteriores a las conversiones)
+ * @param {Object} item - Línea de la compra
+ * @returns {number}
+ */
+export const itemConversionFactor = (item) => item.conversionFactor || 1;
+
+// Cantidades a recibir por línea: las indicadas o, si no se indican, todo lo pendiente
+const resolveReceiptLines = (purchase, lines) => {
+  if (!lines?.length) {
+    return purchase.items
+      .filter(item => itemPendingQuantity(purchase, item) > 0)
+      .map(item => ({ item, quantity: itemPendingQuantity(purchase, item) }));
+  }
+
+  const requested = new Map();
+  for (const line of lines) {
+    const item = (line.itemId && purchase.items.id(line.itemId))
+      || (line.product && purchase.items.find(purchaseItem => purchaseItem.product?.toString() === String(line.product)));
+    if (!item) {
+      throw new PurchaseReceiptError(`La línea ${line.itemId || line.product} no pertenece a la compra`);
+    }
+
+    const quantity = parseFloat(line.quantity);
+    if (!quantity || quantity <= 0) {
+      throw new PurchaseReceiptError(`La cantidad a recibir de ${item.productName} debe ser mayor a 0`);
+    }
+
+    const key = item._id.toString();
+    const entry = requested.get(key) || { item, quantity: 0, batchData: null };
+    entry.quantity += quantity;
+    entry.batchData = line.batchData || entry.batchData;
+    requested.set(key, entry);
+  }
+
+  for (const { item, quantity } of requested.values()) {
+    const pending = itemPendingQuantity(purchase, item);
+    if (quantity > pending) {
+      throw new PurchaseReceiptError(`La cantidad a recibir de ${item.productName} (${quantity}) excede lo pendiente (${pending})`);
+    }
+  }
+
+  return [...requested.values()];
+};
+
+// Lote que recibe la mercadería de una línea: uno nuevo por entrega si trae datos de lote,
+// el lote de la línea si ya existe o el lote nuevo pedido en la compra la primera vez que se recibe.
+// La cantidad y el costo del lote van en la unidad de stock del producto
+const receiveIntoBatch = async (models, purchase, item, quantity, batchData, { user, tenant, session, warehouse, unit }) => {
+  const createBatch = async (data) => {
+    if (!data?.expirationDate) {
+      throw new PurchaseReceiptError(`Para el producto ${item.productName} se requiere la fecha de vencimiento del lote`);
+    }
+
+    const batch = new models.Batch({
+      product: item.product,
+      productName: item.productName,
+      batchNumber: data.batchNumber?.trim() || await getNextNumber(models.Sequence, 'batch', { session, tenantId: tenant }),
+      quantity,
+      unit: unit || item.unit || 'unidad',
+      expirationDate: data.expirationDate,
+      notes: data.notes || `Compra ${purchase.purchaseNumber}`,
+      cost: itemUnitCost(item) / itemConversionFactor(item),
+      currentStock: quantity,
+      initialStock: quantity,
+      warehouse,
+      createdBy: user
+    });
+    await batch.save({ session });
+    return batch._id;
+  };
+
+  if (batchData) {
+    return createBatch(batchData);
+  }
+
+  if (item.batch) {
+    // El lote creado por esta compra crece con cada entrega; un lote existente solo suma stock
+    if (item.batchType === 'new') {
+      await models.Batch.updateOne(
+        { _id: item.batch },
+        { $inc: { quantity, initialStock: quantity } },
+        { session }
+      );
+    }
+    await models.Batch.incrementStock(item.batch, quantity, { session });
+    return item.batch;
+  }
+
+  if (item.batchType === 'new' && item.batchData) {
+    item.batch = await createBatch(item.batchData);
+    return item.batch;
+  }
+
+  return null;
+};
+
+/**
+ * Registra una recepción (total o parcial) de una compra. Stock, costo promedio ponderado y lotes
+ * se actualizan solo por la cantidad recibida; la compra queda recibida cuando no quedan pendientes.
+ * @param {Object} models - { Product, Batch, StockMovement, Sequence, CostLayer, WarehouseStock }
+ * @param {Object} purchase - Compra (documento)
+ * @param {Array} [lines] - [{ itemId | product, quantity, batchData }]; sin líneas se recibe todo lo pendiente
+ * @param {Object} options - { date, notes, warehouse, user, tenant, session, costingMethod } warehouse: ubicación que recibe
+ * @returns {Promise<Object>} { receipt, stockUpdates, backorder }
+ */
+export const receivePurchaseItems = async (models, purchase, lines, options = {}) => {
+  const { notes, warehouse, user, tenant, session, costingMethod } = options;
+
+  if (purchase.status === 'cancelada') {
+    throw new PurchaseReceiptError('No se puede recibir una compra cancelada');
+  }
+
+  if (purchase.status === 'borrador') {
+    throw new PurchaseReceiptError('Confirme la compra en borrador antes de recibirla');
+  }
+
+  const receiptDate = options.date ? new Date(options.date) : new Date();
+  if (isNaN(receiptDate.getTime())) {
+    throw new PurchaseReceiptError('Fecha de recepción inválida');
+  }
+
+  const receiptLines = resolveReceiptLines(purchase, lines);
+  if (receiptLines.length === 0) {
+    throw new PurchaseReceiptError('La compra no tiene cantidades pendientes de recibir');
+  }
+
+  const receiptNumber = await getNextNumber(models.Sequence, 'purchase_receipt', { session, date: receiptDate, tenantId: tenant });
+  const receiptItems = [];
+  const stockUpdates = [];
+
+  for (const { item, quantity, batchData } of receiptLines) {
+    const unitCost = itemUnitCost(item);
+    const lineTotal = roundAmount(item.total * quantity / item.quantity);
+    // Lo recibido en la unidad de compra entra al inventario en la unidad de stock
+    const stockQuantity = quantity * itemConversionFactor(item);
+    const stockUnitCost = unitCost / itemConversionFactor(item);
+    let batchId = null;
+
+    // Las líneas de cuentas contables no mueven inventario
+    if (item.itemType !== 'account' && item.product) {
+      const currentProduct = await models.Product.findById(item.product).session(session || null);
+      if (!currentProduct) {
+        throw new PurchaseReceiptError(`Producto ${item.productName} no encontrado`);
+      }
+
+      // Costo promedio ponderado con la cantidad efectivamente recibida
+      let newCost = stockUnitCost;
+      if (currentProduct.stock > 0 && currentProduct.cost > 0) {
+        newCost = (currentProduct.cost * currentProduct.stock + stockUnitCost * stockQuantity) / (currentProduct.stock + stockQuantity);
+      }
+
+      const updatedProduct = await models.Product.findByIdAndUpdate(
+        item.product,
+        {
+          $inc: { stock: stockQuantity },
+          $set: { cost: newCost }
+        },
+        { new: true, session }
+      );
+
+      if (warehouse) {
+        await incrementWarehouseStock(models.WarehouseStock, warehouse, item.product, stockQuantity, { session });
+      }
+
+      batchId = await receiveIntoBatch(models, purchase, item, stockQuantity, batchData, {
+        user,
+        tenant,
+        session,
+        warehouse,
+        unit: currentProduct.unit
+      });
+
+      await addCostLayer(models, {
+        product: updatedProduct._id,
+        productName: updatedProduct.name,
+        batch: batchId,
+        quantity: stockQuantity,
+        unitCost: stockUnitCost,
+        sourceType: 'purchase',
+        sourceId: purchase._id,
+        sourceLine: item._id,
+        sourceNumber: receiptNumber,
+        date: receiptDate,
+        createdBy: user,
+        tenant
+      }, { session, method: costingMethod });
+
+      await recordStockMovement(models.StockMovement, {
+        product: updatedProduct._id,
+        productName: updatedProduct.name,
+        batch: batchId,
+        warehouse,
+        quantity: stockQuantity,
+        previousStock: updatedProduct.stock - stockQuantity,
+        newStock: updatedProduct.stock,
+        referenceType: 'purchase',
+        reference: purchase._id,
+        referenceNumber: purchase.purchaseNumber,
+        reason: `Recepción ${receiptNumber} de compra`,
+        createdBy: user,
+        tenant
+      }, { session });
+
+      stockUpdates.push({
+        productId: item.product,
+        productName: item.productName,
+        quantity: stockQuantity,
+        oldStock: updatedProduct.stock - stockQuantity,
+        newStock: updatedProduct.stock,
+        oldCost: currentProduct.cost,
+        newCost,
+        costChange: newCost - (currentProduct.cost || 0)
+      });
+    }
+
+    item.receivedQuantity = (item.receivedQuantity || 0) + quantity;
+    receiptItems.push({
+      item: item._id,
+      product: item.product,
+      productName: item.productName,
+      quantity,
+      unit: item.unit,
+      stockQuantity,
+      unitCost,
+      total: lineTotal,
+      batch: batchId
+    });
+  }
+
+  purchase.receipts.push({
+    receiptNumber,
+    date: receiptDate,
+    warehouse,
+    items: receiptItems,
+    total: roundAmount(receiptItems.reduce((sum, line) => sum + line.total, 0)),
+    notes,
+    createdBy: user
+  });
+
+  const backorder = buildBackorder(purchase);
+  purchase.status = backorder.length === 0 ? 'recibida' : 'parcialmente_recibida';
+  purchase.actualDelivery = receiptDate;
+  await purchase.save({ session });
+
+  return {
+    receipt: purchase.receipts[purchase.receipts.length - 1],
+    stockUpdates,
+    backorder
+  };
+};
+
+/**
+ * Revierte el inventario de todas las recepciones vigentes de una compra (al volver a pendiente,
+ * en tránsito o cancelarla). No guarda la compra; deja las líneas sin cantidades recibidas.
+ * @param {Object} models - { Product, Batch, StockMovement, CostLayer, WarehouseStock }
+ * @param {Object} purchase - Compra (documento)
+ * @param {Object} options - { reason, user, tenant, session, costingMethod }
+ * @returns {Promise<Array>} Movimientos revertidos por producto
+ */
+export const reversePurchaseReceipts = async (models, purchase, options = {}) => {
+  const { reason, user, tenant, session, costingMethod } = options;
+
+  // Compras recibidas antes de las recepciones por línea: se revierte la cantidad pedida
+  const receivedLines = purchase.receipts?.length
+    ? purchase.receipts
+      .filter(receipt => receipt.status !== 'revertida')
+      .flatMap(receipt => receipt.items.map(line => ({
+        product: line.product,
+        productName: line.productName,
+        batch: line.batch,
+        warehouse: receipt.warehouse,
+        quantity: line.stockQuantity ?? line.quantity
+      })))
+    : purchase.status === 'recibida'
+      ? purchase.items.map(item => ({
+        product: item.product,
+        productName: item.productName,
+        batch: item.batch,
+        quantity: item.quantity * itemConversionFactor(item)
+      }))
+      : [];
+
+  const reversals = [];
+  for (const line of receivedLines) {
+    if (!line.product) continue;
+
+    // Si parte del lote ya se consumió no se puede retirar lo recibido de él
+    if (line.batch) {
+      const updatedBatch = await models.Batch.findOneAndUpdate(
+        { _id: line.batch, currentStock: { $gte: line.quantity } },
+        { $inc: { currentStock: -line.quantity } },
+        { session }
+      );
+      if (!updatedBatch) {
+        throw new PurchaseReceiptError(`No se puede revertir la recepción: parte del lote recibido de ${line.productName} ya se consumió`);
+      }
+    }
+
+    // Lo recibido solo se retira si sigue en stock (y en su ubicación)
+    const updatedProduct = await incrementProductStock(models, line.product, -line.quantity, {
+      batch: line.batch,
+      warehouse: line.warehouse,
+      referenceType: 'purchase',
+      reference: purchase._id,
+      referenceNumber: purchase.purchaseNumber,
+      reason,
+      createdBy: user,
+      tenant
+    }, { session });
+    if (!updatedProduct) {
+      throw new PurchaseReceiptError(line.warehouse
+        ? `No se puede revertir la recepción: el stock recibido de ${line.productName} ya no está en la ubicación`
+        : `No se puede revertir la recepción: el stock recibido de ${line.productName} ya no está disponible`);
+    }
+
+    reversals.push({
+      productId: updatedProduct._id,
+      productName: updatedProduct.name,
+      quantity: -line.quantity,
+      newStock: updatedProduct.stock
+    });
+  }
+
+  await reverseSourceCostLayers(models, {
+    sourceId: purchase._id,
+    referenceType: 'purchase',
+    reference: purchase._id,
+    referenceNumber: purchase.purchaseNumber
+  }, { session, method: costingMethod });
+
+  for (const receipt of purchase.receipts || []) {
+    if (receipt.status === 'revertida') continue;
+    receipt.status = 'revertida';
+    receipt.reversedAt = new Date();
+    receipt.reversedBy = user;
+  }
+  for (const item of purchase.items) {
+    item.receivedQuantity = 0;
+  }
+
+  return reversals;
+};
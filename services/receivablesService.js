@@ -0,0 +1,281 @@
+import mongoose from 'mongoose';
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tramos de antigüedad por días de vencimiento (las facturas aún no vencidas caen en 0-30)
+export const AGING_BUCKETS = [
+  { key: '0-30', max: 30 },
+  { key: '31-60', max: 60 },
+  { key: '61-90', max: 90 },
+  { key: '90+', max: Infinity }
+];
+
+/**
+ * Fecha de vencimiento a partir de la fecha del documento y los días de crédito
+ * @param {Date} date - Fecha del documento
+ * @param {number} [paymentTerms] - Días de crédito
+ * @returns {Date}
+ */
+export const calculateDueDate = (date, paymentTerms = 0) => {
+  const dueDate = new Date(date);
+  dueDate.setDate(dueDate.getDate() + (paymentTerms || 0));
+  return dueDate;
+};
+
+/**
+ * Días transcurridos desde el vencimiento (0 si aún no vence)
+ * @param {Date} dueDate - Fecha de vencimiento
+ * @param {Date} asOf - Fecha de corte
+ * @returns {number}
+ */
+export const daysPastDue = (dueDate, asOf) =>
+  Math.max(0, Math.floor((asOf.getTime() - new Date(dueDate).getTime()) / DAY_MS));
+
+export const agingBucket = (days) => AGING_BUCKETS.find(bucket => days <= bucket.max).key;
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+/**
+ * Saldo pendiente de un cliente (suma de lo que resta por cobrar en sus ventas)
+ * @param {mongoose.Model} SaleModel - Modelo Sale (del tenant o principal)
+ * @param {string} clientId - Cliente
+ * @param {Object} [options] - { session }
+ * @returns {Promise<number>}
+ */
+export const getClientBalance = async (SaleModel, clientId, options = {}) => {
+  const [result] = await SaleModel.aggregate([
+    {
+      $match: {
+        client: new mongoose.Types.ObjectId(clientId),
+        isActive: { $ne: false },
+        paymentStatus: { $in: ['pendiente', 'parcial'] }
+      }
+    },
+    { $group: { _id: null, balance: { $sum: '$remainingAmount' } } }
+  ]).session(options.session || null);
+
+  return roundAmount(result?.balance);
+};
+
+const sumUntil = (items, dateField, asOf) => (items || [])
+  .filter(item => item[dateField] && new Date(item[dateField]) <= asOf)
+  .reduce((sum, item) => sum + item.amount, 0);
+
+// Saldo de una venta a la fecha de corte, como lo calcula la venta pero solo con pagos,
+// reembolsos y notas de crédito fechados hasta ese día
+const balanceAsOf = (sale, credited, asOf) => {
+  const netTotal = Math.max(0, sale.total - credited);
+  const netPaid = sumUntil(sale.partialPayments, 'paymentDate', asOf) - sumUntil(sale.refunds, 'refundDate', asOf);
+  return roundAmount(Math.max(0, netTotal - netPaid));
+};
+
+/**
+ * Informe de antigüedad de cuentas por cobrar. El saldo de cada factura se reconstruye a la fecha de corte
+ * (total menos pagos y notas de crédito hasta esa fecha, más reembolsos), no es el saldo actual.
+ * @param {Object} models - { Sale, Client, CreditNote }
+ * @param {Object} [options] - { date, client }; date es la fecha de corte (hoy por defecto)
+ * @returns {Promise<Object>} { date, buckets, total, clients: [{ client, buckets, total, invoices }] }
+ */
+export const buildAgingReport = async (models, options = {}) => {
+  const asOf = options.date ? new Date(options.date) : new Date();
+  if (options.date && /^\d{4}-\d{2}-\d{2}$/.test(options.date)) asOf.setUTCHours(23, 59, 59, 999);
+
+  // Las ventas saldadas que no cambiaron después del corte ya lo estaban a esa fecha
+  const query = {
+    isActive: { $ne: false },
+    saleDate: { $lte: asOf },
+    $or: [
+      { paymentStatus: { $in: ['pendiente', 'parcial'] } },
+      { updatedAt: { $gt: asOf } }
+    ]
+  };
+  if (options.client) query.client = options.client;
+
+  const sales = await models.Sale.find(query)
+    .populate({ path: 'client', select: 'name email phone creditLimit paymentTerms', model: models.Client })
+    .select('invoiceNumber client saleDate dueDate total remainingAmount paymentStatus partialPayments refunds cancelledAt')
+    .sort({ saleDate: 1 });
+
+  const creditNotes = await models.CreditNote.find({ sale: { $in: sales.map(sale => sale._id) }, issueDate: { $lte: asOf } })
+    .select('sale total');
+  const creditedBySale = new Map();
+  for (const creditNote of creditNotes) {
+    const key = creditNote.sale.toString();
+    creditedBySale.set(key, (creditedBySale.get(key) || 0) + creditNote.total);
+  }
+
+  const byClient = new Map();
+  const totals = emptyBuckets();
+
+  for (const sale of sales) {
+    if (sale.cancelledAt && sale.cancelledAt <= asOf) continue;
+    const remainingAmount = balanceAsOf(sale, creditedBySale.get(sale._id.toString()) || 0, asOf);
+    if (remainingAmount <= 0) continue;
+
+    // Ventas sin vencimiento registrado (anteriores a este cálculo): se usan los días de crédito del cliente
+    const dueDate = sale.dueDate || calculateDueDate(sale.saleDate, sale.client?.paymentTerms);
+    const days = daysPastDue(dueDate, asOf);
+    const bucket = agingBucket(days);
+    const key = sale.client?._id?.toString() || 'sin-cliente';
+
+    if (!byClient.has(key)) {
+      byClient.set(key, {
+        client: sale.client
+          ? { id: sale.client._id, name: sale.client.name, email: sale.client.email, phone: sale.client.phone, creditLimit: sale.client.creditLimit }
+          : null,
+        buckets: emptyBuckets(),
+        total: 0,
+        invoices: []
+      });
+    }
+
+    const entry = byClient.get(key);
+    entry.buckets[bucket] = roundAmount(entry.buckets[bucket] + remainingAmount);
+    entry.total = roundAmount(entry.total + remainingAmount);
+    entry.invoices.push({
+      sale: sale._id,
+      invoiceNumber: sale.invoiceNumber,
+      saleDate: sale.saleDate,
+      dueDate,
+      daysPastDue: days,
+      bucket,
+      total: sale.total,
+      remainingAmount
+    });
+    totals[bucket] = roundAmount(totals[bucket] + remainingAmount);
+  }
+
+  const clients = [...byClient.values()].sort((a, b) => b.total - a.total);
+
+  return {
+    date: asOf,
+    buckets: totals,
+    total: roundAmount(Object.values(totals).reduce((sum, amount) => sum + amount, 0)),
+    clients
+  };
+};
+
+/**
+ * Estado de cuenta de un cliente: facturas, pagos, notas de crédito y reembolsos con saldo acumulado
+ * @param {Object} models - { Sale, CreditNote }
+ * @param {Object} client - Cliente
+ * @param {Object} [options] - { startDate, endDate }
+ * @returns {Promise<Object>} { openingBalance, movements, closingBalance, openInvoices }
+ */
+export const buildClientStatement = async (models, client, options = {}) => {
+  const start = options.startDate ? new Date(options.startDate) : null;
+  const end = options.endDate ? new Date(options.endDate) : new Date();
+  if (options.endDate && /^\d{4}-\d{2}-\d{2}$/.test(options.endDate)) end.setUTCHours(23, 59, 59, 999);
+
+  const [sales, creditNotes] = await Promise.all([
+    models.Sale.find({ client: client._id, isActive: { $ne: false }, saleDate: { $lte: end } })
+      .select('invoiceNumber saleDate dueDate total remainingAmount paymentStatus partialPayments refunds'),
+    models.CreditNote.find({ client: client._id, issueDate: { $lte: end } })
+      .select('creditNoteNumber saleInvoiceNumber issueDate total reason')
+  ]);
+
+  // Movimientos con signo: cargos (facturas y reembolsos) positivos, abonos (pagos y notas de crédito) negativos
+  const movements = [];
+  for (const sale of sales) {
+    movements.push({
+      date: sale.saleDate,
+      type: 'factura',
+      document: sale.invoiceNumber,
+      description: `Factura #${sale.invoiceNumber}`,
+      dueDate: sale.dueDate || calculateDueDate(sale.saleDate, client.paymentTerms),
+      amount: sale.total
+    });
+
+    for (const payment of sale.partialPayments) {
+      movements.push({
+        date: payment.paymentDate,
+        type: 'pago',
+        document: sale.invoiceNumber,
+        description: `Pago de factura #${sale.invoiceNumber} (${payment.paymentMethod})`,
+        amount: -payment.amount
+      });
+    }
+
+    for (const refund of sale.refunds || []) {
+      movements.push({
+        date: refund.refundDate,
+        type: 'reembolso',
+        document: sale.invoiceNumber,
+        description: `Reembolso de factura #${sale.invoiceNumber}`,
+        amount: refund.amount
+      });
+    }
+  }
+
+  for (const creditNote of creditNotes) {
+    movements.push({
+      date: creditNote.issueDate,
+      type: 'nota_credito',
+      document: creditNote.creditNoteNumber,
+      description: `Nota de crédito ${creditNote.creditNoteNumber} de factura #${creditNote.saleInvoiceNumber}: ${creditNote.reason}`,
+      amount: -creditNote.total
+    });
+  }
+
+  movements.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let openingBalance = 0;
+  let balance = 0;
+  const periodMovements = [];
+  for (const movement of movements) {
+    if (new Date(movement.date) > end) continue;
+
+    balance = roundAmount(balance + movement.amount);
+    if (start && new Date(movement.date) < start) {
+      openingBalance = balance;
+      continue;
+    }
+
+    periodMovements.push({
+      ...movement,
+      debit: movement.amount > 0 ? roundAmount(movement.amount) : 0,
+      credit: movement.amount < 0 ? roundAmount(-movement.amount) : 0,
+      balance
+    });
+  }
+
+  const asOf = new Date();
+  const openInvoices = sales
+    .filter(sale => ['pendiente', 'parcial'].includes(sale.paymentStatus) && sale.remainingAmount > 0)
+    .map(sale => {
+      const dueDate = sale.dueDate || calculateDueDate(sale.saleDate, client.paymentTerms);
+      const days = daysPastDue(dueDate, asOf);
+      return {
+        sale: sale._id,
+        invoiceNumber: sale.invoiceNumber,
+        saleDate: sale.saleDate,
+        dueDate,
+        daysPastDue: days,
+        bucket: agingBucket(days),
+        remainingAmount: sale.remainingAmount
+      };
+    });
+
+  return {
+    client: {
+      id: client._id,
+      name: client.name,
+      email: client.email,
+      creditLimit: client.creditLimit,
+      paymentTerms: client.paymentTerms
+    },
+    startDate: start,
+    endDate: end,
+    openingBalance,
+    movements: periodMovements,
+    totalDebit: roundAmount(periodMovements.reduce((sum, movement) => sum + movement.debit, 0)),
+    totalCredit: roundAmount(periodMovements.reduce((sum, movement) => sum + movement.credit, 0)),
+    closingBalance: balance,
+    openInvoices,
+    availableCredit: client.creditLimit > 0
+      ? roundAmount(client.creditLimit - openInvoices.reduce((sum, invoice) => sum + invoice.remainingAmount, 0))
+      : null
+  };
+};
@@ -0,0 +1,314 @@
+import mongoose from 'mongoose';
+import Recipe from '../models/Recipe.js';
+import RecipeVersion from '../models/RecipeVersion.js';
+import Product from '../models/Product.js';
+import { rollupRecipeCost } from './bomService.js';
+
+// Error de versionado de recetas: aborta la transacción y se responde con su código HTTP
+export class RecipeVersionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RecipeVersionError';
+    this.status = status;
+  }
+}
+
+// Campos de la fórmula: un cambio en ellos crea una nueva versión de la receta
+const FORMULA_FIELDS = ['productToProduce', 'servings', 'preparationTime', 'cookingTime', 'batchInfo', 'ingredients', 'instructions', 'laborRate', 'overheadRate'];
+
+// Campos simples que se comparan entre versiones
+const COMPARED_FIELDS = ['productToProduce', 'servings', 'preparationTime', 'cookingTime', 'batchInfo.quantity', 'batchInfo.unit', 'laborRate', 'overheadRate'];
+
+const COST_FIELDS = ['materialCost', 'laborCost', 'overheadCost', 'totalCost', 'unitCost'];
+
+const round = (value, decimals = 4) => Math.round((value || 0) * 10 ** decimals) / 10 ** decimals;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Obtiene los modelos de versionado de recetas (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - req.tenantModels
+ * @returns {Object} { Recipe, RecipeVersion, Product }
+ */
+export const getRecipeVersionModels = (tenantModels) => ({
+  Recipe: tenantModels?.Recipe || Recipe,
+  RecipeVersion: tenantModels?.RecipeVersion || RecipeVersion,
+  Product: tenantModels?.Product || Product
+});
+
+/**
+ * Fórmula de una receta tal como se guarda en una versión
+ * @param {Object} recipe - Receta (documento)
+ * @returns {Object}
+ */
+export const snapshotRecipe = (recipe) => ({
+  name: recipe.name,
+  productToProduce: idOf(recipe.productToProduce),
+  servings: recipe.servings,
+  preparationTime: recipe.preparationTime,
+  cookingTime: recipe.cookingTime,
+  batchInfo: {
+    quantity: recipe.batchInfo?.quantity,
+    unit: recipe.batchInfo?.unit
+  },
+  ingredients: recipe.ingredients.map(ingredient => ({
+    product: idOf(ingredient.product),
+    name: ingredient.name,
+    subRecipe: idOf(ingredient.subRecipe),
+    quantity: ingredient.quantity,
+    unit: ingredient.unit,
+    notes: ingredient.notes
+  })),
+  instructions: (recipe.instructions || []).map(({ step, description, time }) => ({ step, description, time })),
+  laborRate: recipe.laborRate || 0,
+  overheadRate: recipe.overheadRate || 0
+});
+
+/**
+ * Indica si cambió la fórmula entre dos fotos de snapshotRecipe (el nombre no cuenta)
+ * @param {Object} before - Fórmula anterior
+ * @param {Object} after - Fórmula nueva
+ * @returns {boolean}
+ */
+export const formulaChanged = (before, after) =>
+  FORMULA_FIELDS.some(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+// Receta con la fórmula de una versión (para planificar o costear con ella)
+const versionAsRecipe = (version, recipe) => ({
+  _id: recipe._id,
+  name: version.name || recipe.name,
+  warehouse: recipe.warehouse,
+  productToProduce: version.productToProduce,
+  servings: version.servings,
+  preparationTime: version.preparationTime,
+  cookingTime: version.cookingTime,
+  batchInfo: version.batchInfo,
+  ingredients: version.ingredients,
+  laborRate: version.laborRate,
+  overheadRate: version.overheadRate,
+  recipeVersion: version._id,
+  version: version.version
+});
+
+/**
+ * Crea una versión de la receta con su fórmula actual y el costo calculado en este momento
+ * @param {Object} models - Modelos de getRecipeVersionModels
+ * @param {Object} recipe - Receta (documento) ya actualizada
+ * @param {Object} data - { changeNote, effectiveDate, snapshot } snapshot: fórmula a guardar (por defecto la de la receta)
+ * @param {Object} [options] - { user, tenant, session }
+ * @returns {Promise<Object>} Versión creada
+ */
+export const createRecipeVersion = async (models, recipe, data, options = {}) => {
+  const { user, tenant, session } = options;
+  const snapshot = data.snapshot || snapshotRecipe(recipe);
+
+  const latest = await models.RecipeVersion.findOne({ recipe: recipe._id })
+    .sort({ version: -1 })
+    .session(session || null);
+
+  const effectiveDate = data.effectiveDate ? new Date(data.effectiveDate) : new Date();
+  if (isNaN(effectiveDate.getTime())) {
+    throw new RecipeVersionError('Fecha de vigencia inválida');
+  }
+  if (latest && effectiveDate < latest.effectiveDate) {
+    throw new RecipeVersionError(`La vigencia no puede ser anterior a la de la versión ${latest.version} (${latest.effectiveDate.toISOString().slice(0, 10)})`);
+  }
+  if (!data.changeNote?.trim()) {
+    throw new RecipeVersionError('La nota del cambio es requerida para modificar la fórmula de la receta');
+  }
+
+  const rollup = await rollupRecipeCost(models, { ...snapshot, _id: recipe._id });
+  const version = (latest?.version || 0) + 1;
+
+  const [created] = await models.RecipeVersion.create([{
+    recipe: recipe._id,
+    version,
+    effectiveDate,
+    changeNote: data.changeNote,
+    ...snapshot,
+    cost: {
+      materialCost: rollup.materialCost,
+      laborCost: rollup.laborCost,
+      overheadCost: rollup.overheadCost,
+      totalCost: rollup.totalCost,
+      unitCost: round(rollup.unitCost),
+      // En el mismo orden que los ingredientes de la versión
+      ingredients: rollup.ingredients.map(line => ({
+        product: line.product,
+        name: line.productName,
+        subRecipe: line.subRecipe?.recipe,
+        costQuantity: round(line.costQuantity),
+        costUnit: line.costUnit,
+        unitCost: round(line.unitCost),
+        cost: round(line.cost, 2)
+      }))
+    },
+    createdBy: user,
+    tenant
+  }], { session });
+
+  await models.Recipe.updateOne({ _id: recipe._id }, { currentVersion: version }, { session });
+  return created;
+};
+
+/**
+ * Guarda como versión 1 la fórmula de una receta creada antes del versionado (vigente desde su creación)
+ * @param {Object} models - Modelos de getRecipeVersionModels
+ * @param {Object} recipe - Receta (documento) antes del cambio
+ * @param {Object} [options] - { user, tenant, session }
+ * @returns {Promise<Object|null>} Versión creada, o null si la receta ya tenía versiones
+ */
+export const ensureInitialVersion = async (models, recipe, options = {}) => {
+  const exists = await models.RecipeVersion.exists({ recipe: recipe._id }).session(options.session || null);
+  if (exists) return null;
+
+  return createRecipeVersion(models, recipe, {
+    changeNote: 'Versión inicial',
+    effectiveDate: recipe.createdAt
+  }, options);
+};
+
+/**
+ * Versión de la receta vigente en una fecha: la de vigencia más reciente que no sea posterior
+ * @param {Object} models - Modelos con RecipeVersion
+ * @param {string} recipeId - Receta
+ * @param {Date} [date] - Fecha (por defecto ahora)
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object|null>}
+ */
+export const findEffectiveVersion = (models, recipeId, date = new Date(), options = {}) =>
+  models.RecipeVersion.findOne({ recipe: recipeId, effectiveDate: { $lte: new Date(date) } })
+    .sort({ effectiveDate: -1, version: -1 })
+    .session(options.session || null);
+
+/**
+ * Receta con la fórmula vigente en una fecha, para planificar producción con ella.
+ * Las recetas sin versiones se usan tal cual (sin recipeVersion).
+ * @param {Object} models - Modelos con RecipeVersion y Product
+ * @param {Object} recipe - Receta (documento)
+ * @param {Date} [date] - Fecha de producción (por defecto ahora)
+ * @param {Array} [populate] - Rutas a poblar en la versión (las mismas que en la receta)
+ * @returns {Promise<Object>} Receta o receta con la fórmula de la versión ({ recipeVersion, version })
+ */
+export const resolveRecipeVersion = async (models, recipe, date, populate) => {
+  const version = await findEffectiveVersion(models, recipe._id, date || new Date());
+  if (!version) return recipe;
+
+  if (populate) await version.populate(populate);
+  return versionAsRecipe(version, recipe);
+};
+
+/**
+ * Busca una versión por número
+ * @param {Object} models - Modelos de getRecipeVersionModels
+ * @param {string} recipeId - Receta
+ * @param {number|string} number - Número de versión
+ * @returns {Promise<Object>}
+ */
+export const findVersion = async (models, recipeId, number) => {
+  const version = parseInt(number);
+  const found = mongoose.Types.ObjectId.isValid(recipeId) && version > 0
+    ? await models.RecipeVersion.findOne({ recipe: recipeId, version })
+    : null;
+  if (!found) {
+    throw new RecipeVersionError(`Versión ${number} de la receta no encontrada`, 404);
+  }
+  return found;
+};
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Clave para emparejar ingredientes entre versiones: su producto o su nombre genérico
+// (un mismo producto repetido se empareja por orden de aparición)
+const keyIngredients = (version) => {
+  const seen = new Map();
+  return version.ingredients.map((ingredient, index) => {
+    const base = ingredient.product ? `p:${ingredient.product}` : `n:${(ingredient.name || '').trim().toLowerCase()}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return { key: `${base}#${count}`, ingredient, cost: version.cost?.ingredients?.[index] };
+  });
+};
+
+const compareCosts = (from, to) => Object.fromEntries(COST_FIELDS.map(field => [field, {
+  from: round(from?.[field]),
+  to: round(to?.[field]),
+  change: round((to?.[field] || 0) - (from?.[field] || 0))
+}]));
+
+/**
+ * Diferencias entre dos versiones de una receta: campos de la fórmula, ingredientes (agregados,
+ * eliminados y modificados con su costo) y costos. Los costos se comparan como se registraron
+ * en cada versión y recalculados ambos con los costos actuales, para separar el efecto de la
+ * fórmula del de los precios.
+ * @param {Object} models - Modelos de getRecipeVersionModels
+ * @param {Object} recipe - Receta (documento)
+ * @param {Object} from - Versión anterior
+ * @param {Object} to - Versión posterior
+ * @returns {Promise<Object>}
+ */
+export const diffRecipeVersions = async (models, recipe, from, to) => {
+  const fields = COMPARED_FIELDS
+    .map(field => ({ field, from: valueAt(from, field), to: valueAt(to, field) }))
+    .filter(change => idOf(change.from) !== idOf(change.to))
+    .map(change => ({ field: change.field, from: change.from ?? null, to: change.to ?? null }));
+
+  const fromLines = keyIngredients(from);
+  const toLines = keyIngredients(to);
+  const toByKey = new Map(toLines.map(line => [line.key, line]));
+  const fromKeys = new Set(fromLines.map(line => line.key));
+
+  const describe = (line) => line && {
+    quantity: line.ingredient.quantity,
+    unit: line.ingredient.unit,
+    subRecipe: line.ingredient.subRecipe || null,
+    cost: round(line.cost?.cost, 2)
+  };
+  const ingredients = [
+    ...fromLines.map(line => [line, toByKey.get(line.key)]),
+    ...toLines.filter(line => !fromKeys.has(line.key)).map(line => [null, line])
+  ].map(([before, after]) => {
+    const { ingredient } = after || before;
+    const changed = before && after && (
+      before.ingredient.quantity !== after.ingredient.quantity
+      || before.ingredient.unit !== after.ingredient.unit
+      || idOf(before.ingredient.subRecipe) !== idOf(after.ingredient.subRecipe));
+
+    return {
+      product: ingredient.product || null,
+      name: ingredient.name || after?.cost?.name || before?.cost?.name,
+      status: !before ? 'agregado' : !after ? 'eliminado' : changed ? 'modificado' : 'sin_cambios',
+      from: describe(before) || null,
+      to: describe(after) || null,
+      quantityChange: before && after && before.ingredient.unit === after.ingredient.unit
+        ? round(after.ingredient.quantity - before.ingredient.quantity)
+        : null,
+      costChange: round((after?.cost?.cost || 0) - (before?.cost?.cost || 0), 2)
+    };
+  });
+
+  const [currentFrom, currentTo] = await Promise.all([
+    rollupRecipeCost(models, versionAsRecipe(from, recipe)),
+    rollupRecipeCost(models, versionAsRecipe(to, recipe))
+  ]);
+
+  const summary = (version) => ({
+    version: version.version,
+    effectiveDate: version.effectiveDate,
+    changeNote: version.changeNote,
+    createdAt: version.createdAt
+  });
+
+  return {
+    recipe: recipe._id,
+    recipeName: recipe.name,
+    from: summary(from),
+    to: summary(to),
+    fields,
+    ingredients,
+    cost: {
+      recorded: compareCosts(from.cost, to.cost),
+      current: compareCosts(currentFrom, currentTo)
+    }
+  };
+};
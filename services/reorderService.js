@@ -0,0 +1,333 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Supplier from '../models/Supplier.js';
+import Purchase from '../models/Purchase.js';
+import StockMovement from '../models/StockMovement.js';
+import Recipe from '../models/Recipe.js';
+import ProductionOrder from '../models/ProductionOrder.js';
+import WarehouseStock from '../models/WarehouseStock.js';
+import Sequence from '../models/Sequence.js';
+import Config, { tenantConfigKey } from '../models/Config.js';
+import { getNextNumber } from './sequenceService.js';
+
+const REORDER_WINDOW_KEY = 'inventory_reorder_window_days';
+const DEFAULT_WINDOW_DAYS = 30;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Compras cuya mercadería aún no llega: lo pendiente de recibir cuenta como stock pedido
+// (los borradores también, para no sugerir dos veces lo mismo)
+const OPEN_ORDER_STATUSES = ['borrador', 'pendiente', 'en_transito', 'parcialmente_recibida'];
+
+const round = (value, decimals = 4) => Math.round((value || 0) * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Obtiene los modelos de reposición (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - req.tenantModels
+ * @returns {Object} { Product, Supplier, Purchase, StockMovement, Recipe, WarehouseStock, Config }
+ */
+export const getReorderModels = (tenantModels) => ({
+  Product: tenantModels?.Product || Product,
+  Supplier: tenantModels?.Supplier || Supplier,
+  Purchase: tenantModels?.Purchase || Purchase,
+  StockMovement: tenantModels?.StockMovement || StockMovement,
+  Recipe: tenantModels?.Recipe || Recipe,
+  ProductionOrder: tenantModels?.ProductionOrder || ProductionOrder,
+  WarehouseStock: tenantModels?.WarehouseStock || WarehouseStock,
+  Sequence: tenantModels?.Sequence || Sequence,
+  Config: tenantModels?.Config || Config
+});
+
+/**
+ * Días de historia con que se calcula el consumo diario promedio (30 si no está configurado)
+ * @param {mongoose.Model} [ConfigModel] - Modelo Config
+ * @param {string} [tenantId] - Tenant
+ * @returns {Promise<number>}
+ */
+export const getReorderWindowDays = async (ConfigModel = Config, tenantId) => {
+  const value = (tenantId && await ConfigModel.getByKey(tenantConfigKey(REORDER_WINDOW_KEY, tenantId)))
+    || await ConfigModel.getByKey(REORDER_WINDOW_KEY);
+  const days = parseInt(value);
+  return days > 0 ? days : DEFAULT_WINDOW_DAYS;
+};
+
+/**
+ * Guarda la ventana de consumo del tenant
+ * @param {mongoose.Model} ConfigModel - Modelo Config
+ * @param {number} days - Días de historia
+ * @param {Object} [options] - { tenantId, userId }
+ * @returns {Promise<Object>} Configuración guardada
+ */
+export const setReorderWindowDays = async (ConfigModel, days, { tenantId, userId } = {}) =>
+  ConfigModel.setByKey(tenantConfigKey(REORDER_WINDOW_KEY, tenantId), days, 'number', 'Días de historia para el consumo promedio de las sugerencias de reposición', userId);
+
+/**
+ * Consumo por producto en un período: ventas netas de notas de crédito y uso como ingrediente
+ * en recetas y órdenes de producción (neto de restauraciones y reversiones). La entrada de lo
+ * producido por una receta u orden no es consumo.
+ * @param {Object} models - { StockMovement, Recipe, ProductionOrder }
+ * @param {Object} options - { since, warehouse }
+ * @returns {Promise<Map>} productId -> cantidad consumida
+ */
+export const getConsumptionByProduct = async (models, { since, warehouse }) => {
+  const match = {
+    createdAt: { $gte: since },
+    referenceType: { $in: ['sale', 'credit_note', 'recipe', 'production_order'] }
+  };
+  if (warehouse) match.warehouse = warehouse._id;
+
+  const rows = await models.StockMovement.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          product: '$product',
+          referenceType: '$referenceType',
+          // Los movimientos de recetas y órdenes se agrupan por documento para distinguir ingredientes de lo producido
+          recipe: { $cond: [{ $eq: ['$referenceType', 'recipe'] }, '$reference', null] },
+          productionOrder: { $cond: [{ $eq: ['$referenceType', 'production_order'] }, '$reference', null] }
+        },
+        quantity: { $sum: '$quantity' }
+      }
+    }
+  ]);
+
+  const recipeIds = [...new Set(rows.filter(row => row._id.recipe).map(row => row._id.recipe.toString()))];
+  const recipes = recipeIds.length > 0
+    ? await models.Recipe.find({ _id: { $in: recipeIds } }).select('productToProduce')
+    : [];
+  const producedBy = new Map(recipes.map(recipe => [recipe._id.toString(), recipe.productToProduce?.toString()]));
+
+  const orderIds = [...new Set(rows.filter(row => row._id.productionOrder).map(row => row._id.productionOrder.toString()))];
+  const orders = orderIds.length > 0
+    ? await models.ProductionOrder.find({ _id: { $in: orderIds } }).select('product')
+    : [];
+  const producedByOrder = new Map(orders.map(order => [order._id.toString(), order.product?.toString()]));
+
+  const consumption = new Map();
+  for (const row of rows) {
+    const productId = row._id.product.toString();
+    if (row._id.recipe && producedBy.get(row._id.recipe.toString()) === productId) continue;
+    if (row._id.productionOrder && producedByOrder.get(row._id.productionOrder.toString()) === productId) continue;
+
+    // Las salidas son negativas: el consumo es la salida neta
+    consumption.set(productId, (consumption.get(productId) || 0) - row.quantity);
+  }
+
+  for (const [productId, quantity] of consumption) {
+    if (quantity <= 0) consumption.delete(productId);
+  }
+  return consumption;
+};
+
+/**
+ * Cantidad pedida pendiente de recibir por producto en compras abiertas
+ * @param {mongoose.Model} PurchaseModel - Modelo Purchase
+ * @param {Object} [options] - { warehouse } con ubicación, solo las compras que se reciben en ella
+ * @returns {Promise<Map>} productId -> cantidad pedida
+ */
+export const getOnOrderByProduct = async (PurchaseModel, { warehouse } = {}) => {
+  const query = {
+    isActive: true,
+    isAccountPayment: { $ne: true },
+    status: { $in: OPEN_ORDER_STATUSES }
+  };
+  // Las compras sin ubicación se reciben en la ubicación por defecto
+  if (warehouse) {
+    query.$or = [{ warehouse: warehouse._id }, ...(warehouse.isDefault ? [{ warehouse: null }] : [])];
+  }
+
+  const purchases = await PurchaseModel.find(query).select('items');
+
+  const onOrder = new Map();
+  for (const purchase of purchases) {
+    for (const item of purchase.items) {
+      if (!item.product) continue;
+      // Lo pendiente se pidió en la unidad de compra; se suma en la unidad de stock
+      const pending = (item.quantity - (item.receivedQuantity || 0)) * (item.conversionFactor || 1);
+      if (pending <= 0) continue;
+      const productId = item.product.toString();
+      onOrder.set(productId, (onOrder.get(productId) || 0) + pending);
+    }
+  }
+  return onOrder;
+};
+
+// Cantidad sugerida: el lote de reposición del producto (las veces necesarias para superar el punto
+// de pedido) o, sin lote, lo que falta para cubrir el punto de pedido más el consumo de una ventana
+const suggestQuantity = ({ reorderQuantity, reorderPoint, position, dailyConsumption, windowDays }) => {
+  if (reorderQuantity > 0) {
+    const lots = Math.max(1, Math.ceil((reorderPoint - position) / reorderQuantity + 1e-9));
+    return lots * reorderQuantity;
+  }
+  return Math.max(1, Math.ceil(reorderPoint + dailyConsumption * windowDays - position));
+};
+
+/**
+ * Sugerencias de reposición: productos cuyo stock más lo pedido está en o bajo su punto de pedido.
+ * El punto de pedido es el del producto o, si no tiene, el consumo diario promedio por el plazo
+ * de entrega del proveedor más el stock mínimo (como stock de seguridad).
+ * @param {Object} models - Modelos de getReorderModels
+ * @param {Object} [options] - { windowDays, warehouse, supplier, category, products, includeAll }
+ *   includeAll: devuelve también los productos que no necesitan reposición
+ * @returns {Promise<Array>} Sugerencias ordenadas por proveedor y producto
+ */
+export const buildReorderSuggestions = async (models, options = {}) => {
+  const { windowDays = DEFAULT_WINDOW_DAYS, warehouse, supplier, category, products: productIds, includeAll } = options;
+
+  const productQuery = { isActive: true, category: category || { $ne: 'servicio' } };
+  if (supplier) productQuery.supplier = { $in: [supplier, ...(mongoose.Types.ObjectId.isValid(supplier) ? [new mongoose.Types.ObjectId(supplier)] : [])] };
+  if (productIds?.length) productQuery._id = { $in: productIds };
+
+  const since = new Date(Date.now() - windowDays * MS_PER_DAY);
+  const [products, consumption, onOrder] = await Promise.all([
+    models.Product.find(productQuery).sort({ name: 1 }),
+    getConsumptionByProduct(models, { since, warehouse }),
+    getOnOrderByProduct(models.Purchase, { warehouse })
+  ]);
+
+  const supplierIds = [...new Set(products
+    .map(product => product.supplier?.toString())
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id)))];
+  const suppliers = supplierIds.length > 0
+    ? await models.Supplier.find({ _id: { $in: supplierIds } }).select('name leadTimeDays status isActive')
+    : [];
+  const supplierById = new Map(suppliers.map(doc => [doc._id.toString(), doc]));
+
+  const locationRows = new Map();
+  if (warehouse) {
+    const rows = await models.WarehouseStock.find({ warehouse: warehouse._id, product: { $in: products.map(product => product._id) } });
+    rows.forEach(row => locationRows.set(row.product.toString(), row));
+  }
+
+  const suggestions = [];
+  for (const product of products) {
+    const productId = product._id.toString();
+    const productSupplier = supplierById.get(product.supplier?.toString()) || null;
+    const location = locationRows.get(productId);
+
+    const stock = warehouse ? (location?.quantity || 0) : product.stock;
+    const inTransit = warehouse ? (location?.inTransit || 0) : 0;
+    const minStock = warehouse ? (location?.minStock ?? product.minStock ?? 0) : (product.minStock || 0);
+    const ordered = onOrder.get(productId) || 0;
+    const position = stock + inTransit + ordered;
+
+    const dailyConsumption = (consumption.get(productId) || 0) / windowDays;
+    const leadTimeDays = productSupplier?.leadTimeDays || 0;
+    const calculatedReorderPoint = dailyConsumption * leadTimeDays + minStock;
+    const reorderPoint = product.reorderPoint ?? calculatedReorderPoint;
+
+    // Sin consumo ni punto de pedido/mínimo no hay nada que reponer
+    const needsReorder = position <= reorderPoint && (reorderPoint > 0 || dailyConsumption > 0);
+    if (!needsReorder && !includeAll) continue;
+
+    const suggestedQuantity = needsReorder
+      ? suggestQuantity({ reorderQuantity: product.reorderQuantity, reorderPoint, position, dailyConsumption, windowDays })
+      : 0;
+
+    suggestions.push({
+      product: product._id,
+      productName: product.name,
+      sku: product.sku,
+      category: product.category,
+      unit: product.unit,
+      supplier: productSupplier?._id || null,
+      supplierName: productSupplier?.name || null,
+      leadTimeDays,
+      stock,
+      inTransit,
+      onOrder: ordered,
+      position,
+      minStock,
+      dailyConsumption: round(dailyConsumption),
+      // Días que cubre el stock disponible al consumo actual
+      coverageDays: dailyConsumption > 0 ? round(position / dailyConsumption, 1) : null,
+      reorderPoint: round(reorderPoint),
+      reorderPointSource: product.reorderPoint != null ? 'producto' : 'calculado',
+      reorderQuantity: product.reorderQuantity ?? null,
+      needsReorder,
+      suggestedQuantity,
+      unitCost: product.cost || 0,
+      estimatedCost: round(suggestedQuantity * (product.cost || 0), 2)
+    });
+  }
+
+  // Agrupadas por proveedor; las que no tienen proveedor al final
+  return suggestions.sort((a, b) =>
+    (!a.supplierName - !b.supplierName)
+    || (a.supplierName || '').localeCompare(b.supplierName || '')
+    || a.productName.localeCompare(b.productName));
+};
+
+// Categoría de compra según la categoría del producto
+const PURCHASE_CATEGORIES = {
+  materia_prima: 'Materia Prima',
+  empaque: 'Envases',
+  producto_terminado: 'Otros'
+};
+
+/**
+ * Crea una compra en borrador por proveedor con las sugerencias que necesitan reposición.
+ * Las sugerencias sin proveedor se devuelven aparte para pedirlas manualmente.
+ * @param {Object} models - Modelos de getReorderModels
+ * @param {Array} suggestions - Sugerencias de buildReorderSuggestions
+ * @param {Object} options - { warehouse, notes, tenant, session }
+ * @returns {Promise<Object>} { purchases, withoutSupplier }
+ */
+export const createDraftPurchases = async (models, suggestions, options = {}) => {
+  const { warehouse, notes, tenant, session } = options;
+
+  const bySupplier = new Map();
+  const withoutSupplier = [];
+  for (const suggestion of suggestions) {
+    if (!suggestion.needsReorder || suggestion.suggestedQuantity <= 0) continue;
+    if (!suggestion.supplier) {
+      withoutSupplier.push(suggestion);
+      continue;
+    }
+    const key = suggestion.supplier.toString();
+    if (!bySupplier.has(key)) bySupplier.set(key, []);
+    bySupplier.get(key).push(suggestion);
+  }
+
+  const purchases = [];
+  for (const lines of bySupplier.values()) {
+    const [first] = lines;
+    const items = lines.map(line => ({
+      product: line.product,
+      productName: line.productName,
+      itemType: 'product',
+      quantity: line.suggestedQuantity,
+      unit: line.unit,
+      price: line.unitCost,
+      unitPrice: line.unitCost,
+      total: round(line.suggestedQuantity * line.unitCost, 2),
+      receivedQuantity: 0
+    }));
+
+    // La categoría de la compra es la de la mayoría de sus líneas
+    const categoryCount = lines.reduce((counts, line) => {
+      const category = PURCHASE_CATEGORIES[line.category] || 'Otros';
+      counts[category] = (counts[category] || 0) + 1;
+      return counts;
+    }, {});
+    const category = Object.entries(categoryCount).sort((a, b) => b[1] - a[1])[0][0];
+
+    const purchaseNumber = await getNextNumber(models.Sequence, 'purchase', { session, tenantId: tenant });
+    const purchase = new models.Purchase({
+      purchaseNumber,
+      supplier: first.supplier,
+      supplierName: first.supplierName,
+      warehouse: warehouse?._id,
+      items,
+      total: round(items.reduce((sum, item) => sum + item.total, 0), 2),
+      status: 'borrador',
+      expectedDelivery: new Date(Date.now() + first.leadTimeDays * MS_PER_DAY),
+      category,
+      notes: notes || 'Generada desde las sugerencias de reposición'
+    });
+    await purchase.save({ session });
+    purchases.push(purchase);
+  }
+
+  return { purchases, withoutSupplier };
+};
@@ -0,0 +1,68 @@
+import Config, { tenantConfigKey } from '../models/Config.js';
+
+// Formato por defecto de cada secuencia; se puede sobrescribir con la clave de configuración `sequence_<nombre>`
+// (por tenant en `sequence_<nombre>:<tenant>`)
+export const SEQUENCE_DEFAULTS = {
+  invoice: { prefix: 'INV-', padding: 6, yearlyReset: false, series: {} },
+  credit_note: { prefix: 'NC-', padding: 6, yearlyReset: false, series: {} },
+  purchase: { prefix: 'C-', padding: 6, yearlyReset: false, series: { PC: { prefix: 'PC-', padding: 4 } } },
+  batch: { prefix: 'LOTE-', padding: 6, yearlyReset: true, series: {} },
+  journal: { prefix: 'AS-', padding: 6, yearlyReset: true, series: {} },
+  transfer: { prefix: 'TR-', padding: 6, yearlyReset: false, series: {} },
+  payment_run: { prefix: 'LP-', padding: 6, yearlyReset: false, series: {} },
+  purchase_receipt: { prefix: 'REC-', padding: 6, yearlyReset: true, series: {} },
+  stock_transfer: { prefix: 'TI-', padding: 6, yearlyReset: true, series: {} },
+  stock_count: { prefix: 'CI-', padding: 6, yearlyReset: true, series: {} },
+  production_order: { prefix: 'OP-', padding: 6, yearlyReset: true, series: {} }
+};
+
+/**
+ * Obtiene la configuración de una secuencia combinando los valores por defecto con la clave `sequence_<nombre>`
+ * del tenant (o, si no la tiene, la clave sin sufijo)
+ * @param {string} name - Nombre de la secuencia (invoice, credit_note, purchase, batch, journal, transfer, payment_run, purchase_receipt, stock_transfer, stock_count, production_order)
+ * @param {mongoose.Model} [ConfigModel] - Modelo Config (del tenant o principal)
+ * @param {string} [tenantId] - Tenant
+ * @returns {Promise<Object>} { prefix, padding, yearlyReset, series }
+ */
+export const getSequenceConfig = async (name, ConfigModel = Config, tenantId) => {
+  const key = `sequence_${name}`;
+  const custom = (tenantId && await ConfigModel.getByKey(tenantConfigKey(key, tenantId)))
+    || await ConfigModel.getByKey(key);
+  const defaults = SEQUENCE_DEFAULTS[name] || { prefix: '', padding: 6, yearlyReset: false, series: {} };
+
+  return {
+    ...defaults,
+    ...(custom || {}),
+    series: { ...defaults.series, ...(custom?.series || {}) }
+  };
+};
+
+/**
+ * Obtiene el siguiente número de una secuencia incrementando su contador de forma atómica.
+ * Si se llama dentro de una transacción el incremento se revierte junto con el documento,
+ * por lo que la numeración queda sin huecos.
+ * @param {mongoose.Model} SequenceModel - Modelo Sequence (del tenant o principal)
+ * @param {string} name - Nombre de la secuencia
+ * @param {Object} [options] - { series, session, date, ConfigModel, tenantId }
+ * @returns {Promise<string>} Número formateado, p. ej. INV-000123 o LOTE-2026-000045
+ */
+export const getNextNumber = async (SequenceModel, name, options = {}) => {
+  const { series = '', session, date = new Date(), ConfigModel, tenantId } = options;
+  const config = await getSequenceConfig(name, ConfigModel, tenantId);
+
+  if (series && !config.series[series]) {
+    throw new Error(`La serie ${series} no está configurada para la secuencia ${name}`);
+  }
+
+  const settings = series ? { ...config, ...config.series[series] } : config;
+  const period = settings.yearlyReset ? String(date.getFullYear()) : '';
+
+  const counter = await SequenceModel.findOneAndUpdate(
+    { name, series, period },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+
+  const number = String(counter.value).padStart(settings.padding || 0, '0');
+  return `${settings.prefix || ''}${period ? `${period}-` : ''}${number}`;
+};
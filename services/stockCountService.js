@@ -0,0 +1,270 @@
+import StockCount from '../models/StockCount.js';
+import StockMovement from '../models/StockMovement.js';
+import { incrementProductStock } from './stockMovementService.js';
+import { getCostingModels, recordStockChangeCost } from './costingService.js';
+import { getWarehouseModels } from './warehouseService.js';
+
+// Error de validación de un conteo: aborta la transacción y se responde con su código HTTP
+export class StockCountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StockCountError';
+    this.status = status;
+  }
+}
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// Las cantidades contadas se comparan con tolerancia para no registrar diferencias por redondeo
+const EPSILON = 1e-9;
+
+/**
+ * Obtiene los modelos de conteos (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - req.tenantModels
+ * @returns {Object} { StockCount, StockMovement, Warehouse, WarehouseStock, Product, Batch, CostLayer, Sequence, Config }
+ */
+export const getStockCountModels = (tenantModels) => ({
+  ...getWarehouseModels(tenantModels),
+  ...getCostingModels(tenantModels),
+  StockCount: tenantModels?.StockCount || StockCount,
+  StockMovement: tenantModels?.StockMovement || StockMovement
+});
+
+/**
+ * Congela las cantidades esperadas del alcance de un conteo: una línea por lote con stock y una línea
+ * sin lote por el stock que no está en lotes. Con ubicación se toma el stock de la ubicación y sus lotes.
+ * @param {Object} models - Modelos de getStockCountModels
+ * @param {Object} scope - { warehouse, category, costingMethod }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Array>} Líneas del conteo
+ */
+export const buildCountLines = async (models, { warehouse, category, costingMethod }, options = {}) => {
+  const session = options.session || null;
+  const productQuery = { isActive: true, category: category || { $ne: 'servicio' } };
+  const products = await models.Product.find(productQuery).sort({ name: 1 }).session(session);
+
+  const locationStock = new Map();
+  if (warehouse) {
+    const rows = await models.WarehouseStock.find({
+      warehouse: warehouse._id,
+      product: { $in: products.map(product => product._id) }
+    }).session(session);
+    rows.forEach(row => locationStock.set(row.product.toString(), row.quantity));
+  }
+
+  // Los lotes anteriores a las ubicaciones pertenecen a la ubicación por defecto
+  const batchLocationFilter = warehouse
+    ? { $or: [{ warehouse: warehouse._id }, ...(warehouse.isDefault ? [{ warehouse: null }] : [])] }
+    : {};
+
+  const lines = [];
+  for (const product of products) {
+    const expected = warehouse ? (locationStock.get(product._id.toString()) || 0) : product.stock;
+    const productLine = {
+      product: product._id,
+      productName: product.name,
+      sku: product.sku,
+      unit: product.unit,
+      unitCost: product.cost || 0
+    };
+
+    let batchedQuantity = 0;
+    if (product.managesBatches) {
+      const batches = await models.Batch.find({
+        product: product._id,
+        isActive: true,
+        currentStock: { $gt: 0 },
+        ...batchLocationFilter
+      }).sort({ expirationDate: 1 }).session(session);
+
+      for (const batch of batches) {
+        lines.push({
+          ...productLine,
+          batch: batch._id,
+          batchNumber: batch.batchNumber,
+          expectedQuantity: batch.currentStock,
+          unitCost: costingMethod === 'lote' && batch.cost != null ? batch.cost : productLine.unitCost
+        });
+        batchedQuantity += batch.currentStock;
+      }
+    }
+
+    // Stock sin lote (o todo el stock si el producto no maneja lotes); también se cuentan productos en cero
+    const unbatched = Math.max(0, expected - batchedQuantity);
+    if (unbatched > EPSILON || batchedQuantity === 0) {
+      lines.push({ ...productLine, expectedQuantity: unbatched });
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Registra cantidades contadas en las líneas de un conteo abierto y recalcula sus diferencias
+ * @param {Object} count - Conteo (documento)
+ * @param {Array} entries - [{ lineId, countedQuantity, notes }]
+ * @param {string} userId - Usuario que cuenta
+ */
+export const recordCountedQuantities = (count, entries, userId) => {
+  if (count.status !== 'abierto') {
+    throw new StockCountError(`El conteo está ${count.status}`);
+  }
+
+  for (const entry of entries) {
+    const line = count.lines.id(entry.lineId);
+    if (!line) {
+      throw new StockCountError(`La línea ${entry.lineId} no pertenece al conteo`);
+    }
+
+    const counted = parseFloat(entry.countedQuantity);
+    if (isNaN(counted) || counted < 0) {
+      throw new StockCountError(`La cantidad contada de ${line.productName} debe ser un número mayor o igual a 0`);
+    }
+
+    line.countedQuantity = counted;
+    line.variance = counted - line.expectedQuantity;
+    line.varianceValue = roundAmount(line.variance * line.unitCost);
+    if (entry.notes !== undefined) line.notes = entry.notes;
+    line.countedBy = userId;
+    line.countedAt = new Date();
+  }
+};
+
+/**
+ * Informe de diferencias de un conteo valorizadas al costo congelado
+ * @param {Object} count - Conteo
+ * @returns {Object} { totals, lines } lines: solo las líneas contadas con diferencia
+ */
+export const buildVarianceReport = (count) => {
+  const counted = count.lines.filter(line => line.countedQuantity != null);
+  const withVariance = counted.filter(line => Math.abs(line.variance) > EPSILON);
+
+  const surplusValue = roundAmount(withVariance.filter(line => line.variance > 0).reduce((sum, line) => sum + line.varianceValue, 0));
+  const shortageValue = roundAmount(withVariance.filter(line => line.variance < 0).reduce((sum, line) => sum + line.varianceValue, 0));
+  const expectedValue = roundAmount(counted.reduce((sum, line) => sum + line.expectedQuantity * line.unitCost, 0));
+
+  return {
+    totals: {
+      lines: count.lines.length,
+      countedLines: counted.length,
+      pendingLines: count.lines.length - counted.length,
+      linesWithVariance: withVariance.length,
+      // Exactitud: porcentaje de líneas contadas sin diferencia
+      accuracy: counted.length > 0 ? roundAmount((counted.length - withVariance.length) / counted.length * 100) : null,
+      expectedValue,
+      surplusValue,
+      shortageValue,
+      netValue: roundAmount(surplusValue + shortageValue)
+    },
+    lines: withVariance
+      .map(line => ({
+        lineId: line._id,
+        product: line.product,
+        productName: line.productName,
+        sku: line.sku,
+        batch: line.batch,
+        batchNumber: line.batchNumber,
+        unit: line.unit,
+        expectedQuantity: line.expectedQuantity,
+        countedQuantity: line.countedQuantity,
+        variance: line.variance,
+        unitCost: line.unitCost,
+        varianceValue: line.varianceValue,
+        notes: line.notes
+      }))
+      .sort((a, b) => Math.abs(b.varianceValue) - Math.abs(a.varianceValue))
+  };
+};
+
+// Ajustar el stock de un lote por la diferencia del conteo (también lotes vencidos o agotados)
+const adjustBatchStock = async (BatchModel, batchId, variance, session) => {
+  const filter = { _id: batchId };
+  if (variance < 0) filter.currentStock = { $gte: -variance };
+
+  const batch = await BatchModel.findOneAndUpdate(filter, { $inc: { currentStock: variance } }, { new: true, session });
+  if (!batch) return null;
+
+  if (batch.currentStock <= 0 && batch.status === 'activo') {
+    await BatchModel.updateOne({ _id: batch._id }, { status: 'agotado' }, { session });
+  } else if (batch.currentStock > 0 && batch.status === 'agotado') {
+    await BatchModel.updateOne({ _id: batch._id }, { status: 'activo' }, { session });
+  }
+  return batch;
+};
+
+/**
+ * Aprueba un conteo: registra todas las diferencias como ajustes de inventario (producto, lote,
+ * ubicación, movimiento y capas de costo) en la transacción recibida. Todas las líneas deben estar contadas.
+ * @param {Object} models - Modelos de getStockCountModels
+ * @param {Object} count - Conteo (documento)
+ * @param {Object} options - { user, tenant, session, costingMethod }
+ * @returns {Promise<Array>} Ajustes registrados
+ */
+export const approveStockCount = async (models, count, options = {}) => {
+  const { user, tenant, session, costingMethod } = options;
+
+  if (count.status !== 'abierto') {
+    throw new StockCountError(`El conteo está ${count.status}`);
+  }
+
+  const pending = count.lines.filter(line => line.countedQuantity == null);
+  if (pending.length > 0) {
+    throw new StockCountError(`Faltan ${pending.length} línea(s) por contar, p. ej. ${pending[0].productName}${pending[0].batchNumber ? ` (lote ${pending[0].batchNumber})` : ''}`);
+  }
+
+  const adjustments = [];
+  for (const line of count.lines) {
+    if (Math.abs(line.variance) <= EPSILON) continue;
+
+    if (line.batch) {
+      const batch = await adjustBatchStock(models.Batch, line.batch, line.variance, session);
+      if (!batch) {
+        throw new StockCountError(`El lote ${line.batchNumber} ya no tiene el stock necesario para registrar la diferencia`);
+      }
+    }
+
+    const product = await incrementProductStock(models, line.product, line.variance, {
+      type: 'ajuste',
+      referenceType: 'stock_count',
+      reference: count._id,
+      referenceNumber: count.countNumber,
+      warehouse: count.warehouse,
+      batch: line.batch,
+      batchNumber: line.batchNumber,
+      reason: `Conteo físico ${count.countNumber}`,
+      notes: line.notes,
+      createdBy: user,
+      tenant
+    }, { session });
+    if (!product) {
+      throw new StockCountError(`El stock de ${line.productName} cambió y ya no cubre la diferencia del conteo`);
+    }
+
+    await recordStockChangeCost(models, product, line.variance, {
+      type: 'stock_count',
+      reference: count._id,
+      referenceNumber: count.countNumber,
+      batch: line.batch,
+      unitCost: line.unitCost,
+      createdBy: user,
+      tenant
+    }, { session, method: costingMethod });
+
+    adjustments.push({
+      product: product._id,
+      productName: product.name,
+      batch: line.batch,
+      batchNumber: line.batchNumber,
+      variance: line.variance,
+      varianceValue: line.varianceValue,
+      newStock: product.stock
+    });
+  }
+
+  count.status = 'aprobado';
+  count.approvedAt = new Date();
+  count.approvedBy = user;
+  await count.save({ session });
+
+  return adjustments;
+};
@@ -0,0 +1,67 @@
+import { incrementWarehouseStock } from './warehouseService.js';
+
+/**
+ * Registra un movimiento en el kardex de inventario
+ * @param {mongoose.Model} StockMovementModel - Modelo StockMovement (del tenant o principal)
+ * @param {Object} data - Producto, cantidad con signo, stock anterior/nuevo, documento origen, usuario y motivo
+ * @param {Object} [options] - { session } para registrar el movimiento dentro de una transacción
+ * @returns {Promise<Object>} Movimiento creado
+ */
+export const recordStockMovement = async (StockMovementModel, data, options = {}) => {
+  const type = data.type || (data.quantity >= 0 ? 'entrada' : 'salida');
+  const [movement] = await StockMovementModel.create([{ ...data, type }], { session: options.session });
+  return movement;
+};
+
+/**
+ * Incrementa (o disminuye con cantidad negativa) el stock de un producto y registra el movimiento.
+ * Las salidas solo se aplican si hay stock suficiente, de modo que dos operaciones concurrentes
+ * no pueden dejar el stock en negativo. Si el movimiento indica una ubicación (movement.warehouse)
+ * también se mueve el stock de esa ubicación; como son dos escrituras, debe usarse dentro de una transacción.
+ * @param {Object} models - { Product, StockMovement, WarehouseStock } del tenant o principales
+ * @param {string} productId - ID del producto
+ * @param {number} quantity - Cantidad con signo
+ * @param {Object} movement - Datos adicionales del movimiento (referencia, ubicación, usuario, motivo...)
+ * @param {Object} [options] - { session } para operar dentro de una transacción
+ * @returns {Promise<Object|null>} Producto actualizado, o null si no existe o no hay stock suficiente
+ */
+export const incrementProductStock = async ({ Product, StockMovement, WarehouseStock }, productId, quantity, movement = {}, options = {}) => {
+  if (movement.warehouse) {
+    const location = await incrementWarehouseStock(
+      WarehouseStock || Product.db.model('WarehouseStock'),
+      movement.warehouse,
+      productId,
+      quantity,
+      options
+    );
+    if (!location) {
+      return null;
+    }
+  }
+
+  const filter = { _id: productId };
+  if (quantity < 0) {
+    filter.stock = { $gte: -quantity };
+  }
+
+  const updatedProduct = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { stock: quantity } },
+    { new: true, session: options.session }
+  );
+
+  if (!updatedProduct) {
+    return null;
+  }
+
+  await recordStockMovement(StockMovement, {
+    ...movement,
+    product: updatedProduct._id,
+    productName: updatedProduct.name,
+    quantity,
+    previousStock: updatedProduct.stock - quantity,
+    newStock: updatedProduct.stock
+  }, options);
+
+  return updatedProduct;
+};
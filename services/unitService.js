@@ -0,0 +1,162 @@
+// Unidades de medida de productos, compras, ventas y lotes
+export const UNITS = ['kg', 'g', 'l', 'ml', 'unidad', 'docena', 'caja', 'metro', 'cm'];
+
+// Equivalencias estándar: cada unidad respecto de la unidad base de su magnitud.
+// La caja no tiene equivalencia estándar: se define por producto (p. ej. 1 caja = 24 unidad)
+const STANDARD_UNITS = {
+  kg: { dimension: 'masa', factor: 1000 },
+  g: { dimension: 'masa', factor: 1 },
+  l: { dimension: 'volumen', factor: 1000 },
+  ml: { dimension: 'volumen', factor: 1 },
+  metro: { dimension: 'longitud', factor: 100 },
+  cm: { dimension: 'longitud', factor: 1 },
+  unidad: { dimension: 'conteo', factor: 1 },
+  docena: { dimension: 'conteo', factor: 12 }
+};
+
+// Formas habituales de escribir las unidades en las recetas
+const UNIT_ALIASES = {
+  kilo: 'kg',
+  kilos: 'kg',
+  kilogramo: 'kg',
+  kilogramos: 'kg',
+  gr: 'g',
+  gramo: 'g',
+  gramos: 'g',
+  lt: 'l',
+  litro: 'l',
+  litros: 'l',
+  mililitro: 'ml',
+  mililitros: 'ml',
+  u: 'unidad',
+  un: 'unidad',
+  und: 'unidad',
+  unidades: 'unidad',
+  docenas: 'docena',
+  cajas: 'caja',
+  m: 'metro',
+  metros: 'metro',
+  centimetro: 'cm',
+  centimetros: 'cm',
+  'centímetro': 'cm',
+  'centímetros': 'cm'
+};
+
+// Error de conversión de unidades: se responde con su código HTTP
+export class UnitConversionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UnitConversionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Unidad normalizada (minúsculas y sin alias); las unidades desconocidas se devuelven tal cual
+ * @param {string} unit - Unidad
+ * @returns {string|undefined}
+ */
+export const normalizeUnit = (unit) => {
+  if (!unit) return unit;
+  const normalized = unit.toString().trim().toLowerCase();
+  return UNIT_ALIASES[normalized] || normalized;
+};
+
+// Factor estándar de from a to (cantidad en to de 1 from), o null si no son de la misma magnitud
+const standardFactor = (from, to) => {
+  const source = STANDARD_UNITS[from];
+  const target = STANDARD_UNITS[to];
+  if (!source || !target || source.dimension !== target.dimension) return null;
+  return source.factor / target.factor;
+};
+
+// Cantidad en la unidad de stock del producto de 1 unidad indicada: equivalencia estándar,
+// conversión propia del producto o conversión propia más equivalencia estándar (p. ej. docena → caja)
+const stockFactor = (product, unit) => {
+  const stockUnit = normalizeUnit(product.unit);
+  if (unit === stockUnit) return 1;
+
+  const standard = standardFactor(unit, stockUnit);
+  if (standard) return standard;
+
+  const conversions = product.unitConversions || [];
+  const custom = conversions.find(conversion => normalizeUnit(conversion.unit) === unit);
+  if (custom) return custom.factor;
+
+  for (const conversion of conversions) {
+    const factor = standardFactor(unit, normalizeUnit(conversion.unit));
+    if (factor) return factor * conversion.factor;
+  }
+  return null;
+};
+
+/**
+ * Factor para pasar una cantidad de una unidad a otra para un producto (cantidad en toUnit de 1 fromUnit)
+ * @param {Object} product - Producto ({ name, unit, unitConversions })
+ * @param {string} fromUnit - Unidad de origen (sin unidad: la de stock)
+ * @param {string} [toUnit] - Unidad de destino (por defecto la de stock del producto)
+ * @returns {number}
+ */
+export const getConversionFactor = (product, fromUnit, toUnit) => {
+  const from = normalizeUnit(fromUnit || product.unit);
+  const to = normalizeUnit(toUnit || product.unit);
+  if (from === to) return 1;
+
+  const standard = standardFactor(from, to);
+  if (standard) return standard;
+
+  const fromFactor = stockFactor(product, from);
+  const toFactor = stockFactor(product, to);
+  if (!fromFactor || !toFactor) {
+    throw new UnitConversionError(`No hay conversión de ${fromUnit} a ${toUnit || product.unit} para ${product.name}`);
+  }
+  return fromFactor / toFactor;
+};
+
+/**
+ * Convierte una cantidad entre unidades para un producto
+ * @param {Object} product - Producto
+ * @param {number} quantity - Cantidad en fromUnit
+ * @param {string} fromUnit - Unidad de origen
+ * @param {string} [toUnit] - Unidad de destino (por defecto la de stock)
+ * @returns {number}
+ */
+export const convertQuantity = (product, quantity, fromUnit, toUnit) =>
+  quantity * getConversionFactor(product, fromUnit, toUnit);
+
+/**
+ * Cantidad en la unidad de stock del producto
+ * @param {Object} product - Producto
+ * @param {number} quantity - Cantidad
+ * @param {string} [unit] - Unidad de la cantidad (sin unidad: ya está en la de stock)
+ * @returns {number}
+ */
+export const toStockQuantity = (product, quantity, unit) => convertQuantity(product, quantity, unit);
+
+/**
+ * Unidades en las que se puede expresar un producto con su equivalencia en la unidad de stock
+ * @param {Object} product - Producto
+ * @returns {Array} [{ unit, factor }] factor: cantidad en la unidad de stock de 1 unidad
+ */
+export const listProductUnits = (product) => UNITS
+  .map(unit => ({ unit, factor: stockFactor(product, unit) }))
+  .filter(entry => entry.factor);
+
+/**
+ * Valida las conversiones propias de un producto: no pueden redefinir la unidad de stock
+ * ni unidades que ya tienen equivalencia estándar con ella
+ * @param {string} unit - Unidad de stock del producto
+ * @param {Array} [conversions] - [{ unit, factor }]
+ */
+export const checkUnitConversions = (unit, conversions = []) => {
+  const stockUnit = normalizeUnit(unit);
+  for (const conversion of conversions) {
+    const conversionUnit = normalizeUnit(conversion.unit);
+    if (conversionUnit === stockUnit) {
+      throw new UnitConversionError(`La unidad ${conversion.unit} es la unidad de stock del producto`);
+    }
+    if (standardFactor(conversionUnit, stockUnit)) {
+      throw new UnitConversionError(`La unidad ${conversion.unit} ya tiene una equivalencia estándar con ${unit}`);
+    }
+  }
+};
@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import Warehouse from '../models/Warehouse.js';
+import WarehouseStock from '../models/WarehouseStock.js';
+import StockTransfer from '../models/StockTransfer.js';
+import Product from '../models/Product.js';
+import Sequence from '../models/Sequence.js';
+import Config from '../models/Config.js';
+
+// Error de validación de ubicaciones o transferencias: aborta la transacción y se responde con su código HTTP
+export class WarehouseError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WarehouseError';
+    this.status = status;
+  }
+}
+
+/**
+ * Obtiene los modelos de ubicaciones (del tenant si existen, o los principales)
+ * @param {Object} [tenantModels] - req.tenantModels
+ * @returns {Object} { Warehouse, WarehouseStock, StockTransfer, Product, Sequence, Config }
+ */
+export const getWarehouseModels = (tenantModels) => ({
+  Warehouse: tenantModels?.Warehouse || Warehouse,
+  WarehouseStock: tenantModels?.WarehouseStock || WarehouseStock,
+  StockTransfer: tenantModels?.StockTransfer || StockTransfer,
+  Product: tenantModels?.Product || Product,
+  Sequence: tenantModels?.Sequence || Sequence,
+  Config: tenantModels?.Config || Config
+});
+
+/**
+ * Ubicación de una operación: la indicada o, si no se indica, la ubicación por defecto.
+ * Si el tenant no tiene ubicaciones devuelve null y el stock se lleva solo por producto.
+ * @param {mongoose.Model} WarehouseModel - Modelo Warehouse
+ * @param {string} [warehouseId] - Ubicación indicada en la operación
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object|null>} Ubicación
+ */
+export const resolveWarehouse = async (WarehouseModel, warehouseId, options = {}) => {
+  if (warehouseId) {
+    const warehouse = mongoose.Types.ObjectId.isValid(warehouseId)
+      ? await WarehouseModel.findOne({ _id: warehouseId, isActive: true }).session(options.session || null)
+      : null;
+    if (!warehouse) {
+      throw new WarehouseError('Ubicación no encontrada o inactiva', 404);
+    }
+    return warehouse;
+  }
+
+  return WarehouseModel.findOne({ isDefault: true, isActive: true }).session(options.session || null);
+};
+
+/**
+ * Incrementa (o disminuye con cantidad negativa) el stock de un producto en una ubicación.
+ * Las salidas solo se aplican si la ubicación tiene stock suficiente.
+ * @param {mongoose.Model} WarehouseStockModel - Modelo WarehouseStock
+ * @param {string} warehouseId - Ubicación
+ * @param {string} productId - Producto
+ * @param {number} quantity - Cantidad con signo
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object|null>} Stock de la ubicación, o null si no hay stock suficiente
+ */
+export const incrementWarehouseStock = async (WarehouseStockModel, warehouseId, productId, quantity, options = {}) => {
+  if (quantity < 0) {
+    return WarehouseStockModel.findOneAndUpdate(
+      { warehouse: warehouseId, product: productId, quantity: { $gte: -quantity } },
+      { $inc: { quantity } },
+      { new: true, session: options.session }
+    );
+  }
+
+  return WarehouseStockModel.findOneAndUpdate(
+    { warehouse: warehouseId, product: productId },
+    { $inc: { quantity } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session: options.session }
+  );
+};
+
+/**
+ * Asigna todo el stock actual de los productos a una ubicación; se usa al crear la primera
+ * ubicación del tenant para que el stock por ubicación parta del stock existente
+ * @param {Object} models - { WarehouseStock, Product }
+ * @param {Object} warehouse - Ubicación
+ * @param {Object} [options] - { session }
+ * @returns {Promise<number>} Productos asignados
+ */
+export const seedWarehouseStock = async (models, warehouse, options = {}) => {
+  const products = await models.Product.find({ stock: { $gt: 0 } })
+    .select('_id stock')
+    .session(options.session || null);
+
+  if (products.length === 0) return 0;
+
+  await models.WarehouseStock.insertMany(products.map(product => ({
+    warehouse: warehouse._id,
+    product: product._id,
+    quantity: product.stock
+  })), { session: options.session });
+
+  return products.length;
+};
+
+// Stock mínimo aplicable en una ubicación: el propio de la ubicación o el del producto
+export const locationMinStock = (row) => row.minStock ?? row.product?.minStock ?? 0;
+
+/**
+ * Stock de una ubicación por producto, con los datos del producto
+ * @param {Object} models - { WarehouseStock, Product }
+ * @param {string} warehouseId - Ubicación
+ * @param {Object} [options] - { lowStock } lowStock: solo los productos en o bajo su mínimo
+ * @returns {Promise<Array>} Filas de WarehouseStock con el producto poblado
+ */
+export const getWarehouseStock = async (models, warehouseId, options = {}) => {
+  const rows = await models.WarehouseStock.find({ warehouse: warehouseId })
+    .populate({ path: 'product', select: 'name sku unit cost minStock isActive supplier', model: models.Product });
+
+  return rows
+    .filter(row => row.product?.isActive)
+    .filter(row => !options.lowStock || row.quantity <= locationMinStock(row))
+    .sort((a, b) => a.product.name.localeCompare(b.product.name));
+};